@@ -50,6 +50,8 @@ async function main() {
         }
     );
     await oracle.waitForDeployment();
+    // Recorded so log readers (oracle:status, the indexer) can start at the deployment
+    const oracleDeploymentBlock = (await oracle.deploymentTransaction()?.wait())?.blockNumber;
     
     const oracleAddress = await oracle.getAddress();
     const oracleImplAddress = await upgrades.erc1967.getImplementationAddress(oracleAddress);
@@ -109,7 +111,8 @@ async function main() {
         BaseballOracle: {
             proxy: oracleAddress,
             implementation: oracleImplAddress,
-            version: "1.0.0"
+            version: "1.0.0",
+            deploymentBlock: oracleDeploymentBlock
         }
     };
 
@@ -43,6 +43,8 @@ async function main() {
         }
     );
     await oracle.waitForDeployment();
+    // Recorded so log readers (oracle:status, the indexer) can start at the deployment
+    const oracleDeploymentBlock = (await oracle.deploymentTransaction()?.wait())?.blockNumber;
     
     const oracleAddress = await oracle.getAddress();
     const implementationAddress = await upgrades.erc1967.getImplementationAddress(oracleAddress);
@@ -65,6 +67,7 @@ async function main() {
             proxy: oracleAddress,
             implementation: implementationAddress,
             version: "1.0.0",
+            deploymentBlock: oracleDeploymentBlock,
             deployedAt: new Date().toISOString(),
             network: networkName,
             deployer: deployer.address
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+import { Command, Option } from 'commander';
+import { Contract, JsonRpcProvider } from 'ethers';
+import { AlertDelivery, AlertRouter, DEFAULT_ALERT_SCHEDULE } from './services/AlertRouter.js';
+import { Alert, createAlertSinks } from './services/AlertSinks.js';
+import { AlertConfig, loadAlertConfig } from './utils/alertConfig.js';
+import { FUNDING_MANAGER_ABI } from '../management/abi/fundingManagerAbi.js';
+import { FundingManagerService } from '../management/services/FundingManagerService.js';
+import { BASEBALL_ORACLE_ABI } from '../oracle/abi/baseballOracleAbi.js';
+import { OracleBlockchainService } from '../oracle/services/OracleBlockchainService.js';
+import { EXIT_CODES, formatRecordLine, formatRecords, getExitCodeForError, log, OUTPUT_FORMATS, OutputColumn, OutputFormat } from '../oracle/utils/output.js';
+
+const program = new Command();
+
+program
+  .name('alerts')
+  .description('Route FundingManager and BaseballOracle alerts to webhook, email and file sinks')
+  .option('--state-file <file>', 'Block cursor and dedup state (default: ALERT_STATE_FILE or alert-router-state.json)');
+
+/**
+ * Reports a failed command and exits with the matching exit code
+ * @param action What the command was doing
+ * @param error Error that stopped it
+ */
+function exitWithError(action: string, error: unknown): never {
+  log(`\nError ${action}:`);
+  log(error instanceof Error ? error.message : String(error));
+  process.exit(getExitCodeForError(error));
+}
+
+/**
+ * Parses a non-negative integer option
+ * @param name Option name, for the error message
+ * @param value Option value
+ * @returns number Parsed value
+ */
+function parseCount(name: string, value: string): number {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return count;
+}
+
+const DELIVERY_COLUMNS: OutputColumn<AlertDelivery>[] = [
+  { key: 'severity', header: 'Severity', value: delivery => delivery.alert.severity },
+  { key: 'rule', header: 'Rule', value: delivery => delivery.alert.rule },
+  { key: 'title', header: 'Alert', value: delivery => delivery.alert.title },
+  { key: 'status', header: 'Status', display: delivery => delivery.errors ? `${delivery.status} (${delivery.errors.join('; ')})` : delivery.status },
+  { key: 'sinks', header: 'Sinks', value: delivery => delivery.sinks.join(' ') },
+  { key: 'errors', header: 'Errors', value: delivery => delivery.errors?.join('; '), table: false },
+  { key: 'key', header: 'Key', value: delivery => delivery.alert.key, table: false }
+];
+
+/**
+ * Loads the configuration, applying the global --state-file flag and a --from-block option
+ * @param fromBlock --from-block value, if given
+ * @param requireSink Whether a sink must be configured
+ * @returns AlertConfig Configuration
+ */
+function getConfig(fromBlock: string | undefined, requireSink: boolean): AlertConfig {
+  return loadAlertConfig({
+    statePath: program.opts().stateFile,
+    startBlock: fromBlock === undefined ? undefined : parseCount('--from-block', fromBlock)
+  }, { requireSink });
+}
+
+/**
+ * Connects read-only to the configured contracts and builds a router
+ * @param config Alert configuration
+ * @param schedule Cron expression for start()
+ * @param onDelivery Called for each alert a scheduled check did not suppress
+ * @returns AlertRouter Router
+ */
+function createRouter(config: AlertConfig, schedule?: string, onDelivery?: (delivery: AlertDelivery) => void): AlertRouter {
+  const provider = new JsonRpcProvider(config.rpcUrl);
+  const sources = {
+    oracle: config.oracleAddress === undefined ? undefined : {
+      address: config.oracleAddress,
+      service: new OracleBlockchainService(new Contract(config.oracleAddress, BASEBALL_ORACLE_ABI, provider))
+    },
+    fundingManager: config.fundingManagerAddress === undefined ? undefined : {
+      address: config.fundingManagerAddress,
+      service: new FundingManagerService(new Contract(config.fundingManagerAddress, FUNDING_MANAGER_ABI, provider))
+    },
+    ammAddresses: config.ammAddresses
+  };
+
+  return new AlertRouter(provider, sources, createAlertSinks(config.sinks), {
+    statePath: config.statePath,
+    schedule,
+    startBlock: config.startBlock,
+    minEmergencySeverity: config.minEmergencySeverity,
+    staleTeamHours: config.staleTeamHours,
+    dedupHours: config.dedupHours,
+    log: (message) => log(`[${new Date().toISOString()}] ${message}`),
+    onDelivery
+  });
+}
+
+program
+  .command('check')
+  .description('Read new events, evaluate the threshold rules and send any alerts, then exit')
+  .addOption(new Option('-o, --output <format>', 'Format of the results written to stdout').choices(OUTPUT_FORMATS).default('table'))
+  .option('--from-block <block>', 'First block to read events from without a saved cursor (default: ALERT_START_BLOCK or the current head)')
+  .option('--dry-run', 'Report alerts without sending them or saving state')
+  .action(async (options) => {
+    try {
+      const config = getConfig(options.fromBlock, !options.dryRun);
+      const result = await createRouter(config).check(new Date(), { dryRun: options.dryRun });
+
+      log(result.fromBlock === undefined
+        ? 'No new blocks to read events from'
+        : `Read events from blocks ${result.fromBlock}-${result.toBlock}`);
+      result.errors.forEach(error => log(`Warning: ${error}`));
+
+      const output = formatRecords(options.output as OutputFormat, result.deliveries, DELIVERY_COLUMNS);
+      if (output) {
+        console.log(output);
+      } else {
+        log('No alerts');
+      }
+
+      if (result.errors.length > 0 || result.deliveries.some(delivery => delivery.status === 'failed')) {
+        process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+      }
+    } catch (error) {
+      exitWithError('checking alerts', error);
+    }
+  });
+
+program
+  .command('start')
+  .description('Keep checking for alerts on a schedule')
+  .addOption(new Option('-o, --output <format>', 'Format of the alerts written to stdout').choices(OUTPUT_FORMATS).default('table'))
+  .option('--from-block <block>', 'First block to read events from without a saved cursor (default: ALERT_START_BLOCK or the current head)')
+  .option('--schedule <cron>', 'Cron expression for polling, with seconds', DEFAULT_ALERT_SCHEDULE)
+  .action(async (options) => {
+    try {
+      const format: OutputFormat = options.output;
+      const config = getConfig(options.fromBlock, true);
+      // A table cannot be streamed, so in table mode the log lines are the only output
+      const router = createRouter(config, options.schedule, format === 'table' ? undefined : (delivery) => {
+        console.log(formatRecordLine(format, delivery, DELIVERY_COLUMNS));
+      });
+
+      if (format === 'csv') {
+        console.log(formatRecords(format, [], DELIVERY_COLUMNS));
+      }
+
+      log(`Alert router started (schedule "${options.schedule}", state ${config.statePath})`);
+      router.start();
+
+      const shutdown = () => {
+        log('\nStopping alert router...');
+        router.stop();
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+    } catch (error) {
+      exitWithError('starting alert router', error);
+    }
+  });
+
+program
+  .command('send-test')
+  .description('Send a test alert to every configured sink')
+  .action(async () => {
+    try {
+      const config = getConfig(undefined, true);
+      const alert: Alert = {
+        key: `test:${Date.now()}`,
+        rule: 'test',
+        severity: 'warning',
+        title: 'Test alert',
+        message: 'The alert router can reach this sink',
+        detectedAt: new Date().toISOString(),
+        details: {}
+      };
+
+      let failures = 0;
+      for (const sink of createAlertSinks(config.sinks)) {
+        try {
+          await sink.send(alert);
+          log(`${sink.name}: sent`);
+        } catch (error) {
+          failures++;
+          log(`${sink.name}: failed (${error instanceof Error ? error.message : error})`);
+        }
+      }
+
+      if (failures > 0) {
+        process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+      }
+    } catch (error) {
+      exitWithError('sending test alert', error);
+    }
+  });
+
+program.parse();
@@ -0,0 +1,469 @@
+import { CronJob } from 'cron';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { Interface, Log, Provider } from 'ethers';
+import { Alert, AlertSink } from './AlertSinks.js';
+import { FUNDING_MANAGER_ABI } from '../../management/abi/fundingManagerAbi.js';
+import { FundingManagerService } from '../../management/services/FundingManagerService.js';
+import { BASEBALL_ORACLE_ABI } from '../../oracle/abi/baseballOracleAbi.js';
+import { OracleBlockchainService } from '../../oracle/services/OracleBlockchainService.js';
+import { formatBlockTimestamp } from '../../oracle/utils/dateUtils.js';
+
+export const DEFAULT_ALERT_STATE_PATH = 'alert-router-state.json';
+export const DEFAULT_ALERT_SCHEDULE = '0 * * * * *'; // Every minute
+export const DEFAULT_ALERT_BATCH_SIZE = 2000;        // Blocks per eth_getLogs request
+export const DEFAULT_MIN_EMERGENCY_SEVERITY = 2;     // shouldTriggerEmergency's "high"
+export const DEFAULT_STALE_TEAM_HOURS = 36;
+export const DEFAULT_ALERT_DEDUP_HOURS = 6;
+
+// ErrorLogged reasons that need no attention: a resubmitted game is skipped by the contract
+export const IGNORED_ORACLE_ERRORS = ['Game already recorded'];
+
+const FUNDING_MANAGER_INTERFACE = new Interface(FUNDING_MANAGER_ABI);
+const ORACLE_INTERFACE = new Interface(BASEBALL_ORACLE_ABI);
+
+/**
+ * Contracts the router watches. Each is optional
+ */
+export interface AlertSources {
+  oracle?: { address: string; service: OracleBlockchainService };
+  fundingManager?: { address: string; service: FundingManagerService };
+  ammAddresses: string[]; // AMMs checked against the FundingManager's emergency threshold
+}
+
+/**
+ * Options for the alert router
+ */
+export interface AlertRouterOptions {
+  statePath: string;             // File that keeps the block cursor and recently sent alerts
+  schedule?: string;             // Cron expression for start()
+  startBlock?: number;           // First block to read events from without a saved cursor; default the current head
+  minEmergencySeverity?: number; // Lowest shouldTriggerEmergency severity that alerts
+  staleTeamHours?: number;       // How long a team may go without an update during the season
+  dedupHours?: number;           // How long an alert key is suppressed after it was sent
+  batchSize?: number;
+  log?: (message: string) => void;
+  onDelivery?: (delivery: AlertDelivery) => void; // Called for each alert a scheduled check did not suppress
+}
+
+/**
+ * Options for a single check
+ */
+export interface AlertCheckOptions {
+  dryRun?: boolean; // Report alerts without sending them or saving state
+}
+
+/**
+ * What happened to an alert
+ */
+export type AlertDeliveryStatus =
+  | 'sent'        // At least one sink accepted it
+  | 'failed'      // Every sink failed
+  | 'suppressed'  // The same key was sent within the dedup window
+  | 'dry-run';
+
+/**
+ * Outcome of routing one alert
+ */
+export interface AlertDelivery {
+  alert: Alert;
+  status: AlertDeliveryStatus;
+  sinks: string[];   // Sinks that accepted the alert
+  errors?: string[]; // One per sink that failed
+}
+
+/**
+ * Result of one check
+ */
+export interface AlertCheckResult {
+  fromBlock?: number; // Block range read for events, if any
+  toBlock?: number;
+  deliveries: AlertDelivery[];
+  errors: string[];   // Rules that could not be evaluated
+}
+
+/**
+ * State persisted between checks
+ */
+export interface AlertRouterState {
+  lastBlock?: number; // Last block whose events were delivered
+  lastRunAt?: string;
+  sent: Record<string, string>; // Alert key -> ISO time it was last sent
+}
+
+/**
+ * Turns FundingManager and BaseballOracle events, and threshold rules read
+ * from the contracts, into alerts for a set of sinks.
+ *
+ * Events are polled with eth_getLogs from a block cursor in the state file.
+ * If an event alert reaches no sink, the cursor is not advanced, so the range
+ * is read again on the next check. Every alert has a dedup key; a key is not
+ * sent again within the dedup window, so rule alerts repeat at most that
+ * often while the condition lasts. Event alert keys name the log, so every
+ * event is sent and a range that is read again does not send it twice
+ */
+export class AlertRouter {
+  private readonly provider: Provider;
+  private readonly sources: AlertSources;
+  private readonly sinks: AlertSink[];
+  private readonly statePath: string;
+  private readonly schedule: string;
+  private readonly startBlock?: number;
+  private readonly minEmergencySeverity: number;
+  private readonly staleTeamHours: number;
+  private readonly dedupHours: number;
+  private readonly batchSize: number;
+  private readonly log: (message: string) => void;
+  private readonly onDelivery?: (delivery: AlertDelivery) => void;
+  private readonly teamIds = new Map<string, string>();
+  private job?: CronJob;
+  private running = false;
+
+  /**
+   * Creates a new AlertRouter
+   * @param provider Provider to read logs from
+   * @param sources Contracts to watch
+   * @param sinks Where alerts are delivered
+   * @param options State file, schedule, thresholds and logging options
+   */
+  constructor(provider: Provider, sources: AlertSources, sinks: AlertSink[], options: AlertRouterOptions) {
+    this.provider = provider;
+    this.sources = sources;
+    this.sinks = sinks;
+    this.statePath = options.statePath;
+    this.schedule = options.schedule ?? DEFAULT_ALERT_SCHEDULE;
+    this.startBlock = options.startBlock;
+    this.minEmergencySeverity = options.minEmergencySeverity ?? DEFAULT_MIN_EMERGENCY_SEVERITY;
+    this.staleTeamHours = options.staleTeamHours ?? DEFAULT_STALE_TEAM_HOURS;
+    this.dedupHours = options.dedupHours ?? DEFAULT_ALERT_DEDUP_HOURS;
+    this.batchSize = options.batchSize ?? DEFAULT_ALERT_BATCH_SIZE;
+    this.log = options.log ?? ((message) => console.log(`[${new Date().toISOString()}] ${message}`));
+    this.onDelivery = options.onDelivery;
+  }
+
+  /**
+   * Checks on the configured schedule, running once immediately
+   */
+  start(): void {
+    this.job = CronJob.from({
+      cronTime: this.schedule,
+      onTick: async () => {
+        try {
+          const result = await this.check();
+          for (const delivery of result.deliveries.filter(delivery => delivery.status !== 'suppressed')) {
+            this.log(`${delivery.alert.title}: ${delivery.status}${delivery.errors ? ` (${delivery.errors.join('; ')})` : ''}`);
+            this.onDelivery?.(delivery);
+          }
+          for (const error of result.errors) {
+            this.log(error);
+          }
+        } catch (error) {
+          this.log(`Alert check failed: ${error instanceof Error ? error.message : error}`);
+        }
+      },
+      start: true,
+      runOnInit: true
+    });
+  }
+
+  /**
+   * Stops the schedule; a check already in progress is allowed to finish
+   */
+  stop(): void {
+    this.job?.stop();
+  }
+
+  /**
+   * Reads new events, evaluates the threshold rules and delivers the resulting alerts
+   * @param now Current time (defaults to now) - useful for testing
+   * @param options Dry run option
+   * @returns Promise<AlertCheckResult> Every alert raised and what happened to it; empty if a previous check is still in progress
+   */
+  async check(now: Date = new Date(), options: AlertCheckOptions = {}): Promise<AlertCheckResult> {
+    if (this.running) {
+      this.log('Previous alert check still in progress - skipping');
+      return { deliveries: [], errors: [] };
+    }
+
+    this.running = true;
+    try {
+      const state = this.readState();
+      const result: AlertCheckResult = { deliveries: [], errors: [] };
+      const head = await this.provider.getBlockNumber();
+      const fromBlock = state.lastBlock === undefined ? this.startBlock ?? head + 1 : state.lastBlock + 1;
+
+      let eventAlerts: Alert[] = [];
+      if (fromBlock <= head) {
+        eventAlerts = await this.readEventAlerts(fromBlock, head, now);
+        result.fromBlock = fromBlock;
+        result.toBlock = head;
+      }
+      const ruleAlerts = [
+        ...await this.checkEmergencyThresholds(now, result.errors),
+        ...await this.checkStaleTeams(now, result.errors)
+      ];
+
+      const dedupBefore = now.getTime() - this.dedupHours * 3600 * 1000;
+      for (const [key, sentAt] of Object.entries(state.sent)) {
+        if (Date.parse(sentAt) < dedupBefore) {
+          delete state.sent[key];
+        }
+      }
+
+      let eventsDelivered = true;
+      for (const alert of [...eventAlerts, ...ruleAlerts]) {
+        const delivery = await this.deliver(alert, state, now, options.dryRun);
+        if (delivery.status === 'failed' && eventAlerts.includes(alert)) {
+          eventsDelivered = false;
+        }
+        result.deliveries.push(delivery);
+      }
+
+      if (!options.dryRun) {
+        if (eventsDelivered) {
+          state.lastBlock = head;
+        }
+        this.writeState(state, now);
+      }
+      return result;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Sends an alert to every sink unless its key was sent within the dedup window
+   * @param alert Alert to send
+   * @param state State holding recently sent keys; updated when the alert is sent
+   * @param now Current time
+   * @param dryRun Report the alert without sending it
+   * @returns Promise<AlertDelivery> Outcome
+   */
+  private async deliver(alert: Alert, state: AlertRouterState, now: Date, dryRun?: boolean): Promise<AlertDelivery> {
+    if (state.sent[alert.key] !== undefined) {
+      return { alert, status: 'suppressed', sinks: [] };
+    }
+    if (dryRun) {
+      return { alert, status: 'dry-run', sinks: [] };
+    }
+
+    const sinks: string[] = [];
+    const errors: string[] = [];
+    for (const sink of this.sinks) {
+      try {
+        await sink.send(alert);
+        sinks.push(sink.name);
+      } catch (error) {
+        errors.push(`${sink.name}: ${error instanceof Error ? error.message : error}`);
+      }
+    }
+
+    if (sinks.length > 0) {
+      state.sent[alert.key] = now.toISOString();
+    }
+    return { alert, status: sinks.length > 0 ? 'sent' : 'failed', sinks, ...(errors.length > 0 && { errors }) };
+  }
+
+  /**
+   * Reads the watched events of a block range, in batches
+   * @param fromBlock First block
+   * @param toBlock Last block
+   * @param now Detection time for the alerts
+   * @returns Promise<Alert[]> One alert per event that needs attention, in chain order
+   */
+  private async readEventAlerts(fromBlock: number, toBlock: number, now: Date): Promise<Alert[]> {
+    const addresses = [this.sources.oracle?.address, this.sources.fundingManager?.address].filter((address): address is string => address !== undefined);
+    if (addresses.length === 0) {
+      return [];
+    }
+
+    const alerts: Alert[] = [];
+    for (let start = fromBlock; start <= toBlock; start += this.batchSize) {
+      const logs = await this.provider.getLogs({ address: addresses, fromBlock: start, toBlock: Math.min(start + this.batchSize - 1, toBlock) });
+      for (const log of logs) {
+        const alert = await this.toEventAlert(log, now);
+        if (alert) {
+          alerts.push(alert);
+        }
+      }
+    }
+    return alerts;
+  }
+
+  /**
+   * Turns a log into an alert
+   * @param log Log from a watched contract
+   * @param now Detection time
+   * @returns Promise<Alert | undefined> Alert, or undefined for events that are not watched
+   */
+  private async toEventAlert(log: Log, now: Date): Promise<Alert | undefined> {
+    const isOracle = log.address.toLowerCase() === this.sources.oracle?.address.toLowerCase();
+    const event = (isOracle ? ORACLE_INTERFACE : FUNDING_MANAGER_INTERFACE).parseLog(log);
+    const logId = `${log.transactionHash}:${log.index}`;
+    const base = {
+      detectedAt: now.toISOString(),
+      details: { contract: log.address, transactionHash: log.transactionHash, blockNumber: log.blockNumber }
+    };
+
+    if (isOracle) {
+      if (event?.name !== 'ErrorLogged' || IGNORED_ORACLE_ERRORS.includes(event.args.reason)) {
+        return undefined;
+      }
+      return {
+        ...base,
+        key: `oracle-error:${event.args.reason}:${logId}`,
+        rule: 'oracle-error',
+        severity: 'warning',
+        title: `Oracle logged an error: ${event.args.reason}`,
+        message: `BaseballOracle skipped a game result with "${event.args.reason}"`
+      };
+    }
+
+    if (event?.name === 'EmergencyProtocolTriggered') {
+      const { ammAddress, protocol } = event.args;
+      const severity = Number(event.args.severity);
+      const teamId = await this.getTeamId(ammAddress);
+      return {
+        ...base,
+        key: `emergency-protocol:${ammAddress}:${protocol}:${severity}:${logId}`,
+        rule: 'emergency-protocol',
+        severity: severity >= 3 ? 'critical' : 'warning',
+        title: `${teamId} emergency protocol ${protocol} triggered (severity ${severity})`,
+        message: `FundingManager triggered emergency protocol ${protocol} for the ${teamId} AMM at severity ${severity}`,
+        details: { ...base.details, ammAddress, teamId, protocol, severity }
+      };
+    }
+
+    if (event?.name === 'FundingCapReached') {
+      const { ammAddress, capType } = event.args;
+      const teamId = await this.getTeamId(ammAddress);
+      return {
+        ...base,
+        key: `funding-cap:${ammAddress}:${capType}:${logId}`,
+        rule: 'funding-cap',
+        severity: 'warning',
+        title: `${teamId} reached its ${capType} LP funding cap`,
+        message: `FundingManager limited LP funding for the ${teamId} AMM to ${event.args.actualAmount} of the ${event.args.requestedAmount} requested`,
+        details: { ...base.details, ammAddress, teamId, capType, requestedAmount: event.args.requestedAmount.toString(), actualAmount: event.args.actualAmount.toString() }
+      };
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Raises an alert for every registered AMM whose shouldTriggerEmergency
+   * severity is at least the minimum
+   * @param now Detection time
+   * @param errors Receives a message for each AMM that could not be read
+   * @returns Promise<Alert[]> Alerts
+   */
+  private async checkEmergencyThresholds(now: Date, errors: string[]): Promise<Alert[]> {
+    const fundingManager = this.sources.fundingManager?.service;
+    if (!fundingManager) {
+      return [];
+    }
+
+    const alerts: Alert[] = [];
+    for (const ammAddress of this.sources.ammAddresses) {
+      try {
+        if (!(await fundingManager.isRegistered(ammAddress))) {
+          continue;
+        }
+
+        const severity = await fundingManager.getEmergencySeverity(ammAddress);
+        if (severity < this.minEmergencySeverity) {
+          continue;
+        }
+
+        const teamId = await this.getTeamId(ammAddress);
+        alerts.push({
+          key: `emergency-threshold:${ammAddress}:${severity}`,
+          rule: 'emergency-threshold',
+          severity: severity >= 3 ? 'critical' : 'warning',
+          title: `${teamId} LP funding at emergency severity ${severity}`,
+          message: `Cumulative LP funding for the ${teamId} AMM has passed its emergency threshold (shouldTriggerEmergency severity ${severity})`,
+          detectedAt: now.toISOString(),
+          details: { ammAddress, teamId, severity }
+        });
+      } catch (error) {
+        errors.push(`Emergency check for ${ammAddress} failed: ${error instanceof Error ? error.message : error}`);
+      }
+    }
+    return alerts;
+  }
+
+  /**
+   * Raises an alert for every team the oracle has not updated within the
+   * stale threshold while the season is active. Time before the season
+   * opened does not count
+   * @param now Current time
+   * @param errors Receives a message if the oracle could not be read
+   * @returns Promise<Alert[]> Alerts
+   */
+  private async checkStaleTeams(now: Date, errors: string[]): Promise<Alert[]> {
+    const oracle = this.sources.oracle?.service;
+    if (!oracle) {
+      return [];
+    }
+
+    try {
+      const season = await oracle.getSeasonState();
+      if (!season.active) {
+        return [];
+      }
+
+      const staleBefore = now.getTime() / 1000 - this.staleTeamHours * 3600;
+      return (await oracle.getRegisteredTeams())
+        .filter(team => Math.max(team.lastUpdateTimestamp, season.startTimestamp) < staleBefore)
+        .map(team => ({
+          key: `stale-team:${team.teamId}`,
+          rule: 'stale-team',
+          severity: 'warning',
+          title: `${team.teamId} not updated in ${this.staleTeamHours}h`,
+          message: `The oracle has not updated ${team.name} since ${formatBlockTimestamp(team.lastUpdateTimestamp)} during an active season`,
+          detectedAt: now.toISOString(),
+          details: { teamId: team.teamId, lastUpdate: formatBlockTimestamp(team.lastUpdateTimestamp) }
+        }));
+    } catch (error) {
+      errors.push(`Stale team check failed: ${error instanceof Error ? error.message : error}`);
+      return [];
+    }
+  }
+
+  /**
+   * Looks up the team an AMM trades, caching the answer
+   * @param ammAddress VirtualAMM address
+   * @returns Promise<string> Team ID, or the address if it cannot be read
+   */
+  private async getTeamId(ammAddress: string): Promise<string> {
+    let teamId = this.teamIds.get(ammAddress);
+    if (teamId === undefined) {
+      teamId = await this.sources.fundingManager?.service.getTeamId(ammAddress).catch(() => undefined) ?? ammAddress;
+      this.teamIds.set(ammAddress, teamId);
+    }
+    return teamId;
+  }
+
+  /**
+   * Loads persisted state, or an empty state on first run
+   * @returns AlertRouterState Saved state
+   */
+  private readState(): AlertRouterState {
+    if (!existsSync(this.statePath)) {
+      return { sent: {} };
+    }
+
+    const state = JSON.parse(readFileSync(this.statePath, 'utf8'));
+    return { sent: {}, ...state };
+  }
+
+  /**
+   * Saves state
+   * @param state State to save
+   * @param now Time of the check
+   */
+  private writeState(state: AlertRouterState, now: Date): void {
+    state.lastRunAt = now.toISOString();
+    writeFileSync(this.statePath, JSON.stringify(state, null, 2));
+  }
+}
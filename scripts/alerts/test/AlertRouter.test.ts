@@ -0,0 +1,348 @@
+import { jest } from '@jest/globals';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { Interface, Log, Provider } from 'ethers';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AlertRouter, AlertSources } from '../services/AlertRouter.js';
+import { Alert, AlertSink } from '../services/AlertSinks.js';
+import { FUNDING_MANAGER_ABI } from '../../management/abi/fundingManagerAbi.js';
+import { FundingManagerService } from '../../management/services/FundingManagerService.js';
+import { BASEBALL_ORACLE_ABI } from '../../oracle/abi/baseballOracleAbi.js';
+import { OnChainSeasonState, OnChainTeam, OracleBlockchainService } from '../../oracle/services/OracleBlockchainService.js';
+
+const ORACLE_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const FUNDING_MANAGER_ADDRESS = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const NYY_AMM = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+const BOS_AMM = '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9';
+
+const NOW = new Date('2025-06-01T12:00:00Z');
+const NOW_SECONDS = NOW.getTime() / 1000;
+const HOUR = 3600;
+
+const interfaces: Record<string, Interface> = {
+  [ORACLE_ADDRESS]: new Interface(BASEBALL_ORACLE_ABI),
+  [FUNDING_MANAGER_ADDRESS]: new Interface(FUNDING_MANAGER_ABI)
+};
+
+function makeTeam(teamId: string, lastUpdateTimestamp: number): OnChainTeam {
+  return { teamId, name: teamId, abbreviation: teamId, wins: 10, losses: 10, winPct: 500, lastGameTimestamp: lastUpdateTimestamp, lastUpdateTimestamp };
+}
+
+/**
+ * Sink that records what it was sent, or fails while `failing` is set
+ */
+class RecordingSink implements AlertSink {
+  readonly alerts: Alert[] = [];
+  failing: boolean | ((alert: Alert) => boolean) = false;
+
+  constructor(readonly name: string) {}
+
+  async send(alert: Alert): Promise<void> {
+    if (typeof this.failing === 'function' ? this.failing(alert) : this.failing) {
+      throw new Error(`${this.name} unreachable`);
+    }
+    this.alerts.push(alert);
+  }
+}
+
+describe('AlertRouter', () => {
+  let dir: string;
+  let statePath: string;
+  let head: number;
+  let logs: Log[];
+  let provider: Provider;
+  let severities: Record<string, number>;
+  let season: OnChainSeasonState;
+  let teams: OnChainTeam[];
+  let sources: AlertSources;
+  let sink: RecordingSink;
+
+  function emit(blockNumber: number, address: string, eventName: string, args: unknown[]): void {
+    const { data, topics } = interfaces[address].encodeEventLog(eventName, args);
+    logs.push({ address, data, topics, blockNumber, transactionHash: `0x${'ab'.repeat(31)}${logs.length.toString(16).padStart(2, '0')}`, index: 0 } as unknown as Log);
+    head = Math.max(head, blockNumber);
+  }
+
+  function createRouter(options: Partial<ConstructorParameters<typeof AlertRouter>[3]> = {}, sinks: AlertSink[] = [sink]): AlertRouter {
+    return new AlertRouter(provider, sources, sinks, { statePath, startBlock: 0, log: () => {}, ...options });
+  }
+
+  function readState(): any {
+    return JSON.parse(readFileSync(statePath, 'utf8'));
+  }
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'alert-router-'));
+    statePath = join(dir, 'state.json');
+    head = 10;
+    logs = [];
+    provider = {
+      getBlockNumber: jest.fn(async () => head),
+      getLogs: jest.fn(async (filter: { address: string[]; fromBlock: number; toBlock: number }) => logs.filter(log =>
+        filter.address.includes(log.address) && log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock))
+    } as unknown as Provider;
+
+    severities = {};
+    season = { active: false, startTimestamp: 0, endTimestamp: 0 };
+    teams = [];
+    const fundingManager = {
+      isRegistered: jest.fn(async (ammAddress: string) => ammAddress !== BOS_AMM),
+      getTeamId: jest.fn(async (ammAddress: string) => ammAddress === NYY_AMM ? 'NYY' : 'BOS'),
+      getEmergencySeverity: jest.fn(async (ammAddress: string) => severities[ammAddress] ?? 0)
+    } as unknown as FundingManagerService;
+    const oracle = {
+      getSeasonState: jest.fn(async () => season),
+      getRegisteredTeams: jest.fn(async () => teams)
+    } as unknown as OracleBlockchainService;
+
+    sources = {
+      oracle: { address: ORACLE_ADDRESS, service: oracle },
+      fundingManager: { address: FUNDING_MANAGER_ADDRESS, service: fundingManager },
+      ammAddresses: [NYY_AMM, BOS_AMM]
+    };
+    sink = new RecordingSink('test');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('events', () => {
+    it('should alert on emergency, funding cap and oracle error events', async () => {
+      emit(3, FUNDING_MANAGER_ADDRESS, 'EmergencyProtocolTriggered', [NYY_AMM, 'funding_cap_approached', 3n]);
+      emit(4, FUNDING_MANAGER_ADDRESS, 'FundingCapReached', [NYY_AMM, 'daily', 500n, 400n]);
+      emit(5, ORACLE_ADDRESS, 'ErrorLogged', ['Home team not registered']);
+      emit(6, ORACLE_ADDRESS, 'TeamUpdated', ['NYY', 10n, 5n, 667n]);
+
+      const result = await createRouter().check(NOW);
+
+      expect(result).toMatchObject({ fromBlock: 0, toBlock: 10, errors: [] });
+      expect(result.deliveries.map(delivery => delivery.status)).toEqual(['sent', 'sent', 'sent']);
+      expect(sink.alerts).toEqual([
+        expect.objectContaining({
+          key: `emergency-protocol:${NYY_AMM}:funding_cap_approached:3:${logs[0].transactionHash}:0`,
+          rule: 'emergency-protocol',
+          severity: 'critical',
+          title: 'NYY emergency protocol funding_cap_approached triggered (severity 3)',
+          detectedAt: NOW.toISOString(),
+          details: expect.objectContaining({ ammAddress: NYY_AMM, teamId: 'NYY', severity: 3, blockNumber: 3, contract: FUNDING_MANAGER_ADDRESS })
+        }),
+        expect.objectContaining({
+          key: `funding-cap:${NYY_AMM}:daily:${logs[1].transactionHash}:0`,
+          rule: 'funding-cap',
+          severity: 'warning',
+          details: expect.objectContaining({ capType: 'daily', requestedAmount: '500', actualAmount: '400' })
+        }),
+        expect.objectContaining({ key: `oracle-error:Home team not registered:${logs[2].transactionHash}:0`, rule: 'oracle-error', severity: 'warning' })
+      ]);
+      expect(readState().lastBlock).toBe(10);
+    });
+
+    it('should ignore resubmitted games', async () => {
+      emit(3, ORACLE_ADDRESS, 'ErrorLogged', ['Game already recorded']);
+
+      expect((await createRouter().check(NOW)).deliveries).toEqual([]);
+    });
+
+    it('should start from the head without a cursor or start block', async () => {
+      emit(3, ORACLE_ADDRESS, 'ErrorLogged', ['Away team not registered']);
+      const router = createRouter({ startBlock: undefined });
+
+      expect(await router.check(NOW)).toEqual({ deliveries: [], errors: [] });
+      expect(readState().lastBlock).toBe(10);
+
+      emit(12, ORACLE_ADDRESS, 'ErrorLogged', ['Home team not registered']);
+      const result = await router.check(NOW);
+
+      expect(result).toMatchObject({ fromBlock: 11, toBlock: 12 });
+      expect(sink.alerts.map(alert => alert.title)).toEqual(['Oracle logged an error: Home team not registered']);
+    });
+
+    it('should read long ranges in batches', async () => {
+      emit(2, ORACLE_ADDRESS, 'ErrorLogged', ['Home team not registered']);
+      emit(9, ORACLE_ADDRESS, 'ErrorLogged', ['Away team not registered']);
+
+      await createRouter({ batchSize: 4 }).check(NOW);
+
+      expect(provider.getLogs).toHaveBeenCalledTimes(3);
+      expect(provider.getLogs).toHaveBeenLastCalledWith({ address: [ORACLE_ADDRESS, FUNDING_MANAGER_ADDRESS], fromBlock: 8, toBlock: 10 });
+      expect(sink.alerts).toHaveLength(2);
+    });
+
+    it('should read the range again when an event alert reached no sink', async () => {
+      emit(3, FUNDING_MANAGER_ADDRESS, 'FundingCapReached', [NYY_AMM, 'cumulative', 500n, 0n]);
+      sink.failing = true;
+      const router = createRouter();
+
+      const failed = await router.check(NOW);
+      expect(failed.deliveries[0]).toMatchObject({ status: 'failed', sinks: [], errors: ['test: test unreachable'] });
+      expect(readState().lastBlock).toBeUndefined();
+
+      sink.failing = false;
+      const retried = await router.check(NOW);
+      expect(retried).toMatchObject({ fromBlock: 0, toBlock: 10 });
+      expect(retried.deliveries[0].status).toBe('sent');
+      expect(readState().lastBlock).toBe(10);
+    });
+
+    it('should count an alert as sent when any sink accepts it', async () => {
+      emit(3, ORACLE_ADDRESS, 'ErrorLogged', ['Home team not registered']);
+      const broken = new RecordingSink('webhook');
+      broken.failing = true;
+
+      const result = await createRouter({}, [broken, sink]).check(NOW);
+
+      expect(result.deliveries[0]).toMatchObject({ status: 'sent', sinks: ['test'], errors: ['webhook: webhook unreachable'] });
+      expect(readState().lastBlock).toBe(10);
+    });
+  });
+
+  describe('deduplication', () => {
+    it('should send each rule alert key once per dedup window', async () => {
+      severities = { [NYY_AMM]: 2 };
+      const router = createRouter({ dedupHours: 6 });
+
+      expect((await router.check(NOW)).deliveries.map(delivery => delivery.status)).toEqual(['sent']);
+
+      const withinWindow = await router.check(new Date(NOW.getTime() + 5 * HOUR * 1000));
+      expect(withinWindow.deliveries.map(delivery => delivery.status)).toEqual(['suppressed']);
+
+      const afterWindow = await router.check(new Date(NOW.getTime() + 7 * HOUR * 1000));
+      expect(afterWindow.deliveries.map(delivery => delivery.status)).toEqual(['sent']);
+      expect(sink.alerts).toHaveLength(2);
+    });
+
+    it('should send every event, even with the same details', async () => {
+      emit(3, FUNDING_MANAGER_ADDRESS, 'FundingCapReached', [NYY_AMM, 'daily', 500n, 400n]);
+      emit(4, FUNDING_MANAGER_ADDRESS, 'FundingCapReached', [NYY_AMM, 'daily', 500n, 400n]);
+      emit(5, ORACLE_ADDRESS, 'ErrorLogged', ['Home team not registered']);
+      emit(5, ORACLE_ADDRESS, 'ErrorLogged', ['Home team not registered']);
+
+      const result = await createRouter({ dedupHours: 6 }).check(NOW);
+
+      expect(result.deliveries.map(delivery => delivery.status)).toEqual(['sent', 'sent', 'sent', 'sent']);
+    });
+
+    it('should not send an event again when its range is read again', async () => {
+      emit(3, ORACLE_ADDRESS, 'ErrorLogged', ['Home team not registered']);
+      emit(4, ORACLE_ADDRESS, 'ErrorLogged', ['Away team not registered']);
+      sink.failing = (alert) => alert.title.includes('Away');
+      const router = createRouter();
+
+      expect((await router.check(NOW)).deliveries.map(delivery => delivery.status)).toEqual(['sent', 'failed']);
+
+      sink.failing = false;
+      const retried = await router.check(NOW);
+      expect(retried).toMatchObject({ fromBlock: 0, toBlock: 10 });
+      expect(retried.deliveries.map(delivery => delivery.status)).toEqual(['suppressed', 'sent']);
+      expect(sink.alerts).toHaveLength(2);
+    });
+
+    it('should forget keys once their dedup window has passed', async () => {
+      emit(3, ORACLE_ADDRESS, 'ErrorLogged', ['Home team not registered']);
+      const router = createRouter({ dedupHours: 1 });
+      await router.check(NOW);
+      expect(Object.keys(readState().sent)).toEqual([`oracle-error:Home team not registered:${logs[0].transactionHash}:0`]);
+
+      await router.check(new Date(NOW.getTime() + 2 * HOUR * 1000));
+
+      expect(readState().sent).toEqual({});
+    });
+  });
+
+  describe('emergency threshold', () => {
+    it('should alert on registered AMMs at or above the minimum severity', async () => {
+      severities = { [NYY_AMM]: 2, [BOS_AMM]: 3 };
+
+      const result = await createRouter().check(NOW);
+
+      expect(result.deliveries).toHaveLength(1);
+      expect(sink.alerts[0]).toMatchObject({
+        key: `emergency-threshold:${NYY_AMM}:2`,
+        rule: 'emergency-threshold',
+        severity: 'warning',
+        title: 'NYY LP funding at emergency severity 2',
+        details: { ammAddress: NYY_AMM, teamId: 'NYY', severity: 2 }
+      });
+    });
+
+    it('should ignore severities below the minimum', async () => {
+      severities = { [NYY_AMM]: 1 };
+
+      expect((await createRouter().check(NOW)).deliveries).toEqual([]);
+    });
+
+    it('should alert again straight away when the severity rises', async () => {
+      severities = { [NYY_AMM]: 2 };
+      const router = createRouter();
+      await router.check(NOW);
+
+      severities = { [NYY_AMM]: 3 };
+      const result = await router.check(NOW);
+
+      expect(result.deliveries[0]).toMatchObject({ status: 'sent', alert: { severity: 'critical', key: `emergency-threshold:${NYY_AMM}:3` } });
+    });
+
+    it('should report AMMs that cannot be read and keep checking the rest', async () => {
+      const fundingManager = sources.fundingManager!.service;
+      (fundingManager.getEmergencySeverity as jest.Mock<any>).mockRejectedValueOnce(new Error('call revert exception'));
+      sources.ammAddresses = [NYY_AMM, NYY_AMM];
+      severities = { [NYY_AMM]: 3 };
+
+      const result = await createRouter().check(NOW);
+
+      expect(result.errors).toEqual([`Emergency check for ${NYY_AMM} failed: call revert exception`]);
+      expect(result.deliveries).toHaveLength(1);
+    });
+  });
+
+  describe('stale teams', () => {
+    beforeEach(() => {
+      season = { active: true, startTimestamp: NOW_SECONDS - 30 * 24 * HOUR, endTimestamp: 0 };
+      teams = [makeTeam('NYY', NOW_SECONDS - 40 * HOUR), makeTeam('BOS', NOW_SECONDS - 10 * HOUR)];
+    });
+
+    it('should alert on teams not updated within the threshold', async () => {
+      await createRouter().check(NOW);
+
+      expect(sink.alerts).toEqual([
+        expect.objectContaining({
+          key: 'stale-team:NYY',
+          rule: 'stale-team',
+          title: 'NYY not updated in 36h',
+          details: { teamId: 'NYY', lastUpdate: '2025-05-30T20:00:00.000Z' }
+        })
+      ]);
+    });
+
+    it('should not count time before the season opened', async () => {
+      season.startTimestamp = NOW_SECONDS - 20 * HOUR;
+      teams = [makeTeam('NYY', 0)];
+
+      expect((await createRouter().check(NOW)).deliveries).toEqual([]);
+    });
+
+    it('should not alert outside the season', async () => {
+      season.active = false;
+
+      expect((await createRouter().check(NOW)).deliveries).toEqual([]);
+    });
+
+    it('should use the configured threshold', async () => {
+      await createRouter({ staleTeamHours: 8 }).check(NOW);
+
+      expect(sink.alerts.map(alert => alert.key)).toEqual(['stale-team:NYY', 'stale-team:BOS']);
+    });
+  });
+
+  it('should report alerts without sending them or saving state on a dry run', async () => {
+    emit(3, ORACLE_ADDRESS, 'ErrorLogged', ['Home team not registered']);
+    severities = { [NYY_AMM]: 2 };
+
+    const result = await createRouter().check(NOW, { dryRun: true });
+
+    expect(result.deliveries.map(delivery => delivery.status)).toEqual(['dry-run', 'dry-run']);
+    expect(sink.alerts).toEqual([]);
+    expect(existsSync(statePath)).toBe(false);
+  });
+});
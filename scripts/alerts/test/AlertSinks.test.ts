@@ -0,0 +1,134 @@
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { createServer, IncomingMessage, Server } from 'http';
+import { AddressInfo } from 'net';
+import { createTransport, Transporter } from 'nodemailer';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Alert, createAlertSinks, EmailSink, FileSink, formatAlertText, WebhookSink } from '../services/AlertSinks.js';
+
+const ALERT: Alert = {
+  key: 'funding-cap:0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0:daily',
+  rule: 'funding-cap',
+  severity: 'warning',
+  title: 'NYY reached its daily LP funding cap',
+  message: 'FundingManager limited LP funding for the NYY AMM to 400 of the 500 requested',
+  detectedAt: '2025-06-01T12:00:00.000Z',
+  details: { teamId: 'NYY', blockNumber: 42 }
+};
+
+describe('formatAlertText', () => {
+  it('should list the title, message and details', () => {
+    expect(formatAlertText(ALERT)).toBe([
+      '[WARNING] NYY reached its daily LP funding cap',
+      '',
+      'FundingManager limited LP funding for the NYY AMM to 400 of the 500 requested',
+      '',
+      'teamId: NYY',
+      'blockNumber: 42',
+      'detectedAt: 2025-06-01T12:00:00.000Z'
+    ].join('\n'));
+  });
+});
+
+describe('WebhookSink', () => {
+  let server: Server;
+  let status: number;
+  let requests: { method?: string; contentType?: string; body: any }[];
+  let url: string;
+
+  beforeEach(async () => {
+    status = 200;
+    requests = [];
+    server = createServer(async (request: IncomingMessage, response) => {
+      let body = '';
+      for await (const chunk of request) {
+        body += chunk;
+      }
+      requests.push({ method: request.method, contentType: request.headers['content-type'], body: JSON.parse(body) });
+      response.writeHead(status);
+      response.end();
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${(server.address() as AddressInfo).port}/hook`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should POST the alert as JSON with a text summary', async () => {
+    await new WebhookSink(url).send(ALERT);
+
+    expect(requests).toEqual([{
+      method: 'POST',
+      contentType: 'application/json',
+      body: { text: `[WARNING] ${ALERT.title}: ${ALERT.message}`, ...ALERT }
+    }]);
+  });
+
+  it('should reject when the webhook answers with an error', async () => {
+    status = 500;
+
+    await expect(new WebhookSink(url).send(ALERT)).rejects.toThrow('500');
+  });
+});
+
+describe('EmailSink', () => {
+  it('should email the alert as plain text', async () => {
+    const transport = createTransport({ jsonTransport: true });
+    const sent: string[] = [];
+    // jsonTransport returns the message it would have sent instead of connecting to a server
+    const recorder = { sendMail: async (mail: Parameters<typeof transport.sendMail>[0]) => sent.push((await transport.sendMail(mail)).message) };
+    const sink = new EmailSink(recorder as unknown as Transporter, 'oracle@example.com', ['ops@example.com', 'lp@example.com']);
+
+    await sink.send(ALERT);
+
+    expect(JSON.parse(sent[0])).toMatchObject({
+      from: { address: 'oracle@example.com' },
+      to: [{ address: 'ops@example.com' }, { address: 'lp@example.com' }],
+      subject: '[WARNING] NYY reached its daily LP funding cap',
+      text: formatAlertText(ALERT)
+    });
+  });
+});
+
+describe('FileSink', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'alert-sinks-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should append one JSON line per alert', async () => {
+    const path = join(dir, 'alerts.ndjson');
+    const sink = new FileSink(path);
+
+    await sink.send(ALERT);
+    await sink.send({ ...ALERT, severity: 'critical' });
+
+    const lines = readFileSync(path, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toEqual([ALERT, { ...ALERT, severity: 'critical' }]);
+  });
+});
+
+describe('createAlertSinks', () => {
+  it('should create a sink for every configured destination', () => {
+    const sinks = createAlertSinks({
+      webhookUrl: 'http://127.0.0.1/hook',
+      smtpUrl: 'smtp://127.0.0.1:2525',
+      emailFrom: 'oracle@example.com',
+      emailTo: ['ops@example.com'],
+      filePath: 'alerts.ndjson'
+    });
+
+    expect(sinks.map(sink => sink.name)).toEqual(['webhook', 'email', 'file']);
+  });
+
+  it('should create no sinks when nothing is configured', () => {
+    expect(createAlertSinks({ emailTo: [] })).toEqual([]);
+  });
+});
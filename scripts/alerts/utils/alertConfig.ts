@@ -0,0 +1,112 @@
+import { AlertSinkConfig } from '../services/AlertSinks.js';
+import { DEFAULT_ALERT_DEDUP_HOURS, DEFAULT_ALERT_STATE_PATH, DEFAULT_MIN_EMERGENCY_SEVERITY, DEFAULT_STALE_TEAM_HOURS } from '../services/AlertRouter.js';
+import { getDeployedOracleAddress, loadEnvFile, readDeploymentRecord } from '../../oracle/utils/chainConfig.js';
+import { parseAddressList } from '../../management/utils/keeperConfig.js';
+
+/**
+ * Configuration for the alert router
+ */
+export interface AlertConfig {
+  rpcUrl: string;
+  statePath: string;
+  oracleAddress?: string;
+  fundingManagerAddress?: string;
+  ammAddresses: string[];
+  startBlock?: number;          // Block to start from without a saved cursor; default the current head
+  minEmergencySeverity: number;
+  staleTeamHours: number;
+  dedupHours: number;
+  sinks: AlertSinkConfig;
+}
+
+/**
+ * Options for loading the alert configuration
+ */
+export interface AlertConfigOptions {
+  requireSink?: boolean; // Fail unless at least one sink is configured; off for dry runs
+}
+
+/**
+ * Loads alert router configuration from the root .env file and environment.
+ * Every contract address is optional, but at least one must be configured
+ *
+ * Environment variables:
+ * - RPC_URL: JSON-RPC endpoint to read logs and contract state from
+ * - ORACLE_ADDRESS, FUNDING_MANAGER_ADDRESS, AMM_ADDRESSES: Contracts to watch;
+ *   if unset, they are read from contracts/deployments/{NETWORK}-latest.json
+ * - ALERT_WEBHOOK_URL: POST each alert as JSON to this URL
+ * - ALERT_SMTP_URL, ALERT_EMAIL_FROM, ALERT_EMAIL_TO: Email each alert; ALERT_EMAIL_TO is comma-separated
+ * - ALERT_FILE: Append each alert to this file as a JSON line
+ * - ALERT_STATE_FILE: Block cursor and dedup state (default: alert-router-state.json)
+ * - ALERT_START_BLOCK: First block to read events from without a saved cursor (default: the current head)
+ * - ALERT_MIN_SEVERITY: Lowest shouldTriggerEmergency severity that alerts, 1-3 (default: 2)
+ * - ALERT_STALE_TEAM_HOURS: Hours a team may go without an update during the season (default: 36)
+ * - ALERT_DEDUP_HOURS: Hours before an alert with the same key is sent again (default: 6)
+ *
+ * @param overrides Values that take precedence over the environment
+ * @param options Whether a sink is required
+ * @returns AlertConfig Resolved configuration
+ */
+export function loadAlertConfig(overrides: Partial<AlertConfig> = {}, options: AlertConfigOptions = {}): AlertConfig {
+  loadEnvFile();
+
+  const deployment = readDeploymentRecord(process.env.NETWORK);
+  const rpcUrl = overrides.rpcUrl || process.env.RPC_URL;
+  const oracleAddress = overrides.oracleAddress || process.env.ORACLE_ADDRESS || getDeployedOracleAddress(process.env.NETWORK);
+  const fundingManagerAddress = overrides.fundingManagerAddress || process.env.FUNDING_MANAGER_ADDRESS || deployment?.FundingManager?.address;
+  const ammAddresses = overrides.ammAddresses
+    ?? parseAddressList(process.env.AMM_ADDRESSES)
+    ?? Object.values<string>(deployment?.VirtualAMMs ?? {});
+  const sinks: AlertSinkConfig = overrides.sinks ?? {
+    webhookUrl: process.env.ALERT_WEBHOOK_URL || undefined,
+    smtpUrl: process.env.ALERT_SMTP_URL || undefined,
+    emailFrom: process.env.ALERT_EMAIL_FROM || undefined,
+    emailTo: (process.env.ALERT_EMAIL_TO ?? '').split(',').map(address => address.trim()).filter(Boolean),
+    filePath: process.env.ALERT_FILE || undefined
+  };
+
+  const missing = [
+    !rpcUrl && 'RPC_URL',
+    !oracleAddress && !fundingManagerAddress && ammAddresses.length === 0 && 'ORACLE_ADDRESS, FUNDING_MANAGER_ADDRESS or AMM_ADDRESSES (or NETWORK with a deployment file)',
+    options.requireSink && !sinks.webhookUrl && !sinks.smtpUrl && !sinks.filePath && 'ALERT_WEBHOOK_URL, ALERT_SMTP_URL or ALERT_FILE',
+    sinks.smtpUrl && !sinks.emailFrom && 'ALERT_EMAIL_FROM',
+    sinks.smtpUrl && sinks.emailTo.length === 0 && 'ALERT_EMAIL_TO'
+  ].filter(Boolean);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing alert configuration: ${missing.join(', ')}`);
+  }
+
+  return {
+    rpcUrl: rpcUrl!,
+    statePath: overrides.statePath || process.env.ALERT_STATE_FILE || DEFAULT_ALERT_STATE_PATH,
+    oracleAddress,
+    fundingManagerAddress,
+    ammAddresses,
+    startBlock: overrides.startBlock ?? parseNumber('ALERT_START_BLOCK', undefined, { integer: true, min: 0 }),
+    minEmergencySeverity: overrides.minEmergencySeverity ?? parseNumber('ALERT_MIN_SEVERITY', DEFAULT_MIN_EMERGENCY_SEVERITY, { integer: true, min: 1, max: 3 }),
+    staleTeamHours: overrides.staleTeamHours ?? parseNumber('ALERT_STALE_TEAM_HOURS', DEFAULT_STALE_TEAM_HOURS, { min: 0 }),
+    dedupHours: overrides.dedupHours ?? parseNumber('ALERT_DEDUP_HOURS', DEFAULT_ALERT_DEDUP_HOURS, { min: 0 }),
+    sinks
+  };
+}
+
+/**
+ * Reads a numeric variable
+ * @param name Variable name
+ * @param defaultValue Value if the variable is unset
+ * @param limits Whether the value must be an integer, and its bounds
+ * @returns number Parsed value
+ */
+function parseNumber<T extends number | undefined>(name: string, defaultValue: T, limits: { integer?: boolean; min: number; max?: number }): number | T {
+  const value = process.env[name];
+  if (!value) {
+    return defaultValue;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || (limits.integer && !Number.isInteger(parsed)) || parsed < limits.min || parsed > (limits.max ?? Infinity)) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return parsed;
+}
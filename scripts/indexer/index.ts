@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+import { Command } from 'commander';
+import { Contract, JsonRpcProvider } from 'ethers';
+import { DEFAULT_INDEXER_SCHEDULE, EventIndexer, IndexedContract } from './services/EventIndexer.js';
+import { createIndexerServer, DEFAULT_INDEXER_PORT } from './services/IndexerApi.js';
+import { IndexerDatabase } from './services/IndexerDatabase.js';
+import { DEFAULT_INDEXER_DATABASE, IndexerConfig, loadIndexerConfig } from './utils/indexerConfig.js';
+import { VIRTUAL_AMM_ABI } from '../management/abi/virtualAmmAbi.js';
+import { VirtualAmmService } from '../management/services/VirtualAmmService.js';
+import { BASEBALL_ORACLE_ABI } from '../oracle/abi/baseballOracleAbi.js';
+import { OracleBlockchainService } from '../oracle/services/OracleBlockchainService.js';
+import { loadEnvFile } from '../oracle/utils/chainConfig.js';
+import { getExitCodeForError, log } from '../oracle/utils/output.js';
+
+const program = new Command();
+
+program
+  .name('indexer')
+  .description('Index Living Futures protocol events into SQLite and serve them over HTTP')
+  .option('--db <file>', 'SQLite database file (default: INDEXER_DATABASE or indexer.sqlite)');
+
+/**
+ * Reports a failed command and exits with the matching exit code
+ * @param action What the command was doing
+ * @param error Error that stopped it
+ */
+function exitWithError(action: string, error: unknown): never {
+  log(`\nError ${action}:`);
+  log(error instanceof Error ? error.message : String(error));
+  process.exit(getExitCodeForError(error));
+}
+
+/**
+ * Parses a non-negative integer option
+ * @param name Option name, for the error message
+ * @param value Option value
+ * @returns number Parsed value
+ */
+function parseCount(name: string, value: string): number {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return count;
+}
+
+/**
+ * Loads the configuration, applying the global --db flag and a --from-block option
+ * @param fromBlock --from-block value, if given
+ * @returns IndexerConfig Configuration
+ */
+function getConfig(fromBlock?: string): IndexerConfig {
+  return loadIndexerConfig({
+    databasePath: program.opts().db,
+    startBlock: fromBlock === undefined ? undefined : parseCount('--from-block', fromBlock)
+  });
+}
+
+/**
+ * Connects to the chain and builds an indexer for the configured contracts.
+ * AMMs are labelled with their team, and the oracle's team IDs are loaded so
+ * indexed team ID arguments can be decoded; they are read again when a team
+ * registered later appears
+ * @param config Indexer configuration
+ * @param database Database to write to
+ * @param schedule Cron expression for start()
+ * @returns Promise<EventIndexer> Indexer
+ */
+async function createIndexer(config: IndexerConfig, database: IndexerDatabase, schedule?: string): Promise<EventIndexer> {
+  const provider = new JsonRpcProvider(config.rpcUrl);
+  const contracts: IndexedContract[] = [];
+  const oracle = config.oracleAddress === undefined
+    ? undefined
+    : new OracleBlockchainService(new Contract(config.oracleAddress, BASEBALL_ORACLE_ABI, provider));
+
+  if (config.oracleAddress) {
+    contracts.push({ kind: 'oracle', address: config.oracleAddress });
+  }
+  if (config.fundingManagerAddress) {
+    contracts.push({ kind: 'fundingManager', address: config.fundingManagerAddress });
+  }
+  for (const address of config.ammAddresses) {
+    const teamId = await new VirtualAmmService(new Contract(address, VIRTUAL_AMM_ABI, provider)).getTeamId();
+    contracts.push({ kind: 'amm', address, teamId });
+  }
+
+  return new EventIndexer(provider, database, contracts, {
+    startBlock: config.startBlock,
+    confirmations: config.confirmations,
+    schedule,
+    knownStrings: oracle ? await oracle.getTeamIds() : [],
+    loadKnownStrings: oracle && (() => oracle.getTeamIds()),
+    log: (message) => log(`[${new Date().toISOString()}] ${message}`)
+  });
+}
+
+program
+  .command('sync')
+  .description('Index every confirmed block since the last run, then exit')
+  .option('--from-block <block>', 'First block to index when the database is empty (default: INDEXER_START_BLOCK, the oracle\'s deployment block or the current head)')
+  .action(async (options) => {
+    try {
+      const config = getConfig(options.fromBlock);
+      const database = new IndexerDatabase(config.databasePath);
+      const indexer = await createIndexer(config, database);
+
+      const batches = await indexer.sync();
+      const events = batches.reduce((total, batch) => total + batch.events, 0);
+      const cursor = database.getCursor();
+      log(batches.length === 0
+        ? `Nothing new to index (last indexed block ${cursor?.blockNumber ?? 'none'})`
+        : `Indexed blocks ${batches[0].fromBlock}-${batches[batches.length - 1].toBlock}: ${events} event(s)`);
+      database.close();
+    } catch (error) {
+      exitWithError('indexing events', error);
+    }
+  });
+
+program
+  .command('start')
+  .description('Keep indexing on a schedule and serve the HTTP API')
+  .option('--from-block <block>', 'First block to index when the database is empty (default: INDEXER_START_BLOCK, the oracle\'s deployment block or the current head)')
+  .option('--schedule <cron>', 'Cron expression for polling, with seconds', DEFAULT_INDEXER_SCHEDULE)
+  .option('--port <port>', 'HTTP API port', String(DEFAULT_INDEXER_PORT))
+  .option('--host <host>', 'HTTP API interface', '127.0.0.1')
+  .action(async (options) => {
+    try {
+      const config = getConfig(options.fromBlock);
+      const database = new IndexerDatabase(config.databasePath);
+      const indexer = await createIndexer(config, database, options.schedule);
+      const server = createIndexerServer(database);
+
+      server.listen(parseCount('--port', options.port), options.host, () => {
+        log(`Indexer started (schedule "${options.schedule}", database ${config.databasePath}, API http://${options.host}:${options.port})`);
+      });
+      indexer.start();
+
+      const shutdown = () => {
+        log('\nStopping indexer...');
+        indexer.stop();
+        server.close();
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+    } catch (error) {
+      exitWithError('starting indexer', error);
+    }
+  });
+
+program
+  .command('serve')
+  .description('Serve the HTTP API from an existing database without indexing')
+  .option('--port <port>', 'HTTP API port', String(DEFAULT_INDEXER_PORT))
+  .option('--host <host>', 'HTTP API interface', '127.0.0.1')
+  .action(async (options) => {
+    try {
+      loadEnvFile();
+      const databasePath = program.opts().db || process.env.INDEXER_DATABASE || DEFAULT_INDEXER_DATABASE;
+      const server = createIndexerServer(new IndexerDatabase(databasePath, true));
+
+      server.listen(parseCount('--port', options.port), options.host, () => {
+        log(`Serving ${databasePath} on http://${options.host}:${options.port}`);
+      });
+
+      const shutdown = () => server.close();
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+    } catch (error) {
+      exitWithError('starting indexer API', error);
+    }
+  });
+
+program.parse();
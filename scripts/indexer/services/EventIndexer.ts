@@ -0,0 +1,362 @@
+import { CronJob } from 'cron';
+import { id, Indexed, Interface, Log, LogDescription, Provider } from 'ethers';
+import { BASEBALL_ORACLE_ABI } from '../../oracle/abi/baseballOracleAbi.js';
+import { FUNDING_MANAGER_ABI } from '../../management/abi/fundingManagerAbi.js';
+import { VIRTUAL_AMM_ABI, VIRTUAL_AMM_PARAMETERS } from '../../management/abi/virtualAmmAbi.js';
+import { ContractKind, IndexedBlock, IndexedEvent, IndexerDatabase, REORG_HISTORY_BLOCKS } from './IndexerDatabase.js';
+
+export const DEFAULT_INDEXER_BATCH_SIZE = 2000;          // Blocks per eth_getLogs request
+export const DEFAULT_INDEXER_SCHEDULE = '*/15 * * * * *'; // Every 15 seconds
+
+// Events indexed for each kind of contract
+export const INDEXED_EVENTS: Record<ContractKind, string[]> = {
+  amm: ['PositionOpened', 'PositionClosed', 'PositionFundingApplied', 'LiquidityAdded', 'LiquidityRemoved', 'ParameterUpdated'],
+  fundingManager: ['FundingExecuted', 'FundingRateUpdated'],
+  oracle: ['GameRecorded', 'TeamUpdated']
+};
+
+const INTERFACES: Record<ContractKind, Interface> = {
+  amm: new Interface(VIRTUAL_AMM_ABI),
+  fundingManager: new Interface(FUNDING_MANAGER_ABI),
+  oracle: new Interface(BASEBALL_ORACLE_ABI)
+};
+
+/**
+ * A contract the indexer follows
+ */
+export interface IndexedContract {
+  kind: ContractKind;
+  address: string;
+  teamId?: string; // For AMMs, the team they trade
+}
+
+/**
+ * Options for the event indexer
+ */
+export interface EventIndexerOptions {
+  startBlock?: number;    // First block to index on an empty database; default the confirmed head
+  confirmations?: number; // Blocks to stay behind the head
+  batchSize?: number;
+  schedule?: string;      // Cron expression for start()
+  knownStrings?: string[]; // Values of indexed string arguments, e.g. team IDs; events only carry their hash
+  loadKnownStrings?: () => Promise<string[]>; // Reads knownStrings again when a batch has a hash that is not among them, e.g. a newly registered team
+  log?: (message: string) => void;
+}
+
+/**
+ * Result of indexing one block range
+ */
+export interface IndexerBatchResult {
+  fromBlock: number;
+  toBlock: number;
+  events: number;
+}
+
+/**
+ * Follows protocol events and writes them to an IndexerDatabase. Before every
+ * batch the cursor's block hash is compared with the chain; if it changed, the
+ * database is rewound to the newest stored block still on the chain and the
+ * blocks after it are indexed again
+ */
+export class EventIndexer {
+  private readonly provider: Provider;
+  private readonly database: IndexerDatabase;
+  private readonly contracts: Map<string, IndexedContract>;
+  private readonly startBlock?: number;
+  private readonly confirmations: number;
+  private readonly batchSize: number;
+  private readonly schedule: string;
+  private readonly knownStrings = new Map<string, string>();
+  private readonly loadKnownStrings?: () => Promise<string[]>;
+  private readonly log: (message: string) => void;
+  private job?: CronJob;
+  private running = false;
+
+  /**
+   * Creates a new EventIndexer
+   * @param provider Provider to read blocks and logs from
+   * @param database Database to write to
+   * @param contracts Contracts to follow
+   * @param options Start block, confirmations, batch size and logging options
+   */
+  constructor(provider: Provider, database: IndexerDatabase, contracts: IndexedContract[], options: EventIndexerOptions = {}) {
+    this.provider = provider;
+    this.database = database;
+    this.contracts = new Map(contracts.map(contract => [contract.address.toLowerCase(), contract]));
+    this.startBlock = options.startBlock;
+    this.confirmations = options.confirmations ?? 0;
+    this.batchSize = options.batchSize ?? DEFAULT_INDEXER_BATCH_SIZE;
+    this.schedule = options.schedule ?? DEFAULT_INDEXER_SCHEDULE;
+    this.log = options.log ?? ((message) => console.log(`[${new Date().toISOString()}] ${message}`));
+
+    this.loadKnownStrings = options.loadKnownStrings;
+    this.addKnownStrings([...VIRTUAL_AMM_PARAMETERS, ...(options.knownStrings ?? [])]);
+  }
+
+  /**
+   * Indexes on the configured schedule, running once immediately
+   */
+  start(): void {
+    this.job = CronJob.from({
+      cronTime: this.schedule,
+      onTick: async () => {
+        try {
+          for (const batch of await this.sync()) {
+            this.log(`Indexed blocks ${batch.fromBlock}-${batch.toBlock}: ${batch.events} event(s)`);
+          }
+        } catch (error) {
+          this.log(`Indexing failed: ${error instanceof Error ? error.message : error}`);
+        }
+      },
+      start: true,
+      runOnInit: true
+    });
+  }
+
+  /**
+   * Stops the schedule; a sync already in progress is allowed to finish
+   */
+  stop(): void {
+    this.job?.stop();
+  }
+
+  /**
+   * Indexes every confirmed block after the cursor, in batches
+   * @returns Promise<IndexerBatchResult[]> One result per batch; empty if there was nothing new or a previous sync is still in progress
+   */
+  async sync(): Promise<IndexerBatchResult[]> {
+    if (this.running) {
+      this.log('Previous sync still in progress - skipping');
+      return [];
+    }
+
+    this.running = true;
+    try {
+      await this.handleReorg();
+
+      const head = await this.provider.getBlockNumber() - this.confirmations;
+      const results: IndexerBatchResult[] = [];
+      let fromBlock = this.getNextBlock(head);
+
+      while (fromBlock <= head) {
+        const toBlock = Math.min(fromBlock + this.batchSize - 1, head);
+        const result = await this.indexRange(fromBlock, toBlock);
+        if (!result) {
+          // The chain changed under the batch; the next sync checks for a reorg first
+          break;
+        }
+        results.push(result);
+        fromBlock = toBlock + 1;
+      }
+
+      return results;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Works out the first block the next batch should cover
+   * @param head Confirmed chain head
+   * @returns number Block after the cursor, or on an empty database the start block (default the head)
+   */
+  private getNextBlock(head: number): number {
+    const cursor = this.database.getCursor();
+    return cursor ? cursor.blockNumber + 1 : this.startBlock ?? head;
+  }
+
+  /**
+   * Rewinds the database if the cursor's block is no longer on the chain
+   * @returns Promise<void>
+   */
+  private async handleReorg(): Promise<void> {
+    const cursor = this.database.getCursor();
+    if (!cursor || (await this.provider.getBlock(cursor.blockNumber))?.hash === cursor.blockHash) {
+      return;
+    }
+
+    for (const block of this.database.getBlocksBelow(cursor.blockNumber)) {
+      if ((await this.provider.getBlock(block.blockNumber))?.hash === block.blockHash) {
+        const removed = this.database.rewind(block);
+        this.log(`Reorg detected at block ${cursor.blockNumber}: rewound to block ${block.blockNumber}, removing ${removed} event(s)`);
+        return;
+      }
+    }
+
+    throw new Error(`Reorg detected at block ${cursor.blockNumber} reaches past the ${REORG_HISTORY_BLOCKS} blocks kept for reorg handling; re-index from an earlier block`);
+  }
+
+  /**
+   * Reads, decodes and saves the events of a block range
+   * @param fromBlock First block
+   * @param toBlock Last block
+   * @returns Promise<IndexerBatchResult | undefined> Batch result, or undefined if a block changed while the range was read
+   */
+  private async indexRange(fromBlock: number, toBlock: number): Promise<IndexerBatchResult | undefined> {
+    // Read before the logs too: a block replaced after getLogs that had no logs on the
+    // old chain is not among the log blocks checked below, but it changes toBlock's hash
+    const lastBlock = await this.provider.getBlock(toBlock);
+    if (!lastBlock?.hash) {
+      return undefined;
+    }
+
+    const logs = await this.provider.getLogs({
+      address: [...this.contracts.values()].map(contract => contract.address),
+      fromBlock,
+      toBlock
+    });
+
+    const blocks = new Map<number, IndexedBlock & { timestamp: number }>();
+    for (const blockNumber of new Set([...logs.map(log => log.blockNumber), toBlock])) {
+      const block = await this.provider.getBlock(blockNumber);
+      if (!block?.hash) {
+        return undefined;
+      }
+      blocks.set(blockNumber, { blockNumber, blockHash: block.hash, timestamp: block.timestamp });
+    }
+
+    await this.refreshKnownStrings(logs);
+
+    const events: IndexedEvent[] = [];
+    for (const log of logs) {
+      const block = blocks.get(log.blockNumber)!;
+      if (log.blockHash !== block.blockHash) {
+        return undefined;
+      }
+
+      const event = this.decode(log, block.timestamp);
+      if (event) {
+        events.push(event);
+      }
+    }
+
+    const cursor = blocks.get(toBlock)!;
+    if (cursor.blockHash !== lastBlock.hash) {
+      return undefined;
+    }
+
+    this.database.commitBatch(
+      events,
+      [...blocks.values()].map(({ blockNumber, blockHash }) => ({ blockNumber, blockHash })),
+      { blockNumber: cursor.blockNumber, blockHash: cursor.blockHash }
+    );
+
+    return { fromBlock, toBlock, events: events.length };
+  }
+
+  /**
+   * Adds values of indexed string arguments, keyed by their hash
+   * @param values Values to add
+   */
+  private addKnownStrings(values: string[]): void {
+    for (const value of values) {
+      this.knownStrings.set(id(value), value);
+    }
+  }
+
+  /**
+   * Reads the known strings again if any indexed event in a batch carries a hash that is not known
+   * @param logs Raw logs of the batch
+   * @returns Promise<void>
+   */
+  private async refreshKnownStrings(logs: Log[]): Promise<void> {
+    if (!this.loadKnownStrings) {
+      return;
+    }
+
+    const unknown = logs.some(log => this.parse(log)?.parsed.args.some(arg => arg instanceof Indexed && !this.knownStrings.has(arg.hash!)));
+    if (unknown) {
+      this.addKnownStrings(await this.loadKnownStrings());
+    }
+  }
+
+  /**
+   * Parses a log from one of the followed contracts
+   * @param log Raw log
+   * @returns { contract: IndexedContract; parsed: LogDescription } | undefined Emitting contract and parsed log, or undefined for events that are not indexed
+   */
+  private parse(log: Log): { contract: IndexedContract; parsed: LogDescription } | undefined {
+    const contract = this.contracts.get(log.address.toLowerCase());
+    if (!contract) {
+      return undefined;
+    }
+
+    let parsed: LogDescription | null;
+    try {
+      parsed = INTERFACES[contract.kind].parseLog(log);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || !INDEXED_EVENTS[contract.kind].includes(parsed.name)) {
+      return undefined;
+    }
+
+    return { contract, parsed };
+  }
+
+  /**
+   * Decodes a log from one of the followed contracts
+   * @param log Raw log
+   * @param blockTimestamp Timestamp of the log's block
+   * @returns IndexedEvent | undefined Decoded event, or undefined for events that are not indexed
+   */
+  private decode(log: Log, blockTimestamp: number): IndexedEvent | undefined {
+    const { contract, parsed } = this.parse(log) ?? {};
+    if (!contract || !parsed) {
+      return undefined;
+    }
+
+    const args: IndexedEvent['args'] = {};
+    parsed.fragment.inputs.forEach((input, index) => {
+      args[input.name] = this.toArgValue(parsed.args[index]);
+    });
+
+    return {
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      blockTimestamp,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      address: log.address,
+      contract: contract.kind,
+      event: parsed.name,
+      teamId: this.getTeamId(contract, args),
+      opponentTeamId: typeof args.awayTeam === 'string' ? args.awayTeam : undefined,
+      positionId: args.positionId === undefined ? undefined : Number(args.positionId),
+      account: (args.trader ?? args.provider) as string | undefined,
+      args
+    };
+  }
+
+  /**
+   * Works out which team an event is about
+   * @param contract Emitting contract
+   * @param args Decoded arguments
+   * @returns string | undefined Team ID, if the event concerns a single team; the home team for GameRecorded
+   */
+  private getTeamId(contract: IndexedContract, args: IndexedEvent['args']): string | undefined {
+    if (contract.kind === 'amm') {
+      return contract.teamId;
+    }
+    if (contract.kind === 'fundingManager') {
+      return this.contracts.get(String(args.ammAddress).toLowerCase())?.teamId;
+    }
+    const teamId = args.teamId ?? args.homeTeam;
+    return typeof teamId === 'string' ? teamId : undefined;
+  }
+
+  /**
+   * Converts a decoded argument to a JSON-safe value
+   * @param value Decoded argument
+   * @returns string | number | boolean Integers as decimal strings; indexed strings as their value if known, otherwise their hash
+   */
+  private toArgValue(value: unknown): string | number | boolean {
+    if (value instanceof Indexed) {
+      return this.knownStrings.get(value.hash!) ?? value.hash!;
+    }
+    if (typeof value === 'bigint') {
+      return value.toString();
+    }
+    return value as string | boolean;
+  }
+}
@@ -0,0 +1,136 @@
+import { createServer, IncomingMessage, Server, ServerResponse } from 'http';
+import { EventQuery, IndexerDatabase } from './IndexerDatabase.js';
+
+export const DEFAULT_INDEXER_PORT = 8787;
+
+// Routes that return a fixed set of events, e.g. /fills
+export const EVENT_ROUTES: Record<string, string[]> = {
+  fills: ['PositionOpened', 'PositionClosed'],
+  funding: ['FundingRateUpdated', 'FundingExecuted', 'PositionFundingApplied'],
+  liquidity: ['LiquidityAdded', 'LiquidityRemoved'],
+  games: ['GameRecorded', 'TeamUpdated'],
+  parameters: ['ParameterUpdated']
+};
+
+/**
+ * Error answered with a 4xx status
+ */
+class RequestError extends Error {
+  readonly status: number;
+
+  constructor(status: number, message: string) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+  }
+}
+
+/**
+ * Creates a read-only JSON API over an indexer database. Not started; call
+ * listen() on the returned server
+ *
+ * Routes (GET only):
+ * - /status: Last indexed block and event counts
+ * - /events: Any indexed event; ?event=Name[,Name] selects events
+ * - /fills, /funding, /liquidity, /games, /parameters: The events in EVENT_ROUTES
+ *
+ * Every event route accepts address, teamId (either team of a game), positionId,
+ * account, fromBlock, toBlock, order (asc or desc), limit and offset
+ *
+ * @param database Database to answer from
+ * @returns Server HTTP server
+ */
+export function createIndexerServer(database: IndexerDatabase): Server {
+  return createServer((request, response) => {
+    try {
+      sendJson(response, 200, handleRequest(database, request));
+    } catch (error) {
+      const status = error instanceof RequestError ? error.status : 500;
+      sendJson(response, status, { error: error instanceof Error ? error.message : String(error) });
+    }
+  });
+}
+
+/**
+ * Answers one request
+ * @param database Database to answer from
+ * @param request Incoming request
+ * @returns unknown Response body
+ */
+function handleRequest(database: IndexerDatabase, request: IncomingMessage): unknown {
+  if (request.method !== 'GET') {
+    throw new RequestError(405, `Method ${request.method} not allowed`);
+  }
+
+  const url = new URL(request.url ?? '/', 'http://localhost');
+  const route = url.pathname.replace(/^\/+|\/+$/g, '');
+
+  if (route === 'status') {
+    return { cursor: database.getCursor() ?? null, eventCounts: database.getEventCounts() };
+  }
+
+  if (route === 'events') {
+    const events = url.searchParams.get('event')?.split(',').map(name => name.trim()).filter(Boolean);
+    return { events: database.queryEvents({ ...parseQuery(url.searchParams), events }) };
+  }
+
+  if (route in EVENT_ROUTES) {
+    return { events: database.queryEvents({ ...parseQuery(url.searchParams), events: EVENT_ROUTES[route] }) };
+  }
+
+  throw new RequestError(404, `Unknown route /${route}`);
+}
+
+/**
+ * Reads the common event filters from a query string
+ * @param params Query string parameters
+ * @returns EventQuery Filters; unset parameters are left undefined
+ */
+function parseQuery(params: URLSearchParams): EventQuery {
+  const order = params.get('order') ?? undefined;
+  if (order !== undefined && order !== 'asc' && order !== 'desc') {
+    throw new RequestError(400, `Invalid order: ${order}`);
+  }
+
+  return {
+    address: params.get('address') ?? undefined,
+    teamId: params.get('teamId') ?? undefined,
+    account: params.get('account') ?? undefined,
+    positionId: parseInteger(params, 'positionId'),
+    fromBlock: parseInteger(params, 'fromBlock'),
+    toBlock: parseInteger(params, 'toBlock'),
+    limit: parseInteger(params, 'limit'),
+    offset: parseInteger(params, 'offset'),
+    order
+  };
+}
+
+/**
+ * Reads a non-negative integer parameter
+ * @param params Query string parameters
+ * @param name Parameter name
+ * @returns number | undefined Parsed value, or undefined if absent
+ */
+function parseInteger(params: URLSearchParams, name: string): number | undefined {
+  const value = params.get(name);
+  if (value === null) {
+    return undefined;
+  }
+
+  const parsed = Number(value);
+  if (value === '' || !Number.isInteger(parsed) || parsed < 0) {
+    throw new RequestError(400, `Invalid ${name}: ${value}`);
+  }
+  return parsed;
+}
+
+/**
+ * Writes a JSON response
+ * @param response Server response
+ * @param status HTTP status
+ * @param body Response body
+ */
+function sendJson(response: ServerResponse, status: number, body: unknown): void {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
@@ -0,0 +1,283 @@
+import Database from 'better-sqlite3';
+
+// Block hashes kept behind the cursor to find where a reorg forked
+export const REORG_HISTORY_BLOCKS = 256;
+
+export const DEFAULT_QUERY_LIMIT = 100;
+export const MAX_QUERY_LIMIT = 1000;
+
+/**
+ * Which protocol contract emitted an event
+ */
+export type ContractKind = 'oracle' | 'fundingManager' | 'amm';
+
+/**
+ * A decoded protocol event. Integer arguments are decimal strings, so uint256
+ * values survive JSON and SQLite unchanged
+ */
+export interface IndexedEvent {
+  blockNumber: number;
+  blockHash: string;
+  blockTimestamp: number;           // Unix seconds
+  transactionHash: string;
+  logIndex: number;
+  address: string;                  // Emitting contract
+  contract: ContractKind;
+  event: string;
+  teamId?: string;                  // The AMM's team, or the team an oracle event is about; the home team for GameRecorded
+  opponentTeamId?: string;          // The away team for GameRecorded
+  positionId?: number;
+  account?: string;                 // Trader or liquidity provider
+  args: Record<string, string | number | boolean>;
+}
+
+/**
+ * A block the indexer has seen, used to detect reorgs
+ */
+export interface IndexedBlock {
+  blockNumber: number;
+  blockHash: string;
+}
+
+/**
+ * Filters for queryEvents; all are optional and combined with AND
+ */
+export interface EventQuery {
+  events?: string[];
+  address?: string;
+  teamId?: string;  // Matches teamId or opponentTeamId, so a team's games include its away games
+  positionId?: number;
+  account?: string;
+  fromBlock?: number;
+  toBlock?: number;
+  order?: 'asc' | 'desc';
+  limit?: number;   // Defaults to DEFAULT_QUERY_LIMIT, capped at MAX_QUERY_LIMIT
+  offset?: number;
+}
+
+interface EventRow {
+  block_number: number;
+  block_hash: string;
+  block_timestamp: number;
+  transaction_hash: string;
+  log_index: number;
+  address: string;
+  contract: ContractKind;
+  event: string;
+  team_id: string | null;
+  opponent_team_id: string | null;
+  position_id: number | null;
+  account: string | null;
+  args: string;
+}
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    block_timestamp INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    address TEXT NOT NULL COLLATE NOCASE,
+    contract TEXT NOT NULL,
+    event TEXT NOT NULL,
+    team_id TEXT,
+    opponent_team_id TEXT,
+    position_id INTEGER,
+    account TEXT COLLATE NOCASE,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_event ON events (event, block_number);
+  CREATE INDEX IF NOT EXISTS events_by_team ON events (team_id, block_number);
+  CREATE INDEX IF NOT EXISTS events_by_opponent_team ON events (opponent_team_id, block_number);
+  CREATE INDEX IF NOT EXISTS events_by_position ON events (address, position_id);
+  CREATE INDEX IF NOT EXISTS events_by_account ON events (account, block_number);
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    block_number INTEGER PRIMARY KEY,
+    block_hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS cursor (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+`;
+
+/**
+ * SQLite store for indexed events, the recent block hashes and the block
+ * cursor. Each batch is written in one transaction, so the cursor never points
+ * past events that were not saved
+ */
+export class IndexerDatabase {
+  private readonly db: Database.Database;
+
+  /**
+   * Opens (and creates, unless read-only) an indexer database
+   * @param path SQLite file, or ':memory:'
+   * @param readonly Open without write access, e.g. for the HTTP API alone
+   */
+  constructor(path: string, readonly: boolean = false) {
+    this.db = new Database(path, { readonly, fileMustExist: readonly });
+
+    if (!readonly) {
+      this.db.pragma('journal_mode = WAL');
+      this.db.exec(SCHEMA);
+    }
+  }
+
+  /**
+   * Gets the last block indexed
+   * @returns IndexedBlock | undefined Cursor, or undefined if nothing has been indexed
+   */
+  getCursor(): IndexedBlock | undefined {
+    const row = this.db.prepare('SELECT block_number, block_hash FROM cursor WHERE id = 1').get() as { block_number: number; block_hash: string } | undefined;
+    return row && { blockNumber: row.block_number, blockHash: row.block_hash };
+  }
+
+  /**
+   * Lists the stored block hashes below a block, newest first
+   * @param belowBlock Exclusive upper bound
+   * @returns IndexedBlock[] Stored blocks
+   */
+  getBlocksBelow(belowBlock: number): IndexedBlock[] {
+    const rows = this.db.prepare('SELECT block_number, block_hash FROM blocks WHERE block_number < ? ORDER BY block_number DESC').all(belowBlock) as { block_number: number; block_hash: string }[];
+    return rows.map(row => ({ blockNumber: row.block_number, blockHash: row.block_hash }));
+  }
+
+  /**
+   * Saves a batch of events and moves the cursor, in one transaction
+   * @param events Events in the batch
+   * @param blocks Hashes of the blocks the events came from
+   * @param cursor Last block of the batch
+   */
+  commitBatch(events: IndexedEvent[], blocks: IndexedBlock[], cursor: IndexedBlock): void {
+    const insertEvent = this.db.prepare(`
+      INSERT OR REPLACE INTO events (block_number, block_hash, block_timestamp, transaction_hash, log_index, address, contract, event, team_id, opponent_team_id, position_id, account, args)
+      VALUES (@blockNumber, @blockHash, @blockTimestamp, @transactionHash, @logIndex, @address, @contract, @event, @teamId, @opponentTeamId, @positionId, @account, @args)
+    `);
+    const insertBlock = this.db.prepare('INSERT OR REPLACE INTO blocks (block_number, block_hash) VALUES (?, ?)');
+
+    this.db.transaction(() => {
+      for (const event of events) {
+        insertEvent.run({ ...event, teamId: event.teamId ?? null, opponentTeamId: event.opponentTeamId ?? null, positionId: event.positionId ?? null, account: event.account ?? null, args: JSON.stringify(event.args) });
+      }
+      for (const block of [...blocks, cursor]) {
+        insertBlock.run(block.blockNumber, block.blockHash);
+      }
+      this.setCursor(cursor);
+      this.db.prepare('DELETE FROM blocks WHERE block_number < ?').run(cursor.blockNumber - REORG_HISTORY_BLOCKS);
+    })();
+  }
+
+  /**
+   * Discards everything after a block that is still on the canonical chain
+   * and moves the cursor back to it
+   * @param block Last block to keep
+   * @returns number Events removed
+   */
+  rewind(block: IndexedBlock): number {
+    return this.db.transaction(() => {
+      const removed = this.db.prepare('DELETE FROM events WHERE block_number > ?').run(block.blockNumber).changes;
+      this.db.prepare('DELETE FROM blocks WHERE block_number > ?').run(block.blockNumber);
+      this.setCursor(block);
+      return removed;
+    })();
+  }
+
+  /**
+   * Finds events, oldest first unless order is 'desc'
+   * @param query Filters and paging
+   * @returns IndexedEvent[] Matching events
+   */
+  queryEvents(query: EventQuery = {}): IndexedEvent[] {
+    const conditions: string[] = [];
+    const params: unknown[] = [];
+
+    if (query.events && query.events.length > 0) {
+      conditions.push(`event IN (${query.events.map(() => '?').join(', ')})`);
+      params.push(...query.events);
+    }
+    if (query.teamId !== undefined) {
+      conditions.push('(team_id = ? OR opponent_team_id = ?)');
+      params.push(query.teamId, query.teamId);
+    }
+    const filters: [string, unknown][] = [
+      ['address = ?', query.address],
+      ['position_id = ?', query.positionId],
+      ['account = ?', query.account],
+      ['block_number >= ?', query.fromBlock],
+      ['block_number <= ?', query.toBlock]
+    ];
+    for (const [condition, value] of filters) {
+      if (value !== undefined) {
+        conditions.push(condition);
+        params.push(value);
+      }
+    }
+
+    const direction = query.order === 'desc' ? 'DESC' : 'ASC';
+    const limit = Math.min(query.limit ?? DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+    const rows = this.db.prepare(`
+      SELECT * FROM events
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY block_number ${direction}, log_index ${direction}
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, query.offset ?? 0) as EventRow[];
+
+    return rows.map(toIndexedEvent);
+  }
+
+  /**
+   * Counts the indexed events by name
+   * @returns Record<string, number> Event name -> count
+   */
+  getEventCounts(): Record<string, number> {
+    const rows = this.db.prepare('SELECT event, COUNT(*) AS count FROM events GROUP BY event ORDER BY event').all() as { event: string; count: number }[];
+    return Object.fromEntries(rows.map(row => [row.event, row.count]));
+  }
+
+  /**
+   * Closes the database
+   */
+  close(): void {
+    this.db.close();
+  }
+
+  /**
+   * Moves the cursor
+   * @param block New cursor
+   */
+  private setCursor(block: IndexedBlock): void {
+    this.db.prepare(`
+      INSERT INTO cursor (id, block_number, block_hash, updated_at) VALUES (1, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET block_number = excluded.block_number, block_hash = excluded.block_hash, updated_at = excluded.updated_at
+    `).run(block.blockNumber, block.blockHash, new Date().toISOString());
+  }
+}
+
+/**
+ * Converts a database row to an event
+ * @param row events row
+ * @returns IndexedEvent Event, leaving out unset optional columns
+ */
+function toIndexedEvent(row: EventRow): IndexedEvent {
+  return {
+    blockNumber: row.block_number,
+    blockHash: row.block_hash,
+    blockTimestamp: row.block_timestamp,
+    transactionHash: row.transaction_hash,
+    logIndex: row.log_index,
+    address: row.address,
+    contract: row.contract,
+    event: row.event,
+    ...(row.team_id !== null && { teamId: row.team_id }),
+    ...(row.opponent_team_id !== null && { opponentTeamId: row.opponent_team_id }),
+    ...(row.position_id !== null && { positionId: row.position_id }),
+    ...(row.account !== null && { account: row.account }),
+    args: JSON.parse(row.args)
+  };
+}
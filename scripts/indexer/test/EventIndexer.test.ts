@@ -0,0 +1,227 @@
+import { jest } from '@jest/globals';
+import { id, Interface, Provider } from 'ethers';
+import { BASEBALL_ORACLE_ABI } from '../../oracle/abi/baseballOracleAbi.js';
+import { FUNDING_MANAGER_ABI } from '../../management/abi/fundingManagerAbi.js';
+import { VIRTUAL_AMM_ABI } from '../../management/abi/virtualAmmAbi.js';
+import { EventIndexer, IndexedContract } from '../services/EventIndexer.js';
+import { IndexerDatabase } from '../services/IndexerDatabase.js';
+
+const ORACLE_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const FUNDING_MANAGER_ADDRESS = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const NYY_AMM = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+const TRADER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const interfaces: Record<string, Interface> = {
+  [ORACLE_ADDRESS]: new Interface(BASEBALL_ORACLE_ABI),
+  [FUNDING_MANAGER_ADDRESS]: new Interface(FUNDING_MANAGER_ABI),
+  [NYY_AMM]: new Interface(VIRTUAL_AMM_ABI)
+};
+
+interface ChainLog {
+  address: string;
+  topics: string[];
+  data: string;
+  blockNumber: number;
+  blockHash: string;
+  transactionHash: string;
+  index: number;
+}
+
+/**
+ * In-memory chain: every block's hash includes its fork, so replacing blocks
+ * from some height on simulates a reorg
+ */
+class FakeChain {
+  head = 0;
+  fork = 'a';
+  forkFrom = Infinity;
+  logs: ChainLog[] = [];
+
+  blockHash(blockNumber: number): string {
+    return id(`${blockNumber >= this.forkFrom ? this.fork : 'a'}-${blockNumber}`);
+  }
+
+  emit(blockNumber: number, address: string, eventName: string, args: unknown[]): void {
+    const { data, topics } = interfaces[address].encodeEventLog(eventName, args);
+    const index = this.logs.filter(log => log.blockNumber === blockNumber).length;
+    this.logs.push({ address, data, topics, blockNumber, blockHash: this.blockHash(blockNumber), transactionHash: id(`tx-${blockNumber}-${index}`), index });
+    this.head = Math.max(this.head, blockNumber);
+  }
+
+  reorg(fromBlock: number, fork: string): void {
+    this.fork = fork;
+    this.forkFrom = fromBlock;
+    this.logs = this.logs.filter(log => log.blockNumber < fromBlock);
+  }
+
+  provider(): Provider {
+    return {
+      getBlockNumber: jest.fn(async () => this.head),
+      getBlock: jest.fn(async (blockNumber: number) => blockNumber > this.head ? null : { hash: this.blockHash(blockNumber), timestamp: 1746108000 + blockNumber * 12 }),
+      getLogs: jest.fn(async (filter: { address: string[]; fromBlock: number; toBlock: number }) => this.logs.filter(log =>
+        filter.address.includes(log.address) && log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock))
+    } as unknown as Provider;
+  }
+}
+
+describe('EventIndexer', () => {
+  const contracts: IndexedContract[] = [
+    { kind: 'oracle', address: ORACLE_ADDRESS },
+    { kind: 'fundingManager', address: FUNDING_MANAGER_ADDRESS },
+    { kind: 'amm', address: NYY_AMM, teamId: 'NYY' }
+  ];
+
+  let chain: FakeChain;
+  let database: IndexerDatabase;
+
+  beforeEach(() => {
+    chain = new FakeChain();
+    database = new IndexerDatabase(':memory:');
+  });
+
+  afterEach(() => {
+    database.close();
+  });
+
+  function createIndexer(options: ConstructorParameters<typeof EventIndexer>[3] = {}): EventIndexer {
+    return new EventIndexer(chain.provider(), database, contracts, { startBlock: 0, knownStrings: ['NYY', 'BOS'], log: () => {}, ...options });
+  }
+
+  it('should decode events from every contract kind', async () => {
+    chain.emit(3, NYY_AMM, 'PositionOpened', [1n, TRADER, -1000n, 512n, 100n, 2n * 10n ** 18n]);
+    chain.emit(3, NYY_AMM, 'ParameterUpdated', ['fundingFactor', 1000n, 2000n]);
+    chain.emit(4, FUNDING_MANAGER_ADDRESS, 'FundingExecuted', [NYY_AMM, 10n ** 21n, -5n, 1n, false]);
+    chain.emit(5, ORACLE_ADDRESS, 'GameRecorded', [777n, 'NYY', 'BOS', 5n, 3n, 'Final']);
+    chain.emit(5, ORACLE_ADDRESS, 'TeamUpdated', ['NYY', 10n, 5n, 667n]);
+    chain.emit(5, ORACLE_ADDRESS, 'SeasonStateChanged', [true, 1746108000n]);
+
+    const batches = await createIndexer().sync();
+
+    expect(batches).toEqual([{ fromBlock: 0, toBlock: 5, events: 5 }]);
+    const [opened, parameter, funding, game, team] = database.queryEvents();
+    expect(opened).toMatchObject({
+      blockNumber: 3,
+      blockTimestamp: 1746108036,
+      contract: 'amm',
+      event: 'PositionOpened',
+      teamId: 'NYY',
+      positionId: 1,
+      account: TRADER,
+      args: { positionId: '1', trader: TRADER, size: '-1000', entryPrice: '512', margin: '100', leverage: '2000000000000000000' }
+    });
+    expect(parameter.args).toEqual({ parameter: 'fundingFactor', oldValue: '1000', newValue: '2000' });
+    expect(funding).toMatchObject({ teamId: 'NYY', args: { ammAddress: NYY_AMM, totalPayments: '1000000000000000000000', capReached: false } });
+    expect(game).toMatchObject({ teamId: 'NYY', opponentTeamId: 'BOS', args: { gameId: '777', homeTeam: 'NYY', awayTeam: 'BOS', gameStatus: 'Final' } });
+    expect(team).toMatchObject({ teamId: 'NYY', args: { wins: '10', winPct: '667' } });
+  });
+
+  it('should keep the hash of indexed strings it does not know', async () => {
+    chain.emit(1, ORACLE_ADDRESS, 'TeamUpdated', ['SEA', 1n, 0n, 1000n]);
+
+    await createIndexer().sync();
+
+    expect(database.queryEvents()[0].teamId).toBe(id('SEA'));
+  });
+
+  it('should read the known strings again when an event has a hash that is not among them', async () => {
+    const loadKnownStrings = jest.fn(async () => ['NYY', 'BOS', 'SEA']);
+    chain.emit(1, ORACLE_ADDRESS, 'TeamUpdated', ['NYY', 1n, 0n, 1000n]);
+    const indexer = createIndexer({ loadKnownStrings });
+    await indexer.sync();
+    expect(loadKnownStrings).not.toHaveBeenCalled();
+
+    chain.emit(2, ORACLE_ADDRESS, 'GameRecorded', [778n, 'SEA', 'NYY', 2n, 1n, 'Final']);
+    await indexer.sync();
+
+    expect(loadKnownStrings).toHaveBeenCalledTimes(1);
+    expect(database.queryEvents({ teamId: 'SEA' })).toMatchObject([{ event: 'GameRecorded', teamId: 'SEA', opponentTeamId: 'NYY' }]);
+  });
+
+  it('should resume from the cursor, in batches, staying behind the head', async () => {
+    chain.emit(2, NYY_AMM, 'LiquidityAdded', [TRADER, 100n, 100n]);
+    chain.emit(7, NYY_AMM, 'LiquidityRemoved', [TRADER, 50n, 50n]);
+    chain.head = 9;
+
+    const indexer = createIndexer({ startBlock: 1, batchSize: 4, confirmations: 2 });
+    expect(await indexer.sync()).toEqual([
+      { fromBlock: 1, toBlock: 4, events: 1 },
+      { fromBlock: 5, toBlock: 7, events: 1 }
+    ]);
+    expect(await indexer.sync()).toEqual([]);
+
+    chain.head = 11;
+    expect(await indexer.sync()).toEqual([{ fromBlock: 8, toBlock: 9, events: 0 }]);
+    expect(database.getCursor()?.blockNumber).toBe(9);
+  });
+
+  it('should start an empty database at the confirmed head without a start block', async () => {
+    chain.emit(2, NYY_AMM, 'LiquidityAdded', [TRADER, 100n, 100n]);
+    chain.head = 9;
+
+    const indexer = createIndexer({ startBlock: undefined, confirmations: 2 });
+
+    expect(await indexer.sync()).toEqual([{ fromBlock: 7, toBlock: 7, events: 0 }]);
+    chain.head = 10;
+    expect(await indexer.sync()).toEqual([{ fromBlock: 8, toBlock: 8, events: 0 }]);
+  });
+
+  it('should rewind to the fork point after a reorg and index the new blocks', async () => {
+    chain.emit(2, NYY_AMM, 'LiquidityAdded', [TRADER, 100n, 100n]);
+    chain.emit(5, NYY_AMM, 'PositionOpened', [1n, TRADER, 1000n, 500n, 100n, 10n ** 18n]);
+    chain.emit(6, NYY_AMM, 'PositionClosed', [1n, TRADER, 520n, 40n, 1n]);
+    const indexer = createIndexer({ batchSize: 3 });
+    await indexer.sync();
+    expect(database.queryEvents()).toHaveLength(3);
+
+    // Blocks 5 and later are replaced; the position is never closed on the new fork
+    chain.reorg(5, 'b');
+    chain.emit(5, NYY_AMM, 'PositionOpened', [1n, TRADER, 1000n, 501n, 100n, 10n ** 18n]);
+    chain.head = 7;
+
+    expect(await indexer.sync()).toEqual([{ fromBlock: 3, toBlock: 5, events: 1 }, { fromBlock: 6, toBlock: 7, events: 0 }]);
+
+    const events = database.queryEvents();
+    expect(events.map(event => event.event)).toEqual(['LiquidityAdded', 'PositionOpened']);
+    expect(events[1]).toMatchObject({ blockHash: chain.blockHash(5), args: { entryPrice: '501' } });
+    expect(database.getCursor()).toEqual({ blockNumber: 7, blockHash: chain.blockHash(7) });
+  });
+
+  it('should not save a batch whose logs come from another fork than its blocks', async () => {
+    chain.emit(2, NYY_AMM, 'LiquidityAdded', [TRADER, 100n, 100n]);
+    // The node returns a log from a block that has since been replaced
+    chain.logs[0].blockHash = id('stale');
+
+    expect(await createIndexer().sync()).toEqual([]);
+    expect(database.getCursor()).toBeUndefined();
+  });
+
+  it('should not save a batch when the chain changes between reading its logs and its blocks', async () => {
+    chain.head = 4;
+    const provider = chain.provider();
+    const getLogs = provider.getLogs;
+    jest.mocked(provider.getLogs).mockImplementationOnce(async (filter) => {
+      const logs = await getLogs(filter);
+      // Block 3 had no logs on the old fork and has one on the new fork
+      chain.reorg(3, 'b');
+      chain.emit(3, NYY_AMM, 'LiquidityAdded', [TRADER, 100n, 100n]);
+      return logs;
+    });
+    const indexer = new EventIndexer(provider, database, contracts, { startBlock: 0, log: () => {} });
+
+    expect(await indexer.sync()).toEqual([]);
+    expect(database.getCursor()).toBeUndefined();
+
+    expect(await indexer.sync()).toEqual([{ fromBlock: 0, toBlock: 4, events: 1 }]);
+    expect(database.getCursor()).toEqual({ blockNumber: 4, blockHash: chain.blockHash(4) });
+  });
+
+  it('should fail when a reorg goes deeper than the stored block hashes', async () => {
+    chain.head = 4;
+    const indexer = createIndexer();
+    await indexer.sync();
+
+    chain.reorg(0, 'b');
+
+    await expect(indexer.sync()).rejects.toThrow('Reorg detected at block 4');
+  });
+});
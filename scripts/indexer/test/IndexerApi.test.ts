@@ -0,0 +1,85 @@
+import { get, Server } from 'http';
+import { AddressInfo } from 'net';
+import { createIndexerServer } from '../services/IndexerApi.js';
+import { IndexedEvent, IndexerDatabase } from '../services/IndexerDatabase.js';
+
+const AMM_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+
+function makeEvent(blockNumber: number, event: string, extra: Partial<IndexedEvent> = {}): IndexedEvent {
+  return {
+    blockNumber,
+    blockHash: `0xb${blockNumber}`,
+    blockTimestamp: 1746108000,
+    transactionHash: `0xt${blockNumber}`,
+    logIndex: 0,
+    address: AMM_ADDRESS,
+    contract: 'amm',
+    event,
+    teamId: 'NYY',
+    args: {},
+    ...extra
+  };
+}
+
+describe('createIndexerServer', () => {
+  let database: IndexerDatabase;
+  let server: Server;
+  let baseUrl: string;
+
+  // Sends a GET request and parses the JSON response
+  function request(path: string): Promise<{ status: number; body: any }> {
+    return new Promise((resolve, reject) => {
+      get(`${baseUrl}${path}`, (response) => {
+        let data = '';
+        response.on('data', chunk => data += chunk);
+        response.on('end', () => resolve({ status: response.statusCode!, body: JSON.parse(data) }));
+      }).on('error', reject);
+    });
+  }
+
+  beforeEach(async () => {
+    database = new IndexerDatabase(':memory:');
+    database.commitBatch([
+      makeEvent(10, 'PositionOpened', { positionId: 1 }),
+      makeEvent(11, 'PositionFundingApplied', { positionId: 1 }),
+      makeEvent(12, 'PositionClosed', { positionId: 1 }),
+      makeEvent(13, 'GameRecorded', { contract: 'oracle', teamId: undefined })
+    ], [], { blockNumber: 13, blockHash: '0xb13' });
+
+    server = createIndexerServer(database);
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    database.close();
+  });
+
+  it('should report the cursor and event counts', async () => {
+    const { status, body } = await request('/status');
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      cursor: { blockNumber: 13, blockHash: '0xb13' },
+      eventCounts: { GameRecorded: 1, PositionClosed: 1, PositionFundingApplied: 1, PositionOpened: 1 }
+    });
+  });
+
+  it('should serve the events of a route with filters', async () => {
+    const fills = await request('/fills?order=desc');
+    expect(fills.body.events.map((event: IndexedEvent) => event.event)).toEqual(['PositionClosed', 'PositionOpened']);
+
+    const funding = await request(`/funding?address=${AMM_ADDRESS}&positionId=1`);
+    expect(funding.body.events.map((event: IndexedEvent) => event.blockNumber)).toEqual([11]);
+
+    const events = await request('/events?event=GameRecorded,PositionOpened&fromBlock=11');
+    expect(events.body.events.map((event: IndexedEvent) => event.event)).toEqual(['GameRecorded']);
+  });
+
+  it('should reject invalid parameters and unknown routes', async () => {
+    expect(await request('/fills?limit=-1')).toEqual({ status: 400, body: { error: 'Invalid limit: -1' } });
+    expect(await request('/fills?order=sideways')).toEqual({ status: 400, body: { error: 'Invalid order: sideways' } });
+    expect((await request('/trades')).status).toBe(404);
+  });
+});
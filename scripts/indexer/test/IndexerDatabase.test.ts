@@ -0,0 +1,72 @@
+import { IndexedEvent, IndexerDatabase, MAX_QUERY_LIMIT } from '../services/IndexerDatabase.js';
+
+const AMM_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const TRADER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+function makeEvent(blockNumber: number, logIndex: number, event: string, extra: Partial<IndexedEvent> = {}): IndexedEvent {
+  return {
+    blockNumber,
+    blockHash: `0xb${blockNumber}`,
+    blockTimestamp: 1746108000 + blockNumber,
+    transactionHash: `0xt${blockNumber}`,
+    logIndex,
+    address: AMM_ADDRESS,
+    contract: 'amm',
+    event,
+    teamId: 'NYY',
+    args: { amount: '1000000000000000000000' },
+    ...extra
+  };
+}
+
+describe('IndexerDatabase', () => {
+  let database: IndexerDatabase;
+
+  beforeEach(() => {
+    database = new IndexerDatabase(':memory:');
+  });
+
+  afterEach(() => {
+    database.close();
+  });
+
+  it('should save a batch and move the cursor', () => {
+    expect(database.getCursor()).toBeUndefined();
+
+    database.commitBatch([makeEvent(10, 0, 'LiquidityAdded', { account: TRADER })], [{ blockNumber: 10, blockHash: '0xb10' }], { blockNumber: 12, blockHash: '0xb12' });
+
+    expect(database.getCursor()).toEqual({ blockNumber: 12, blockHash: '0xb12' });
+    expect(database.queryEvents()).toEqual([makeEvent(10, 0, 'LiquidityAdded', { account: TRADER })]);
+    expect(database.getBlocksBelow(12)).toEqual([{ blockNumber: 10, blockHash: '0xb10' }]);
+  });
+
+  it('should filter events, matching addresses case-insensitively', () => {
+    database.commitBatch([
+      makeEvent(10, 0, 'PositionOpened', { positionId: 1, account: TRADER }),
+      makeEvent(11, 0, 'PositionOpened', { positionId: 2 }),
+      makeEvent(11, 1, 'PositionClosed', { positionId: 1, account: TRADER }),
+      makeEvent(12, 0, 'TeamUpdated', { address: TRADER, contract: 'oracle', teamId: 'BOS' }),
+      makeEvent(12, 1, 'GameRecorded', { address: TRADER, contract: 'oracle', teamId: 'NYY', opponentTeamId: 'BOS' })
+    ], [], { blockNumber: 12, blockHash: '0xb12' });
+
+    const ids = (events: IndexedEvent[]) => events.map(event => `${event.blockNumber}:${event.logIndex}`);
+
+    expect(ids(database.queryEvents({ events: ['PositionOpened', 'PositionClosed'], positionId: 1 }))).toEqual(['10:0', '11:1']);
+    expect(ids(database.queryEvents({ address: AMM_ADDRESS.toLowerCase(), order: 'desc', limit: 2 }))).toEqual(['11:1', '11:0']);
+    expect(ids(database.queryEvents({ account: TRADER.toLowerCase(), fromBlock: 11 }))).toEqual(['11:1']);
+    expect(ids(database.queryEvents({ teamId: 'BOS' }))).toEqual(['12:0', '12:1']);
+    expect(ids(database.queryEvents({ offset: 3, limit: MAX_QUERY_LIMIT + 1 }))).toEqual(['12:0', '12:1']);
+    expect(database.getEventCounts()).toEqual({ GameRecorded: 1, PositionClosed: 1, PositionOpened: 2, TeamUpdated: 1 });
+  });
+
+  it('should drop everything after the block it rewinds to', () => {
+    database.commitBatch([makeEvent(10, 0, 'LiquidityAdded')], [{ blockNumber: 10, blockHash: '0xb10' }], { blockNumber: 10, blockHash: '0xb10' });
+    database.commitBatch([makeEvent(11, 0, 'LiquidityAdded'), makeEvent(12, 0, 'LiquidityAdded')], [{ blockNumber: 11, blockHash: '0xb11' }], { blockNumber: 12, blockHash: '0xb12' });
+
+    expect(database.rewind({ blockNumber: 10, blockHash: '0xb10' })).toBe(2);
+
+    expect(database.getCursor()).toEqual({ blockNumber: 10, blockHash: '0xb10' });
+    expect(database.queryEvents().map(event => event.blockNumber)).toEqual([10]);
+    expect(database.getBlocksBelow(100).map(block => block.blockNumber)).toEqual([10]);
+  });
+});
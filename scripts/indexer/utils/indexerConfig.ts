@@ -0,0 +1,87 @@
+import { getDeployedOracleAddress, getDeployedOracleBlock, loadEnvFile, readDeploymentRecord } from '../../oracle/utils/chainConfig.js';
+import { parseAddressList } from '../../management/utils/keeperConfig.js';
+
+export const DEFAULT_INDEXER_DATABASE = 'indexer.sqlite';
+export const DEFAULT_INDEXER_CONFIRMATIONS = 3;
+
+/**
+ * Configuration for the event indexer
+ */
+export interface IndexerConfig {
+  rpcUrl: string;
+  databasePath: string;
+  oracleAddress?: string;
+  fundingManagerAddress?: string;
+  ammAddresses: string[];
+  startBlock?: number;   // Block to start from when the database is empty; default the confirmed head
+  confirmations: number; // Blocks to stay behind the chain head
+}
+
+/**
+ * Loads indexer configuration from the root .env file and environment. Every
+ * contract address is optional, but at least one must be configured
+ *
+ * Environment variables:
+ * - RPC_URL: JSON-RPC endpoint to read logs from
+ * - ORACLE_ADDRESS, FUNDING_MANAGER_ADDRESS, AMM_ADDRESSES: Contracts to index;
+ *   if unset, they are read from contracts/deployments/{NETWORK}-latest.json
+ * - INDEXER_DATABASE: SQLite file (default: indexer.sqlite)
+ * - INDEXER_START_BLOCK: First block to index on an empty database (default: the
+ *   deploymentBlock of the BaseballOracle in the deployment record, which the
+ *   FundingManager and AMMs come after, or else the current head)
+ * - INDEXER_CONFIRMATIONS: Blocks to stay behind the head (default: 3)
+ *
+ * @param overrides Values that take precedence over the environment
+ * @returns IndexerConfig Resolved configuration
+ */
+export function loadIndexerConfig(overrides: Partial<IndexerConfig> = {}): IndexerConfig {
+  loadEnvFile();
+
+  const deployment = readDeploymentRecord(process.env.NETWORK);
+  const rpcUrl = overrides.rpcUrl || process.env.RPC_URL;
+  const oracleAddress = overrides.oracleAddress || process.env.ORACLE_ADDRESS || getDeployedOracleAddress(process.env.NETWORK);
+  const fundingManagerAddress = overrides.fundingManagerAddress || process.env.FUNDING_MANAGER_ADDRESS || deployment?.FundingManager?.address;
+  const ammAddresses = overrides.ammAddresses
+    ?? parseAddressList(process.env.AMM_ADDRESSES)
+    ?? Object.values<string>(deployment?.VirtualAMMs ?? {});
+
+  const missing = [
+    !rpcUrl && 'RPC_URL',
+    !oracleAddress && !fundingManagerAddress && ammAddresses.length === 0 && 'ORACLE_ADDRESS, FUNDING_MANAGER_ADDRESS or AMM_ADDRESSES (or NETWORK with a deployment file)',
+  ].filter(Boolean);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing indexer configuration: ${missing.join(', ')}`);
+  }
+
+  return {
+    rpcUrl: rpcUrl!,
+    databasePath: overrides.databasePath || process.env.INDEXER_DATABASE || DEFAULT_INDEXER_DATABASE,
+    oracleAddress,
+    fundingManagerAddress,
+    ammAddresses,
+    startBlock: overrides.startBlock
+      ?? parseBlockCount('INDEXER_START_BLOCK', undefined)
+      ?? (oracleAddress ? getDeployedOracleBlock(process.env.NETWORK, oracleAddress) : undefined),
+    confirmations: overrides.confirmations ?? parseBlockCount('INDEXER_CONFIRMATIONS', DEFAULT_INDEXER_CONFIRMATIONS)
+  };
+}
+
+/**
+ * Reads a non-negative integer variable
+ * @param name Variable name
+ * @param defaultValue Value if the variable is unset
+ * @returns number Parsed value
+ */
+function parseBlockCount<T extends number | undefined>(name: string, defaultValue: T): number | T {
+  const value = process.env[name];
+  if (!value) {
+    return defaultValue;
+  }
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return count;
+}
@@ -22,6 +22,12 @@ export default {
     'oracle/**/*.ts',
     '!oracle/**/*.d.ts',
     '!oracle/test/**/*',
+    'management/**/*.ts',
+    '!management/test/**/*',
+    'indexer/**/*.ts',
+    '!indexer/test/**/*',
+    'alerts/**/*.ts',
+    '!alerts/test/**/*',
   ],
   setupFilesAfterEnv: ['./jest.setup.ts'],
 };
\ No newline at end of file
@@ -0,0 +1,41 @@
+// Human-readable ABI for the FundingManager contract (contracts/src/FundingManager.sol)
+// Only the functions and events used by the keeper scripts are listed here
+
+const FUNDING_RATE_TUPLE =
+  'tuple(int256 rate, uint256 timestamp, uint256 oraclePrice, uint256 markPrice, int256 premium)';
+
+const FUNDING_EXECUTION_TUPLE =
+  'tuple(uint256 totalPayments, int256 lpFunding, uint256 positionCount, bool capReached, uint256 executionTime)';
+
+export const FUNDING_MANAGER_ABI = [
+  // Roles
+  'function FUNDING_EXECUTOR_ROLE() view returns (bytes32)',
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+
+  // Schedule
+  'function FUNDING_PERIOD() view returns (uint256)',
+  'function FUNDING_TIME_ET() view returns (uint256)',
+  'function GRACE_PERIOD() view returns (uint256)',
+
+  // AMM state
+  'function registeredAMMs(address ammAddress) view returns (bool)',
+  'function fundingPaused(address ammAddress) view returns (bool)',
+  'function lastFundingTime(address ammAddress) view returns (uint256)',
+  `function getCurrentFundingRate(address ammAddress) view returns (${FUNDING_RATE_TUPLE})`,
+  'function paused() view returns (bool)',
+
+  // Funding caps
+  'function getDailyFundingUsage(address ammAddress) view returns (uint256 used, uint256 totalCap, uint256 resetTime)',
+  'function getCumulativeFundingUsage(address ammAddress) view returns (uint256 used, uint256 totalCap)',
+  'function shouldTriggerEmergency(address ammAddress) view returns (bool shouldTrigger, uint256 severity)',
+
+  // Funding
+  'function updateFundingRate(address ammAddress) returns (int256)',
+  `function executeFunding(address ammAddress) returns (${FUNDING_EXECUTION_TUPLE} execution)`,
+
+  // Events
+  'event FundingRateUpdated(address indexed ammAddress, int256 rate, uint256 oraclePrice, uint256 markPrice, int256 premium)',
+  'event FundingExecuted(address indexed ammAddress, uint256 totalPayments, int256 lpFunding, uint256 positionCount, bool capReached)',
+  'event FundingCapReached(address indexed ammAddress, string capType, uint256 requestedAmount, uint256 actualAmount)',
+  'event EmergencyProtocolTriggered(address indexed ammAddress, string protocol, uint256 severity)',
+];
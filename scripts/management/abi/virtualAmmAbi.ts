@@ -0,0 +1,44 @@
+// Human-readable ABI for the VirtualAMM contract (contracts/src/VirtualAMM.sol)
+// Only the functions and events used by the keeper scripts, their metrics and the indexer are listed here
+
+const POSITION_TUPLE =
+  'tuple(address trader, int256 size, uint256 entryPrice, uint256 margin, uint256 leverage, uint256 timestamp, bool isOpen)';
+
+export const VIRTUAL_AMM_ABI = [
+  // Roles
+  'function LIQUIDATOR_ROLE() view returns (bytes32)',
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+
+  // Market state
+  'function getTeamId() view returns (string)',
+  'function getCurrentPrice() view returns (uint256)',
+  'function getNetImbalance() view returns (int256)',
+
+  // Positions
+  'function getAllOpenPositions() view returns (uint256[] positionIds)',
+  `function getPosition(uint256 positionId) view returns (${POSITION_TUPLE})`,
+  'function getPositionValue(uint256 positionId) view returns (int256)',
+  'function hasAdequateMargin(uint256 positionId) view returns (bool)',
+  'function getLiquidationPrice(uint256 positionId) view returns (uint256)',
+
+  // Liquidation
+  'function liquidatePosition(uint256 positionId) returns (uint256 liquidationValue)',
+
+  // Events
+  'event PositionOpened(uint256 indexed positionId, address indexed trader, int256 size, uint256 entryPrice, uint256 margin, uint256 leverage)',
+  'event PositionClosed(uint256 indexed positionId, address indexed trader, uint256 exitPrice, int256 pnl, uint256 fees)',
+  'event PositionFundingApplied(uint256 indexed positionId, address indexed trader, int256 fundingAmount, uint256 newMargin)',
+  'event LiquidityAdded(address indexed provider, uint256 amount, uint256 lpTokens)',
+  'event LiquidityRemoved(address indexed provider, uint256 lpTokens, uint256 amount)',
+  'event ParameterUpdated(string indexed parameter, uint256 oldValue, uint256 newValue)',
+];
+
+// Parameter names VirtualAMM emits in ParameterUpdated; the event only carries their hash
+export const VIRTUAL_AMM_PARAMETERS = [
+  'sensitivityParameter',
+  'fundingFactor',
+  'minMarginRatio',
+  'tradingFeeRate',
+  'maxLeverage',
+  'maintenanceRatio',
+];
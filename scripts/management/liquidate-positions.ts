@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+import { Command, Option } from 'commander';
+import { formatUnits } from 'ethers';
+import { FundingManagerService } from './services/FundingManagerService.js';
+import { KeeperMetrics } from './services/KeeperMetrics.js';
+import { DEFAULT_AT_RISK_PERCENT, DEFAULT_LIQUIDATION_SCHEDULE, DEFAULT_LIQUIDATION_STALE_AFTER_MINUTES, isAtRisk, LiquidationKeeper, LiquidationResult, PositionRisk } from './services/LiquidationKeeper.js';
+import { VirtualAmmService } from './services/VirtualAmmService.js';
+import { loadKeeperConfig, parseAddressList, parseStaleAfter } from './utils/keeperConfig.js';
+import { DEFAULT_METRICS_HOST, listenForMetrics } from '../oracle/utils/metricsServer.js';
+import { EXIT_CODES, formatRecordLine, formatRecords, getExitCodeForError, log, OUTPUT_FORMATS, OutputColumn, OutputFormat } from '../oracle/utils/output.js';
+
+const program = new Command();
+
+/**
+ * Parses a non-negative percentage option
+ * @param value Option value
+ * @returns number Parsed percentage
+ */
+function parsePercent(value: string): number {
+  const percent = Number(value);
+  if (!Number.isFinite(percent) || percent < 0) {
+    throw new Error(`Invalid --within: ${value}`);
+  }
+  return percent;
+}
+
+const POSITION_COLUMNS: OutputColumn<PositionRisk>[] = [
+  { key: 'teamId', header: 'Team' },
+  { key: 'ammAddress', header: 'AMM', table: false },
+  { key: 'positionId', header: 'Position' },
+  { key: 'trader', header: 'Trader' },
+  { key: 'side', header: 'Side' },
+  { key: 'size', header: 'Size' },
+  { key: 'leverage', header: 'Leverage', display: position => `${formatUnits(position.leverage, 18)}x` },
+  { key: 'margin', header: 'Margin' },
+  { key: 'unrealizedPnl', header: 'PnL' },
+  { key: 'entryPrice', header: 'Entry' },
+  { key: 'currentPrice', header: 'Price' },
+  { key: 'liquidationPrice', header: 'Liq. Price' },
+  { key: 'distance', header: 'Distance' },
+  { key: 'distancePercent', header: 'Distance %' },
+  { key: 'adequateMargin', header: 'Margin OK' }
+];
+
+const LIQUIDATION_COLUMNS: OutputColumn<LiquidationResult>[] = [
+  { key: 'teamId', header: 'Team' },
+  { key: 'ammAddress', header: 'AMM', table: false },
+  { key: 'positionId', header: 'Position' },
+  { key: 'trader', header: 'Trader' },
+  { key: 'distance', header: 'Distance' },
+  { key: 'status', header: 'Status', display: result => result.reason ? `${result.status} (${result.reason})` : result.status },
+  { key: 'reason', header: 'Reason', table: false },
+  { key: 'liquidationValue', header: 'Value' },
+  { key: 'transactionHash', header: 'Transaction' }
+];
+
+program
+  .name('liquidate-positions')
+  .description('Find undercollateralized VirtualAMM positions and liquidate them')
+  .addOption(new Option('-o, --output <format>', 'Format of the results written to stdout').choices(OUTPUT_FORMATS).default('table'))
+  .option('--amm <addresses>', 'Comma-separated VirtualAMM addresses (default: AMM_ADDRESSES or the deployment record)')
+  .option('--rpc-url <url>', 'JSON-RPC endpoint, e.g. http://127.0.0.1:8545 for a local Hardhat node (default: RPC_URL)')
+  .option('--report', 'Only list at-risk positions, most at risk first; sends no transactions and needs no keeper account')
+  .option('--within <percent>', 'With --report, list positions within this percentage of the current price from liquidation', parsePercent, DEFAULT_AT_RISK_PERCENT)
+  .option('--dry-run', 'Simulate liquidatePosition with eth_call instead of sending transactions')
+  .option('--daemon', 'Keep running and check on a schedule instead of running once')
+  .option('--schedule <cron>', 'Cron expression for --daemon', DEFAULT_LIQUIDATION_SCHEDULE)
+  .option('--metrics-port <port>', 'With --daemon, serve Prometheus metrics on /metrics and a health check on /healthz on this port')
+  .option('--metrics-host <host>', 'Interface for the metrics server', DEFAULT_METRICS_HOST)
+  .option('--stale-after <minutes>', 'Minutes without a run free of failures before /healthz fails', String(DEFAULT_LIQUIDATION_STALE_AFTER_MINUTES))
+  .action(async (options) => {
+    try {
+      if (options.report && (options.dryRun || options.daemon)) {
+        throw new Error('--report cannot be combined with --dry-run or --daemon');
+      }
+      if (options.metricsPort !== undefined && !options.daemon) {
+        throw new Error('--metrics-port requires --daemon');
+      }
+
+      const format: OutputFormat = options.output;
+      const ammAddresses = parseAddressList(options.amm);
+      // A dry run still needs the keeper account: liquidatePosition only simulates for LIQUIDATOR_ROLE
+      const config = loadKeeperConfig({ ammAddresses, rpcUrl: options.rpcUrl }, { readOnly: options.report, fundingManager: false });
+      const amms = await VirtualAmmService.connectAll(config);
+
+      if (options.report) {
+        const keeper = new LiquidationKeeper(amms);
+        const { positions, failures } = await keeper.scan();
+        const atRisk = positions.filter(position => isAtRisk(position, options.within));
+
+        for (const failure of failures) {
+          log(`Warning: could not read positions of ${failure.ammAddress}: ${failure.reason}`);
+        }
+        log(`${atRisk.length} of ${positions.length} open position(s) at risk, ${positions.filter(position => !position.adequateMargin).length} undercollateralized`);
+
+        const output = formatRecords(format, atRisk, POSITION_COLUMNS);
+        if (output) {
+          console.log(output);
+        }
+
+        if (failures.length > 0) {
+          process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+        }
+        return;
+      }
+
+      const runOptions = { dryRun: options.dryRun };
+
+      if (options.daemon) {
+        // Funding cap usage is only exported when a FundingManager is configured
+        const metrics = options.metricsPort === undefined
+          ? undefined
+          : new KeeperMetrics(amms, {
+            fundingManager: config.fundingManagerAddress ? await FundingManagerService.connect({ ...config, signer: undefined }) : undefined,
+            staleAfterSeconds: parseStaleAfter(options.staleAfter)
+          });
+        const keeper = new LiquidationKeeper(amms, {
+          schedule: options.schedule,
+          log: (message) => log(`[${new Date().toISOString()}] ${message}`),
+          onResult: (result) => {
+            // A table cannot be streamed, so in table mode the log lines are the only output
+            if (format !== 'table') {
+              console.log(formatRecordLine(format, result, LIQUIDATION_COLUMNS));
+            }
+          },
+          metrics
+        });
+
+        if (format === 'csv') {
+          console.log(formatRecords(format, [], LIQUIDATION_COLUMNS));
+        }
+
+        const server = metrics && listenForMetrics(metrics, options.metricsPort, options.metricsHost, log);
+
+        log(`Liquidation keeper started (schedule "${options.schedule}", ${amms.length} AMM(s))`);
+        keeper.start(runOptions);
+
+        const shutdown = () => {
+          log('\nStopping liquidation keeper...');
+          keeper.stop();
+          server?.close();
+        };
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+        return;
+      }
+
+      const keeper = new LiquidationKeeper(amms, { log });
+      log(`Checking ${amms.length} AMM(s) for undercollateralized positions${options.dryRun ? ' (dry run)' : ''}`);
+
+      const results = await keeper.run(runOptions);
+      if (results.length === 0) {
+        log('No undercollateralized positions');
+      }
+
+      const output = formatRecords(format, results, LIQUIDATION_COLUMNS);
+      if (output) {
+        console.log(output);
+      }
+
+      if (results.some(result => result.status === 'unsupported')) {
+        log('liquidatePosition is not implemented by the VirtualAMM yet; these positions were left open.');
+      }
+      if (results.some(result => result.status === 'failed' || result.status === 'unauthorized')) {
+        process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+      }
+    } catch (error) {
+      log(`\nError processing liquidations:`);
+      log(error instanceof Error ? error.message : String(error));
+      process.exit(getExitCodeForError(error));
+    }
+  });
+
+program.parse();
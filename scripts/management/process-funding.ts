@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+import { Command, Option } from 'commander';
+import { formatUnits } from 'ethers';
+import { DEFAULT_FUNDING_SCHEDULE, DEFAULT_FUNDING_STALE_AFTER_MINUTES, DEFAULT_FUNDING_STATE_PATH, FundingKeeper, FundingResult } from './services/FundingKeeper.js';
+import { FundingManagerService } from './services/FundingManagerService.js';
+import { KeeperMetrics } from './services/KeeperMetrics.js';
+import { VirtualAmmService } from './services/VirtualAmmService.js';
+import { loadKeeperConfig, parseAddressList, parseStaleAfter } from './utils/keeperConfig.js';
+import { formatBlockTimestamp } from '../oracle/utils/dateUtils.js';
+import { DEFAULT_METRICS_HOST, listenForMetrics } from '../oracle/utils/metricsServer.js';
+import { EXIT_CODES, formatRecordLine, formatRecords, getExitCodeForError, log, OUTPUT_FORMATS, OutputColumn, OutputFormat } from '../oracle/utils/output.js';
+
+const program = new Command();
+
+/**
+ * Formats a value scaled by 1e18 as a percentage
+ * @param value Scaled value
+ * @returns string Percentage, e.g. 0.0125%
+ */
+function formatScaledPercent(value: bigint): string {
+  return `${formatUnits(value * 100n, 18)}%`;
+}
+
+const FUNDING_COLUMNS: OutputColumn<FundingResult>[] = [
+  { key: 'teamId', header: 'Team' },
+  { key: 'ammAddress', header: 'AMM' },
+  { key: 'slotStart', header: 'Slot', display: result => formatBlockTimestamp(result.slotStart) },
+  { key: 'status', header: 'Status', display: result => result.reason ? `${result.status} (${result.reason})` : result.status },
+  { key: 'reason', header: 'Reason', table: false },
+  { key: 'fundingRate', header: 'Rate', display: result => result.fundingRate === undefined ? '' : formatScaledPercent(result.fundingRate) },
+  { key: 'positionCount', header: 'Positions', value: result => result.execution?.positionCount },
+  { key: 'totalPayments', header: 'Payments', value: result => result.execution?.totalPayments },
+  { key: 'lpFunding', header: 'LP Funding', value: result => result.execution?.lpFunding },
+  { key: 'capReached', header: 'Cap Reached', value: result => result.execution?.capReached },
+  { key: 'emergencies', header: 'Emergency', value: result => result.emergencies?.map(emergency => `${emergency.protocol}:${emergency.severity}`).join(' ') },
+  { key: 'transactionHash', header: 'Transaction' }
+];
+
+/**
+ * Reports the funding cap and emergency events of a result on stderr
+ * @param result Keeper result for one AMM
+ */
+function warnAboutEvents(result: FundingResult): void {
+  const label = result.teamId ?? result.ammAddress;
+  for (const cap of result.capsReached ?? []) {
+    log(`Warning: ${label} reached its ${cap.capType} LP funding cap (requested ${cap.requestedAmount}, paid ${cap.actualAmount})`);
+  }
+  for (const emergency of result.emergencies ?? []) {
+    log(`Warning: ${label} triggered emergency protocol ${emergency.protocol} (severity ${emergency.severity})`);
+  }
+}
+
+program
+  .name('process-funding')
+  .description('Run FundingManager.executeFunding for every registered AMM once per funding period')
+  .addOption(new Option('-o, --output <format>', 'Format of the results written to stdout').choices(OUTPUT_FORMATS).default('table'))
+  .option('--amm <addresses>', 'Comma-separated VirtualAMM addresses (default: AMM_ADDRESSES or the deployment record)')
+  .option('--dry-run', 'Simulate executeFunding with eth_call instead of sending transactions')
+  .option('--rates-only', 'Only refresh funding rates with updateFundingRate')
+  .option('--force', 'Execute funding even after the grace period has ended')
+  .option('--daemon', 'Keep running and check on a schedule instead of running once')
+  .option('--schedule <cron>', 'Cron expression for --daemon, evaluated in ET', DEFAULT_FUNDING_SCHEDULE)
+  .option('--state-file <file>', 'File that remembers sent transactions across restarts', DEFAULT_FUNDING_STATE_PATH)
+  .option('--metrics-port <port>', 'With --daemon, serve Prometheus metrics on /metrics and a health check on /healthz on this port')
+  .option('--metrics-host <host>', 'Interface for the metrics server', DEFAULT_METRICS_HOST)
+  .option('--stale-after <minutes>', 'Minutes without a run free of failures before /healthz fails', String(DEFAULT_FUNDING_STALE_AFTER_MINUTES))
+  .action(async (options) => {
+    try {
+      if (options.ratesOnly && options.dryRun) {
+        throw new Error('--rates-only cannot be combined with --dry-run');
+      }
+      if (options.metricsPort !== undefined && !options.daemon) {
+        throw new Error('--metrics-port requires --daemon');
+      }
+
+      const format: OutputFormat = options.output;
+      const runOptions = { dryRun: options.dryRun, ratesOnly: options.ratesOnly, force: options.force };
+      const ammAddresses = parseAddressList(options.amm);
+      // A dry run still needs the keeper account: executeFunding only simulates for FUNDING_EXECUTOR_ROLE
+      const config = loadKeeperConfig({ ammAddresses });
+      const fundingManager = await FundingManagerService.connect(config);
+
+      if (options.daemon) {
+        // The metrics only read the AMMs, so they do not need the keeper account
+        const metrics = options.metricsPort === undefined
+          ? undefined
+          : new KeeperMetrics(await VirtualAmmService.connectAll({ ...config, signer: undefined }), { fundingManager, staleAfterSeconds: parseStaleAfter(options.staleAfter) });
+        const keeper = new FundingKeeper(fundingManager, config.ammAddresses, {
+          statePath: options.stateFile,
+          schedule: options.schedule,
+          log: (message) => log(`[${new Date().toISOString()}] ${message}`),
+          onResult: (result) => {
+            warnAboutEvents(result);
+            // A table cannot be streamed, so in table mode the log lines are the only output
+            if (format !== 'table') {
+              console.log(formatRecordLine(format, result, FUNDING_COLUMNS));
+            }
+          },
+          metrics
+        });
+
+        if (format === 'csv') {
+          console.log(formatRecords(format, [], FUNDING_COLUMNS));
+        }
+
+        const server = metrics && listenForMetrics(metrics, options.metricsPort, options.metricsHost, log);
+
+        log(`Funding keeper started (schedule "${options.schedule}", ${config.ammAddresses.length} AMM(s), state ${options.stateFile})`);
+        keeper.start(runOptions);
+
+        const shutdown = () => {
+          log('\nStopping funding keeper...');
+          keeper.stop();
+          server?.close();
+        };
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+        return;
+      }
+
+      const keeper = new FundingKeeper(fundingManager, config.ammAddresses, { statePath: options.stateFile, log });
+      log(`Processing funding for ${config.ammAddresses.length} AMM(s)${options.dryRun ? ' (dry run)' : ''}`);
+
+      const results = await keeper.run(new Date(), runOptions);
+      results.forEach(warnAboutEvents);
+
+      const output = formatRecords(format, results, FUNDING_COLUMNS);
+      if (output) {
+        console.log(output);
+      }
+
+      const missed = results.filter(result => result.status === 'missed-window');
+      if (missed.length > 0) {
+        log(`${missed.length} AMM(s) missed the funding window; run with --force to execute now.`);
+      }
+      if (results.some(result => result.status === 'failed')) {
+        process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+      }
+    } catch (error) {
+      log(`\nError processing funding:`);
+      log(error instanceof Error ? error.message : String(error));
+      process.exit(getExitCodeForError(error));
+    }
+  });
+
+program.parse();
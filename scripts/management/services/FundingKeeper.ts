@@ -0,0 +1,258 @@
+import { CronJob } from 'cron';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { EmergencyProtocolEvent, FundingCapEvent, FundingExecution, FundingManagerService } from './FundingManagerService.js';
+import { KeeperMetrics } from './KeeperMetrics.js';
+import { FUNDING_TIME_ZONE, FundingSchedule, getFundingWindow } from '../utils/fundingSchedule.js';
+
+export const DEFAULT_FUNDING_STATE_PATH = 'funding-keeper-state.json';
+export const DEFAULT_FUNDING_SCHEDULE = '*/5 * * * *'; // Every 5 minutes
+export const DEFAULT_FUNDING_STALE_AFTER_MINUTES = 15;  // Three missed runs at the default schedule
+
+/**
+ * What the keeper did for one AMM
+ */
+export type FundingStatus =
+  | 'executed'        // executeFunding was mined
+  | 'simulated'       // Dry run: executeFunding was simulated with eth_call
+  | 'rate-updated'    // Rates-only run: updateFundingRate was mined
+  | 'already-funded'  // lastFundingTime is already in the current slot
+  | 'pending'         // An earlier run's executeFunding for this slot is not mined yet
+  | 'missed-window'   // The grace period ended before funding ran
+  | 'paused'          // Funding is paused for the AMM or the whole FundingManager
+  | 'not-registered'  // The AMM is not registered with the FundingManager
+  | 'failed';
+
+/**
+ * Outcome of a keeper run for one AMM
+ */
+export interface FundingResult {
+  ammAddress: string;
+  teamId?: string;
+  slotStart: number;      // Unix seconds the current funding slot began
+  status: FundingStatus;
+  reason?: string;        // Why funding did not run, or the error
+  fundingRate?: bigint;   // Rate set by this run, scaled by 1e18; positive means longs pay shorts
+  execution?: FundingExecution;
+  capsReached?: FundingCapEvent[];
+  emergencies?: EmergencyProtocolEvent[];
+  transactionHash?: string;
+  blockNumber?: number;
+  gasUsed?: bigint;
+}
+
+/**
+ * Options for the funding keeper
+ */
+export interface FundingKeeperOptions {
+  statePath: string;       // File that remembers sent transactions across restarts
+  schedule?: string;       // Cron expression for start(), evaluated in ET
+  log?: (message: string) => void;
+  onResult?: (result: FundingResult) => void; // Called for each AMM a scheduled run handled
+  metrics?: KeeperMetrics;   // Records runs, failures and transactions
+}
+
+/**
+ * Options for a single keeper run
+ */
+export interface FundingRunOptions {
+  dryRun?: boolean;    // Simulate executeFunding instead of sending it
+  ratesOnly?: boolean; // Only send updateFundingRate
+  force?: boolean;     // Execute after the grace period has ended
+}
+
+/**
+ * State persisted between keeper runs
+ */
+export interface FundingKeeperState {
+  lastRunAt?: string;
+  transactions: Record<string, { slotStart: number; transactionHash: string; sentAt: string }>; // AMM address -> last executeFunding sent
+}
+
+/**
+ * Keeper that runs FundingManager.executeFunding for every registered AMM once
+ * per funding slot. Whether an AMM has been funded is read from the contract's
+ * lastFundingTime, so runs can be repeated or restarted freely; the state file
+ * only stops a restarted keeper from resending a transaction that is still pending
+ */
+export class FundingKeeper {
+  private readonly fundingManager: FundingManagerService;
+  private readonly ammAddresses: string[];
+  private readonly statePath: string;
+  private readonly schedule: string;
+  private readonly log: (message: string) => void;
+  private readonly onResult?: (result: FundingResult) => void;
+  private readonly metrics?: KeeperMetrics;
+  private fundingSchedule?: FundingSchedule;
+  private job?: CronJob;
+  private running = false;
+
+  /**
+   * Creates a new FundingKeeper
+   * @param fundingManager FundingManagerService connected to a FUNDING_EXECUTOR_ROLE signer
+   * @param ammAddresses VirtualAMM addresses to fund; unregistered ones are reported and skipped
+   * @param options State file, schedule, logging and metrics options
+   */
+  constructor(fundingManager: FundingManagerService, ammAddresses: string[], options: FundingKeeperOptions) {
+    this.fundingManager = fundingManager;
+    this.ammAddresses = ammAddresses;
+    this.statePath = options.statePath;
+    this.schedule = options.schedule ?? DEFAULT_FUNDING_SCHEDULE;
+    this.log = options.log ?? ((message) => console.log(`[${new Date().toISOString()}] ${message}`));
+    this.onResult = options.onResult;
+    this.metrics = options.metrics;
+  }
+
+  /**
+   * Runs the keeper on the configured schedule, running once immediately
+   * @param options Options for every run
+   */
+  start(options: FundingRunOptions = {}): void {
+    this.job = CronJob.from({
+      cronTime: this.schedule,
+      onTick: async () => {
+        try {
+          for (const result of await this.run(new Date(), options)) {
+            if (result.status !== 'already-funded' && result.status !== 'missed-window') {
+              this.log(`${result.teamId ?? result.ammAddress}: ${result.status}${result.reason ? ` (${result.reason})` : ''}`);
+            }
+            this.onResult?.(result);
+          }
+        } catch (error) {
+          this.log(`Funding run failed: ${error instanceof Error ? error.message : error}`);
+        }
+      },
+      start: true,
+      runOnInit: true,
+      timeZone: FUNDING_TIME_ZONE
+    });
+  }
+
+  /**
+   * Stops the schedule; a run already in progress is allowed to finish
+   */
+  stop(): void {
+    this.job?.stop();
+  }
+
+  /**
+   * Runs funding for every AMM that has not been funded in the current slot
+   * @param now Current time (defaults to now) - useful for testing
+   * @param options Dry run, rates-only and force options
+   * @returns Promise<FundingResult[]> One result per AMM; empty if a previous run is still in progress
+   */
+  async run(now: Date = new Date(), options: FundingRunOptions = {}): Promise<FundingResult[]> {
+    if (this.running) {
+      this.log('Previous funding run still in progress - skipping');
+      return [];
+    }
+
+    this.running = true;
+    try {
+      this.fundingSchedule ??= await this.fundingManager.getSchedule();
+      const window = getFundingWindow(now, this.fundingSchedule);
+      const managerPaused = await this.fundingManager.isPaused();
+
+      const results: FundingResult[] = [];
+      for (const ammAddress of this.ammAddresses) {
+        let result: FundingResult;
+        try {
+          result = await this.fundAmm(ammAddress, window.slotStart, now.getTime() / 1000 >= window.graceEnd, managerPaused, options);
+        } catch (error) {
+          result = { ammAddress, slotStart: window.slotStart, status: 'failed', reason: error instanceof Error ? error.message : String(error) };
+        }
+        results.push(result);
+      }
+
+      this.metrics?.recordRun(results, now);
+      return results;
+    } catch (error) {
+      this.metrics?.recordRunFailure();
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Works out whether an AMM is due and runs its funding
+   * @param ammAddress VirtualAMM address
+   * @param slotStart Start of the current funding slot
+   * @param graceEnded Whether the slot's grace period is over
+   * @param managerPaused Whether the whole FundingManager is paused
+   * @param options Run options
+   * @returns Promise<FundingResult> Outcome for the AMM
+   */
+  private async fundAmm(ammAddress: string, slotStart: number, graceEnded: boolean, managerPaused: boolean, options: FundingRunOptions): Promise<FundingResult> {
+    const base = { ammAddress, slotStart };
+
+    if (!(await this.fundingManager.isRegistered(ammAddress))) {
+      return { ...base, status: 'not-registered' };
+    }
+
+    const teamId = await this.fundingManager.getTeamId(ammAddress);
+
+    if (options.ratesOnly) {
+      const { rate, ...transaction } = await this.fundingManager.updateFundingRate(ammAddress);
+      return { ...base, teamId, status: 'rate-updated', fundingRate: rate?.rate, ...transaction };
+    }
+
+    if (managerPaused || await this.fundingManager.isFundingPaused(ammAddress)) {
+      return { ...base, teamId, status: 'paused', reason: managerPaused ? 'FundingManager is paused' : 'funding is paused for this AMM' };
+    }
+
+    if (await this.fundingManager.getLastFundingTime(ammAddress) >= slotStart) {
+      return { ...base, teamId, status: 'already-funded' };
+    }
+
+    const state = this.readState();
+    const key = ammAddress.toLowerCase();
+    const sent = state.transactions[key];
+    if (sent?.slotStart === slotStart) {
+      // A reverted or dropped transaction is retried; one still pending is left alone
+      const transactionState = await this.fundingManager.getTransactionState(sent.transactionHash);
+      if (transactionState === 'pending') {
+        return { ...base, teamId, status: 'pending', transactionHash: sent.transactionHash };
+      }
+      this.log(`${teamId}: earlier transaction ${sent.transactionHash} ${transactionState} - sending executeFunding again`);
+    }
+
+    if (graceEnded && !options.force) {
+      return { ...base, teamId, status: 'missed-window', reason: 'grace period ended; the next execution covers the elapsed time' };
+    }
+
+    if (options.dryRun) {
+      const simulation = await this.fundingManager.simulateFunding(ammAddress);
+      return { ...base, teamId, status: 'simulated', fundingRate: simulation.rate, execution: simulation.execution };
+    }
+
+    const { rate, ...result } = await this.fundingManager.executeFunding(ammAddress, (transactionHash) => {
+      // Persist before waiting so a restart does not send a second transaction for this slot
+      state.transactions[key] = { slotStart, transactionHash, sentAt: new Date().toISOString() };
+      this.writeState(state);
+    });
+
+    return { ...base, teamId, status: 'executed', fundingRate: rate?.rate, ...result };
+  }
+
+  /**
+   * Loads persisted state, or an empty state on first run
+   * @returns FundingKeeperState Saved state
+   */
+  private readState(): FundingKeeperState {
+    if (!existsSync(this.statePath)) {
+      return { transactions: {} };
+    }
+
+    const state = JSON.parse(readFileSync(this.statePath, 'utf8'));
+    return { transactions: {}, ...state };
+  }
+
+  /**
+   * Saves state
+   * @param state State to save
+   */
+  private writeState(state: FundingKeeperState): void {
+    state.lastRunAt = new Date().toISOString();
+    writeFileSync(this.statePath, JSON.stringify(state, null, 2));
+  }
+}
@@ -0,0 +1,329 @@
+import { Contract, ContractTransactionReceipt, ContractTransactionResponse, JsonRpcProvider, Signer } from 'ethers';
+import { FUNDING_MANAGER_ABI } from '../abi/fundingManagerAbi.js';
+import { VIRTUAL_AMM_ABI } from '../abi/virtualAmmAbi.js';
+import { toTransactionSummary, TransactionSummary, waitForReceipt } from '../../oracle/services/OracleBlockchainService.js';
+import { createSigner } from '../../oracle/utils/signer.js';
+import { FundingSchedule } from '../utils/fundingSchedule.js';
+import { KeeperConfig } from '../utils/keeperConfig.js';
+
+/**
+ * Funding rate as set by updateFundingRate
+ */
+export interface FundingRateSnapshot {
+  rate: bigint;        // Scaled by 1e18; positive means longs pay shorts
+  oraclePrice: bigint;
+  markPrice: bigint;
+  premium: bigint;     // Scaled by 1e18
+}
+
+/**
+ * FundingExecution struct returned by executeFunding
+ */
+export interface FundingExecution {
+  totalPayments: bigint;
+  lpFunding: bigint;     // Positive when the LP pool received funding, negative when it paid
+  positionCount: number;
+  capReached: boolean;
+  executionTime: number; // Unix seconds
+}
+
+/**
+ * A FundingCapReached event
+ */
+export interface FundingCapEvent {
+  capType: string;       // 'daily' or 'cumulative'
+  requestedAmount: bigint;
+  actualAmount: bigint;
+}
+
+/**
+ * An EmergencyProtocolTriggered event
+ */
+export interface EmergencyProtocolEvent {
+  protocol: string;
+  severity: number;      // 1 (warning) to 3 (critical)
+}
+
+/**
+ * Result of an executeFunding transaction, decoded from its events
+ */
+export interface FundingExecutionResult extends TransactionSummary {
+  rate?: FundingRateSnapshot;
+  execution: FundingExecution;
+  capsReached: FundingCapEvent[];
+  emergencies: EmergencyProtocolEvent[];
+}
+
+/**
+ * Result of an executeFunding call simulated with eth_call
+ */
+export interface FundingSimulation {
+  rate: bigint;
+  execution: FundingExecution;
+}
+
+/**
+ * How much of an AMM's LP funding cap has been paid out
+ */
+export interface FundingCapUsage {
+  used: bigint;       // LP funding paid within the cap's period
+  cap: bigint;        // Cap for the period, a percentage of the LP pool value
+  resetTime?: number; // Daily cap only: Unix seconds the current day began
+}
+
+/**
+ * Where a previously sent transaction stands
+ */
+export type TransactionState = 'pending' | 'succeeded' | 'reverted' | 'unknown';
+
+/**
+ * Service responsible for reading and driving the FundingManager contract
+ */
+export class FundingManagerService {
+  private readonly contract: Contract;
+
+  /**
+   * Creates a new FundingManagerService
+   * @param contract FundingManager contract instance, connected to a signer to send transactions
+   */
+  constructor(contract: Contract) {
+    this.contract = contract;
+  }
+
+  /**
+   * Creates a service connected to the configured RPC endpoint and FundingManager.
+   * When the config has a signer, it is checked to hold FUNDING_EXECUTOR_ROLE
+   * @param config Keeper configuration; without a signer the service is read-only
+   * @returns Promise<FundingManagerService> Connected service
+   */
+  static async connect(config: KeeperConfig): Promise<FundingManagerService> {
+    if (!config.fundingManagerAddress) {
+      throw new Error('Missing keeper configuration: FUNDING_MANAGER_ADDRESS (or NETWORK with a deployment file)');
+    }
+
+    const provider = new JsonRpcProvider(config.rpcUrl);
+    const runner = config.signer ? await createSigner(config.signer, provider) : provider;
+    const service = new FundingManagerService(new Contract(config.fundingManagerAddress, FUNDING_MANAGER_ABI, runner));
+
+    if (config.signer) {
+      await service.assertSignerIsExecutor();
+    }
+
+    return service;
+  }
+
+  /**
+   * Throws unless the connected signer holds FUNDING_EXECUTOR_ROLE
+   * @returns Promise<string> The signer's address
+   */
+  async assertSignerIsExecutor(): Promise<string> {
+    const runner = this.contract.runner as Partial<Signer> | null;
+    if (!runner?.getAddress) {
+      throw new Error('A signer holding FUNDING_EXECUTOR_ROLE is required');
+    }
+
+    const address = await runner.getAddress();
+    const role = await this.contract.FUNDING_EXECUTOR_ROLE();
+    if (!(await this.contract.hasRole(role, address))) {
+      throw new Error(`Account ${address} does not hold FUNDING_EXECUTOR_ROLE on FundingManager at ${await this.contract.getAddress()}`);
+    }
+    return address;
+  }
+
+  /**
+   * Reads the funding schedule constants
+   * @returns Promise<FundingSchedule> FUNDING_PERIOD, FUNDING_TIME_ET and GRACE_PERIOD in seconds
+   */
+  async getSchedule(): Promise<FundingSchedule> {
+    return {
+      fundingPeriod: Number(await this.contract.FUNDING_PERIOD()),
+      fundingTime: Number(await this.contract.FUNDING_TIME_ET()),
+      gracePeriod: Number(await this.contract.GRACE_PERIOD())
+    };
+  }
+
+  /**
+   * Checks whether the whole FundingManager is paused
+   * @returns Promise<boolean> True if paused
+   */
+  async isPaused(): Promise<boolean> {
+    return await this.contract.paused();
+  }
+
+  /**
+   * Checks whether an AMM is registered with the FundingManager
+   * @param ammAddress VirtualAMM address
+   * @returns Promise<boolean> True if registered
+   */
+  async isRegistered(ammAddress: string): Promise<boolean> {
+    return await this.contract.registeredAMMs(ammAddress);
+  }
+
+  /**
+   * Checks whether funding is paused for an AMM
+   * @param ammAddress VirtualAMM address
+   * @returns Promise<boolean> True if paused
+   */
+  async isFundingPaused(ammAddress: string): Promise<boolean> {
+    return await this.contract.fundingPaused(ammAddress);
+  }
+
+  /**
+   * Gets when funding last ran for an AMM
+   * @param ammAddress VirtualAMM address
+   * @returns Promise<number> Unix seconds of the last executeFunding (or registration)
+   */
+  async getLastFundingTime(ammAddress: string): Promise<number> {
+    return Number(await this.contract.lastFundingTime(ammAddress));
+  }
+
+  /**
+   * Gets the team an AMM trades
+   * @param ammAddress VirtualAMM address
+   * @returns Promise<string> On-chain team ID
+   */
+  async getTeamId(ammAddress: string): Promise<string> {
+    return await new Contract(ammAddress, VIRTUAL_AMM_ABI, this.contract.runner).getTeamId();
+  }
+
+  /**
+   * Gets how much of an AMM's daily LP funding cap has been used
+   * @param ammAddress Registered VirtualAMM address
+   * @returns Promise<FundingCapUsage> Usage, cap and the start of the current day
+   */
+  async getDailyFundingUsage(ammAddress: string): Promise<FundingCapUsage> {
+    const [used, cap, resetTime] = await this.contract.getDailyFundingUsage(ammAddress);
+    return { used, cap, resetTime: Number(resetTime) };
+  }
+
+  /**
+   * Gets how much of an AMM's 30-day cumulative LP funding cap has been used
+   * @param ammAddress Registered VirtualAMM address
+   * @returns Promise<FundingCapUsage> Usage and cap
+   */
+  async getCumulativeFundingUsage(ammAddress: string): Promise<FundingCapUsage> {
+    const [used, cap] = await this.contract.getCumulativeFundingUsage(ammAddress);
+    return { used, cap };
+  }
+
+  /**
+   * Checks whether an AMM's cumulative LP funding has reached its emergency threshold
+   * @param ammAddress Registered VirtualAMM address
+   * @returns Promise<number> Severity from 1 (warning) to 3 (critical), or 0 below the threshold
+   */
+  async getEmergencySeverity(ammAddress: string): Promise<number> {
+    const [shouldTrigger, severity] = await this.contract.shouldTriggerEmergency(ammAddress);
+    return shouldTrigger ? Number(severity) : 0;
+  }
+
+  /**
+   * Simulates updateFundingRate and executeFunding with eth_call, without
+   * sending a transaction
+   * @param ammAddress VirtualAMM address
+   * @returns Promise<FundingSimulation> Rate and execution result the calls would produce
+   */
+  async simulateFunding(ammAddress: string): Promise<FundingSimulation> {
+    const rate: bigint = await this.contract.updateFundingRate.staticCall(ammAddress);
+    const execution = await this.contract.executeFunding.staticCall(ammAddress);
+
+    return {
+      rate,
+      execution: {
+        totalPayments: execution.totalPayments,
+        lpFunding: execution.lpFunding,
+        positionCount: Number(execution.positionCount),
+        capReached: execution.capReached,
+        executionTime: Number(execution.executionTime)
+      }
+    };
+  }
+
+  /**
+   * Refreshes an AMM's funding rate with updateFundingRate
+   * @param ammAddress VirtualAMM address
+   * @returns Promise<TransactionSummary & { rate?: FundingRateSnapshot }> Mined transaction and the new rate
+   */
+  async updateFundingRate(ammAddress: string): Promise<TransactionSummary & { rate?: FundingRateSnapshot }> {
+    const receipt = await waitForReceipt(await this.contract.updateFundingRate(ammAddress));
+    const decoded = await this.decodeFundingReceipt(ammAddress, receipt);
+    return { ...toTransactionSummary(receipt), rate: decoded.rate };
+  }
+
+  /**
+   * Runs funding for an AMM with executeFunding, which refreshes the funding
+   * rate in the same transaction
+   * @param ammAddress VirtualAMM address
+   * @param onSent Called with the transaction hash once it is sent, before it is mined
+   * @returns Promise<FundingExecutionResult> Mined transaction and decoded events
+   */
+  async executeFunding(ammAddress: string, onSent?: (transactionHash: string) => void): Promise<FundingExecutionResult> {
+    const tx: ContractTransactionResponse = await this.contract.executeFunding(ammAddress);
+    onSent?.(tx.hash);
+    return this.decodeFundingReceipt(ammAddress, await waitForReceipt(tx));
+  }
+
+  /**
+   * Looks up a transaction sent by an earlier run
+   * @param transactionHash Transaction hash
+   * @returns Promise<TransactionState> 'unknown' if the node no longer knows the transaction, e.g. it was dropped
+   */
+  async getTransactionState(transactionHash: string): Promise<TransactionState> {
+    const provider = this.contract.runner?.provider;
+    if (!provider) {
+      throw new Error('FundingManager contract is not connected to a provider');
+    }
+
+    const receipt = await provider.getTransactionReceipt(transactionHash);
+    if (receipt) {
+      return receipt.status === 1 ? 'succeeded' : 'reverted';
+    }
+    return (await provider.getTransaction(transactionHash)) ? 'pending' : 'unknown';
+  }
+
+  /**
+   * Decodes the FundingManager events an AMM's funding transaction emitted.
+   * FundingExecuted carries every FundingExecution field except the execution
+   * time, which is the block timestamp
+   * @param ammAddress VirtualAMM address
+   * @param receipt Mined receipt
+   * @returns Promise<FundingExecutionResult> Decoded result; the execution is all zeros if FundingExecuted was not emitted
+   */
+  private async decodeFundingReceipt(ammAddress: string, receipt: ContractTransactionReceipt): Promise<FundingExecutionResult> {
+    const managerAddress = (await this.contract.getAddress()).toLowerCase();
+    const result: FundingExecutionResult = {
+      ...toTransactionSummary(receipt),
+      execution: { totalPayments: 0n, lpFunding: 0n, positionCount: 0, capReached: false, executionTime: 0 },
+      capsReached: [],
+      emergencies: []
+    };
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== managerAddress) {
+        continue;
+      }
+
+      const event = this.contract.interface.parseLog(log);
+      if (!event || event.args.ammAddress.toLowerCase() !== ammAddress.toLowerCase()) {
+        continue;
+      }
+
+      if (event.name === 'FundingRateUpdated') {
+        result.rate = { rate: event.args.rate, oraclePrice: event.args.oraclePrice, markPrice: event.args.markPrice, premium: event.args.premium };
+      } else if (event.name === 'FundingExecuted') {
+        result.execution = {
+          totalPayments: event.args.totalPayments,
+          lpFunding: event.args.lpFunding,
+          positionCount: Number(event.args.positionCount),
+          capReached: event.args.capReached,
+          executionTime: (await receipt.getBlock()).timestamp
+        };
+      } else if (event.name === 'FundingCapReached') {
+        result.capsReached.push({ capType: event.args.capType, requestedAmount: event.args.requestedAmount, actualAmount: event.args.actualAmount });
+      } else if (event.name === 'EmergencyProtocolTriggered') {
+        result.emergencies.push({ protocol: event.args.protocol, severity: Number(event.args.severity) });
+      }
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,165 @@
+import { Counter, Gauge, Histogram, Registry } from 'prom-client';
+import { FundingManagerService } from './FundingManagerService.js';
+import { VirtualAmmService } from './VirtualAmmService.js';
+import { GAS_USED_BUCKETS } from '../../oracle/services/OracleMetrics.js';
+import { getHealthStatus, HealthStatus, MetricsSource } from '../../oracle/utils/metricsServer.js';
+
+// Result statuses that mean the keeper did not do its job for an AMM or position
+const FAILED_STATUSES = ['failed', 'missed-window'];
+
+/**
+ * Options for the keeper metrics
+ */
+export interface KeeperMetricsOptions {
+  staleAfterSeconds: number;              // How long after the last run without failures /healthz fails
+  fundingManager?: FundingManagerService; // Reads funding cap usage when set
+  registry?: Registry;                    // Defaults to a new registry
+  startedAt?: Date;
+}
+
+/**
+ * The parts of a keeper result the metrics count
+ */
+export interface KeeperRunResult {
+  status: string;
+  gasUsed?: bigint;
+}
+
+type AmmLabel = 'amm' | 'team';
+
+/**
+ * Prometheus metrics for the funding and liquidation keepers. The keeper
+ * records its runs as they complete; each AMM's price, imbalance and funding
+ * cap usage are read from the contracts when scraped. /healthz follows the
+ * last run in which nothing failed, so a keeper that completes its runs but
+ * fails the same AMM every time, for example because executeFunding reverts,
+ * goes stale
+ */
+export class KeeperMetrics implements MetricsSource {
+  readonly registry: Registry;
+  private readonly amms: VirtualAmmService[];
+  private readonly fundingManager?: FundingManagerService;
+  private readonly staleAfterSeconds: number;
+  private readonly startedAt: Date;
+  private readonly teamIds = new Map<string, string>();
+  private lastSuccessAt?: Date;
+
+  private readonly lastRun: Gauge;
+  private readonly runFailures: Counter;
+  private readonly results: Counter<'status'>;
+  private readonly gasUsed: Histogram;
+  private readonly price: Gauge<AmmLabel>;
+  private readonly netImbalance: Gauge<AmmLabel>;
+  private readonly dailyFundingUsed: Gauge<AmmLabel>;
+  private readonly dailyFundingCap: Gauge<AmmLabel>;
+  private readonly cumulativeFundingUsed: Gauge<AmmLabel>;
+  private readonly cumulativeFundingCap: Gauge<AmmLabel>;
+  private readonly ammReadErrors: Counter<'amm'>;
+
+  /**
+   * Creates the keeper metrics and registers them
+   * @param amms VirtualAMMs to report on
+   * @param options Stale threshold, FundingManager, registry and start time
+   */
+  constructor(amms: VirtualAmmService[], options: KeeperMetricsOptions) {
+    this.amms = amms;
+    this.fundingManager = options.fundingManager;
+    this.staleAfterSeconds = options.staleAfterSeconds;
+    this.startedAt = options.startedAt ?? new Date();
+    this.registry = options.registry ?? new Registry();
+    const registers = [this.registry];
+    const labelNames = ['amm', 'team'] as const;
+
+    this.lastRun = new Gauge({ name: 'keeper_last_run_timestamp_seconds', help: 'Unix time of the last completed keeper run', registers });
+    this.runFailures = new Counter({ name: 'keeper_run_failures_total', help: 'Keeper runs that failed before handling every AMM', registers });
+    this.results = new Counter({ name: 'keeper_results_total', help: 'Per-AMM or per-position keeper results, by status', labelNames: ['status'], registers });
+    this.gasUsed = new Histogram({ name: 'keeper_transaction_gas_used', help: 'Gas used by each keeper transaction', buckets: GAS_USED_BUCKETS, registers });
+    this.price = new Gauge({ name: 'amm_current_price', help: 'getCurrentPrice, on the 0-1000 scale', labelNames, registers });
+    this.netImbalance = new Gauge({ name: 'amm_net_imbalance', help: 'getNetImbalance: long size minus short size', labelNames, registers });
+    this.dailyFundingUsed = new Gauge({ name: 'amm_daily_funding_used', help: 'LP funding paid today in collateral token units, from getDailyFundingUsage', labelNames, registers });
+    this.dailyFundingCap = new Gauge({ name: 'amm_daily_funding_cap', help: 'Daily LP funding cap, from getDailyFundingUsage', labelNames, registers });
+    this.cumulativeFundingUsed = new Gauge({ name: 'amm_cumulative_funding_used', help: 'LP funding paid over 30 days in collateral token units, from getCumulativeFundingUsage', labelNames, registers });
+    this.cumulativeFundingCap = new Gauge({ name: 'amm_cumulative_funding_cap', help: '30-day LP funding cap, from getCumulativeFundingUsage', labelNames, registers });
+    this.ammReadErrors = new Counter({ name: 'amm_read_errors_total', help: 'Failed reads of an AMM for a scrape', labelNames: ['amm'], registers });
+  }
+
+  /**
+   * Records a keeper run that handled every AMM. It only counts towards
+   * /healthz if none of its results failed
+   * @param results The run's results
+   * @param now Time the run finished
+   */
+  recordRun(results: KeeperRunResult[], now: Date = new Date()): void {
+    this.lastRun.set(Math.floor(now.getTime() / 1000));
+    if (!results.some(result => FAILED_STATUSES.includes(result.status))) {
+      this.lastSuccessAt = now;
+    }
+
+    for (const result of results) {
+      this.results.inc({ status: result.status });
+      if (result.gasUsed !== undefined) {
+        this.gasUsed.observe(Number(result.gasUsed));
+      }
+    }
+  }
+
+  /**
+   * Records a keeper run that failed
+   */
+  recordRunFailure(): void {
+    this.runFailures.inc();
+  }
+
+  /**
+   * Reads every AMM's price and imbalance, and its funding cap usage if a
+   * FundingManager is set and the AMM is registered with it. An AMM that
+   * cannot be read is counted and keeps its previous values
+   * @returns Promise<void>
+   */
+  async refresh(): Promise<void> {
+    for (const amm of this.amms) {
+      const address = await amm.getAddress();
+      try {
+        await this.refreshAmm(amm, address);
+      } catch {
+        this.ammReadErrors.inc({ amm: address });
+      }
+    }
+  }
+
+  /**
+   * Checks whether the keeper has completed a run without failures within the stale threshold
+   * @param now Current time (defaults to now) - useful for testing
+   * @returns HealthStatus Health of the keeper
+   */
+  getHealth(now: Date = new Date()): HealthStatus {
+    return getHealthStatus(this.lastSuccessAt, this.startedAt, this.staleAfterSeconds, now);
+  }
+
+  /**
+   * Reads one AMM
+   * @param amm VirtualAMM
+   * @param address Its address
+   * @returns Promise<void>
+   */
+  private async refreshAmm(amm: VirtualAmmService, address: string): Promise<void> {
+    let team = this.teamIds.get(address);
+    if (team === undefined) {
+      team = await amm.getTeamId();
+      this.teamIds.set(address, team);
+    }
+    const labels = { amm: address, team };
+
+    this.price.set(labels, await amm.getCurrentPrice());
+    this.netImbalance.set(labels, Number(await amm.getNetImbalance()));
+
+    if (this.fundingManager && await this.fundingManager.isRegistered(address)) {
+      const daily = await this.fundingManager.getDailyFundingUsage(address);
+      const cumulative = await this.fundingManager.getCumulativeFundingUsage(address);
+      this.dailyFundingUsed.set(labels, Number(daily.used));
+      this.dailyFundingCap.set(labels, Number(daily.cap));
+      this.cumulativeFundingUsed.set(labels, Number(cumulative.used));
+      this.cumulativeFundingCap.set(labels, Number(cumulative.cap));
+    }
+  }
+}
@@ -0,0 +1,365 @@
+import { CronJob } from 'cron';
+import { KeeperMetrics } from './KeeperMetrics.js';
+import { VirtualAmmPosition, VirtualAmmService } from './VirtualAmmService.js';
+
+export const DEFAULT_LIQUIDATION_SCHEDULE = '* * * * *'; // Every minute
+export const DEFAULT_AT_RISK_PERCENT = 10;                // Report positions within 10% of their liquidation price
+export const DEFAULT_LIQUIDATION_STALE_AFTER_MINUTES = 5; // Five missed runs at the default schedule
+export const DEFAULT_SCAN_BATCH_SIZE = 25;                // Positions read concurrently, four calls each
+
+/**
+ * An open position and how close it is to liquidation
+ */
+export interface PositionRisk {
+  ammAddress: string;
+  teamId: string;
+  positionId: number;
+  trader: string;
+  side: 'long' | 'short';
+  size: bigint;
+  leverage: bigint;         // Scaled by 1e18
+  margin: bigint;
+  unrealizedPnl: bigint;    // Leveraged PnL at the current price
+  entryPrice: number;       // Prices are on the 0-1000 scale
+  currentPrice: number;
+  liquidationPrice: number;
+  distance: number;         // Price points the price can move against the position before liquidation; negative once past it
+  distancePercent: number;  // distance as a percentage of the current price
+  adequateMargin: boolean;  // hasAdequateMargin; false means the position can be liquidated now
+}
+
+/**
+ * An AMM whose positions could not be read
+ */
+export interface AmmScanFailure {
+  ammAddress: string;
+  reason: string;
+}
+
+/**
+ * Every open position across the AMMs, most at risk first
+ */
+export interface LiquidationScan {
+  positions: PositionRisk[];
+  failures: AmmScanFailure[];
+}
+
+/**
+ * What the keeper did for one undercollateralized position
+ */
+export type LiquidationStatus =
+  | 'liquidated'    // liquidatePosition was mined
+  | 'simulated'     // Dry run: liquidatePosition was simulated with eth_call
+  | 'unsupported'   // The VirtualAMM does not implement liquidatePosition yet
+  | 'unauthorized'  // The keeper account does not hold LIQUIDATOR_ROLE on the AMM
+  | 'failed';
+
+/**
+ * Outcome of a keeper run for one position, or for an AMM that could not be scanned
+ */
+export interface LiquidationResult {
+  ammAddress: string;
+  teamId?: string;
+  positionId?: number;   // Omitted when the AMM could not be scanned
+  trader?: string;
+  distance?: number;
+  status: LiquidationStatus;
+  reason?: string;
+  liquidationValue?: bigint;
+  transactionHash?: string;
+  blockNumber?: number;
+  gasUsed?: bigint;
+}
+
+/**
+ * Options for the liquidation keeper
+ */
+export interface LiquidationKeeperOptions {
+  schedule?: string; // Cron expression for start()
+  scanBatchSize?: number; // Positions read concurrently while scanning an AMM
+  log?: (message: string) => void;
+  onResult?: (result: LiquidationResult) => void; // Called for each result of a scheduled run
+  metrics?: KeeperMetrics; // Records runs, failures and transactions
+}
+
+/**
+ * Options for a single keeper run
+ */
+export interface LiquidationRunOptions {
+  dryRun?: boolean; // Simulate liquidatePosition instead of sending it
+}
+
+/**
+ * Checks whether a position should be reported as at risk
+ * @param position Scanned position
+ * @param withinPercent How close to its liquidation price, as a percentage of the current price, a position must be
+ * @returns boolean True if the position is undercollateralized or within the threshold
+ */
+export function isAtRisk(position: PositionRisk, withinPercent: number): boolean {
+  return !position.adequateMargin || position.distancePercent <= withinPercent;
+}
+
+/**
+ * Orders positions most at risk first: undercollateralized positions, then by
+ * distance to the liquidation price
+ * @param a First position
+ * @param b Second position
+ * @returns number Sort order
+ */
+function compareRisk(a: PositionRisk, b: PositionRisk): number {
+  return Number(a.adequateMargin) - Number(b.adequateMargin)
+    || a.distance - b.distance
+    || a.ammAddress.localeCompare(b.ammAddress)
+    || a.positionId - b.positionId;
+}
+
+/**
+ * Keeper that scans every open position on the VirtualAMMs and liquidates the
+ * ones whose equity no longer covers the maintenance margin. hasAdequateMargin
+ * decides whether a position is liquidated; the liquidation price is only used
+ * to rank positions, since it ignores margin taken by funding payments
+ */
+export class LiquidationKeeper {
+  private readonly amms: VirtualAmmService[];
+  private readonly schedule: string;
+  private readonly scanBatchSize: number;
+  private readonly log: (message: string) => void;
+  private readonly onResult?: (result: LiquidationResult) => void;
+  private readonly metrics?: KeeperMetrics;
+  private job?: CronJob;
+  private running = false;
+  private reportedUnsupported = new Set<string>(); // AMM address + position ID already logged as unsupported by a scheduled run
+
+  /**
+   * Creates a new LiquidationKeeper
+   * @param amms VirtualAMMs to watch, connected to a LIQUIDATOR_ROLE signer to liquidate
+   * @param options Schedule, logging and metrics options
+   */
+  constructor(amms: VirtualAmmService[], options: LiquidationKeeperOptions = {}) {
+    this.amms = amms;
+    this.schedule = options.schedule ?? DEFAULT_LIQUIDATION_SCHEDULE;
+    this.scanBatchSize = options.scanBatchSize ?? DEFAULT_SCAN_BATCH_SIZE;
+    this.log = options.log ?? ((message) => console.log(`[${new Date().toISOString()}] ${message}`));
+    this.onResult = options.onResult;
+    this.metrics = options.metrics;
+  }
+
+  /**
+   * Runs the keeper on the configured schedule, running once immediately.
+   * A position that cannot be liquidated because its AMM lacks liquidatePosition
+   * is logged once, not on every run, until it is no longer due
+   * @param options Options for every run
+   */
+  start(options: LiquidationRunOptions = {}): void {
+    this.job = CronJob.from({
+      cronTime: this.schedule,
+      onTick: async () => {
+        try {
+          const results = await this.run(options);
+          const unsupported = new Set<string>();
+
+          for (const result of results) {
+            const key = `${result.ammAddress}:${result.positionId}`;
+            if (result.status === 'unsupported') {
+              unsupported.add(key);
+            }
+            if (result.status !== 'unsupported' || !this.reportedUnsupported.has(key)) {
+              this.log(`${result.teamId ?? result.ammAddress}${result.positionId === undefined ? '' : ` #${result.positionId}`}: ${result.status}${result.reason ? ` (${result.reason})` : ''}`);
+            }
+            this.onResult?.(result);
+          }
+
+          // An overlapping run returns nothing, which says nothing about which positions are still due
+          if (results.length > 0 || !this.running) {
+            this.reportedUnsupported = unsupported;
+          }
+        } catch (error) {
+          this.log(`Liquidation run failed: ${error instanceof Error ? error.message : error}`);
+        }
+      },
+      start: true,
+      runOnInit: true
+    });
+  }
+
+  /**
+   * Stops the schedule; a run already in progress is allowed to finish
+   */
+  stop(): void {
+    this.job?.stop();
+  }
+
+  /**
+   * Reads every open position and ranks them by how close they are to liquidation.
+   * An AMM that cannot be read is reported as a failure without stopping the scan
+   * @returns Promise<LiquidationScan> Ranked positions and the AMMs that failed
+   */
+  async scan(): Promise<LiquidationScan> {
+    const scan: LiquidationScan = { positions: [], failures: [] };
+
+    for (const amm of this.amms) {
+      const ammAddress = await amm.getAddress();
+      try {
+        scan.positions.push(...await this.scanAmm(amm, ammAddress));
+      } catch (error) {
+        scan.failures.push({ ammAddress, reason: error instanceof Error ? error.message : String(error) });
+      }
+    }
+
+    scan.positions.sort(compareRisk);
+    return scan;
+  }
+
+  /**
+   * Liquidates every undercollateralized position, most at risk first
+   * @param options Dry run option
+   * @returns Promise<LiquidationResult[]> One result per undercollateralized position and per AMM that could not be scanned; empty if a previous run is still in progress
+   */
+  async run(options: LiquidationRunOptions = {}): Promise<LiquidationResult[]> {
+    if (this.running) {
+      this.log('Previous liquidation run still in progress - skipping');
+      return [];
+    }
+
+    this.running = true;
+    try {
+      const { positions, failures } = await this.scan();
+      const results: LiquidationResult[] = failures.map(failure => ({ ammAddress: failure.ammAddress, status: 'failed', reason: failure.reason }));
+
+      for (const amm of this.amms) {
+        const ammAddress = await amm.getAddress();
+        const due = positions.filter(position => !position.adequateMargin && position.ammAddress === ammAddress);
+        if (due.length === 0) {
+          continue;
+        }
+
+        try {
+          results.push(...await this.liquidateAll(amm, due, options));
+        } catch (error) {
+          results.push({ ammAddress, teamId: due[0].teamId, status: 'failed', reason: error instanceof Error ? error.message : String(error) });
+        }
+      }
+
+      this.metrics?.recordRun(results);
+      return results;
+    } catch (error) {
+      this.metrics?.recordRunFailure();
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Reads the open positions of one AMM
+   * @param amm VirtualAMM to read
+   * @param ammAddress Its address
+   * @returns Promise<PositionRisk[]> Unranked positions
+   */
+  private async scanAmm(amm: VirtualAmmService, ammAddress: string): Promise<PositionRisk[]> {
+    const [teamId, currentPrice, positionIds] = await Promise.all([amm.getTeamId(), amm.getCurrentPrice(), amm.getOpenPositionIds()]);
+    const positions: PositionRisk[] = [];
+
+    // Each position takes four calls, so an AMM with many positions is read in batches
+    for (let i = 0; i < positionIds.length; i += this.scanBatchSize) {
+      const batch = await Promise.all(positionIds.slice(i, i + this.scanBatchSize).map(positionId => this.scanPosition(amm, ammAddress, teamId, currentPrice, positionId)));
+      positions.push(...batch.filter((position): position is PositionRisk => position !== undefined));
+    }
+
+    return positions;
+  }
+
+  /**
+   * Reads one open position
+   * @param amm VirtualAMM the position belongs to
+   * @param ammAddress Its address
+   * @param teamId Team the AMM trades
+   * @param currentPrice Current AMM price
+   * @param positionId Position to read
+   * @returns Promise<PositionRisk | undefined> Position and its distance to liquidation; undefined if it has closed
+   */
+  private async scanPosition(amm: VirtualAmmService, ammAddress: string, teamId: string, currentPrice: number, positionId: number): Promise<PositionRisk | undefined> {
+    let reads: [VirtualAmmPosition, bigint, boolean, number];
+    try {
+      reads = await Promise.all([
+        amm.getPosition(positionId),
+        amm.getPositionValue(positionId),
+        amm.hasAdequateMargin(positionId),
+        amm.getLiquidationPrice(positionId)
+      ]);
+    } catch (error) {
+      // A trader can close the position after getAllOpenPositions, and the reads then revert with PositionNotFound
+      if (!(await amm.getPosition(positionId)).isOpen) {
+        return undefined;
+      }
+      throw error;
+    }
+
+    const [position, unrealizedPnl, adequateMargin, liquidationPrice] = reads;
+    if (!position.isOpen) {
+      return undefined;
+    }
+
+    const side = position.size > 0n ? 'long' : 'short';
+    const distance = side === 'long' ? currentPrice - liquidationPrice : liquidationPrice - currentPrice;
+
+    return {
+      ammAddress,
+      teamId,
+      positionId,
+      trader: position.trader,
+      side,
+      size: position.size,
+      leverage: position.leverage,
+      margin: position.margin,
+      unrealizedPnl,
+      entryPrice: position.entryPrice,
+      currentPrice,
+      liquidationPrice,
+      distance,
+      distancePercent: currentPrice > 0 ? Math.round(distance / currentPrice * 10000) / 100 : 0,
+      adequateMargin
+    };
+  }
+
+  /**
+   * Liquidates the undercollateralized positions of one AMM
+   * @param amm VirtualAMM the positions belong to
+   * @param positions Positions to liquidate, most at risk first
+   * @param options Run options
+   * @returns Promise<LiquidationResult[]> One result per position
+   */
+  private async liquidateAll(amm: VirtualAmmService, positions: PositionRisk[], options: LiquidationRunOptions): Promise<LiquidationResult[]> {
+    const results: LiquidationResult[] = [];
+    const toResult = (position: PositionRisk): Omit<LiquidationResult, 'status'> => ({
+      ammAddress: position.ammAddress,
+      teamId: position.teamId,
+      positionId: position.positionId,
+      trader: position.trader,
+      distance: position.distance
+    });
+
+    // liquidatePosition is restricted to LIQUIDATOR_ROLE, so even a simulation fails without it
+    if (!(await amm.isSignerLiquidator())) {
+      return positions.map(position => ({ ...toResult(position), status: 'unauthorized', reason: 'keeper account does not hold LIQUIDATOR_ROLE' }));
+    }
+
+    let supported: boolean | undefined;
+    for (const position of positions) {
+      try {
+        supported ??= await amm.supportsLiquidation(position.positionId);
+        if (!supported) {
+          results.push({ ...toResult(position), status: 'unsupported', reason: 'VirtualAMM.liquidatePosition is not implemented' });
+        } else if (options.dryRun) {
+          results.push({ ...toResult(position), status: 'simulated', liquidationValue: await amm.simulateLiquidation(position.positionId) });
+        } else {
+          results.push({ ...toResult(position), status: 'liquidated', ...await amm.liquidatePosition(position.positionId) });
+        }
+      } catch (error) {
+        results.push({ ...toResult(position), status: 'failed', reason: error instanceof Error ? error.message : String(error) });
+      }
+    }
+
+    return results;
+  }
+}
@@ -0,0 +1,185 @@
+import { Contract, isCallException, JsonRpcProvider, Signer } from 'ethers';
+import { VIRTUAL_AMM_ABI } from '../abi/virtualAmmAbi.js';
+import { toTransactionSummary, TransactionSummary, waitForReceipt } from '../../oracle/services/OracleBlockchainService.js';
+import { createSigner } from '../../oracle/utils/signer.js';
+import { KeeperConfig } from '../utils/keeperConfig.js';
+
+// Revert reason of VirtualAMM.liquidatePosition until liquidation is implemented
+export const LIQUIDATION_NOT_IMPLEMENTED_REASON = 'Not implemented yet';
+
+/**
+ * Position struct as stored by the VirtualAMM contract
+ */
+export interface VirtualAmmPosition {
+  positionId: number;
+  trader: string;
+  size: bigint;       // Positive for longs, negative for shorts
+  entryPrice: number; // On the 0-1000 price scale
+  margin: bigint;     // Collateral token units
+  leverage: bigint;   // Scaled by 1e18
+  timestamp: number;  // Unix seconds the position was opened
+  isOpen: boolean;
+}
+
+/**
+ * Service responsible for reading and liquidating positions on one VirtualAMM
+ */
+export class VirtualAmmService {
+  private readonly contract: Contract;
+
+  /**
+   * Creates a new VirtualAmmService
+   * @param contract VirtualAMM contract instance, connected to a signer to send transactions
+   */
+  constructor(contract: Contract) {
+    this.contract = contract;
+  }
+
+  /**
+   * Creates a service for every configured AMM, sharing one provider and signer
+   * @param config Keeper configuration; without a signer the services are read-only
+   * @returns Promise<VirtualAmmService[]> One service per AMM address, in configuration order
+   */
+  static async connectAll(config: KeeperConfig): Promise<VirtualAmmService[]> {
+    const provider = new JsonRpcProvider(config.rpcUrl);
+    const runner = config.signer ? await createSigner(config.signer, provider) : provider;
+    return config.ammAddresses.map(address => new VirtualAmmService(new Contract(address, VIRTUAL_AMM_ABI, runner)));
+  }
+
+  /**
+   * Gets the AMM's contract address
+   * @returns Promise<string> VirtualAMM address
+   */
+  async getAddress(): Promise<string> {
+    return await this.contract.getAddress();
+  }
+
+  /**
+   * Gets the team the AMM trades
+   * @returns Promise<string> On-chain team ID
+   */
+  async getTeamId(): Promise<string> {
+    return await this.contract.getTeamId();
+  }
+
+  /**
+   * Gets the AMM's current mark price
+   * @returns Promise<number> Price on the 0-1000 scale
+   */
+  async getCurrentPrice(): Promise<number> {
+    return Number(await this.contract.getCurrentPrice());
+  }
+
+  /**
+   * Gets the net size of the open positions, which drives the price
+   * @returns Promise<bigint> Long size minus short size; positive when longs outweigh shorts
+   */
+  async getNetImbalance(): Promise<bigint> {
+    return await this.contract.getNetImbalance();
+  }
+
+  /**
+   * Lists the IDs of every open position
+   * @returns Promise<number[]> Position IDs
+   */
+  async getOpenPositionIds(): Promise<number[]> {
+    const positionIds: bigint[] = await this.contract.getAllOpenPositions();
+    return positionIds.map(Number);
+  }
+
+  /**
+   * Gets a position
+   * @param positionId Position ID
+   * @returns Promise<VirtualAmmPosition> Position; isOpen is false for closed or unknown IDs
+   */
+  async getPosition(positionId: number): Promise<VirtualAmmPosition> {
+    const position = await this.contract.getPosition(positionId);
+    return {
+      positionId,
+      trader: position.trader,
+      size: position.size,
+      entryPrice: Number(position.entryPrice),
+      margin: position.margin,
+      leverage: position.leverage,
+      timestamp: Number(position.timestamp),
+      isOpen: position.isOpen
+    };
+  }
+
+  /**
+   * Gets a position's unrealized, leveraged PnL at the current price
+   * @param positionId Position ID
+   * @returns Promise<bigint> PnL in collateral token units
+   */
+  async getPositionValue(positionId: number): Promise<bigint> {
+    return await this.contract.getPositionValue(positionId);
+  }
+
+  /**
+   * Checks whether a position's equity covers its maintenance margin
+   * @param positionId Position ID
+   * @returns Promise<boolean> False if the position can be liquidated
+   */
+  async hasAdequateMargin(positionId: number): Promise<boolean> {
+    return await this.contract.hasAdequateMargin(positionId);
+  }
+
+  /**
+   * Gets the price at which a position falls below its maintenance margin
+   * @param positionId Position ID
+   * @returns Promise<number> Price on the 0-1000 scale
+   */
+  async getLiquidationPrice(positionId: number): Promise<number> {
+    return Number(await this.contract.getLiquidationPrice(positionId));
+  }
+
+  /**
+   * Checks whether the connected signer holds LIQUIDATOR_ROLE
+   * @returns Promise<boolean> False if the service is read-only or the signer lacks the role
+   */
+  async isSignerLiquidator(): Promise<boolean> {
+    const runner = this.contract.runner as Partial<Signer> | null;
+    if (!runner?.getAddress) {
+      return false;
+    }
+
+    const role = await this.contract.LIQUIDATOR_ROLE();
+    return await this.contract.hasRole(role, await runner.getAddress());
+  }
+
+  /**
+   * Checks whether the contract implements liquidatePosition, by simulating it
+   * for a position. Other reverts are rethrown
+   * @param positionId Position to simulate liquidating
+   * @returns Promise<boolean> False while liquidatePosition reverts as not implemented
+   */
+  async supportsLiquidation(positionId: number): Promise<boolean> {
+    try {
+      await this.contract.liquidatePosition.staticCall(positionId);
+      return true;
+    } catch (error) {
+      if (isCallException(error) && error.reason === LIQUIDATION_NOT_IMPLEMENTED_REASON) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Simulates liquidating a position with eth_call
+   * @param positionId Position ID
+   * @returns Promise<bigint> Liquidation value the contract would return
+   */
+  async simulateLiquidation(positionId: number): Promise<bigint> {
+    return await this.contract.liquidatePosition.staticCall(positionId);
+  }
+
+  /**
+   * Liquidates a position
+   * @param positionId Position ID
+   * @returns Promise<TransactionSummary> Mined transaction
+   */
+  async liquidatePosition(positionId: number): Promise<TransactionSummary> {
+    return toTransactionSummary(await waitForReceipt(await this.contract.liquidatePosition(positionId)));
+   }
+}
@@ -0,0 +1,233 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { FundingKeeper } from '../services/FundingKeeper.js';
+import { FundingExecutionResult, FundingManagerService, TransactionState } from '../services/FundingManagerService.js';
+import { KeeperMetrics } from '../services/KeeperMetrics.js';
+
+const NYY_AMM = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const BOS_AMM = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+
+// 10 AM ET slot on 2025-05-01, with a one hour grace period
+const SLOT_START = Date.parse('2025-05-01T14:00:00Z') / 1000;
+
+function makeExecution(ammAddress: string): FundingExecutionResult {
+  return {
+    transactionHash: `0x${ammAddress.slice(2, 6)}`,
+    blockNumber: 42,
+    gasUsed: 300_000n,
+    rate: { rate: 125_000_000_000_000n, oraclePrice: 600n, markPrice: 610n, premium: 16_000_000_000_000_000n },
+    execution: { totalPayments: 1_000n, lpFunding: 50n, positionCount: 3, capReached: false, executionTime: SLOT_START + 600 },
+    capsReached: [],
+    emergencies: []
+  };
+}
+
+describe('FundingKeeper', () => {
+  // 10:20 AM EDT, inside the grace period
+  const inWindow = new Date('2025-05-01T14:20:00Z');
+  // 11:30 AM EDT, after the grace period
+  const afterGrace = new Date('2025-05-01T15:30:00Z');
+
+  let lastFundingTimes: Record<string, number>;
+  let mockIsRegistered: jest.Mock<(ammAddress: string) => Promise<boolean>>;
+  let mockIsFundingPaused: jest.Mock<(ammAddress: string) => Promise<boolean>>;
+  let mockExecuteFunding: jest.Mock<(ammAddress: string, onSent?: (transactionHash: string) => void) => Promise<FundingExecutionResult>>;
+  let mockSimulateFunding: jest.Mock<(ammAddress: string) => Promise<any>>;
+  let mockUpdateFundingRate: jest.Mock<(ammAddress: string) => Promise<any>>;
+  let mockGetTransactionState: jest.Mock<(transactionHash: string) => Promise<TransactionState>>;
+  let managerPaused: boolean;
+  let fundingManager: FundingManagerService;
+  let tempDir: string;
+  let statePath: string;
+
+  beforeEach(() => {
+    lastFundingTimes = { [NYY_AMM]: SLOT_START - 86400, [BOS_AMM]: SLOT_START - 86400 };
+    managerPaused = false;
+    mockIsRegistered = jest.fn(async () => true);
+    mockIsFundingPaused = jest.fn(async () => false);
+    mockExecuteFunding = jest.fn(async (ammAddress: string, onSent?: (transactionHash: string) => void) => {
+      const result = makeExecution(ammAddress);
+      onSent?.(result.transactionHash);
+      return result;
+    });
+    mockSimulateFunding = jest.fn(async (ammAddress: string) => ({ rate: 1n, execution: makeExecution(ammAddress).execution }));
+    mockUpdateFundingRate = jest.fn(async (ammAddress: string) => {
+      const { rate, transactionHash, blockNumber, gasUsed } = makeExecution(ammAddress);
+      return { rate, transactionHash, blockNumber, gasUsed };
+    });
+    mockGetTransactionState = jest.fn(async () => 'pending' as TransactionState);
+
+    fundingManager = {
+      getSchedule: async () => ({ fundingPeriod: 86400, fundingTime: 10 * 3600, gracePeriod: 3600 }),
+      isPaused: async () => managerPaused,
+      isRegistered: mockIsRegistered,
+      isFundingPaused: mockIsFundingPaused,
+      getLastFundingTime: async (ammAddress: string) => lastFundingTimes[ammAddress],
+      getTeamId: async (ammAddress: string) => ammAddress === NYY_AMM ? 'NYY' : 'BOS',
+      simulateFunding: mockSimulateFunding,
+      updateFundingRate: mockUpdateFundingRate,
+      executeFunding: mockExecuteFunding,
+      getTransactionState: mockGetTransactionState
+    } as unknown as FundingManagerService;
+
+    tempDir = mkdtempSync(join(tmpdir(), 'funding-'));
+    statePath = join(tempDir, 'funding-state.json');
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function createKeeper(ammAddresses: string[] = [NYY_AMM, BOS_AMM]): FundingKeeper {
+    return new FundingKeeper(fundingManager, ammAddresses, { statePath, log: () => {} });
+  }
+
+  it('should execute funding for every AMM due in the current slot', async () => {
+    const results = await createKeeper().run(inWindow);
+
+    expect(mockExecuteFunding.mock.calls.map(call => call[0])).toEqual([NYY_AMM, BOS_AMM]);
+    expect(results[0]).toMatchObject({
+      ammAddress: NYY_AMM,
+      teamId: 'NYY',
+      slotStart: SLOT_START,
+      status: 'executed',
+      fundingRate: 125_000_000_000_000n,
+      transactionHash: '0x5FbD'
+    });
+    expect(results[0].execution?.positionCount).toBe(3);
+
+    const state = JSON.parse(readFileSync(statePath, 'utf8'));
+    expect(state.transactions[NYY_AMM.toLowerCase()]).toMatchObject({ slotStart: SLOT_START, transactionHash: '0x5FbD' });
+  });
+
+  it('should skip AMMs already funded in the current slot', async () => {
+    lastFundingTimes[NYY_AMM] = SLOT_START + 60;
+
+    const results = await createKeeper().run(inWindow);
+
+    expect(results.map(result => result.status)).toEqual(['already-funded', 'executed']);
+    expect(mockExecuteFunding).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not resend a transaction that is still pending after a restart', async () => {
+    // First run sends the transaction but it never gets mined
+    mockExecuteFunding.mockImplementationOnce(async (_ammAddress, onSent) => {
+      onSent?.('0xstuck');
+      throw new Error('timeout waiting for receipt');
+    });
+    const [first] = await createKeeper([NYY_AMM]).run(inWindow);
+    expect(first.status).toBe('failed');
+
+    const [second] = await createKeeper([NYY_AMM]).run(inWindow);
+
+    expect(mockGetTransactionState).toHaveBeenCalledWith('0xstuck');
+    expect(second).toMatchObject({ status: 'pending', transactionHash: '0xstuck' });
+    expect(mockExecuteFunding).toHaveBeenCalledTimes(1);
+  });
+
+  it('should resend a transaction for the slot that was dropped', async () => {
+    mockExecuteFunding.mockImplementationOnce(async (_ammAddress, onSent) => {
+      onSent?.('0xdropped');
+      throw new Error('timeout waiting for receipt');
+    });
+    await createKeeper([NYY_AMM]).run(inWindow);
+    mockGetTransactionState.mockResolvedValue('unknown');
+
+    const [result] = await createKeeper([NYY_AMM]).run(inWindow);
+
+    expect(result.status).toBe('executed');
+    expect(mockExecuteFunding).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not execute after the grace period unless forced', async () => {
+    const [missed] = await createKeeper([NYY_AMM]).run(afterGrace);
+    expect(missed.status).toBe('missed-window');
+    expect(mockExecuteFunding).not.toHaveBeenCalled();
+
+    const [forced] = await createKeeper([NYY_AMM]).run(afterGrace, { force: true });
+    expect(forced.status).toBe('executed');
+  });
+
+  it('should report paused and unregistered AMMs without sending transactions', async () => {
+    mockIsRegistered.mockImplementation(async (ammAddress: string) => ammAddress === NYY_AMM);
+    mockIsFundingPaused.mockResolvedValue(true);
+
+    const results = await createKeeper().run(inWindow);
+
+    expect(results.map(result => result.status)).toEqual(['paused', 'not-registered']);
+    expect(results[0].reason).toBe('funding is paused for this AMM');
+    expect(mockExecuteFunding).not.toHaveBeenCalled();
+  });
+
+  it('should report every AMM as paused while the FundingManager is paused', async () => {
+    managerPaused = true;
+
+    const results = await createKeeper().run(inWindow);
+
+    expect(results.map(result => result.reason)).toEqual(['FundingManager is paused', 'FundingManager is paused']);
+  });
+
+  it('should keep going when one AMM fails', async () => {
+    mockExecuteFunding.mockRejectedValueOnce(new Error('execution reverted: Oracle price too old'));
+
+    const results = await createKeeper().run(inWindow);
+
+    expect(results[0]).toMatchObject({ status: 'failed', reason: 'execution reverted: Oracle price too old' });
+    expect(results[1].status).toBe('executed');
+  });
+
+  it('should simulate instead of sending on a dry run', async () => {
+    const results = await createKeeper().run(inWindow, { dryRun: true });
+
+    expect(results.map(result => result.status)).toEqual(['simulated', 'simulated']);
+    expect(results[0].fundingRate).toBe(1n);
+    expect(mockExecuteFunding).not.toHaveBeenCalled();
+  });
+
+  it('should only update rates on a rates-only run, even for funded AMMs', async () => {
+    lastFundingTimes[NYY_AMM] = SLOT_START + 60;
+
+    const results = await createKeeper().run(afterGrace, { ratesOnly: true });
+
+    expect(results.map(result => result.status)).toEqual(['rate-updated', 'rate-updated']);
+    expect(mockUpdateFundingRate).toHaveBeenCalledTimes(2);
+    expect(mockExecuteFunding).not.toHaveBeenCalled();
+  });
+
+  it('should record completed runs and their gas in the metrics', async () => {
+    const metrics = new KeeperMetrics([], { staleAfterSeconds: 900 });
+    const keeper = new FundingKeeper(fundingManager, [NYY_AMM, BOS_AMM], { statePath, log: () => {}, metrics });
+
+    await keeper.run(inWindow);
+
+    expect(metrics.getHealth(inWindow).lastSuccessAt).toBe(inWindow.toISOString());
+    const output = await metrics.registry.metrics();
+    expect(output).toContain('keeper_results_total{status="executed"} 2');
+    expect(output).toContain('keeper_transaction_gas_used_sum 600000');
+  });
+
+  it('should not refresh health when executeFunding fails', async () => {
+    const metrics = new KeeperMetrics([], { staleAfterSeconds: 900 });
+    mockExecuteFunding.mockRejectedValue(new Error('execution reverted'));
+    const keeper = new FundingKeeper(fundingManager, [NYY_AMM, BOS_AMM], { statePath, log: () => {}, metrics });
+
+    const results = await keeper.run(inWindow);
+
+    expect(results.map(result => result.status)).toEqual(['failed', 'failed']);
+    expect(metrics.getHealth(inWindow).lastSuccessAt).toBeUndefined();
+    expect(await metrics.registry.metrics()).toContain('keeper_results_total{status="failed"} 2');
+  });
+
+  it('should count a run that fails before reaching the AMMs', async () => {
+    const metrics = new KeeperMetrics([], { staleAfterSeconds: 900 });
+    fundingManager.getSchedule = async () => { throw new Error('RPC unavailable'); };
+    const keeper = new FundingKeeper(fundingManager, [NYY_AMM], { statePath, log: () => {}, metrics });
+
+    await expect(keeper.run(inWindow)).rejects.toThrow('RPC unavailable');
+
+    expect(metrics.getHealth(inWindow).lastSuccessAt).toBeUndefined();
+    expect(await metrics.registry.metrics()).toContain('keeper_run_failures_total 1');
+  });
+});
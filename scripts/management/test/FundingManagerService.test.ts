@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import { Contract, Interface } from 'ethers';
+import { FUNDING_MANAGER_ABI } from '../abi/fundingManagerAbi.js';
+import { FundingManagerService } from '../services/FundingManagerService.js';
+
+const MANAGER_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const NYY_AMM = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const BOS_AMM = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+
+const fundingManagerInterface = new Interface(FUNDING_MANAGER_ABI);
+
+// Builds a receipt log for a FundingManager event
+function makeLog(eventName: string, args: unknown[], address: string = MANAGER_ADDRESS) {
+  const { data, topics } = fundingManagerInterface.encodeEventLog(eventName, args);
+  return { address, data, topics };
+}
+
+describe('FundingManagerService', () => {
+  let mockExecuteFunding: jest.Mock<(...args: any[]) => Promise<any>>;
+  let mockHasRole: jest.Mock<(...args: any[]) => Promise<boolean>>;
+  let mockGetTransactionReceipt: jest.Mock<(hash: string) => Promise<any>>;
+  let mockGetTransaction: jest.Mock<(hash: string) => Promise<any>>;
+  let service: FundingManagerService;
+
+  function mockReceipt(logs: ReturnType<typeof makeLog>[]) {
+    mockExecuteFunding.mockResolvedValue({
+      hash: '0xfeed',
+      wait: async () => ({ hash: '0xfeed', blockNumber: 42, gasUsed: 300000n, logs, getBlock: async () => ({ timestamp: 1746108000 }) })
+    });
+  }
+
+  beforeEach(() => {
+    mockExecuteFunding = jest.fn<(...args: any[]) => Promise<any>>();
+    mockHasRole = jest.fn<(...args: any[]) => Promise<boolean>>(async () => true);
+    mockGetTransactionReceipt = jest.fn<(hash: string) => Promise<any>>(async () => null);
+    mockGetTransaction = jest.fn<(hash: string) => Promise<any>>(async () => null);
+
+    const contract = {
+      interface: fundingManagerInterface,
+      runner: {
+        getAddress: async () => '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+        provider: { getTransactionReceipt: mockGetTransactionReceipt, getTransaction: mockGetTransaction }
+      },
+      getAddress: async () => MANAGER_ADDRESS,
+      FUNDING_EXECUTOR_ROLE: async () => '0x01',
+      hasRole: mockHasRole,
+      executeFunding: mockExecuteFunding,
+      getDailyFundingUsage: async () => [150n, 1_000n, 1746057600n],
+      getCumulativeFundingUsage: async () => [900n, 5_000n],
+      shouldTriggerEmergency: async (ammAddress: string) => ammAddress === NYY_AMM ? [true, 2n] : [false, 0n]
+    } as unknown as Contract;
+
+    service = new FundingManagerService(contract);
+  });
+
+  describe('assertSignerIsExecutor', () => {
+    it('should return the signer address when it holds the role', async () => {
+      await expect(service.assertSignerIsExecutor()).resolves.toBe('0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+      expect(mockHasRole).toHaveBeenCalledWith('0x01', '0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+    });
+
+    it('should throw when the signer lacks the role', async () => {
+      mockHasRole.mockResolvedValue(false);
+
+      await expect(service.assertSignerIsExecutor()).rejects.toThrow('does not hold FUNDING_EXECUTOR_ROLE');
+    });
+  });
+
+  describe('executeFunding', () => {
+    it('should decode the rate, execution, cap and emergency events for the AMM', async () => {
+      mockReceipt([
+        makeLog('FundingRateUpdated', [NYY_AMM, 125n, 600n, 610n, 16n]),
+        makeLog('FundingCapReached', [NYY_AMM, 'daily', 500n, 400n]),
+        makeLog('EmergencyProtocolTriggered', [NYY_AMM, 'LP_DRAIN', 2n]),
+        makeLog('FundingExecuted', [NYY_AMM, 1000n, -400n, 3n, true])
+      ]);
+      const onSent = jest.fn();
+
+      const result = await service.executeFunding(NYY_AMM, onSent);
+
+      expect(onSent).toHaveBeenCalledWith('0xfeed');
+      expect(result).toEqual({
+        transactionHash: '0xfeed',
+        blockNumber: 42,
+        gasUsed: 300000n,
+        rate: { rate: 125n, oraclePrice: 600n, markPrice: 610n, premium: 16n },
+        execution: { totalPayments: 1000n, lpFunding: -400n, positionCount: 3, capReached: true, executionTime: 1746108000 },
+        capsReached: [{ capType: 'daily', requestedAmount: 500n, actualAmount: 400n }],
+        emergencies: [{ protocol: 'LP_DRAIN', severity: 2 }]
+      });
+    });
+
+    it('should ignore events for other AMMs and other contracts', async () => {
+      mockReceipt([
+        makeLog('FundingCapReached', [BOS_AMM, 'daily', 500n, 400n]),
+        makeLog('EmergencyProtocolTriggered', [NYY_AMM, 'LP_DRAIN', 3n], BOS_AMM),
+        makeLog('FundingExecuted', [NYY_AMM, 0n, 0n, 0n, false])
+      ]);
+
+      const result = await service.executeFunding(NYY_AMM);
+
+      expect(result.rate).toBeUndefined();
+      expect(result.capsReached).toEqual([]);
+      expect(result.emergencies).toEqual([]);
+    });
+  });
+
+  describe('funding cap usage', () => {
+    it('should read the daily and cumulative usage for an AMM', async () => {
+      await expect(service.getDailyFundingUsage(NYY_AMM)).resolves.toEqual({ used: 150n, cap: 1_000n, resetTime: 1746057600 });
+      await expect(service.getCumulativeFundingUsage(NYY_AMM)).resolves.toEqual({ used: 900n, cap: 5_000n });
+    });
+
+    it('should report the emergency severity, or 0 below the threshold', async () => {
+      await expect(service.getEmergencySeverity(NYY_AMM)).resolves.toBe(2);
+      await expect(service.getEmergencySeverity(BOS_AMM)).resolves.toBe(0);
+    });
+  });
+
+  describe('getTransactionState', () => {
+    it('should distinguish mined, pending and dropped transactions', async () => {
+      mockGetTransactionReceipt.mockResolvedValueOnce({ status: 1 });
+      mockGetTransactionReceipt.mockResolvedValueOnce({ status: 0 });
+      await expect(service.getTransactionState('0x1')).resolves.toBe('succeeded');
+      await expect(service.getTransactionState('0x2')).resolves.toBe('reverted');
+
+      mockGetTransaction.mockResolvedValueOnce({ hash: '0x3' });
+      await expect(service.getTransactionState('0x3')).resolves.toBe('pending');
+      await expect(service.getTransactionState('0x4')).resolves.toBe('unknown');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import { FundingCapUsage, FundingManagerService } from '../services/FundingManagerService.js';
+import { KeeperMetrics } from '../services/KeeperMetrics.js';
+import { VirtualAmmService } from '../services/VirtualAmmService.js';
+
+const NYY_AMM = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const BOS_AMM = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+
+function makeAmm(address: string, teamId: string, price: number, netImbalance: bigint) {
+  const getCurrentPrice = jest.fn(async () => price);
+  const service = {
+    getAddress: async () => address,
+    getTeamId: async () => teamId,
+    getCurrentPrice,
+    getNetImbalance: async () => netImbalance
+  } as unknown as VirtualAmmService;
+
+  return { service, getCurrentPrice };
+}
+
+describe('KeeperMetrics', () => {
+  const startedAt = new Date('2025-05-01T14:00:00Z');
+
+  let nyy: ReturnType<typeof makeAmm>;
+  let bos: ReturnType<typeof makeAmm>;
+  let fundingManager: FundingManagerService;
+
+  beforeEach(() => {
+    nyy = makeAmm(NYY_AMM, 'NYY', 540, 2_500n);
+    bos = makeAmm(BOS_AMM, 'BOS', 470, -1_000n);
+    fundingManager = {
+      isRegistered: async (ammAddress: string) => ammAddress === NYY_AMM,
+      getDailyFundingUsage: async (): Promise<FundingCapUsage> => ({ used: 150n, cap: 1_000n, resetTime: 1746057600 }),
+      getCumulativeFundingUsage: async (): Promise<FundingCapUsage> => ({ used: 900n, cap: 5_000n })
+    } as unknown as FundingManagerService;
+  });
+
+  describe('refresh', () => {
+    it('should export each AMM\'s price, net imbalance and funding cap usage', async () => {
+      const metrics = new KeeperMetrics([nyy.service, bos.service], { fundingManager, staleAfterSeconds: 900 });
+
+      await metrics.refresh();
+      const output = await metrics.registry.metrics();
+
+      expect(output).toContain(`amm_current_price{amm="${NYY_AMM}",team="NYY"} 540`);
+      expect(output).toContain(`amm_current_price{amm="${BOS_AMM}",team="BOS"} 470`);
+      expect(output).toContain(`amm_net_imbalance{amm="${BOS_AMM}",team="BOS"} -1000`);
+      expect(output).toContain(`amm_daily_funding_used{amm="${NYY_AMM}",team="NYY"} 150`);
+      expect(output).toContain(`amm_daily_funding_cap{amm="${NYY_AMM}",team="NYY"} 1000`);
+      expect(output).toContain(`amm_cumulative_funding_used{amm="${NYY_AMM}",team="NYY"} 900`);
+      expect(output).toContain(`amm_cumulative_funding_cap{amm="${NYY_AMM}",team="NYY"} 5000`);
+      // BOS is not registered with the FundingManager
+      expect(output).not.toContain(`amm_daily_funding_used{amm="${BOS_AMM}"`);
+    });
+
+    it('should leave out funding cap usage without a FundingManager', async () => {
+      const metrics = new KeeperMetrics([nyy.service], { staleAfterSeconds: 900 });
+
+      await metrics.refresh();
+
+      expect(await metrics.registry.metrics()).not.toContain('amm_daily_funding_used{');
+    });
+
+    it('should count an AMM that cannot be read and keep reading the others', async () => {
+      nyy.getCurrentPrice.mockRejectedValue(new Error('missing revert data'));
+      const metrics = new KeeperMetrics([nyy.service, bos.service], { staleAfterSeconds: 900 });
+
+      await metrics.refresh();
+      const output = await metrics.registry.metrics();
+
+      expect(output).toContain(`amm_read_errors_total{amm="${NYY_AMM}"} 1`);
+      expect(output).toContain(`amm_current_price{amm="${BOS_AMM}",team="BOS"} 470`);
+    });
+  });
+
+  describe('getHealth', () => {
+    it('should give a keeper that has not run yet until the stale threshold', () => {
+      const metrics = new KeeperMetrics([], { staleAfterSeconds: 900, startedAt });
+
+      expect(metrics.getHealth(new Date('2025-05-01T14:10:00Z'))).toEqual({ healthy: true, ageSeconds: 600, staleAfterSeconds: 900 });
+      expect(metrics.getHealth(new Date('2025-05-01T14:20:00Z')).healthy).toBe(false);
+    });
+
+    it('should fail once the last completed run is older than the stale threshold', () => {
+      const metrics = new KeeperMetrics([], { staleAfterSeconds: 900, startedAt });
+      metrics.recordRun([], new Date('2025-05-01T15:00:00Z'));
+
+      expect(metrics.getHealth(new Date('2025-05-01T15:15:00Z')).healthy).toBe(true);
+      expect(metrics.getHealth(new Date('2025-05-01T15:15:01Z'))).toEqual({
+        healthy: false,
+        lastSuccessAt: '2025-05-01T15:00:00.000Z',
+        ageSeconds: 901,
+        staleAfterSeconds: 900
+      });
+    });
+
+    it('should not count a run in which an AMM failed or missed its funding window', () => {
+      const metrics = new KeeperMetrics([], { staleAfterSeconds: 900, startedAt });
+      metrics.recordRun([{ status: 'executed' }, { status: 'already-funded' }], new Date('2025-05-01T14:05:00Z'));
+      metrics.recordRun([{ status: 'executed' }, { status: 'failed' }], new Date('2025-05-01T14:10:00Z'));
+      metrics.recordRun([{ status: 'missed-window' }], new Date('2025-05-01T14:15:00Z'));
+
+      expect(metrics.getHealth(new Date('2025-05-01T14:20:01Z'))).toEqual({
+        healthy: false,
+        lastSuccessAt: '2025-05-01T14:05:00.000Z',
+        ageSeconds: 901,
+        staleAfterSeconds: 900
+      });
+    });
+  });
+});
@@ -0,0 +1,219 @@
+import { jest } from '@jest/globals';
+import { KeeperMetrics } from '../services/KeeperMetrics.js';
+import { isAtRisk, LiquidationKeeper } from '../services/LiquidationKeeper.js';
+import { VirtualAmmPosition, VirtualAmmService } from '../services/VirtualAmmService.js';
+
+const NYY_AMM = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const BOS_AMM = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+const TRADER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+interface MockPosition {
+  size: bigint;
+  liquidationPrice: number;
+  adequateMargin: boolean;
+  isOpen?: boolean;       // Closed after getOpenPositionIds listed it; default true
+}
+
+function makeAmm(address: string, teamId: string, currentPrice: number, positions: Record<number, MockPosition>) {
+  const mocks = {
+    isSignerLiquidator: jest.fn(async () => true),
+    supportsLiquidation: jest.fn(async (_positionId: number) => true),
+    simulateLiquidation: jest.fn(async (_positionId: number) => 90n),
+    liquidatePosition: jest.fn(async (positionId: number) => ({ transactionHash: `0x${positionId}`, blockNumber: 7, gasUsed: 80_000n })),
+    getOpenPositionIds: jest.fn(async () => Object.keys(positions).map(Number))
+  };
+  const service = {
+    ...mocks,
+    getAddress: async () => address,
+    getTeamId: async () => teamId,
+    getCurrentPrice: async () => currentPrice,
+    getPosition: async (positionId: number): Promise<VirtualAmmPosition> => ({
+      positionId,
+      trader: TRADER,
+      size: positions[positionId].size,
+      entryPrice: 500,
+      margin: 100n,
+      leverage: 2_000_000_000_000_000_000n,
+      timestamp: 1746108000,
+      isOpen: positions[positionId].isOpen ?? true
+    }),
+    getPositionValue: async () => -10n,
+    hasAdequateMargin: async (positionId: number) => positions[positionId].adequateMargin,
+    getLiquidationPrice: async (positionId: number) => {
+      if (positions[positionId].isOpen === false) {
+        throw new Error('execution reverted: PositionNotFound()');
+      }
+      return positions[positionId].liquidationPrice;
+    }
+  } as unknown as VirtualAmmService;
+
+  return { service, mocks };
+}
+
+describe('LiquidationKeeper', () => {
+  let nyy: ReturnType<typeof makeAmm>;
+  let bos: ReturnType<typeof makeAmm>;
+
+  beforeEach(() => {
+    // NYY trades at 480: long #1 is 40 points from liquidation, short #2 is past it
+    nyy = makeAmm(NYY_AMM, 'NYY', 480, {
+      1: { size: 1000n, liquidationPrice: 440, adequateMargin: true },
+      2: { size: -1000n, liquidationPrice: 470, adequateMargin: false }
+    });
+    // BOS trades at 600: long #1 is 100 points away, long #2 is 5 points away
+    bos = makeAmm(BOS_AMM, 'BOS', 600, {
+      1: { size: 500n, liquidationPrice: 500, adequateMargin: true },
+      2: { size: 500n, liquidationPrice: 595, adequateMargin: true }
+    });
+  });
+
+  function createKeeper(): LiquidationKeeper {
+    return new LiquidationKeeper([nyy.service, bos.service], { log: () => {} });
+  }
+
+  describe('scan', () => {
+    it('should rank undercollateralized positions first, then by distance to liquidation', async () => {
+      const { positions, failures } = await createKeeper().scan();
+
+      expect(failures).toEqual([]);
+      expect(positions.map(position => `${position.teamId}#${position.positionId}`)).toEqual(['NYY#2', 'BOS#2', 'NYY#1', 'BOS#1']);
+      expect(positions[0]).toMatchObject({ side: 'short', currentPrice: 480, liquidationPrice: 470, distance: -10, distancePercent: -2.08, adequateMargin: false });
+      expect(positions[1]).toMatchObject({ side: 'long', distance: 5, distancePercent: 0.83, trader: TRADER, unrealizedPnl: -10n });
+    });
+
+    it('should report an AMM that cannot be read and keep scanning the others', async () => {
+      nyy.mocks.getOpenPositionIds.mockRejectedValue(new Error('could not coalesce error'));
+
+      const { positions, failures } = await createKeeper().scan();
+
+      expect(failures).toEqual([{ ammAddress: NYY_AMM, reason: 'could not coalesce error' }]);
+      expect(positions.map(position => position.teamId)).toEqual(['BOS', 'BOS']);
+    });
+
+    it('should skip a position that closes while the AMM is scanned', async () => {
+      nyy = makeAmm(NYY_AMM, 'NYY', 480, {
+        1: { size: 1000n, liquidationPrice: 440, adequateMargin: true, isOpen: false },
+        2: { size: -1000n, liquidationPrice: 470, adequateMargin: false }
+      });
+
+      const { positions, failures } = await createKeeper().scan();
+
+      expect(failures).toEqual([]);
+      expect(positions.map(position => `${position.teamId}#${position.positionId}`)).toEqual(['NYY#2', 'BOS#2', 'BOS#1']);
+    });
+
+    it('should read at most scanBatchSize positions at a time', async () => {
+      const many = makeAmm(NYY_AMM, 'NYY', 480, Object.fromEntries(Array.from({ length: 5 }, (_, i) => [i + 1, { size: 1000n, liquidationPrice: 440, adequateMargin: true }])));
+      const getPosition = many.service.getPosition.bind(many.service);
+      let inFlight = 0;
+      let maxInFlight = 0;
+      many.service.getPosition = async (positionId: number) => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight--;
+        return getPosition(positionId);
+      };
+
+      const { positions } = await new LiquidationKeeper([many.service], { log: () => {}, scanBatchSize: 2 }).scan();
+
+      expect(positions).toHaveLength(5);
+      expect(maxInFlight).toBe(2);
+    });
+  });
+
+  describe('isAtRisk', () => {
+    it('should include undercollateralized positions and those within the threshold', async () => {
+      const { positions } = await createKeeper().scan();
+
+      expect(positions.filter(position => isAtRisk(position, 10)).map(position => position.positionId)).toEqual([2, 2, 1]);
+      expect(positions.filter(position => isAtRisk(position, 1)).map(position => position.teamId)).toEqual(['NYY', 'BOS']);
+    });
+  });
+
+  describe('run', () => {
+    it('should liquidate only undercollateralized positions', async () => {
+      const results = await createKeeper().run();
+
+      expect(nyy.mocks.liquidatePosition).toHaveBeenCalledWith(2);
+      expect(bos.mocks.liquidatePosition).not.toHaveBeenCalled();
+      expect(results).toEqual([{
+        ammAddress: NYY_AMM,
+        teamId: 'NYY',
+        positionId: 2,
+        trader: TRADER,
+        distance: -10,
+        status: 'liquidated',
+        transactionHash: '0x2',
+        blockNumber: 7,
+        gasUsed: 80_000n
+      }]);
+    });
+
+    it('should report positions as unsupported while liquidatePosition is not implemented', async () => {
+      nyy.mocks.supportsLiquidation.mockResolvedValue(false);
+
+      const [result] = await createKeeper().run();
+
+      expect(result).toMatchObject({ positionId: 2, status: 'unsupported' });
+      expect(nyy.mocks.liquidatePosition).not.toHaveBeenCalled();
+    });
+
+    it('should not try to liquidate without LIQUIDATOR_ROLE', async () => {
+      nyy.mocks.isSignerLiquidator.mockResolvedValue(false);
+
+      const [result] = await createKeeper().run();
+
+      expect(result.status).toBe('unauthorized');
+      expect(nyy.mocks.supportsLiquidation).not.toHaveBeenCalled();
+    });
+
+    it('should simulate instead of sending on a dry run', async () => {
+      const [result] = await createKeeper().run({ dryRun: true });
+
+      expect(result).toMatchObject({ positionId: 2, status: 'simulated', liquidationValue: 90n });
+      expect(nyy.mocks.liquidatePosition).not.toHaveBeenCalled();
+    });
+
+    it('should keep going when a liquidation fails', async () => {
+      bos = makeAmm(BOS_AMM, 'BOS', 600, { 3: { size: 500n, liquidationPrice: 610, adequateMargin: false } });
+      nyy.mocks.liquidatePosition.mockRejectedValue(new Error('execution reverted'));
+
+      const results = await createKeeper().run();
+
+      expect(results.map(result => [result.teamId, result.status])).toEqual([['NYY', 'failed'], ['BOS', 'liquidated']]);
+      expect(results[0].reason).toBe('execution reverted');
+    });
+
+    it('should log an unsupported position once across scheduled runs', async () => {
+      nyy.mocks.supportsLiquidation.mockResolvedValue(false);
+      const messages: string[] = [];
+      const results: string[] = [];
+      const keeper = new LiquidationKeeper([nyy.service, bos.service], {
+        schedule: '0 0 1 1 *', // Only the run on start
+        log: (message) => messages.push(message),
+        onResult: (result) => results.push(result.status)
+      });
+
+      for (let run = 0; run < 2; run++) {
+        keeper.start();
+        while (results.length <= run) {
+          await new Promise(resolve => setImmediate(resolve));
+        }
+        keeper.stop();
+      }
+
+      expect(results).toEqual(['unsupported', 'unsupported']);
+      expect(messages).toEqual(['NYY #2: unsupported (VirtualAMM.liquidatePosition is not implemented)']);
+    });
+
+    it('should record each result in the metrics', async () => {
+      const metrics = new KeeperMetrics([], { staleAfterSeconds: 300 });
+      nyy.mocks.supportsLiquidation.mockResolvedValue(false);
+
+      await new LiquidationKeeper([nyy.service, bos.service], { log: () => {}, metrics }).run();
+
+      expect(metrics.getHealth().healthy).toBe(true);
+      expect(await metrics.registry.metrics()).toContain('keeper_results_total{status="unsupported"} 1');
+    });
+  });
+});
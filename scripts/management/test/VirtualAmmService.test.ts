@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import { Contract, makeError } from 'ethers';
+import { VirtualAmmService } from '../services/VirtualAmmService.js';
+
+const AMM_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const KEEPER_ADDRESS = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+// A revert of liquidatePosition as ethers reports it
+function makeRevert(reason: string) {
+  return makeError(`execution reverted: "${reason}"`, 'CALL_EXCEPTION', {
+    action: 'call',
+    data: null,
+    reason,
+    transaction: { to: AMM_ADDRESS, data: '0x' },
+    invocation: null,
+    revert: null
+  });
+}
+
+describe('VirtualAmmService', () => {
+  let mockLiquidatePosition: jest.Mock<(...args: any[]) => Promise<any>> & { staticCall?: jest.Mock<(...args: any[]) => Promise<bigint>> };
+  let mockHasRole: jest.Mock<(...args: any[]) => Promise<boolean>>;
+  let runner: object | null;
+
+  function createService(): VirtualAmmService {
+    return new VirtualAmmService({
+      runner,
+      getAddress: async () => AMM_ADDRESS,
+      getAllOpenPositions: async () => [3n, 7n],
+      getPosition: async () => ({ trader: KEEPER_ADDRESS, size: -500n, entryPrice: 512n, margin: 100n, leverage: 2n * 10n ** 18n, timestamp: 1746108000n, isOpen: true }),
+      LIQUIDATOR_ROLE: async () => '0x02',
+      hasRole: mockHasRole,
+      liquidatePosition: mockLiquidatePosition
+    } as unknown as Contract);
+  }
+
+  beforeEach(() => {
+    mockLiquidatePosition = jest.fn<(...args: any[]) => Promise<any>>();
+    mockLiquidatePosition.staticCall = jest.fn<(...args: any[]) => Promise<bigint>>(async () => 90n);
+    mockHasRole = jest.fn<(...args: any[]) => Promise<boolean>>(async () => true);
+    runner = { getAddress: async () => KEEPER_ADDRESS };
+  });
+
+  it('should convert position IDs and fields to numbers', async () => {
+    const service = createService();
+
+    await expect(service.getOpenPositionIds()).resolves.toEqual([3, 7]);
+    await expect(service.getPosition(3)).resolves.toEqual({
+      positionId: 3,
+      trader: KEEPER_ADDRESS,
+      size: -500n,
+      entryPrice: 512,
+      margin: 100n,
+      leverage: 2n * 10n ** 18n,
+      timestamp: 1746108000,
+      isOpen: true
+    });
+  });
+
+  describe('isSignerLiquidator', () => {
+    it('should check LIQUIDATOR_ROLE for the signer', async () => {
+      await expect(createService().isSignerLiquidator()).resolves.toBe(true);
+      expect(mockHasRole).toHaveBeenCalledWith('0x02', KEEPER_ADDRESS);
+    });
+
+    it('should be false without a signer', async () => {
+      runner = {};
+
+      await expect(createService().isSignerLiquidator()).resolves.toBe(false);
+      expect(mockHasRole).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('supportsLiquidation', () => {
+    it('should be true when the simulation succeeds', async () => {
+      await expect(createService().supportsLiquidation(3)).resolves.toBe(true);
+      expect(mockLiquidatePosition.staticCall).toHaveBeenCalledWith(3);
+    });
+
+    it('should be false while liquidatePosition reverts as not implemented', async () => {
+      mockLiquidatePosition.staticCall!.mockRejectedValue(makeRevert('Not implemented yet'));
+
+      await expect(createService().supportsLiquidation(3)).resolves.toBe(false);
+    });
+
+    it('should rethrow other reverts', async () => {
+      mockLiquidatePosition.staticCall!.mockRejectedValue(makeRevert('Position has adequate margin'));
+
+      await expect(createService().supportsLiquidation(3)).rejects.toThrow('Position has adequate margin');
+    });
+  });
+
+  it('should summarize a mined liquidation', async () => {
+    mockLiquidatePosition.mockResolvedValue({
+      hash: '0xfeed',
+      wait: async () => ({ hash: '0xfeed', blockNumber: 42, gasUsed: 90000n, logs: [] })
+    });
+
+    await expect(createService().liquidatePosition(3)).resolves.toEqual({ transactionHash: '0xfeed', blockNumber: 42, gasUsed: 90000n });
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect } from '@jest/globals';
+import { FundingSchedule, getFundingWindow } from '../utils/fundingSchedule.js';
+
+const schedule: FundingSchedule = { fundingPeriod: 24 * 3600, fundingTime: 10 * 3600, gracePeriod: 3600 };
+
+// Unix seconds of an ISO time
+const at = (iso: string) => Date.parse(iso) / 1000;
+
+describe('getFundingWindow', () => {
+  it('starts the slot at 10 AM ET on the current day once it has passed', () => {
+    // 10:20 AM EDT
+    expect(getFundingWindow(new Date('2025-05-01T14:20:00Z'), schedule)).toEqual({
+      slotStart: at('2025-05-01T14:00:00Z'),
+      graceEnd: at('2025-05-01T15:00:00Z')
+    });
+  });
+
+  it('uses the previous day before 10 AM ET', () => {
+    // 9:59 AM EDT
+    expect(getFundingWindow(new Date('2025-05-01T13:59:00Z'), schedule).slotStart).toBe(at('2025-04-30T14:00:00Z'));
+    // 1 AM EDT on May 2, still May 1 funding
+    expect(getFundingWindow(new Date('2025-05-02T05:00:00Z'), schedule).slotStart).toBe(at('2025-05-01T14:00:00Z'));
+  });
+
+  it('follows daylight saving time', () => {
+    // 10:30 AM EST
+    expect(getFundingWindow(new Date('2025-01-15T15:30:00Z'), schedule).slotStart).toBe(at('2025-01-15T15:00:00Z'));
+  });
+
+  it('repeats within the day for shorter funding periods', () => {
+    const eightHourly = { ...schedule, fundingPeriod: 8 * 3600 };
+
+    // 7 PM EDT falls in the 6 PM slot
+    expect(getFundingWindow(new Date('2025-05-01T23:00:00Z'), eightHourly).slotStart).toBe(at('2025-05-01T22:00:00Z'));
+  });
+});
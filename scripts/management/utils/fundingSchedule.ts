@@ -0,0 +1,42 @@
+import { addDays, getLocalDateAndHour, getZonedTimestamp } from '../../oracle/utils/dateUtils.js';
+
+// FUNDING_TIME_ET is a time of day in US Eastern Time
+export const FUNDING_TIME_ZONE = 'America/New_York';
+
+/**
+ * FundingManager schedule constants, in seconds
+ */
+export interface FundingSchedule {
+  fundingPeriod: number; // FUNDING_PERIOD: time between funding executions
+  fundingTime: number;   // FUNDING_TIME_ET: time of day funding runs, as seconds after midnight ET
+  gracePeriod: number;   // GRACE_PERIOD: how long after the funding time execution is still on time
+}
+
+/**
+ * The funding slot a time falls in
+ */
+export interface FundingWindow {
+  slotStart: number; // Unix seconds funding became due
+  graceEnd: number;  // Unix seconds the grace period ends
+}
+
+/**
+ * Works out the most recent funding time at or before a time. Slots are
+ * anchored to FUNDING_TIME_ET each day, so they follow DST, and repeat every
+ * FUNDING_PERIOD within the day if it is shorter than a day
+ * @param now Current time
+ * @param schedule FundingManager schedule
+ * @returns FundingWindow Current slot and the end of its grace period
+ */
+export function getFundingWindow(now: Date, schedule: FundingSchedule): FundingWindow {
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+  const today = getLocalDateAndHour(now, FUNDING_TIME_ZONE).date;
+
+  let anchor = getZonedTimestamp(today, schedule.fundingTime, FUNDING_TIME_ZONE);
+  if (anchor > nowSeconds) {
+    anchor = getZonedTimestamp(addDays(today, -1), schedule.fundingTime, FUNDING_TIME_ZONE);
+  }
+
+  const slotStart = anchor + Math.floor((nowSeconds - anchor) / schedule.fundingPeriod) * schedule.fundingPeriod;
+  return { slotStart, graceEnd: slotStart + schedule.gracePeriod };
+}
@@ -0,0 +1,91 @@
+import { loadEnvFile, readDeploymentRecord } from '../../oracle/utils/chainConfig.js';
+import { getSignerConfigFromEnv, SignerConfig } from '../../oracle/utils/signer.js';
+
+/**
+ * Configuration for the keeper scripts that drive the FundingManager and
+ * VirtualAMM contracts
+ */
+export interface KeeperConfig {
+  rpcUrl: string;
+  signer?: SignerConfig;          // Omitted for read-only access
+  fundingManagerAddress?: string; // Omitted for scripts that only use the VirtualAMMs
+  ammAddresses: string[];         // Candidate AMMs; FundingManager cannot enumerate the AMMs registered with it
+}
+
+/**
+ * Which parts of the configuration a script needs
+ */
+export interface KeeperConfigOptions {
+  readOnly?: boolean;       // Skip the signer, for runs that send no transactions
+  fundingManager?: boolean; // Require the FundingManager address (default: true)
+}
+
+/**
+ * Loads keeper configuration from the root .env file and environment
+ *
+ * Environment variables:
+ * - RPC_URL: JSON-RPC endpoint to send transactions through
+ * - KEEPER_*: Signer for the keeper account, one of KEEPER_PRIVATE_KEY,
+ *   KEEPER_KEYSTORE, KEEPER_MNEMONIC or KEEPER_SIGNER_URL (see getSignerConfigFromEnv)
+ * - FUNDING_MANAGER_ADDRESS: FundingManager address; if unset, it is read from
+ *   contracts/deployments/{NETWORK}-latest.json
+ * - AMM_ADDRESSES: Comma-separated VirtualAMM addresses; if unset, the
+ *   VirtualAMMs entry of the deployment record (team ID -> address) is used
+ *
+ * @param overrides Values that take precedence over the environment
+ * @param options Whether the signer and FundingManager address are required
+ * @returns KeeperConfig Resolved configuration
+ */
+export function loadKeeperConfig(overrides: Partial<KeeperConfig> = {}, options: KeeperConfigOptions = {}): KeeperConfig {
+  const { readOnly = false, fundingManager = true } = options;
+  loadEnvFile();
+
+  const deployment = readDeploymentRecord(process.env.NETWORK);
+  const rpcUrl = overrides.rpcUrl || process.env.RPC_URL;
+  const signer = overrides.signer || (readOnly ? undefined : getSignerConfigFromEnv('KEEPER'));
+  const fundingManagerAddress = overrides.fundingManagerAddress || process.env.FUNDING_MANAGER_ADDRESS || deployment?.FundingManager?.address;
+  const ammAddresses = overrides.ammAddresses
+    ?? parseAddressList(process.env.AMM_ADDRESSES)
+    ?? Object.values<string>(deployment?.VirtualAMMs ?? {});
+
+  const missing = [
+    !rpcUrl && 'RPC_URL',
+    !readOnly && !signer && 'KEEPER_PRIVATE_KEY (or KEEPER_KEYSTORE, KEEPER_MNEMONIC, KEEPER_SIGNER_URL)',
+    fundingManager && !fundingManagerAddress && 'FUNDING_MANAGER_ADDRESS (or NETWORK with a deployment file)',
+    ammAddresses.length === 0 && 'AMM_ADDRESSES (or NETWORK with VirtualAMMs in the deployment file)',
+  ].filter(Boolean);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing keeper configuration: ${missing.join(', ')}`);
+  }
+
+  return {
+    rpcUrl: rpcUrl!,
+    signer,
+    fundingManagerAddress,
+    ammAddresses
+  };
+}
+
+/**
+ * Parses a comma-separated list of addresses
+ * @param value Variable value
+ * @returns string[] | undefined Addresses, or undefined if the variable is unset or empty
+ */
+export function parseAddressList(value: string | undefined): string[] | undefined {
+  const addresses = (value ?? '').split(',').map(address => address.trim()).filter(Boolean);
+  return addresses.length > 0 ? addresses : undefined;
+}
+
+/**
+ * Parses a keeper's --stale-after option
+ * @param value Option value in minutes
+ * @returns number Stale threshold in seconds
+ */
+export function parseStaleAfter(value: string): number {
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new Error(`Invalid --stale-after: ${value}`);
+  }
+  return minutes * 60;
+}
@@ -0,0 +1,50 @@
+// Human-readable ABI for the BaseballOracle contract (contracts/src/BaseballOracle.sol)
+// Only the functions and events used by the off-chain oracle tooling are listed here
+
+const GAME_RESULT_TUPLE =
+  'tuple(uint256 gameId, string homeTeam, string awayTeam, uint256 homeScore, uint256 awayScore, uint256 gameDate, uint256 gameEndTimestamp, uint256 recordedTimestamp, string gameStatus, bool recorded)';
+
+const TEAM_TUPLE =
+  'tuple(string name, string abbreviation, uint256 wins, uint256 losses, uint256 winPct, uint256 lastGameTimestamp, uint256 lastUpdateTimestamp, bool exists)';
+
+export const BASEBALL_ORACLE_ABI = [
+  // Roles
+  'function ORACLE_ROLE() view returns (bytes32)',
+  'function ADMIN_ROLE() view returns (bytes32)',
+  'function DEFAULT_ADMIN_ROLE() view returns (bytes32)',
+  'function PAUSER_ROLE() view returns (bytes32)',
+  'function UPGRADER_ROLE() view returns (bytes32)',
+  'function hasRole(bytes32 role, address account) view returns (bool)',
+
+  // Teams
+  'function registerTeam(string teamId, string name, string abbreviation)',
+  `function getTeam(string teamId) view returns (${TEAM_TUPLE})`,
+  'function getTeamWinPct(string teamId) view returns (uint256)',
+  'function getTeamCount() view returns (uint256)',
+  'function getTeamIdAtIndex(uint256 index) view returns (string)',
+  'function adjustTeamRecord(string teamId, uint256 wins, uint256 losses)',
+
+  // Games
+  `function recordGameResult(${GAME_RESULT_TUPLE} result)`,
+  `function recordBatchGameResults(${GAME_RESULT_TUPLE}[] results)`,
+  `function correctGameResult(uint256 gameId, ${GAME_RESULT_TUPLE} result)`,
+  `function getGameResult(uint256 gameId) view returns (${GAME_RESULT_TUPLE})`,
+  'function getGameCount() view returns (uint256)',
+  'function getGameIdAtIndex(uint256 index) view returns (uint256)',
+
+  // Season
+  'function setSeasonActive(bool active)',
+  'function isSeasonActive() view returns (bool)',
+  'function seasonStartTimestamp() view returns (uint256)',
+  'function seasonEndTimestamp() view returns (uint256)',
+  'function paused() view returns (bool)',
+
+  // Events
+  'event TeamRegistered(string indexed teamId, string name, string abbreviation)',
+  'event GameRecorded(uint256 indexed gameId, string indexed homeTeam, string indexed awayTeam, uint256 homeScore, uint256 awayScore, string gameStatus)',
+  'event TeamUpdated(string indexed teamId, uint256 wins, uint256 losses, uint256 winPct)',
+  'event SeasonStateChanged(bool isActive, uint256 timestamp)',
+  'event BatchGameResultsProcessed(uint256 gamesProcessed)',
+  'event ErrorLogged(string reason)',
+  'event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)',
+];
@@ -1,4 +1,7 @@
-import { MLBApiClient, MLBGame, MLBTeam } from './MLBApiClient.js';
+import { GameDataProvider } from './GameDataProvider.js';
+import { MLBApiClient, MLBGame, MLBGameFeed, MLBTeam } from './MLBApiClient.js';
+import { DEFAULT_TEAM_ALIAS_MAP, resolveTeamId, TeamAliasMap, UnmappedTeam } from './teamAliases.js';
+import { hashBytes } from '../utils/hash.js';
 
 /**
  * Interface for game result data formatted for the Oracle contract
@@ -12,32 +15,109 @@ export interface GameResult {
   gameDate: number; // Unix timestamp
   gameEndTimestamp: number; // Unix timestamp
   gameStatus: string;
+  gameType: string; // MLB game type code, e.g. 'R' for regular season (see MLB_GAME_TYPES)
+  officialDate: string;    // Calendar day the game counts for, in the venue's local time (YYYY-MM-DD)
+  venueTimeZone?: string;  // Venue's IANA time zone, when known
+  endTimeEstimated: boolean; // True when the game feed had no end time and gameEndTimestamp is a guess
+  resumeDate?: string;  // Suspended games: the date play resumes (YYYY-MM-DD), when scheduled
+  resumedFrom?: string; // Resumed games: the date the game was suspended (YYYY-MM-DD)
 }
 
+// MLB game type codes, as returned in the schedule's gameType field
+export const MLB_GAME_TYPES: Record<string, string> = {
+  R: 'Regular season',
+  S: 'Spring training',
+  E: 'Exhibition',
+  A: 'All-Star game',
+  F: 'Wild card series',
+  D: 'Division series',
+  L: 'League championship series',
+  W: 'World Series'
+};
+
+// Game types recorded unless a run asks for others
+export const DEFAULT_GAME_TYPES = ['R'];
+
+// Assumed length of a completed game when the game feed has no end time
+export const ESTIMATED_GAME_DURATION_SECONDS = 10800; // 3 hours
+
 /**
  * Interface for team data formatted for the Oracle contract
  */
 export interface Team {
-  teamId: string; // The abbreviation we use as ID
+  teamId: string; // Canonical on-chain ID from the team alias map
   name: string;
-  abbreviation: string;
+  abbreviation: string; // Current MLB abbreviation
   mlbId: number; // The original MLB API ID
 }
 
+/**
+ * Interface for a team's official win/loss record
+ */
+export interface TeamStanding {
+  teamId: string; // Canonical on-chain ID from the team alias map
+  name: string;
+  mlbId: number;
+  wins: number;
+  losses: number;
+}
+
+/**
+ * Final score of a completed game, without the timing details fetched for submission
+ */
+export interface GameScore {
+  gameId: number;
+  officialDate: string; // YYYY-MM-DD
+  homeTeam: string;
+  awayTeam: string;
+  homeScore: number;
+  awayScore: number;
+}
+
+/**
+ * Interface for the dates that bound a season (all YYYY-MM-DD)
+ */
+export interface SeasonDates {
+  season: number;
+  seasonStartDate: string;        // First day of the MLB season, including spring training
+  regularSeasonStartDate: string; // Opening day
+  regularSeasonEndDate: string;   // Last scheduled day of the regular season
+}
+
+/**
+ * Options for BaseballDataService
+ */
+export interface BaseballDataServiceOptions {
+  gameTypes?: string[];                          // MLB game types to return (default: DEFAULT_GAME_TYPES)
+  aliasMap?: TeamAliasMap;                       // Maps MLB team IDs to on-chain IDs (default: DEFAULT_TEAM_ALIAS_MAP)
+  onUnmappedTeam?: (team: UnmappedTeam) => void; // Called once per team the alias map does not fully cover
+}
+
 /**
  * BaseballDataService class handles fetching and formatting baseball data
  * from the MLB API for consumption by the BaseballOracle smart contract
  */
-export class BaseballDataService {
+export class BaseballDataService implements GameDataProvider {
+  readonly name = 'mlb';
   private readonly mlbApiClient: MLBApiClient;
   private teamCache: Map<number, Team> = new Map(); // Cache MLB team ID -> Team
+  private responseHashes: Map<string, string> = new Map(); // Date -> hash of the MLB schedule response body
+  private gameTimings: Map<number, { startTime?: number, endTime?: number }> = new Map(); // gamePk -> timing of a completed game, once its feed has an end time
+  private readonly gameTypes: string[];
+  private readonly aliasMap: TeamAliasMap;
+  private readonly onUnmappedTeam?: (team: UnmappedTeam) => void;
+  private reportedUnmappedTeams: Set<string> = new Set(); // MLB team ID + abbreviation already passed to onUnmappedTeam
 
   /**
    * Creates a new BaseballDataService
    * @param apiClient Optional MLBApiClient instance
+   * @param options Optional game types, team alias map and unmapped team callback
    */
-  constructor(apiClient?: MLBApiClient) {
+  constructor(apiClient?: MLBApiClient, options: BaseballDataServiceOptions = {}) {
     this.mlbApiClient = apiClient || new MLBApiClient();
+    this.gameTypes = options.gameTypes ?? DEFAULT_GAME_TYPES;
+    this.aliasMap = options.aliasMap ?? DEFAULT_TEAM_ALIAS_MAP;
+    this.onUnmappedTeam = options.onUnmappedTeam;
   }
 
   /**
@@ -50,16 +130,35 @@ export class BaseballDataService {
     const dateStr = date instanceof Date ? MLBApiClient.formatDate(date) : date;
     
     // Fetch games from MLB API
-    const mlbGames = await this.mlbApiClient.getGames(dateStr);
+    const schedule = await this.mlbApiClient.getSchedule(dateStr);
+    this.responseHashes.set(dateStr, hashBytes(schedule.body));
     
     // Transform MLB game data to our format
-    const gamePromises = mlbGames
+    const gamePromises = schedule.games
       .filter(game => this.isValidGame(game))
-      .map(game => this.transformGameData(game));
+      .map(game => this.transformGameData(game, dateStr));
     
     return Promise.all(gamePromises);
   }
 
+  /**
+   * Hashes the MLB schedule response body behind the last getGamesForDate call for a date
+   * @param date Date in YYYY-MM-DD format
+   * @returns Record<string, string> { mlb: sha256 }, or empty if the date was not fetched
+   */
+  getResponseHashes(date: string): Record<string, string> {
+    const hash = this.responseHashes.get(date);
+    return hash ? { [this.name]: hash } : {};
+  }
+
+  /**
+   * Reports the version of the alias map MLB team IDs are resolved with
+   * @returns Record<string, number> { mlb: version }
+   */
+  getTeamAliasVersions(): Record<string, number> {
+    return { [this.name]: this.aliasMap.version };
+  }
+
   /**
    * Fetches all active MLB teams and formats them for the Oracle
    * @returns Promise<Team[]> Array of teams
@@ -92,14 +191,92 @@ export class BaseballDataService {
     return team;
   }
 
+  /**
+   * Fetches the final score of every completed game a team played between two dates
+   * @param teamId On-chain team ID, e.g. 'NYY'
+   * @param from First date in YYYY-MM-DD format
+   * @param to Last date in YYYY-MM-DD format
+   * @returns Promise<GameScore[]> Completed games of the configured game types, oldest first
+   */
+  async getTeamGameScores(teamId: string, from: string, to: string): Promise<GameScore[]> {
+    const team = (await this.getAllTeams()).find(t => t.teamId === teamId.toUpperCase());
+    if (!team) {
+      throw new Error(`Unknown team ${teamId}`);
+    }
+
+    const mlbGames = await this.mlbApiClient.getTeamSchedule(team.mlbId, from, to);
+    const scores: GameScore[] = [];
+
+    for (const game of mlbGames) {
+      const officialDate = game.officialDate ?? game.gameDate.split('T')[0];
+
+      // A suspended game counts on the date it completes, not on its original listing
+      if (!this.isValidGame(game) || this.mapGameStatus(game.status.abstractGameState, game.status.detailedState) !== 'Final' ||
+          (game.resumeGameDate !== undefined && game.resumeGameDate !== officialDate)) {
+        continue;
+      }
+
+      scores.push({
+        gameId: game.gamePk,
+        officialDate,
+        homeTeam: (await this.getTeam(game.teams.home.team.id)).teamId,
+        awayTeam: (await this.getTeam(game.teams.away.team.id)).teamId,
+        homeScore: game.teams.home.score ?? 0,
+        awayScore: game.teams.away.score ?? 0
+      });
+    }
+
+    return scores;
+  }
+
+  /**
+   * Fetches the dates that bound a season
+   * @param season Season year
+   * @returns Promise<SeasonDates> Season and regular season dates
+   */
+  async getSeasonDates(season: number): Promise<SeasonDates> {
+    const mlbSeason = await this.mlbApiClient.getSeason(season);
+    return {
+      season,
+      seasonStartDate: mlbSeason.seasonStartDate,
+      regularSeasonStartDate: mlbSeason.regularSeasonStartDate,
+      regularSeasonEndDate: mlbSeason.regularSeasonEndDate
+    };
+  }
+
+  /**
+   * Fetches official regular season standings and maps them to Oracle team IDs
+   * @param season Season year
+   * @param date Optional date (YYYY-MM-DD or Date) to get standings as of that day
+   * @returns Promise<TeamStanding[]> Win/loss record for every team
+   */
+  async getStandings(season: number, date?: string | Date): Promise<TeamStanding[]> {
+    const dateStr = date instanceof Date ? MLBApiClient.formatDate(date) : date;
+    const records = await this.mlbApiClient.getStandings(season, dateStr);
+
+    const standings: TeamStanding[] = [];
+    for (const record of records) {
+      const team = await this.getTeam(record.team.id);
+      standings.push({
+        teamId: team.teamId,
+        name: team.name,
+        mlbId: team.mlbId,
+        wins: record.wins,
+        losses: record.losses
+      });
+    }
+
+    return standings;
+  }
+
   /**
    * Validates if a game is eligible for processing
    * @param game MLBGame object
    * @returns boolean True if game is valid for processing
    */
   private isValidGame(game: MLBGame): boolean {
-    // Skip games that are not regular season
-    if (game.gameType !== 'R') {
+    // Skip game types this run does not record (by default, anything but the regular season)
+    if (!this.gameTypes.includes(game.gameType)) {
       return false;
     }
     
@@ -120,25 +297,33 @@ export class BaseballDataService {
   /**
    * Transforms MLB game data to GameResult format
    * @param game MLBGame object
+   * @param date Schedule date the game was listed under (YYYY-MM-DD)
    * @returns Promise<GameResult> Formatted game result
    */
-  private async transformGameData(game: MLBGame): Promise<GameResult> {
+  private async transformGameData(game: MLBGame, date: string): Promise<GameResult> {
     // Fetch team data if not already cached
     const homeTeamData = await this.getTeam(game.teams.home.team.id);
     const awayTeamData = await this.getTeam(game.teams.away.team.id);
     
-    // Parse game date to timestamp
-    const gameDate = new Date(game.gameDate);
-    
     // Default scores to 0 if not available
     const homeScore = game.teams.home.score ?? 0;
     const awayScore = game.teams.away.score ?? 0;
     
+    // A suspended game stays listed on its original date after it resumes on a later
+    // one; only the listing for the day it finishes counts, so it is recorded once
+    const completedOnAnotherDate = game.resumeGameDate !== undefined && game.resumeGameDate !== date;
+    const gameStatus = completedOnAnotherDate
+      ? 'Suspended'
+      : this.mapGameStatus(game.status.abstractGameState, game.status.detailedState);
+
     // For in-progress games, the end timestamp is the current time
-    // For completed games, assume it ended at the game date plus ~3 hours
-    const isCompleted = game.status.abstractGameState === 'Final';
-    const gameEndTimestamp = isCompleted 
-      ? Math.floor(gameDate.getTime() / 1000) + 10800 // 3 hours in seconds
+    // For completed games, use the game feed, falling back to the start time plus ~3 hours
+    const isCompleted = gameStatus === 'Final';
+    const timing = isCompleted ? await this.getGameTiming(game) : undefined;
+
+    const gameDate = timing?.startTime ?? toUnixTimestamp(game.gameDate);
+    const gameEndTimestamp = isCompleted
+      ? timing?.endTime ?? gameDate + ESTIMATED_GAME_DURATION_SECONDS
       : Math.floor(Date.now() / 1000);
     
     return {
@@ -147,20 +332,72 @@ export class BaseballDataService {
       awayTeam: awayTeamData.teamId,
       homeScore,
       awayScore,
-      gameDate: Math.floor(gameDate.getTime() / 1000),
+      gameDate,
       gameEndTimestamp,
-      gameStatus: this.mapGameStatus(game.status.abstractGameState, game.status.detailedState)
+      gameStatus,
+      gameType: game.gameType,
+      officialDate: game.officialDate ?? date,
+      ...(game.venue?.timeZone ? { venueTimeZone: game.venue.timeZone.id } : {}),
+      endTimeEstimated: isCompleted && timing?.endTime === undefined,
+      ...(game.resumeGameDate ? { resumeDate: game.resumeGameDate } : {}),
+      ...(game.resumedFromDate ? { resumedFrom: game.resumedFromDate } : {})
+    };
+  }
+
+  /**
+   * Reads a completed game's actual start and end times from the MLB game feed.
+   * Once the feed has an end time it no longer changes, so it is fetched once per game
+   * @param game MLBGame object
+   * @returns Promise<{ startTime?: number, endTime?: number } | undefined> Unix timestamps, or undefined if the feed is unavailable
+   */
+  private async getGameTiming(game: MLBGame): Promise<{ startTime?: number, endTime?: number } | undefined> {
+    const cached = this.gameTimings.get(game.gamePk);
+    if (cached) {
+      return cached;
+    }
+
+    let feed: MLBGameFeed;
+    try {
+      feed = await this.mlbApiClient.getGameFeed(game.gamePk);
+    } catch {
+      // A missing feed should not block the sync - the caller falls back to an estimate
+      return undefined;
+    }
+
+    const firstPitch = feed.gameData.gameInfo?.firstPitch;
+    const lastPlayEnd = feed.liveData.plays?.allPlays
+      ?.map(play => play.about.endTime)
+      .filter((endTime): endTime is string => endTime !== undefined)
+      .pop();
+
+    const timing = {
+      startTime: firstPitch ? toUnixTimestamp(firstPitch) : undefined,
+      endTime: lastPlayEnd ? toUnixTimestamp(lastPlayEnd) : undefined
     };
+
+    if (timing.endTime !== undefined) {
+      this.gameTimings.set(game.gamePk, timing);
+    }
+    return timing;
   }
 
   /**
-   * Transforms MLB team data to Team format
+   * Transforms MLB team data to Team format, resolving the on-chain ID
+   * through the alias map so a new abbreviation keeps the existing ID
    * @param team MLBTeam object
    * @returns Team Formatted team data
    */
   private transformTeamData(team: MLBTeam): Team {
+    const { teamId, unmapped } = resolveTeamId(this.aliasMap, team.id, team.abbreviation);
+
+    const reportKey = `${team.id}:${team.abbreviation}`;
+    if (unmapped && !this.reportedUnmappedTeams.has(reportKey)) {
+      this.reportedUnmappedTeams.add(reportKey);
+      this.onUnmappedTeam?.({ mlbId: team.id, name: team.name, abbreviation: team.abbreviation, teamId, reason: unmapped });
+    }
+
     return {
-      teamId: team.abbreviation,
+      teamId,
       name: team.name,
       abbreviation: team.abbreviation,
       mlbId: team.id
@@ -174,6 +411,12 @@ export class BaseballDataService {
    * @returns string Status string for the Oracle
    */
   private mapGameStatus(abstractState: string, detailedState: string): string {
+    // Checked first: a suspended game can report a Live or Final abstract state
+    // (e.g. 'Suspended: Rain') even though it has not been completed
+    if (detailedState?.includes('Suspended')) {
+      return 'Suspended';
+    }
+
     if (abstractState === 'Final') {
       return 'Final';
     }
@@ -186,14 +429,19 @@ export class BaseballDataService {
       return 'Postponed';
     }
     
-    if (detailedState.includes('Suspended')) {
-      return 'Suspended';
-    }
-    
     if (detailedState.includes('Cancelled')) {
       return 'Cancelled';
     }
     
     return 'Scheduled';
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Converts an ISO date string to a Unix timestamp in seconds
+ * @param isoDate ISO 8601 date string
+ * @returns number Unix timestamp
+ */
+function toUnixTimestamp(isoDate: string): number {
+  return Math.floor(new Date(isoDate).getTime() / 1000);
+}
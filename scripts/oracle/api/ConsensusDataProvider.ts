@@ -0,0 +1,173 @@
+import { GameResult } from './BaseballDataService.js';
+import { GameDataProvider } from './GameDataProvider.js';
+import { MLBApiClient } from './MLBApiClient.js';
+
+// Fields providers must agree on before a game is forwarded. Timestamps are
+// left out because sources legitimately disagree on exact start and end times
+const CONSENSUS_FIELDS = ['homeTeam', 'awayTeam', 'homeScore', 'awayScore', 'gameStatus'] as const;
+
+/**
+ * One provider's version of a disputed game (undefined fields mean the provider did not list it)
+ */
+export interface ProviderGameView {
+  provider: string;
+  game?: GameResult;
+}
+
+/**
+ * A game on which providers did not all agree
+ */
+export interface GameDisagreement {
+  gameId: number;
+  agreeing: number;    // Size of the largest group of providers that agree
+  forwarded: boolean;  // True if that group still met the quorum
+  views: ProviderGameView[];
+}
+
+/**
+ * A provider that failed to return games for a date
+ */
+export interface ProviderFailure {
+  provider: string;
+  error: string;
+}
+
+/**
+ * Result of comparing every provider for a date
+ */
+export interface ConsensusReport {
+  date: string;
+  quorum: number;
+  games: GameResult[]; // Games that met the quorum
+  disagreements: GameDisagreement[];
+  failures: ProviderFailure[];
+}
+
+/**
+ * Options for the consensus layer
+ */
+export interface ConsensusOptions {
+  quorum?: number; // Providers that must agree (default: a majority)
+  onReport?: (report: ConsensusReport) => void; // Called after each date is compared
+}
+
+/**
+ * Provider that fetches every game from several providers and only returns the
+ * games a quorum of them agree on. The first provider's version of an agreed
+ * game is returned, so list the preferred source (usually MLB) first
+ */
+export class ConsensusDataProvider implements GameDataProvider {
+  readonly name = 'consensus';
+  private readonly providers: GameDataProvider[];
+  private readonly quorum: number;
+  private readonly onReport?: (report: ConsensusReport) => void;
+
+  /**
+   * Creates a new ConsensusDataProvider
+   * @param providers Providers to compare, in order of preference
+   * @param options Quorum and reporting options
+   */
+  constructor(providers: GameDataProvider[], options: ConsensusOptions = {}) {
+    if (providers.length === 0) {
+      throw new Error('At least one data provider is required');
+    }
+
+    const quorum = options.quorum ?? Math.floor(providers.length / 2) + 1;
+    if (!Number.isInteger(quorum) || quorum < 1 || quorum > providers.length) {
+      throw new Error(`Invalid quorum ${quorum} for ${providers.length} provider(s)`);
+    }
+
+    this.providers = providers;
+    this.quorum = quorum;
+    this.onReport = options.onReport;
+  }
+
+  /**
+   * Fetches the games a quorum of providers agree on
+   * @param date Date in YYYY-MM-DD format or Date object
+   * @returns Promise<GameResult[]> Agreed games
+   */
+  async getGamesForDate(date: string | Date): Promise<GameResult[]> {
+    const report = await this.compare(date);
+    this.onReport?.(report);
+    return report.games;
+  }
+
+  /**
+   * Collects the response hashes of every provider for a date
+   * @param date Date in YYYY-MM-DD format
+   * @returns Record<string, string> sha256 per provider name
+   */
+  getResponseHashes(date: string): Record<string, string> {
+    return Object.assign({}, ...this.providers.map(provider => provider.getResponseHashes?.(date) ?? {}));
+  }
+
+  /**
+   * Collects the team alias map version of every provider that maps team IDs
+   * @returns Record<string, number> Version per provider name
+   */
+  getTeamAliasVersions(): Record<string, number> {
+    return Object.assign({}, ...this.providers.map(provider => provider.getTeamAliasVersions?.() ?? {}));
+  }
+
+  /**
+   * Compares every provider's games for a date
+   * @param date Date in YYYY-MM-DD format or Date object
+   * @returns Promise<ConsensusReport> Agreed games, disagreements and provider failures
+   */
+  async compare(date: string | Date): Promise<ConsensusReport> {
+    const dateStr = date instanceof Date ? MLBApiClient.formatDate(date) : date;
+    const results = await Promise.allSettled(this.providers.map(provider => provider.getGamesForDate(dateStr)));
+
+    const failures: ProviderFailure[] = [];
+    const gamesByProvider: Map<number, GameResult>[] = results.map((result, i) => {
+      if (result.status === 'rejected') {
+        const error = result.reason instanceof Error ? result.reason.message : String(result.reason);
+        failures.push({ provider: this.providers[i].name, error });
+        return new Map();
+      }
+      return new Map(result.value.map(game => [game.gameId, game]));
+    });
+
+    // Every game any provider listed, in the order first seen
+    const gameIds = [...new Set(gamesByProvider.flatMap(games => [...games.keys()]))];
+
+    const games: GameResult[] = [];
+    const disagreements: GameDisagreement[] = [];
+
+    for (const gameId of gameIds) {
+      const views = this.providers.map((provider, i) => ({ provider: provider.name, game: gamesByProvider[i].get(gameId) }));
+      const largestGroup = this.groupByConsensusFields(views).reduce((largest, group) => group.length > largest.length ? group : largest, [] as ProviderGameView[]);
+      const forwarded = largestGroup.length >= this.quorum;
+
+      if (forwarded) {
+        games.push(largestGroup[0].game!);
+      }
+
+      if (largestGroup.length < this.providers.length) {
+        disagreements.push({ gameId, agreeing: largestGroup.length, forwarded, views });
+      }
+    }
+
+    return { date: dateStr, quorum: this.quorum, games, disagreements, failures };
+  }
+
+  /**
+   * Groups providers whose versions of a game match on every consensus field
+   * @param views Each provider's version of the game
+   * @returns ProviderGameView[][] Groups in provider order; providers without the game are left out
+   */
+  private groupByConsensusFields(views: ProviderGameView[]): ProviderGameView[][] {
+    const groups = new Map<string, ProviderGameView[]>();
+
+    for (const view of views) {
+      if (!view.game) {
+        continue;
+      }
+      const key = JSON.stringify(CONSENSUS_FIELDS.map(field => view.game![field]));
+      groups.set(key, [...(groups.get(key) ?? []), view]);
+    }
+
+    return [...groups.values()];
+  }
+}
@@ -0,0 +1,31 @@
+import { GameResult } from './BaseballDataService.js';
+
+/**
+ * A source of game results in Oracle format. BaseballDataService is the MLB
+ * implementation; other sources can be combined with ConsensusDataProvider
+ */
+export interface GameDataProvider {
+  readonly name: string; // Used to attribute results and disagreements
+
+  /**
+   * Fetches every game listed for a date, whatever its status
+   * @param date Date in YYYY-MM-DD format or Date object
+   * @returns Promise<GameResult[]> Game results
+   */
+  getGamesForDate(date: string | Date): Promise<GameResult[]>;
+
+  /**
+   * Hashes the raw source data behind the last getGamesForDate call for a date,
+   * so an audit can show exactly what a result was built from
+   * @param date Date in YYYY-MM-DD format
+   * @returns Record<string, string> sha256 per provider name; empty if the date was not fetched
+   */
+  getResponseHashes?(date: string): Record<string, string>;
+
+  /**
+   * Reports the version of the TeamAliasMap the provider resolves team IDs
+   * with, so an audit can tell which map a result's team IDs came from
+   * @returns Record<string, number> Version per provider name; empty if the provider does not map team IDs
+   */
+  getTeamAliasVersions?(): Record<string, number>;
+}
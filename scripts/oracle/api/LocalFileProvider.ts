@@ -0,0 +1,135 @@
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { DEFAULT_GAME_TYPES, ESTIMATED_GAME_DURATION_SECONDS, GameResult } from './BaseballDataService.js';
+import { GameDataProvider } from './GameDataProvider.js';
+import { MLBApiClient } from './MLBApiClient.js';
+import { hashBytes } from '../utils/hash.js';
+
+// Columns every CSV feed must have; gameEndTimestamp is optional and estimated when missing,
+// gameType is optional and defaults to 'R'; venueTimeZone is optional
+const REQUIRED_COLUMNS = ['gameId', 'homeTeam', 'awayTeam', 'homeScore', 'awayScore', 'gameDate', 'gameStatus'] as const;
+
+/**
+ * Provider that reads game results from local files, one per date, named
+ * YYYY-MM-DD.json (an array of game objects) or YYYY-MM-DD.csv (with a
+ * header row). Useful as an independent second source, e.g. a feed exported
+ * from another data vendor
+ */
+export class LocalFileProvider implements GameDataProvider {
+  readonly name: string;
+  private readonly directory: string;
+  private readonly gameTypes: string[];
+  private readonly responseHashes = new Map<string, string>(); // Date -> hash of the file's bytes
+
+  /**
+   * Creates a new LocalFileProvider
+   * @param directory Directory containing one file per date
+   * @param name Optional provider name (defaults to 'local')
+   * @param gameTypes MLB game types to return (defaults to DEFAULT_GAME_TYPES)
+   */
+  constructor(directory: string, name: string = 'local', gameTypes: string[] = DEFAULT_GAME_TYPES) {
+    if (!existsSync(directory)) {
+      throw new Error(`Local feed directory not found: ${directory}`);
+    }
+    this.directory = directory;
+    this.name = name;
+    this.gameTypes = gameTypes;
+  }
+
+  /**
+   * Reads every game for a date from the date's JSON or CSV file
+   * @param date Date in YYYY-MM-DD format or Date object
+   * @returns Promise<GameResult[]> Games in the file of the configured game types, or an empty array if there is no file
+   */
+  async getGamesForDate(date: string | Date): Promise<GameResult[]> {
+    const dateStr = date instanceof Date ? MLBApiClient.formatDate(date) : date;
+    const jsonPath = join(this.directory, `${dateStr}.json`);
+    const csvPath = join(this.directory, `${dateStr}.csv`);
+
+    let records: Record<string, unknown>[];
+    if (existsSync(jsonPath)) {
+      const content = readFileSync(jsonPath);
+      this.responseHashes.set(dateStr, hashBytes(content));
+      records = JSON.parse(content.toString('utf8'));
+    } else if (existsSync(csvPath)) {
+      const content = readFileSync(csvPath);
+      this.responseHashes.set(dateStr, hashBytes(content));
+      records = this.parseCsv(content.toString('utf8'), csvPath);
+    } else {
+      return [];
+    }
+
+    return records
+      .map((record, index) => this.toGameResult(record, dateStr, `${dateStr} record ${index + 1}`))
+      .filter(game => this.gameTypes.includes(game.gameType));
+  }
+
+  /**
+   * Hashes the bytes of the file behind the last getGamesForDate call for a date
+   * @param date Date in YYYY-MM-DD format
+   * @returns Record<string, string> sha256 keyed by provider name, or empty if there was no file
+   */
+  getResponseHashes(date: string): Record<string, string> {
+    const hash = this.responseHashes.get(date);
+    return hash ? { [this.name]: hash } : {};
+  }
+
+  /**
+   * Parses a simple comma-separated file with a header row (no quoted fields)
+   * @param content File content
+   * @param path File path, for error messages
+   * @returns Record<string, string>[] One object per data row, keyed by header
+   */
+  private parseCsv(content: string, path: string): Record<string, string>[] {
+    const [header, ...rows] = content.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (!header) {
+      return [];
+    }
+
+    const columns = header.split(',').map(column => column.trim());
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`${path} is missing columns: ${missing.join(', ')}`);
+    }
+
+    return rows.map(row => {
+      const values = row.split(',').map(value => value.trim());
+      return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+    });
+  }
+
+  /**
+   * Converts a raw record to a GameResult, validating numeric fields
+   * @param record Parsed JSON object or CSV row
+   * @param date Date of the file the record came from, which the game counts for
+   * @param label Description of the record, for error messages
+   * @returns GameResult Game result
+   */
+  private toGameResult(record: Record<string, unknown>, date: string, label: string): GameResult {
+    const toNumber = (field: string): number => {
+      const value = Number(record[field]);
+      if (record[field] === undefined || record[field] === '' || !Number.isFinite(value)) {
+        throw new Error(`Invalid ${field} in ${this.name} feed ${label}: ${record[field]}`);
+      }
+      return value;
+    };
+
+    const gameDate = toNumber('gameDate');
+    const hasEndTime = record.gameEndTimestamp !== undefined && record.gameEndTimestamp !== '';
+
+    return {
+      gameId: toNumber('gameId'),
+      homeTeam: String(record.homeTeam),
+      awayTeam: String(record.awayTeam),
+      homeScore: toNumber('homeScore'),
+      awayScore: toNumber('awayScore'),
+      gameDate,
+      gameEndTimestamp: hasEndTime ? toNumber('gameEndTimestamp') : gameDate + ESTIMATED_GAME_DURATION_SECONDS,
+      gameStatus: String(record.gameStatus),
+      gameType: record.gameType === undefined || record.gameType === '' ? 'R' : String(record.gameType),
+      officialDate: date,
+      ...(record.venueTimeZone ? { venueTimeZone: String(record.venueTimeZone) } : {}),
+      endTimeEstimated: !hasEndTime
+    };
+  }
+}
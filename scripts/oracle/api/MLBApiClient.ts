@@ -1,4 +1,6 @@
-import axios, { AxiosInstance, AxiosResponse } from 'axios';
+import axios, { AxiosRequestConfig, isAxiosError } from 'axios';
+import { CircuitBreaker, RateLimiter, getBackoffDelay, parseRetryAfter, sleep } from './resilience.js';
+import { MLBApiResponse, MLBApiTransport, RecordingTransport } from './transport.js';
 
 /**
  * Interface for MLB Game data as returned by the API
@@ -6,6 +8,15 @@ import axios, { AxiosInstance, AxiosResponse } from 'axios';
 export interface MLBGame {
   gamePk: number;
   gameDate: string;
+  officialDate?: string; // Calendar day the game counts for, in the venue's local time (YYYY-MM-DD)
+  venue?: {
+    id: number;
+    name: string;
+    timeZone?: {
+      id: string; // IANA time zone, e.g. 'Asia/Tokyo'
+      tz: string; // Abbreviation, e.g. 'JST'
+    };
+  };
   teams: {
     away: {
       team: {
@@ -30,6 +41,8 @@ export interface MLBGame {
   };
   gameType: string; // 'R' for regular season
   season: string;
+  resumeGameDate?: string;  // Set on the original listing of a suspended game: the date play resumes (YYYY-MM-DD)
+  resumedFromDate?: string; // Set on the resumption listing: the date the game was suspended (YYYY-MM-DD)
   // Additional fields may be available but not required for our use case
 }
 
@@ -48,23 +61,151 @@ export interface MLBTeam {
   // Additional fields may be available but not required for our use case
 }
 
+/**
+ * Interface for a team's entry in the MLB standings as returned by the API
+ */
+export interface MLBTeamRecord {
+  team: {
+    id: number;
+    name: string;
+  };
+  wins: number;
+  losses: number;
+  winningPercentage: string; // e.g. '.600'
+  gamesPlayed: number;
+  // Additional fields may be available but not required for our use case
+}
+
+/**
+ * Interface for a season's key dates as returned by the API (all YYYY-MM-DD)
+ */
+export interface MLBSeason {
+  seasonId: string;
+  seasonStartDate: string;         // First day of the season, including spring training
+  seasonEndDate: string;
+  regularSeasonStartDate: string;  // Opening day
+  regularSeasonEndDate: string;    // Last scheduled day of the regular season
+  postSeasonStartDate?: string;
+  postSeasonEndDate?: string;
+  // Additional fields may be available but not required for our use case
+}
+
+/**
+ * Interface for the parts of the MLB live game feed used for game timing
+ */
+export interface MLBGameFeed {
+  gamePk: number;
+  gameData: {
+    datetime: {
+      dateTime: string; // Scheduled start
+    };
+    gameInfo?: {
+      firstPitch?: string; // Actual start, after any delay
+      gameDurationMinutes?: number;
+      delayDurationMinutes?: number;
+    };
+  };
+  liveData: {
+    plays?: {
+      allPlays?: Array<{
+        about: {
+          startTime?: string;
+          endTime?: string;
+        };
+      }>;
+    };
+  };
+  // Additional fields may be available but not required for our use case
+}
+
+/**
+ * A date's schedule response
+ */
+export interface MLBSchedule {
+  games: MLBGame[];
+  body: string; // Response body as received, for hashing the raw source data
+}
+
+/**
+ * Details of a request that is about to be retried
+ */
+export interface MLBApiRetryInfo {
+  url: string;
+  attempt: number; // 1 for the first retry
+  delayMs: number;
+  error: unknown;
+}
+
+/**
+ * Timing of a single request attempt, successful or not
+ */
+export interface MLBApiRequestInfo {
+  url: string;
+  durationMs: number;
+  error?: unknown; // Set when the attempt failed
+}
+
+/**
+ * Transport, retry, rate limiting and circuit breaker settings for MLBApiClient
+ */
+export interface MLBApiClientOptions {
+  timeout?: number;                 // Per-request timeout in ms (default: 10000)
+  maxRetries?: number;              // Retries after the first attempt (default: 3)
+  retryBaseDelayMs?: number;        // Backoff before the first retry (default: 500)
+  retryMaxDelayMs?: number;         // Cap for any backoff delay (default: 10000)
+  retryJitter?: boolean;            // Randomise backoff delays (default: true)
+  maxRetryAfterMs?: number;         // Longest Retry-After we will wait for before giving up (default: 60000)
+  requestsPerSecond?: number;       // Request rate limit, 0 to disable (default: 10)
+  circuitBreakerThreshold?: number; // Consecutive failed requests that open the circuit, 0 to disable (default: 5)
+  circuitBreakerResetMs?: number;   // Time the circuit stays open (default: 30000)
+  transport?: MLBApiTransport;      // Sends requests instead of axios, e.g. ReplayTransport
+  recordTo?: string;                // Save every successful response as a fixture in this directory
+  onRetry?: (info: MLBApiRetryInfo) => void;
+  onRequest?: (info: MLBApiRequestInfo) => void; // Called after every attempt, including retries
+}
+
+const DEFAULT_CLIENT_OPTIONS = {
+  timeout: 10000, // 10 seconds timeout
+  maxRetries: 3,
+  retryBaseDelayMs: 500,
+  retryMaxDelayMs: 10000,
+  retryJitter: true,
+  maxRetryAfterMs: 60000,
+  requestsPerSecond: 10,
+  circuitBreakerThreshold: 5,
+  circuitBreakerResetMs: 30000
+};
+
 /**
  * MLBApiClient class to interact with the MLB Stats API
  */
 export class MLBApiClient {
   private readonly baseUrl: string;
-  private readonly client: AxiosInstance;
+  private readonly client: MLBApiTransport;
+  private readonly options: typeof DEFAULT_CLIENT_OPTIONS & Pick<MLBApiClientOptions, 'onRetry' | 'onRequest'>;
+  private readonly rateLimiter?: RateLimiter;
+  private readonly circuitBreaker?: CircuitBreaker;
 
   /**
    * Creates a new MLBApiClient
    * @param baseUrl Optional base URL, defaults to MLB Stats API endpoint
+   * @param options Optional transport, retry, rate limiting and circuit breaker settings
    */
-  constructor(baseUrl: string = 'https://statsapi.mlb.com/api/v1') {
+  constructor(baseUrl: string = 'https://statsapi.mlb.com/api/v1', options: MLBApiClientOptions = {}) {
     this.baseUrl = baseUrl;
-    this.client = axios.create({
+    this.options = { ...DEFAULT_CLIENT_OPTIONS, ...options };
+    const transport = options.transport ?? axios.create({
       baseURL: this.baseUrl,
-      timeout: 10000, // 10 seconds timeout
+      timeout: this.options.timeout,
     });
+    this.client = options.recordTo ? new RecordingTransport(transport, options.recordTo) : transport;
+
+    if (this.options.requestsPerSecond > 0) {
+      this.rateLimiter = new RateLimiter(this.options.requestsPerSecond);
+    }
+    if (this.options.circuitBreakerThreshold > 0) {
+      this.circuitBreaker = new CircuitBreaker(this.options.circuitBreakerThreshold, this.options.circuitBreakerResetMs);
+    }
   }
 
   /**
@@ -74,23 +215,40 @@ export class MLBApiClient {
    * @returns Array of MLB games
    */
   async getGames(date: string, sportId: number = 1): Promise<MLBGame[]> {
+    return (await this.getSchedule(date, sportId)).games;
+  }
+
+  /**
+   * Get the schedule for a specific date along with its unparsed response body
+   * @param date Date in YYYY-MM-DD format
+   * @param sportId Sport ID (default: 1 for MLB)
+   * @returns MLBSchedule The date's games and the response body
+   */
+  async getSchedule(date: string, sportId: number = 1): Promise<MLBSchedule> {
     try {
-      const response: AxiosResponse = await this.client.get('/schedule/games', {
+      // Fetched as text so the body can be hashed exactly as the API sent it
+      const response: MLBApiResponse = await this.get('/schedule/games', {
         params: {
           sportId,
           date,
+          hydrate: 'venue(timezone)',
         },
+        responseType: 'text',
       });
 
+      // Fixtures recorded before the schedule was fetched as text hold parsed JSON
+      const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+      const data = body ? JSON.parse(body) : undefined;
+
       // The MLB API returns data in a nested format
-      if (response.data && 
-          response.data.dates && 
-          response.data.dates.length > 0 && 
-          response.data.dates[0].games) {
-        return response.data.dates[0].games;
+      if (data &&
+          data.dates &&
+          data.dates.length > 0 &&
+          data.dates[0].games) {
+        return { games: data.dates[0].games, body };
       }
-      
-      return [];
+
+      return { games: [], body };
     } catch (error) {
       console.error('Error fetching MLB games:', error);
       const errorMessage = error instanceof Error ? error.message : String(error);
@@ -98,6 +256,38 @@ export class MLBApiClient {
     }
   }
 
+  /**
+   * Get every game a team played or is scheduled to play between two dates
+   * @param teamId MLB team ID
+   * @param startDate First date in YYYY-MM-DD format
+   * @param endDate Last date in YYYY-MM-DD format
+   * @param sportId Sport ID (default: 1 for MLB)
+   * @returns Array of MLB games, oldest first; a suspended game is listed on each date it was played
+   */
+  async getTeamSchedule(teamId: number, startDate: string, endDate: string, sportId: number = 1): Promise<MLBGame[]> {
+    try {
+      const response: MLBApiResponse = await this.get('/schedule/games', {
+        params: {
+          sportId,
+          teamId,
+          startDate,
+          endDate,
+        },
+      });
+
+      // One entry per date, each with that date's games
+      if (response.data && response.data.dates) {
+        return response.data.dates.flatMap((date: { games?: MLBGame[] }) => date.games ?? []);
+      }
+
+      return [];
+    } catch (error) {
+      console.error(`Error fetching MLB schedule for team ${teamId}:`, error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      throw new Error(`Failed to fetch MLB schedule for team ${teamId} from ${startDate} to ${endDate}: ${errorMessage}`);
+    }
+  }
+
   /**
    * Get team information by team ID
    * @param teamId MLB team ID
@@ -105,7 +295,7 @@ export class MLBApiClient {
    */
   async getTeam(teamId: number): Promise<MLBTeam> {
     try {
-      const response: AxiosResponse = await this.client.get(`/teams/${teamId}`);
+      const response: MLBApiResponse = await this.get(`/teams/${teamId}`);
       
       if (response.data && response.data.teams && response.data.teams.length > 0) {
         return response.data.teams[0];
@@ -125,7 +315,7 @@ export class MLBApiClient {
    */
   async getAllTeams(): Promise<MLBTeam[]> {
     try {
-      const response: AxiosResponse = await this.client.get('/teams', {
+      const response: MLBApiResponse = await this.get('/teams', {
         params: {
           sportId: 1, // MLB
           activeStatus: 'Y' // Only active teams
@@ -144,6 +334,157 @@ export class MLBApiClient {
     }
   }
 
+  /**
+   * Get the live feed for a game, which includes its actual start and play-by-play times
+   * @param gamePk MLB game ID
+   * @returns MLB game feed
+   */
+  async getGameFeed(gamePk: number): Promise<MLBGameFeed> {
+    try {
+      const response: MLBApiResponse = await this.get(`/game/${gamePk}/feed/live`);
+
+      if (response.data && response.data.gameData) {
+        return response.data;
+      }
+
+      throw new Error(`Game feed for ${gamePk} not found`);
+    } catch (error) {
+      console.error(`Error fetching MLB game feed for ${gamePk}:`, error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      throw new Error(`Failed to fetch MLB game feed for ${gamePk}: ${errorMessage}`);
+    }
+  }
+
+  /**
+   * Get regular season standings for both leagues
+   * @param season Season year
+   * @param date Optional date in YYYY-MM-DD format to get standings as of that day
+   * @returns Array of team records across all divisions
+   */
+  async getStandings(season: number, date?: string): Promise<MLBTeamRecord[]> {
+    try {
+      const response: MLBApiResponse = await this.get('/standings', {
+        params: {
+          leagueId: '103,104', // American League, National League
+          season,
+          standingsTypes: 'regularSeason',
+          ...(date ? { date } : {})
+        }
+      });
+
+      // Standings are grouped by division
+      if (response.data && response.data.records) {
+        return response.data.records.flatMap((record: { teamRecords?: MLBTeamRecord[] }) => record.teamRecords ?? []);
+      }
+
+      return [];
+    } catch (error) {
+      console.error(`Error fetching MLB standings for season ${season}:`, error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      throw new Error(`Failed to fetch MLB standings for season ${season}: ${errorMessage}`);
+    }
+  }
+
+  /**
+   * Get the key dates of a season
+   * @param season Season year
+   * @param sportId Sport ID (default: 1 for MLB)
+   * @returns MLB season dates
+   */
+  async getSeason(season: number, sportId: number = 1): Promise<MLBSeason> {
+    try {
+      const response: MLBApiResponse = await this.get(`/seasons/${season}`, {
+        params: {
+          sportId,
+        },
+      });
+
+      if (response.data && response.data.seasons && response.data.seasons.length > 0) {
+        return response.data.seasons[0];
+      }
+
+      throw new Error(`Season ${season} not found`);
+    } catch (error) {
+      console.error(`Error fetching MLB season ${season}:`, error);
+      const errorMessage = error instanceof Error ? error.message : String(error);
+      throw new Error(`Failed to fetch MLB season ${season}: ${errorMessage}`);
+    }
+  }
+
+  /**
+   * Sends a GET request through the circuit breaker, retrying transient failures
+   * @param url Request path relative to the base URL
+   * @param config Optional axios request config
+   * @returns Promise<MLBApiResponse> The successful response
+   */
+  private async get(url: string, config?: AxiosRequestConfig): Promise<MLBApiResponse> {
+    const request = () => this.getWithRetry(url, config);
+    return this.circuitBreaker
+      ? this.circuitBreaker.execute(request, error => MLBApiClient.isRetryable(error))
+      : request();
+  }
+
+  /**
+   * Sends a GET request, backing off between attempts on network errors, 5xx and 429
+   * @param url Request path relative to the base URL
+   * @param config Optional axios request config
+   * @returns Promise<MLBApiResponse> The successful response
+   */
+  private async getWithRetry(url: string, config?: AxiosRequestConfig): Promise<MLBApiResponse> {
+    for (let attempt = 0; ; attempt++) {
+      await this.rateLimiter?.acquire();
+
+      const startedAt = Date.now();
+      try {
+        const response = await (config ? this.client.get(url, config) : this.client.get(url));
+        this.options.onRequest?.({ url, durationMs: Date.now() - startedAt });
+        return response;
+      } catch (error) {
+        this.options.onRequest?.({ url, durationMs: Date.now() - startedAt, error });
+
+        if (attempt >= this.options.maxRetries || !MLBApiClient.isRetryable(error)) {
+          throw error;
+        }
+
+        const retryAfterMs = isAxiosError(error) && error.response?.status === 429
+          ? parseRetryAfter(error.response.headers?.['retry-after'])
+          : undefined;
+
+        // Waiting longer than this would stall a sync; fail and let the caller decide
+        if (retryAfterMs !== undefined && retryAfterMs > this.options.maxRetryAfterMs) {
+          throw error;
+        }
+
+        const delayMs = retryAfterMs ?? getBackoffDelay(
+          attempt,
+          this.options.retryBaseDelayMs,
+          this.options.retryMaxDelayMs,
+          this.options.retryJitter
+        );
+
+        this.options.onRetry?.({ url, attempt: attempt + 1, delayMs, error });
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  /**
+   * Checks whether a failed request is worth retrying
+   * @param error Error thrown by axios
+   * @returns boolean True for network errors, timeouts, 429 and 5xx responses
+   */
+  private static isRetryable(error: unknown): boolean {
+    if (!isAxiosError(error)) {
+      return false;
+    }
+
+    if (!error.response) {
+      return error.code !== 'ERR_CANCELED';
+    }
+
+    return error.response.status === 429 || error.response.status >= 500;
+  }
+
   /**
    * Utility method to convert a date object to YYYY-MM-DD string format
    * @param date Date object
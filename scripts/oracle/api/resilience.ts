@@ -0,0 +1,155 @@
+/**
+ * Waits for the given number of milliseconds
+ * @param ms Delay in milliseconds
+ * @returns Promise<void> Resolves after the delay
+ */
+export function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Calculates an exponential backoff delay with full jitter
+ * @param attempt Zero-based retry attempt
+ * @param baseDelayMs Delay before the first retry
+ * @param maxDelayMs Upper bound for any single delay
+ * @param jitter Whether to randomise the delay between 0 and the exponential value
+ * @returns number Delay in milliseconds
+ */
+export function getBackoffDelay(attempt: number, baseDelayMs: number, maxDelayMs: number, jitter: boolean = true): number {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return jitter ? Math.random() * exponential : exponential;
+}
+
+/**
+ * Parses a Retry-After header value, which is either seconds or an HTTP date
+ * @param value Header value
+ * @param now Current time in milliseconds (defaults to now) - useful for testing
+ * @returns number | undefined Delay in milliseconds, or undefined if the header is missing or invalid
+ */
+export function parseRetryAfter(value: string | undefined, now: number = Date.now()): number | undefined {
+  if (!value) {
+    return undefined;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Spaces requests evenly so no more than a fixed number start per second
+ */
+export class RateLimiter {
+  private readonly intervalMs: number;
+  private nextSlot = 0;
+
+  /**
+   * Creates a new RateLimiter
+   * @param requestsPerSecond Maximum requests started per second
+   */
+  constructor(requestsPerSecond: number) {
+    if (!(requestsPerSecond > 0)) {
+      throw new Error(`Invalid rate limit: ${requestsPerSecond} requests per second`);
+    }
+    this.intervalMs = 1000 / requestsPerSecond;
+  }
+
+  /**
+   * Waits until the caller may start its next request
+   * @returns Promise<void> Resolves when a request slot is available
+   */
+  async acquire(): Promise<void> {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.intervalMs;
+
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+}
+
+/**
+ * Error thrown instead of calling a service whose circuit breaker is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(retryAt: number) {
+    super(`Circuit breaker is open after repeated failures - retrying after ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+/**
+ * Stops calling a failing service for a cool-down period after a run of
+ * consecutive failures, then lets a single trial request through
+ */
+export class CircuitBreaker {
+  private readonly failureThreshold: number;
+  private readonly resetTimeoutMs: number;
+  private consecutiveFailures = 0;
+  private openedAt?: number;
+  private trialInFlight = false;
+
+  /**
+   * Creates a new CircuitBreaker
+   * @param failureThreshold Consecutive failures that open the circuit
+   * @param resetTimeoutMs Time the circuit stays open before a trial request
+   */
+  constructor(failureThreshold: number, resetTimeoutMs: number) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+  }
+
+  /**
+   * Current breaker state
+   * @returns 'closed' | 'open' | 'half-open' State at the current time
+   */
+  get state(): 'closed' | 'open' | 'half-open' {
+    if (this.openedAt === undefined) {
+      return 'closed';
+    }
+    return Date.now() - this.openedAt >= this.resetTimeoutMs ? 'half-open' : 'open';
+  }
+
+  /**
+   * Runs an operation through the breaker
+   * @param operation Operation to run
+   * @param isFailure Decides whether an error counts against the service (defaults to every error)
+   * @returns Promise<T> The operation's result
+   */
+  async execute<T>(operation: () => Promise<T>, isFailure: (error: unknown) => boolean = () => true): Promise<T> {
+    const state = this.state;
+
+    if (state === 'open' || (state === 'half-open' && this.trialInFlight)) {
+      throw new CircuitOpenError(this.openedAt! + this.resetTimeoutMs);
+    }
+
+    this.trialInFlight = state === 'half-open';
+    try {
+      const result = await operation();
+      this.consecutiveFailures = 0;
+      this.openedAt = undefined;
+      return result;
+    } catch (error) {
+      if (!isFailure(error)) {
+        // The service answered, it just rejected this request
+        this.consecutiveFailures = 0;
+        this.openedAt = undefined;
+        throw error;
+      }
+
+      this.consecutiveFailures++;
+      if (state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+        this.openedAt = Date.now();
+      }
+      throw error;
+    } finally {
+      if (state === 'half-open') {
+        this.trialInFlight = false;
+      }
+    }
+  }
+}
@@ -0,0 +1,94 @@
+// Canonical on-chain team IDs, keyed by the stable MLB team ID.
+//
+// The MLB abbreviation is not stable: franchises relocate and rebrand (the
+// Athletics went from OAK to ATH in 2025). A team's on-chain ID is what its
+// AMM is bound to, so it must never change. Each entry keeps the ID the team
+// was registered under and every abbreviation the MLB API is known to use.
+//
+// Entries are only ever added to. Bump the version whenever the map changes;
+// it is journaled with every game submission and correction.
+
+/**
+ * A franchise's canonical ID and known abbreviations
+ */
+export interface TeamAlias {
+  teamId: string;          // Canonical on-chain team ID
+  abbreviations: string[]; // Every abbreviation the MLB API has used, current first
+}
+
+/**
+ * Versioned map from MLB team ID to canonical team
+ */
+export interface TeamAliasMap {
+  version: number;
+  teams: Record<number, TeamAlias>;
+}
+
+export const DEFAULT_TEAM_ALIAS_MAP: TeamAliasMap = {
+  version: 1,
+  teams: {
+    108: { teamId: 'LAA', abbreviations: ['LAA'] },
+    109: { teamId: 'AZ', abbreviations: ['AZ', 'ARI'] },
+    110: { teamId: 'BAL', abbreviations: ['BAL'] },
+    111: { teamId: 'BOS', abbreviations: ['BOS'] },
+    112: { teamId: 'CHC', abbreviations: ['CHC'] },
+    113: { teamId: 'CIN', abbreviations: ['CIN'] },
+    114: { teamId: 'CLE', abbreviations: ['CLE'] },
+    115: { teamId: 'COL', abbreviations: ['COL'] },
+    116: { teamId: 'DET', abbreviations: ['DET'] },
+    117: { teamId: 'HOU', abbreviations: ['HOU'] },
+    118: { teamId: 'KC', abbreviations: ['KC'] },
+    119: { teamId: 'LAD', abbreviations: ['LAD'] },
+    120: { teamId: 'WSH', abbreviations: ['WSH'] },
+    121: { teamId: 'NYM', abbreviations: ['NYM'] },
+    133: { teamId: 'OAK', abbreviations: ['ATH', 'OAK'] },
+    134: { teamId: 'PIT', abbreviations: ['PIT'] },
+    135: { teamId: 'SD', abbreviations: ['SD'] },
+    136: { teamId: 'SEA', abbreviations: ['SEA'] },
+    137: { teamId: 'SF', abbreviations: ['SF'] },
+    138: { teamId: 'STL', abbreviations: ['STL'] },
+    139: { teamId: 'TB', abbreviations: ['TB'] },
+    140: { teamId: 'TEX', abbreviations: ['TEX'] },
+    141: { teamId: 'TOR', abbreviations: ['TOR'] },
+    142: { teamId: 'MIN', abbreviations: ['MIN'] },
+    143: { teamId: 'PHI', abbreviations: ['PHI'] },
+    144: { teamId: 'ATL', abbreviations: ['ATL'] },
+    145: { teamId: 'CWS', abbreviations: ['CWS'] },
+    146: { teamId: 'MIA', abbreviations: ['MIA'] },
+    147: { teamId: 'NYY', abbreviations: ['NYY'] },
+    158: { teamId: 'MIL', abbreviations: ['MIL'] }
+  }
+};
+
+/**
+ * A team the alias map does not fully cover
+ */
+export interface UnmappedTeam {
+  mlbId: number;
+  name: string;
+  abbreviation: string; // Abbreviation returned by the MLB API
+  teamId: string;       // Team ID it resolved to
+  reason: 'unknown-team' | 'unknown-abbreviation';
+}
+
+/**
+ * Resolves the canonical on-chain ID for an MLB team
+ * @param map Alias map
+ * @param mlbId MLB team ID
+ * @param abbreviation Abbreviation returned by the MLB API
+ * @returns { teamId: string; unmapped?: UnmappedTeam['reason'] } Canonical ID
+ *   (the abbreviation for teams missing from the map) and why the map did not cover it, if it did not
+ */
+export function resolveTeamId(map: TeamAliasMap, mlbId: number, abbreviation: string): { teamId: string; unmapped?: UnmappedTeam['reason'] } {
+  const alias = map.teams[mlbId];
+
+  if (!alias) {
+    return { teamId: abbreviation, unmapped: 'unknown-team' };
+  }
+
+  if (!alias.abbreviations.includes(abbreviation)) {
+    return { teamId: alias.teamId, unmapped: 'unknown-abbreviation' };
+  }
+
+  return { teamId: alias.teamId };
+}
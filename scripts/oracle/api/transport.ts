@@ -0,0 +1,118 @@
+import { AxiosRequestConfig } from 'axios';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * The part of an HTTP response MLBApiClient relies on
+ */
+export interface MLBApiResponse {
+  data: any;
+}
+
+/**
+ * Sends GET requests for MLBApiClient. An axios instance satisfies this, so
+ * the default transport is the network
+ */
+export interface MLBApiTransport {
+  get(url: string, config?: AxiosRequestConfig): Promise<MLBApiResponse>;
+}
+
+/**
+ * A recorded response as stored on disk
+ */
+export interface MLBApiFixture {
+  url: string;
+  params: Record<string, unknown>;
+  recordedAt: string;
+  data: any;
+}
+
+/**
+ * Builds a deterministic fixture file name for a request
+ * @param url Request path relative to the base URL
+ * @param params Query parameters
+ * @returns string File name, e.g. schedule_games__date=2025-05-01_sportId=1.json
+ */
+export function getFixtureName(url: string, params: Record<string, unknown> = {}): string {
+  const path = url.replace(/^\/+/, '').replace(/\//g, '_');
+  const query = Object.keys(params)
+    .filter(key => params[key] !== undefined)
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('_');
+
+  const name = query ? `${path}__${query}` : path;
+  return `${name.replace(/[^A-Za-z0-9._=,-]/g, '-')}.json`;
+}
+
+/**
+ * Transport that passes requests through to another transport and saves each
+ * successful response as a fixture
+ */
+export class RecordingTransport implements MLBApiTransport {
+  private readonly inner: MLBApiTransport;
+  private readonly fixturesDir: string;
+
+  /**
+   * Creates a new RecordingTransport
+   * @param inner Transport that performs the real requests
+   * @param fixturesDir Directory to write fixtures to (created if missing)
+   */
+  constructor(inner: MLBApiTransport, fixturesDir: string) {
+    this.inner = inner;
+    this.fixturesDir = fixturesDir;
+    mkdirSync(fixturesDir, { recursive: true });
+  }
+
+  /**
+   * Sends a request and records its response
+   * @param url Request path relative to the base URL
+   * @param config Optional axios request config
+   * @returns Promise<MLBApiResponse> The response from the inner transport
+   */
+  async get(url: string, config?: AxiosRequestConfig): Promise<MLBApiResponse> {
+    const response = await this.inner.get(url, config);
+    const params = config?.params ?? {};
+
+    const fixture: MLBApiFixture = { url, params, recordedAt: new Date().toISOString(), data: response.data };
+    writeFileSync(join(this.fixturesDir, getFixtureName(url, params)), JSON.stringify(fixture, null, 2));
+
+    return response;
+  }
+}
+
+/**
+ * Transport that answers requests from recorded fixtures and never touches
+ * the network
+ */
+export class ReplayTransport implements MLBApiTransport {
+  private readonly fixturesDir: string;
+
+  /**
+   * Creates a new ReplayTransport
+   * @param fixturesDir Directory containing recorded fixtures
+   */
+  constructor(fixturesDir: string) {
+    if (!existsSync(fixturesDir)) {
+      throw new Error(`Fixtures directory not found: ${fixturesDir}`);
+    }
+    this.fixturesDir = fixturesDir;
+  }
+
+  /**
+   * Returns the recorded response for a request
+   * @param url Request path relative to the base URL
+   * @param config Optional axios request config
+   * @returns Promise<MLBApiResponse> The recorded response
+   */
+  async get(url: string, config?: AxiosRequestConfig): Promise<MLBApiResponse> {
+    const file = join(this.fixturesDir, getFixtureName(url, config?.params));
+
+    if (!existsSync(file)) {
+      throw new Error(`No recorded fixture for GET ${url} (expected ${file})`);
+    }
+
+    const fixture: MLBApiFixture = JSON.parse(readFileSync(file, 'utf8'));
+    return { data: fixture.data };
+  }
+}
@@ -1,99 +1,1134 @@
 #!/usr/bin/env node
-import { Command } from 'commander';
-import { OracleSyncService } from './services/OracleSyncService.js';
-import { getDefaultSyncDate, DEFAULT_DATE_CUTOFF_HOUR_ET } from './utils/dateUtils.js';
+import { Command, Option } from 'commander';
+import { writeFileSync } from 'fs';
+import { BaseballDataService, DEFAULT_GAME_TYPES, MLB_GAME_TYPES } from './api/BaseballDataService.js';
+import { ConsensusDataProvider, ConsensusReport } from './api/ConsensusDataProvider.js';
+import { GameDataProvider } from './api/GameDataProvider.js';
+import { LocalFileProvider } from './api/LocalFileProvider.js';
+import { MLBApiClient, MLBApiClientOptions, MLBApiRequestInfo } from './api/MLBApiClient.js';
+import { UnmappedTeam } from './api/teamAliases.js';
+import { ReplayTransport } from './api/transport.js';
+import { OpenGameDate, OracleGameData, OracleSyncService } from './services/OracleSyncService.js';
+import { GameSubmissionOutcome, OracleBlockchainService } from './services/OracleBlockchainService.js';
+import { DEFAULT_RECENT_GAMES, DEFAULT_STALE_AFTER_HOURS, OracleStatus, OracleStatusService, TeamStatus } from './services/OracleStatusService.js';
+import { BackfillService, DEFAULT_BACKFILL_BATCH_SIZE, DEFAULT_BACKFILL_MAX_BATCH_GAS } from './services/BackfillService.js';
+import { TeamRegistrationService } from './services/TeamRegistrationService.js';
+import { ReconciliationService, TeamRecordDiscrepancy } from './services/ReconciliationService.js';
+import { AppliedCorrection, FailedCorrection, GameVerificationService } from './services/GameVerificationService.js';
+import { SeasonAction, SeasonService, SeasonStatus } from './services/SeasonService.js';
+import { DEFAULT_JOURNAL_PATH, JournalEntry, SubmissionJournal } from './services/SubmissionJournal.js';
+import { DEFAULT_SUSPENDED_GAMES_PATH, SuspendedGameTracker } from './services/SuspendedGameTracker.js';
+import { SeasonTeamMetrics, TeamMetricsService } from './services/TeamMetricsService.js';
+import { DEFAULT_SYNC_STALE_AFTER_MINUTES, OracleMetrics } from './services/OracleMetrics.js';
+import { DEFAULT_DAEMON_BATCH_SIZE, DEFAULT_DAEMON_SCHEDULE, DEFAULT_DAEMON_STATE_PATH, DEFAULT_GAME_WINDOW_START_HOUR, SyncDaemon, SyncTickResult } from './services/SyncDaemon.js';
+import { ChainConfig, getDeployedOracleBlock, getGameTypeOracles, loadChainConfig } from './utils/chainConfig.js';
+import { formatBlockTimestamp, parseDateString, DEFAULT_DATE_CUTOFF_HOUR } from './utils/dateUtils.js';
+import { EXIT_CODES, formatRecordLine, formatRecords, getExitCodeForError, log, OUTPUT_FORMATS, OutputColumn, OutputFormat } from './utils/output.js';
+import { DEFAULT_METRICS_HOST, listenForMetrics } from './utils/metricsServer.js';
+import { formatTable } from './utils/table.js';
+import { TeamSplit } from './utils/teamMetrics.js';
+import { confirm } from './utils/prompt.js';
 
 const program = new Command();
 
 program
   .name('oracle')
   .description('Living Futures Baseball Oracle CLI')
-  .version('1.0.0');
+  .version('1.0.0')
+  .addOption(new Option('-o, --output <format>', 'Format of the results written to stdout').choices(OUTPUT_FORMATS).default('table'))
+  .option('--replay <dir>', 'Serve MLB API requests from recorded fixtures instead of the network')
+  .option('--record <dir>', 'Save every MLB API response to a fixtures directory for later --replay')
+  .option('--local-feed <dir>', 'Also read game results from YYYY-MM-DD.json/.csv files in this directory and require consensus with MLB')
+  .option('--quorum <count>', 'Number of data sources that must agree before a game is recorded (default: a majority)')
+  .option('--game-types <codes>', `Comma-separated MLB game types to record (${Object.keys(MLB_GAME_TYPES).join(', ')})`, DEFAULT_GAME_TYPES.join(','))
+  .option('--share-oracle', 'Record selected game types without an ORACLE_ADDRESS_{CODE} deployment on ORACLE_ADDRESS');
 
+/**
+ * Gets the format selected with the global --output flag
+ * @returns OutputFormat Output format
+ */
+function getOutputFormat(): OutputFormat {
+  return program.opts().output;
+}
+
+/**
+ * Writes command results to stdout in the selected format
+ * @param records Result records
+ * @param columns Columns for table and csv output
+ */
+function printRecords<T extends object>(records: T[], columns: OutputColumn<T>[]): void {
+  const output = formatRecords(getOutputFormat(), records, columns);
+  if (output) {
+    console.log(output);
+  }
+}
+
+/**
+ * Reports a failed command and exits with the matching exit code
+ * @param action What the command was doing, e.g. 'syncing games'
+ * @param error Error that ended the command
+ */
+function exitWithError(action: string, error: unknown): never {
+  log(`\nError ${action}:`);
+  log(error instanceof Error ? error.message : String(error));
+  process.exit(getExitCodeForError(error));
+}
+
+/**
+ * Gets the game types selected with the global --game-types flag
+ * @returns string[] MLB game type codes
+ */
+function getGameTypes(): string[] {
+  const gameTypes = String(program.opts().gameTypes).split(',').map(gameType => gameType.trim().toUpperCase()).filter(Boolean);
+  const unknown = gameTypes.filter(gameType => !(gameType in MLB_GAME_TYPES));
+
+  if (gameTypes.length === 0 || unknown.length > 0) {
+    throw new Error(`Invalid --game-types ${program.opts().gameTypes}; use a comma-separated list of ${Object.keys(MLB_GAME_TYPES).join(', ')}`);
+  }
+
+  return gameTypes;
+}
+
+/**
+ * Connects to the oracle and to the deployment for each of the selected game
+ * types. Fails before connecting if a game type other than the regular season
+ * has no deployment and --share-oracle was not given
+ * @param config Chain configuration
+ * @returns Promise<{ blockchainService: OracleBlockchainService; deployments: Record<string, OracleBlockchainService> }>
+ *   Default deployment and the deployments keyed by game type
+ */
+async function connectDeployments(config: ChainConfig): Promise<{ blockchainService: OracleBlockchainService; deployments: Record<string, OracleBlockchainService> }> {
+  const oracles = getGameTypeOracles(config, getGameTypes(), program.opts().shareOracle);
+  const blockchainService = await OracleBlockchainService.connect(config);
+  const deployments: Record<string, OracleBlockchainService> = {};
+
+  for (const [gameType, oracleAddress] of Object.entries(oracles)) {
+    if (oracleAddress.toLowerCase() === config.oracleAddress.toLowerCase()) {
+      deployments[gameType] = blockchainService;
+    } else {
+      log(`Recording ${MLB_GAME_TYPES[gameType]} games (${gameType}) on the oracle at ${oracleAddress}`);
+      deployments[gameType] = await OracleBlockchainService.connect({ ...config, oracleAddress });
+    }
+  }
+
+  return { blockchainService, deployments };
+}
+
+/**
+ * Creates the MLB data service, honouring the global --replay and --record flags
+ * @param onRequest Called after every MLB API request attempt, e.g. to record metrics
+ * @returns BaseballDataService Service backed by the network or recorded fixtures
+ */
+function createBaseballDataService(onRequest?: (info: MLBApiRequestInfo) => void): BaseballDataService {
+  const { replay, record } = program.opts();
+
+  if (replay && record) {
+    throw new Error('--replay and --record cannot be used together');
+  }
+
+  let options: MLBApiClientOptions = {};
+  if (replay) {
+    // Fixtures are local and deterministic, so there is nothing to retry or throttle
+    options = { transport: new ReplayTransport(replay), maxRetries: 0, requestsPerSecond: 0 };
+  } else if (record) {
+    options = { recordTo: record };
+  }
+
+  return new BaseballDataService(new MLBApiClient(undefined, { ...options, onRequest }), { gameTypes: getGameTypes(), onUnmappedTeam: warnUnmappedTeam });
+}
+
+/**
+ * Warns about a team the alias map does not cover, since registering or
+ * recording it under a new ID would orphan the franchise's existing AMM
+ * @param team Team returned by the MLB API
+ */
+function warnUnmappedTeam(team: UnmappedTeam): void {
+  if (team.reason === 'unknown-team') {
+    log(`Warning: MLB team ${team.mlbId} (${team.name}) is not in the team alias map; using its abbreviation ${team.abbreviation} as the team ID. Add it to oracle/api/teamAliases.ts`);
+  } else {
+    log(`Warning: MLB abbreviation ${team.abbreviation} for ${team.name} (MLB ID ${team.mlbId}) is not in the team alias map; still using team ID ${team.teamId}. Add it to oracle/api/teamAliases.ts`);
+  }
+}
+
+/**
+ * Creates the game data provider used for syncing. With --local-feed the MLB
+ * service is combined with the local feed and only agreed games are returned
+ * @param onApiRequest Called after every MLB API request attempt, e.g. to record metrics
+ * @returns GameDataProvider MLB service alone, or a consensus of every configured source
+ */
+function createGameDataProvider(onApiRequest?: (info: MLBApiRequestInfo) => void): GameDataProvider {
+  const { localFeed, quorum } = program.opts();
+  const mlb = createBaseballDataService(onApiRequest);
+
+  if (!localFeed) {
+    if (quorum !== undefined) {
+      throw new Error('--quorum requires at least one additional source (--local-feed)');
+    }
+    return mlb;
+  }
+
+  return new ConsensusDataProvider([mlb, new LocalFileProvider(localFeed, undefined, getGameTypes())], {
+    quorum: quorum === undefined ? undefined : parseInt(quorum, 10),
+    onReport: printConsensusReport
+  });
+}
+
+/**
+ * Prints provider failures and disagreements from a consensus comparison
+ * @param report Consensus report for one date
+ */
+function printConsensusReport(report: ConsensusReport): void {
+  for (const failure of report.failures) {
+    log(`Warning: data source ${failure.provider} failed for ${report.date}: ${failure.error}`);
+  }
+
+  if (report.disagreements.length === 0) {
+    return;
+  }
+
+  log(`\nData sources disagree on ${report.disagreements.length} game(s) for ${report.date} (quorum ${report.quorum}):`);
+  const headers = ['Game ID', 'Source', 'Away Team', 'Home Team', 'Away Score', 'Home Score', 'Status', 'Recorded'];
+  const rows = report.disagreements.flatMap(disagreement => disagreement.views.map(view => [
+    disagreement.gameId.toString(),
+    view.provider,
+    ...(view.game
+      ? [view.game.awayTeam, view.game.homeTeam, view.game.awayScore.toString(), view.game.homeScore.toString(), view.game.gameStatus]
+      : ['missing', '', '', '', '']),
+    disagreement.forwarded ? 'yes' : 'no'
+  ]));
+  log(formatTable(headers, rows));
+}
+
+/**
+ * A game handled by the sync command
+ */
+interface SyncedGameRecord extends OracleGameData {
+  status: 'pending' | 'recorded' | 'skipped'; // 'pending' in a dry run
+  reason?: string;                            // ErrorLogged reason for skipped games
+  transactionHash?: string;
+}
+
+const SYNC_COLUMNS: OutputColumn<SyncedGameRecord>[] = [
+  { key: 'officialDate', header: 'Date' },
+  { key: 'gameId', header: 'Game ID' },
+  { key: 'awayTeam', header: 'Away Team' },
+  { key: 'homeTeam', header: 'Home Team' },
+  { key: 'awayScore', header: 'Away Score' },
+  { key: 'homeScore', header: 'Home Score' },
+  { key: 'gameDate', header: 'Start', table: false },
+  { key: 'timestamp', header: 'Timestamp', display: game => game.timestamp.toString() + (game.endTimeEstimated ? '*' : '') },
+  { key: 'endTimeEstimated', header: 'Estimated', value: game => game.endTimeEstimated ?? false, table: false },
+  { key: 'status', header: 'Status', display: game => game.status === 'skipped' ? `skipped (${game.reason})` : game.status },
+  { key: 'reason', header: 'Reason', table: false },
+  { key: 'transactionHash', header: 'Transaction', table: false }
+];
 
 program
   .command('sync')
   .description('Sync baseball game results to the Oracle contract')
-  .option('-d, --date <date>', `Date to sync in YYYY-MM-DD format (default: intelligent - today after ${DEFAULT_DATE_CUTOFF_HOUR_ET}AM ET, yesterday before ${DEFAULT_DATE_CUTOFF_HOUR_ET}AM ET)`)
-  .option('-v, --verbose', 'Enable verbose output')
+  .option('-d, --date <date>', `Date to sync in YYYY-MM-DD format (default: every date that is the current game day at some venue - a game day lasts until ${DEFAULT_DATE_CUTOFF_HOUR}AM the next morning in the venue's time zone)`)
+  .option('-v, --verbose', 'Write the fetched game data to stderr')
+  .option('--dry-run', 'Fetch and display games without sending any blockchain transactions')
+  .option('--suspended-games <file>', 'File that tracks suspended games across dates', DEFAULT_SUSPENDED_GAMES_PATH)
+  .option('--journal <file>', 'Append-only journal of prepared and sent transactions', DEFAULT_JOURNAL_PATH)
   .action(async (options) => {
     try {
-      const syncService = new OracleSyncService();
-      
-      // Get the date to use (time-aware default)
-      let targetDate: Date;
-      let isDefaultDate = false;
+      // Only connect to the chain (and update tracked suspended games) when we are actually going to submit
+      const { blockchainService, deployments } = options.dryRun
+        ? { blockchainService: undefined, deployments: {} }
+        : await connectDeployments(loadChainConfig());
+      const suspendedGameTracker = options.dryRun ? undefined : new SuspendedGameTracker(options.suspendedGames);
+      const journal = options.dryRun ? undefined : new SubmissionJournal(options.journal);
+      const syncService = new OracleSyncService(createGameDataProvider(), blockchainService, suspendedGameTracker, journal, deployments);
+
+      // Get the dates to use (venue-aware default)
+      let targetDates: string[];
+      let openDates: OpenGameDate[] = [];
       let dateExplanation = '';
-      
+
       if (options.date) {
         // User provided a date - parse it
-        targetDate = new Date(options.date);
-        if (isNaN(targetDate.getTime())) {
-          throw new Error(`Invalid date format: ${options.date}. Please use YYYY-MM-DD format.`);
-        }
+        targetDates = [parseDateString(options.date).toISOString().split('T')[0]];
       } else {
-        // Use time-aware default date selection
-        const defaultResult = getDefaultSyncDate();
-        targetDate = defaultResult.date;
-        isDefaultDate = true;
-        dateExplanation = ` (${defaultResult.explanation})`;
-      }
-      
-      // Format the date for display
-      const formattedDate = targetDate.toISOString().split('T')[0];
-      
-      // Display the date that's being used
-      console.log(`Syncing baseball games for date: ${formattedDate}${dateExplanation}`);
-      
-      // Get games for the target date
-      const games = await syncService.prepareGamesForDate(targetDate);
-      
+        // Every date that is still the current game day in some venue's time zone
+        openDates = await syncService.getOpenGameDates();
+        targetDates = openDates.map(open => open.date);
+        dateExplanation = ` (default: the current game day at each venue, until ${DEFAULT_DATE_CUTOFF_HOUR}AM local time the next morning)`;
+      }
+
+      // Display the dates that are being used
+      log(targetDates.length > 0
+        ? `Syncing baseball games for date${targetDates.length === 1 ? '' : 's'}: ${targetDates.join(', ')}${dateExplanation}`
+        : 'No venue has a game day in progress.');
+
+      // Get games for the target dates
+      const games: OracleGameData[] = [];
+      for (const date of targetDates) {
+        games.push(...await syncService.prepareGamesForDate(new Date(date), openDates.find(open => open.date === date)?.games));
+      }
+
       // Log verbose information if requested
       if (options.verbose) {
-        console.log('\nFetched games (raw data):');
-        console.log(JSON.stringify(games, null, 2));
-      }
-      
-      // Log summary
-      console.log(`\nFound ${games.length} completed games:`);
-      
-      if (games.length > 0) {
-        // Create table headers
-        const headers = ['Game ID', 'Away Team', 'Home Team', 'Away Score', 'Home Score', 'Timestamp'];
-        const colWidths = [10, 10, 10, 11, 11, 12];
-        
-        // Print table header
-        console.log('\nBlockchain Data Table:');
-        console.log('┌' + colWidths.map(w => '─'.repeat(w)).join('┬') + '┐');
-        console.log('│' + headers.map((h, i) => h.padEnd(colWidths[i])).join('│') + '│');
-        console.log('├' + colWidths.map(w => '─'.repeat(w)).join('┼') + '┤');
-        
-        // Print each game row
-        games.forEach(game => {
-          const row = [
-            game.gameId.toString(),
-            game.awayTeam,
-            game.homeTeam,
-            game.awayScore.toString(),
-            game.homeScore.toString(),
-            game.timestamp.toString()
-          ];
-          
-          console.log('│' + row.map((cell, i) => cell.padEnd(colWidths[i])).join('│') + '│');
+        log('\nFetched games (raw data):');
+        log(JSON.stringify(games, null, 2));
+      }
+
+      log(`\nFound ${games.length} completed games.`);
+
+      let records: SyncedGameRecord[] = games.map(game => ({ ...game, status: 'pending' }));
+
+      if (games.length > 0 && !options.dryRun) {
+        log('Submitting games to the Oracle contract...');
+        const outcomes = new Map<number, GameSubmissionOutcome>();
+        const transactions = new Map<number, string>();
+
+        // One transaction per oracle deployment
+        for (const group of syncService.groupByDeployment(games)) {
+          const submission = await syncService.submitGames(group);
+          submission.outcomes.forEach(outcome => outcomes.set(outcome.gameId, outcome));
+          group.forEach(game => transactions.set(game.gameId, submission.transactionHash));
+
+          log(`Transaction: ${submission.transactionHash} (block ${submission.blockNumber}, gas used ${submission.gasUsed})`);
+          log(`Recorded ${submission.gamesProcessed} of ${group.length} games.`);
+        }
+
+        records = games.map(game => {
+          const outcome = outcomes.get(game.gameId);
+          return { ...game, status: outcome?.status ?? 'skipped', reason: outcome?.reason, transactionHash: transactions.get(game.gameId) };
+        });
+      }
+
+      printRecords(records, SYNC_COLUMNS);
+
+      if (games.some(game => game.endTimeEstimated)) {
+        log('* End time estimated as start + 3 hours - the MLB game feed had no end time for this game');
+      }
+
+      if (games.length === 0) {
+        log(`No completed games found for the specified date${targetDates.length === 1 ? '' : 's'}.`);
+        process.exitCode = EXIT_CODES.NO_GAMES;
+      } else if (options.dryRun) {
+        log('Dry run - no blockchain transactions were sent.');
+      } else if (records.some(record => record.status === 'skipped')) {
+        process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+      }
+
+      const pendingSuspended = suspendedGameTracker?.getPending() ?? [];
+      if (pendingSuspended.length > 0) {
+        log('\nSuspended games awaiting completion:');
+        pendingSuspended.forEach(game => {
+          const resumes = game.resumeDate ? `resumes ${game.resumeDate}` : 'resumption not yet scheduled';
+          log(`  ${game.gameId.toString().padEnd(10)} ${game.awayTeam} @ ${game.homeTeam}, suspended ${game.suspendedOn}, ${resumes}`);
         });
-        
-        // Close table
-        console.log('└' + colWidths.map(w => '─'.repeat(w)).join('┴') + '┘');
-        
-        console.log('\nThese games would be synced to the blockchain.');
-        console.log('Currently in simulation mode - no blockchain transactions were sent.');
+      }
+    } catch (error) {
+      exitWithError('syncing games', error);
+    }
+  });
+
+/**
+ * One date of a backfill
+ */
+interface BackfillDayRecord {
+  date: string;
+  gamesFound: number;
+  alreadyRecorded: number;
+  pending: number;
+  batches: number;
+  recorded: number;
+  skipped: number;
+  transactions: string[];
+}
+
+const BACKFILL_COLUMNS: OutputColumn<BackfillDayRecord>[] = [
+  { key: 'date', header: 'Date' },
+  { key: 'gamesFound', header: 'Final Games' },
+  { key: 'alreadyRecorded', header: 'Already Recorded' },
+  { key: 'pending', header: 'Pending' },
+  { key: 'batches', header: 'Batches' },
+  { key: 'recorded', header: 'Recorded' },
+  { key: 'skipped', header: 'Skipped' },
+  { key: 'transactions', header: 'Transactions', value: day => day.transactions.join(' '), table: false }
+];
+
+program
+  .command('backfill')
+  .description('Record game results for every date in a range, skipping games already on-chain')
+  .requiredOption('--from <date>', 'First date to backfill in YYYY-MM-DD format')
+  .requiredOption('--to <date>', 'Last date to backfill in YYYY-MM-DD format')
+  .option('--batch-size <count>', 'Maximum games per transaction', String(DEFAULT_BACKFILL_BATCH_SIZE))
+  .option('--max-batch-gas <gas>', 'Split batches whose gas estimate exceeds this limit', DEFAULT_BACKFILL_MAX_BATCH_GAS.toString())
+  .option('--checkpoint <file>', 'Checkpoint file used to resume an interrupted backfill')
+  .option('--dry-run', 'Plan batches without sending any blockchain transactions')
+  .option('--suspended-games <file>', 'File that tracks suspended games across dates', DEFAULT_SUSPENDED_GAMES_PATH)
+  .option('--journal <file>', 'Append-only journal of prepared and sent transactions', DEFAULT_JOURNAL_PATH)
+  .action(async (options) => {
+    try {
+      // A dry run only reads which games are already recorded, so it needs no signer
+      const { blockchainService, deployments } = await connectDeployments(loadChainConfig({}, options.dryRun ? 'read-only' : 'oracle'));
+      const suspendedGameTracker = options.dryRun ? undefined : new SuspendedGameTracker(options.suspendedGames);
+      const journal = options.dryRun ? undefined : new SubmissionJournal(options.journal);
+      const syncService = new OracleSyncService(createGameDataProvider(), blockchainService, suspendedGameTracker, journal, deployments);
+      const backfillService = new BackfillService(syncService, {
+        maxBatchSize: parseInt(options.batchSize, 10),
+        maxBatchGas: BigInt(options.maxBatchGas),
+        checkpointPath: options.checkpoint,
+        dryRun: options.dryRun,
+        onDayComplete: (day) => {
+          const pending = day.gamesFound - day.alreadyRecorded;
+          log(`${day.date}: ${day.gamesFound} final games, ${day.alreadyRecorded} already recorded, ${pending} pending in ${day.batches.length} batch(es)`);
+          day.submissions.forEach(submission => {
+            const skipped = submission.outcomes.filter(outcome => outcome.status === 'skipped');
+            log(`  ${submission.transactionHash}: recorded ${submission.gamesProcessed}, skipped ${skipped.length}`);
+            skipped.forEach(outcome => log(`    ${outcome.gameId} skipped (${outcome.reason})`));
+          });
+        }
+      });
+
+      log(`Backfilling baseball games from ${options.from} to ${options.to}${options.dryRun ? ' (dry run)' : ''}`);
+
+      const summary = await backfillService.run(options.from, options.to);
+
+      if (summary.resumedFrom) {
+        log(`Resumed from checkpoint at ${summary.resumedFrom}`);
+      }
+
+      const records: BackfillDayRecord[] = summary.days.map(day => ({
+        date: day.date,
+        gamesFound: day.gamesFound,
+        alreadyRecorded: day.alreadyRecorded,
+        pending: day.gamesFound - day.alreadyRecorded,
+        batches: day.batches.length,
+        recorded: day.submissions.reduce((total, submission) => total + submission.gamesProcessed, 0),
+        skipped: day.submissions.reduce((total, submission) => total + submission.outcomes.filter(outcome => outcome.status === 'skipped').length, 0),
+        transactions: day.submissions.map(submission => submission.transactionHash)
+      }));
+
+      printRecords(records, BACKFILL_COLUMNS);
+
+      const recorded = records.reduce((total, day) => total + day.recorded, 0);
+      const transactions = records.reduce((total, day) => total + day.transactions.length, 0);
+
+      log(`\nBackfill complete: ${summary.days.length} day(s), ${recorded} games recorded in ${transactions} transaction(s).`);
+      if (options.dryRun) {
+        log('Dry run - no blockchain transactions were sent.');
+      }
+
+      if (records.every(day => day.gamesFound === 0)) {
+        process.exitCode = EXIT_CODES.NO_GAMES;
+      } else if (records.some(day => day.skipped > 0)) {
+        process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+      }
+    } catch (error) {
+      exitWithError('backfilling games', error);
+    }
+  });
+
+/**
+ * A team the register-teams command registered or flagged
+ */
+interface TeamRegistrationRecord {
+  teamId: string;
+  name: string;
+  status: 'missing' | 'registered' | 'drifted' | 'unknown';
+  detail?: string;
+  transactionHash?: string;
+}
+
+const REGISTRATION_COLUMNS: OutputColumn<TeamRegistrationRecord>[] = [
+  { key: 'teamId', header: 'Team' },
+  { key: 'name', header: 'Name' },
+  { key: 'status', header: 'Status' },
+  { key: 'detail', header: 'Detail' },
+  { key: 'transactionHash', header: 'Transaction' }
+];
+
+program
+  .command('register-teams')
+  .description('Register MLB teams that are missing from the Oracle contract and flag drifted team details')
+  .option('--dry-run', 'Show the registration plan without sending any blockchain transactions')
+  .option('--journal <file>', 'Append-only journal of prepared and sent transactions', DEFAULT_JOURNAL_PATH)
+  .action(async (options) => {
+    try {
+      // The plan is read-only; the admin account is only needed to register teams
+      const blockchainService = await OracleBlockchainService.connect(loadChainConfig({}, options.dryRun ? 'read-only' : 'admin'));
+      const registrationService = new TeamRegistrationService(createBaseballDataService(), blockchainService, new SubmissionJournal(options.journal));
+
+      const plan = await registrationService.planRegistration();
+
+      log(`On-chain teams: ${plan.registeredCount}`);
+      log(`Missing teams: ${plan.missing.length}`);
+
+      const transactions = new Map<string, string>();
+
+      if (plan.missing.length === 0) {
+        log('All MLB teams are registered.');
+      } else if (options.dryRun) {
+        log('Dry run - no blockchain transactions were sent.');
       } else {
-        console.log('\nNo completed games found for the specified date.');
+        log('Registering missing teams...');
+        const results = await registrationService.registerTeams(plan.missing);
+        results.forEach(result => transactions.set(result.teamId, result.transactionHash));
+        log(`Registered ${results.length} team(s).`);
       }
+
+      const records: TeamRegistrationRecord[] = [
+        ...plan.missing.map(team => ({
+          teamId: team.teamId,
+          name: team.name,
+          status: transactions.has(team.teamId) ? 'registered' as const : 'missing' as const,
+          detail: `MLB ID ${team.mlbId}`,
+          transactionHash: transactions.get(team.teamId)
+        })),
+        ...plan.drifted.map(drift => ({
+          teamId: drift.teamId,
+          name: '',
+          status: 'drifted' as const,
+          detail: `${drift.field}: on-chain "${drift.onChain}", MLB "${drift.mlb}" (not changed automatically)`
+        })),
+        ...plan.unknownOnChain.map(team => ({
+          teamId: team.teamId,
+          name: team.name,
+          status: 'unknown' as const,
+          detail: 'not returned by the MLB API'
+        }))
+      ];
+
+      printRecords(records, REGISTRATION_COLUMNS);
+    } catch (error) {
+      exitWithError('registering teams', error);
+    }
+  });
+
+/**
+ * A team record that differs from the official standings
+ */
+interface ReconciliationRecord extends TeamRecordDiscrepancy {
+  transactionHash?: string; // Set once adjustTeamRecord has been sent
+}
+
+/**
+ * Formats a signed difference, e.g. +2 or -1
+ * @param value Difference
+ * @returns string Signed value
+ */
+function formatDiff(value: number): string {
+  return value > 0 ? `+${value}` : value.toString();
+}
+
+const RECONCILIATION_COLUMNS: OutputColumn<ReconciliationRecord>[] = [
+  { key: 'teamId', header: 'Team' },
+  { key: 'onChainWins', header: 'On-chain W-L', display: d => `${d.onChainWins}-${d.onChainLosses}` },
+  { key: 'onChainLosses', header: 'On-chain L', table: false },
+  { key: 'officialWins', header: 'Official W-L', display: d => `${d.officialWins}-${d.officialLosses}` },
+  { key: 'officialLosses', header: 'Official L', table: false },
+  { key: 'diff', header: 'Diff W/L', value: d => `${formatDiff(d.onChainWins - d.officialWins)}/${formatDiff(d.onChainLosses - d.officialLosses)}` },
+  { key: 'onChainWinPct', header: 'On-chain Pct' },
+  { key: 'officialWinPct', header: 'Official Pct' },
+  { key: 'transactionHash', header: 'Transaction', table: false }
+];
+
+program
+  .command('reconcile')
+  .description('Compare on-chain team records with the official MLB standings')
+  .option('-s, --season <year>', 'Season to reconcile (default: current year)')
+  .option('-d, --date <date>', 'Compare against standings as of this date in YYYY-MM-DD format (default: latest)')
+  .option('--fix', 'Send adjustTeamRecord transactions to correct every discrepancy')
+  .option('--journal <file>', 'Append-only journal of prepared and sent transactions', DEFAULT_JOURNAL_PATH)
+  .action(async (options) => {
+    try {
+      const blockchainService = await OracleBlockchainService.connect(loadChainConfig({}, options.fix ? 'admin' : 'read-only'));
+      const reconciliationService = new ReconciliationService(createBaseballDataService(), blockchainService, new SubmissionJournal(options.journal));
+
+      const season = options.season ? parseInt(options.season, 10) : new Date().getFullYear();
+      if (isNaN(season)) {
+        throw new Error(`Invalid season: ${options.season}`);
+      }
+      if (options.date) {
+        parseDateString(options.date);
+      }
+
+      log(`Reconciling ${season} team records${options.date ? ` as of ${options.date}` : ''}`);
+
+      const report = await reconciliationService.reconcile(season, options.date);
+
+      report.unregistered.forEach(standing => {
+        log(`Warning: ${standing.teamId} (${standing.name}) is in the standings but not registered on-chain`);
+      });
+      report.missingFromStandings.forEach(team => {
+        log(`Warning: ${team.teamId} (${team.name}) is registered on-chain but not in the standings`);
+      });
+
+      log(`\nChecked ${report.teamsChecked} teams, found ${report.discrepancies.length} discrepancies.`);
+
+      let records: ReconciliationRecord[] = report.discrepancies;
+      let adjustmentsFailed = false;
+
+      if (report.discrepancies.length > 0 && options.fix) {
+        log('Adjusting team records...');
+        const { applied, failed } = await reconciliationService.applyAdjustments(report.discrepancies);
+        failed.forEach(failure => log(`Warning: adjusting ${failure.teamId} failed: ${failure.error}`));
+        const transactions = new Map(applied.map(adjustment => [adjustment.teamId, adjustment.transactionHash]));
+        records = report.discrepancies.map(discrepancy => ({ ...discrepancy, transactionHash: transactions.get(discrepancy.teamId) }));
+        adjustmentsFailed = failed.length > 0;
+      } else if (report.discrepancies.length > 0) {
+        log('Run with --fix to send adjustTeamRecord transactions for these teams.');
+      }
+
+      printRecords(records, RECONCILIATION_COLUMNS);
+
+      // Teams missing on either side could not be compared
+      if (adjustmentsFailed || report.unregistered.length > 0 || report.missingFromStandings.length > 0) {
+        process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+      }
+    } catch (error) {
+      exitWithError('reconciling team records', error);
+    }
+  });
+
+/**
+ * One field of a recorded game that differs from MLB
+ */
+interface VerificationRecord {
+  date: string;
+  gameId: number;
+  field: string;
+  onChain: string | number;
+  mlb: string | number;
+  transactionHash?: string; // Set once correctGameResult has been sent
+}
+
+const VERIFICATION_COLUMNS: OutputColumn<VerificationRecord>[] = [
+  { key: 'date', header: 'Date' },
+  { key: 'gameId', header: 'Game ID' },
+  { key: 'field', header: 'Field' },
+  { key: 'onChain', header: 'On-chain' },
+  { key: 'mlb', header: 'MLB' },
+  { key: 'transactionHash', header: 'Transaction', table: false }
+];
+
+program
+  .command('verify')
+  .description('Re-fetch recorded games for a date range and detect score or status corrections')
+  .requiredOption('--from <date>', 'First date to verify in YYYY-MM-DD format')
+  .requiredOption('--to <date>', 'Last date to verify in YYYY-MM-DD format')
+  .option('--report <file>', 'Write the machine-readable diff report to this JSON file')
+  .option('--correct', 'Submit correctGameResult for every game that differs')
+  .option('-y, --yes', 'Submit corrections without asking for confirmation')
+  .option('--journal <file>', 'Append-only journal of prepared and sent transactions', DEFAULT_JOURNAL_PATH)
+  .action(async (options) => {
+    try {
+      const { blockchainService, deployments } = await connectDeployments(loadChainConfig({}, options.correct ? 'admin' : 'read-only'));
+      const syncService = new OracleSyncService(createGameDataProvider(), blockchainService, undefined, undefined, deployments);
+      const verificationService = new GameVerificationService(syncService, new SubmissionJournal(options.journal));
+
+      log(`Verifying recorded games from ${options.from} to ${options.to}`);
+
+      const report = await verificationService.verify(options.from, options.to);
+
+      log(`\nChecked ${report.gamesChecked} recorded games (${report.gamesNotRecorded} not recorded), found ${report.corrections.length} that differ.`);
+
+      let applied: AppliedCorrection[] = [];
+      let failed: FailedCorrection[] = [];
+
+      if (options.correct && report.corrections.length > 0) {
+        const confirmed = options.yes || await confirm(`\nSubmit ${report.corrections.length} correctGameResult transaction(s)?`);
+
+        if (confirmed) {
+          ({ applied, failed } = await verificationService.applyCorrections(report.corrections));
+          failed.forEach(failure => log(`Warning: correcting game ${failure.gameId} failed: ${failure.error}`));
+          log(`Submitted ${applied.length} correction(s)${failed.length > 0 ? `, ${failed.length} failed` : ''}.`);
+        } else {
+          log('Corrections not submitted.');
+        }
+      }
+
+      const transactions = new Map(applied.map(correction => [correction.gameId, correction.transactionHash]));
+      const records: VerificationRecord[] = report.corrections.flatMap(correction =>
+        correction.differences.map(difference => ({
+          date: correction.date,
+          gameId: correction.gameId,
+          field: difference.field,
+          onChain: difference.onChain,
+          mlb: difference.mlb,
+          transactionHash: transactions.get(correction.gameId)
+        }))
+      );
+
+      printRecords(records, VERIFICATION_COLUMNS);
+
+      if (options.report) {
+        const output = { ...report, applied, failed };
+        writeFileSync(options.report, JSON.stringify(output, (_key, value) => typeof value === 'bigint' ? value.toString() : value, 2));
+        log(`\nDiff report written to ${options.report}`);
+      }
+
+      if (report.gamesChecked === 0) {
+        process.exitCode = EXIT_CODES.NO_GAMES;
+      } else if (failed.length > 0) {
+        process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+      }
+    } catch (error) {
+      exitWithError('verifying games', error);
+    }
+  });
+
+/**
+ * A season's status, with the transaction that changed it if one was sent
+ */
+interface SeasonRecord extends SeasonStatus {
+  transactionHash?: string;
+}
+
+const SEASON_COLUMNS: OutputColumn<SeasonRecord>[] = [
+  { key: 'season', header: 'Season' },
+  { key: 'date', header: 'Date' },
+  { key: 'phase', header: 'Phase' },
+  { key: 'seasonStartDate', header: 'Season Start', table: false },
+  { key: 'regularSeasonStartDate', header: 'Opening Day' },
+  { key: 'regularSeasonEndDate', header: 'Final Day' },
+  { key: 'active', header: 'Active On-chain' },
+  { key: 'startTimestamp', header: 'Opened', display: s => formatBlockTimestamp(s.startTimestamp) },
+  { key: 'endTimestamp', header: 'Closed', display: s => formatBlockTimestamp(s.endTimestamp) },
+  { key: 'openedThisSeason', header: 'Opened This Season', table: false },
+  { key: 'due', header: 'Due', display: s => s.due ?? 'none' },
+  { key: 'transactionHash', header: 'Transaction', table: false }
+];
+
+/**
+ * Parses the --season option
+ * @param value Option value
+ * @returns number Season year (default: current year)
+ */
+function parseSeason(value: string | undefined): number {
+  const season = value ? parseInt(value, 10) : new Date().getFullYear();
+  if (isNaN(season)) {
+    throw new Error(`Invalid season: ${value}`);
+  }
+  return season;
+}
+
+/**
+ * Connects to the oracle and reads a season's status
+ * @param seasonOption Value of the --season option
+ * @param readOnly Connect without a signer
+ * @param journalPath Journal to record season transactions in, when not read-only
+ * @returns Promise<{ seasonService: SeasonService; status: SeasonStatus }> Service and current status
+ */
+async function loadSeasonStatus(seasonOption: string | undefined, readOnly: boolean, journalPath?: string): Promise<{ seasonService: SeasonService; status: SeasonStatus }> {
+  const season = parseSeason(seasonOption);
+  const blockchainService = await OracleBlockchainService.connect(loadChainConfig({}, readOnly ? 'read-only' : 'admin'));
+  const journal = readOnly || !journalPath ? undefined : new SubmissionJournal(journalPath);
+  const seasonService = new SeasonService(createBaseballDataService(), blockchainService, journal);
+
+  const status = await seasonService.getStatus(season);
+  log(`${season} regular season: ${status.regularSeasonStartDate} to ${status.regularSeasonEndDate} (${status.phase} as of ${status.date})`);
+  log(`On-chain season is ${status.active ? 'active' : 'not active'}`);
+
+  return { seasonService, status };
+}
+
+/**
+ * Opens or closes the season, refusing transitions the schedule does not call
+ * for unless forced
+ * @param action Transition requested on the command line
+ * @param options Command options (season, force, dryRun, yes, journal)
+ */
+async function runSeasonTransition(action: SeasonAction, options: { season?: string; force?: boolean; dryRun?: boolean; yes?: boolean; journal?: string }): Promise<void> {
+  const { seasonService, status } = await loadSeasonStatus(options.season, options.dryRun ?? false, options.journal);
+
+  const blockers = seasonService.getBlockers(status, action);
+  const blocking = blockers.filter(blocker => !options.force || !blocker.forceable);
+
+  blockers.filter(blocker => !blocking.includes(blocker)).forEach(blocker => log(`Warning: ${blocker.reason} (overridden with --force)`));
+
+  if (blocking.length > 0) {
+    const hint = blocking.every(blocker => blocker.forceable) ? '\nPass --force if you are sure.' : '';
+    throw new Error(`Refusing to ${action} the ${status.season} season:\n${blocking.map(blocker => `- ${blocker.reason}`).join('\n')}${hint}`);
+  }
+
+  if (options.dryRun) {
+    log(`\nDry run: would ${action} the ${status.season} season.`);
+    printRecords<SeasonRecord>([status], SEASON_COLUMNS);
+    return;
+  }
+
+  const question = action === 'open'
+    ? `\nOpen the ${status.season} season? This resets every team record to 0-0.`
+    : `\nClose the ${status.season} season?`;
+
+  if (!options.yes && !await confirm(question)) {
+    log(`Season not ${action === 'open' ? 'opened' : 'closed'}.`);
+    printRecords<SeasonRecord>([status], SEASON_COLUMNS);
+    return;
+  }
+
+  const transition = await seasonService.transition(status, action, options.force);
+  log(`${action === 'open' ? 'Opened' : 'Closed'} the ${status.season} season in transaction ${transition.transactionHash}`);
+
+  const updated = await seasonService.getStatus(status.season);
+  printRecords<SeasonRecord>([{ ...updated, transactionHash: transition.transactionHash }], SEASON_COLUMNS);
+}
+
+const seasonCommand = program
+  .command('season')
+  .description('Show and change the on-chain season state using the MLB season dates');
+
+seasonCommand
+  .command('status')
+  .description('Show the MLB season dates, the on-chain season state and any transition that is due')
+  .option('-s, --season <year>', 'Season year (default: current year)')
+  .action(async (options) => {
+    try {
+      const { status } = await loadSeasonStatus(options.season, true);
+      log(status.due ? `The season is due to be ${status.due === 'open' ? 'opened' : 'closed'}.` : 'No season change is due.');
+      printRecords<SeasonRecord>([status], SEASON_COLUMNS);
+    } catch (error) {
+      exitWithError('reading the season state', error);
+    }
+  });
+
+seasonCommand
+  .command('open')
+  .description('Open the season, which resets every team record (requires ADMIN_ROLE)')
+  .option('-s, --season <year>', 'Season year (default: current year)')
+  .option('--force', 'Open the season outside the regular season or after it was already opened this year')
+  .option('--dry-run', 'Run the safety checks without sending a transaction')
+  .option('-y, --yes', 'Open the season without asking for confirmation')
+  .option('--journal <file>', 'Append-only journal of prepared and sent transactions', DEFAULT_JOURNAL_PATH)
+  .action(async (options) => {
+    try {
+      await runSeasonTransition('open', options);
+    } catch (error) {
+      exitWithError('opening the season', error);
+    }
+  });
+
+seasonCommand
+  .command('close')
+  .description('Close the season (requires ADMIN_ROLE)')
+  .option('-s, --season <year>', 'Season year (default: current year)')
+  .option('--force', 'Close the season before the regular season has ended')
+  .option('--dry-run', 'Run the safety checks without sending a transaction')
+  .option('-y, --yes', 'Close the season without asking for confirmation')
+  .option('--journal <file>', 'Append-only journal of prepared and sent transactions', DEFAULT_JOURNAL_PATH)
+  .action(async (options) => {
+    try {
+      await runSeasonTransition('close', options);
+    } catch (error) {
+      exitWithError('closing the season', error);
+    }
+  });
+
+seasonCommand
+  .command('auto')
+  .description('Open or close the season if the MLB schedule calls for it, for running from cron (requires ADMIN_ROLE)')
+  .option('-s, --season <year>', 'Season year (default: current year)')
+  .option('--dry-run', 'Show the transition that is due without sending it')
+  .option('--journal <file>', 'Append-only journal of prepared and sent transactions', DEFAULT_JOURNAL_PATH)
+  .action(async (options) => {
+    try {
+      const { seasonService, status } = await loadSeasonStatus(options.season, options.dryRun, options.journal);
+
+      if (!status.due) {
+        log('No season change is due.');
+        printRecords<SeasonRecord>([status], SEASON_COLUMNS);
+        return;
+      }
+
+      if (options.dryRun) {
+        log(`\nDry run: would ${status.due} the ${status.season} season.`);
+        printRecords<SeasonRecord>([status], SEASON_COLUMNS);
+        return;
+      }
+
+      const transition = await seasonService.transition(status, status.due);
+      log(`${transition.action === 'open' ? 'Opened' : 'Closed'} the ${status.season} season in transaction ${transition.transactionHash}`);
+
+      const updated = await seasonService.getStatus(status.season);
+      printRecords<SeasonRecord>([{ ...updated, transactionHash: transition.transactionHash }], SEASON_COLUMNS);
+    } catch (error) {
+      exitWithError('updating the season', error);
+    }
+  });
+
+const HISTORY_COLUMNS: OutputColumn<JournalEntry>[] = [
+  { key: 'recordedAt', header: 'Recorded At' },
+  { key: 'type', header: 'Type' },
+  { key: 'action', header: 'Action' },
+  { key: 'dates', header: 'Dates', value: entry => [...new Set(entry.games.map(game => game.date).filter(Boolean))].join(' ') },
+  { key: 'games', header: 'Games', value: entry => entry.games.map(game => game.gameId).join(' ') },
+  { key: 'args', header: 'Arguments', value: entry => Object.entries(entry.args ?? {}).map(([name, value]) => `${name}=${value}`).join(' ') },
+  { key: 'account', header: 'Account' },
+  { key: 'transactionHash', header: 'Transaction', display: entry => entry.transactionHash ?? entry.error ?? '' },
+  { key: 'payloadHash', header: 'Payload Hash', table: false },
+  { key: 'error', header: 'Error', table: false }
+];
+
+program
+  .command('history')
+  .description('Show journaled transactions, filtered by date, game or team')
+  .option('-d, --date <date>', 'Only entries with games for this date in YYYY-MM-DD format')
+  .option('-g, --game <id>', 'Only entries that include this game ID')
+  .option('-t, --team <abbreviation>', 'Only entries with games involving this team')
+  .option('--journal <file>', 'Journal file to read', DEFAULT_JOURNAL_PATH)
+  .action((options) => {
+    try {
+      if (options.date) {
+        parseDateString(options.date);
+      }
+      const gameId = options.game === undefined ? undefined : parseInt(options.game, 10);
+      if (gameId !== undefined && isNaN(gameId)) {
+        throw new Error(`Invalid game ID: ${options.game}`);
+      }
+
+      const entries = new SubmissionJournal(options.journal).read({ date: options.date, gameId, team: options.team });
+
+      printRecords(entries, HISTORY_COLUMNS);
+      log(`${entries.length} journal entr${entries.length === 1 ? 'y' : 'ies'} in ${options.journal}`);
+
+      if (entries.length === 0) {
+        process.exitCode = EXIT_CODES.NO_GAMES;
+      }
+    } catch (error) {
+      exitWithError('reading the journal', error);
+    }
+  });
+
+/**
+ * Formats a split's record for table and csv output
+ * @param split Record and runs over a subset of games
+ * @returns string Record as W-L
+ */
+function formatSplit(split: TeamSplit): string {
+  return `${split.wins}-${split.losses}`;
+}
+
+const STATS_COLUMNS: OutputColumn<SeasonTeamMetrics>[] = [
+  { key: 'teamId', header: 'Team' },
+  { key: 'season', header: 'Season', table: false },
+  { key: 'asOf', header: 'As Of', table: false },
+  { key: 'wins', header: 'W' },
+  { key: 'losses', header: 'L' },
+  { key: 'winPct', header: 'Pct' },
+  { key: 'runsScored', header: 'RS' },
+  { key: 'runsAllowed', header: 'RA' },
+  { key: 'runDifferential', header: 'Diff' },
+  { key: 'pythagoreanWinPct', header: 'Pyth Pct' },
+  { key: 'pythagoreanWins', header: 'Pyth W' },
+  { key: 'home', header: 'Home', value: metrics => formatSplit(metrics.home) },
+  { key: 'away', header: 'Away', value: metrics => formatSplit(metrics.away) },
+  { key: 'lastTen', header: 'Last 10', value: metrics => formatSplit(metrics.lastTen) },
+  { key: 'streak', header: 'Streak', value: metrics => metrics.streak ? `${metrics.streak.type}${metrics.streak.length}` : '' },
+  { key: 'longestWinStreak', header: 'Longest W', table: false },
+  { key: 'longestLossStreak', header: 'Longest L', table: false }
+];
+
+program
+  .command('stats')
+  .description('Show run differential, Pythagorean expectation, splits and streaks for teams, from the MLB game history')
+  .requiredOption('-t, --team <ids>', 'Comma-separated on-chain team IDs, e.g. NYY or NYY,BOS')
+  .option('-s, --season <year>', 'Season year (default: current year)')
+  .option('-d, --date <date>', 'Only count games up to this date in YYYY-MM-DD format (default: today)')
+  .action(async (options) => {
+    try {
+      const season = parseSeason(options.season);
+      if (options.date) {
+        parseDateString(options.date);
+      }
+
+      const metricsService = new TeamMetricsService(createBaseballDataService());
+      const teamIds: string[] = options.team.split(',').map((id: string) => id.trim()).filter(Boolean);
+
+      const metrics: SeasonTeamMetrics[] = [];
+      for (const teamId of teamIds) {
+        log(`Fetching ${season} games for ${teamId.toUpperCase()}...`);
+        metrics.push(await metricsService.getTeamMetrics(teamId, season, options.date));
+      }
+
+      printRecords(metrics, STATS_COLUMNS);
+
+      if (metrics.every(team => team.gamesPlayed === 0)) {
+        log(`No completed ${season} games found.`);
+        process.exitCode = EXIT_CODES.NO_GAMES;
+      }
+    } catch (error) {
+      exitWithError('building team stats', error);
+    }
+  });
+
+const TEAM_STATUS_COLUMNS: OutputColumn<TeamStatus>[] = [
+  { key: 'teamId', header: 'Team' },
+  { key: 'name', header: 'Name' },
+  { key: 'abbreviation', header: 'Abbreviation', table: false },
+  { key: 'wins', header: 'W' },
+  { key: 'losses', header: 'L' },
+  { key: 'winPct', header: 'Pct' },
+  { key: 'lastGameTimestamp', header: 'Last Game', display: team => formatBlockTimestamp(team.lastGameTimestamp) },
+  { key: 'lastUpdateTimestamp', header: 'Last Update', display: team => formatBlockTimestamp(team.lastUpdateTimestamp) },
+  { key: 'stale', header: 'Stale', display: team => team.stale ? 'STALE' : '' }
+];
+
+/**
+ * Parses a non-negative integer option
+ * @param name Option name, for the error message
+ * @param value Option value
+ * @returns number Parsed value
+ */
+function parseCount(name: string, value: string): number {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return count;
+}
+
+/**
+ * Writes the parts of the oracle status other than the standings to stderr
+ * @param status Oracle status
+ * @param staleAfterHours Stale threshold the status was read with
+ */
+function printStatusOverview(status: OracleStatus, staleAfterHours: number): void {
+  log(`Season: ${status.season.active ? 'active' : 'inactive'} (opened ${formatBlockTimestamp(status.season.startTimestamp)}, closed ${formatBlockTimestamp(status.season.endTimestamp)})`);
+  log(`Paused: ${status.paused ? 'yes' : 'no'}`);
+
+  log('\nRole holders:');
+  if (status.rolesError !== undefined) {
+    log(`  unavailable (${status.rolesError})`);
+  }
+  for (const { role, accounts } of status.roles) {
+    log(`  ${role}: ${accounts.length > 0 ? accounts.join(', ') : 'none'}`);
+  }
+
+  if (status.staleTeams.length > 0) {
+    log(`\nWarning: ${status.staleTeams.length} team(s) not updated in ${staleAfterHours} hours: ${status.staleTeams.join(', ')}`);
+  }
+
+  log(`\n${status.teams.length} registered teams, ${status.gameCount} recorded games`);
+  if (status.recentGames.length > 0) {
+    log(`Most recently recorded games:`);
+    log(formatTable(
+      ['Game ID', 'Away Team', 'Home Team', 'Away Score', 'Home Score', 'Status', 'Recorded'],
+      status.recentGames.map(game => [
+        game.gameId.toString(),
+        game.awayTeam,
+        game.homeTeam,
+        game.awayScore.toString(),
+        game.homeScore.toString(),
+        game.gameStatus,
+        formatBlockTimestamp(game.recordedTimestamp)
+      ])
+    ));
+  }
+  log();
+}
+
+program
+  .command('status')
+  .description('Show the live oracle state: standings by win percentage, stale teams, season state, role holders and recent games')
+  .option('--stale-after <hours>', 'Flag teams not updated for this many hours while the season is active', DEFAULT_STALE_AFTER_HOURS.toString())
+  .option('--games <count>', 'Number of recently recorded games to list', DEFAULT_RECENT_GAMES.toString())
+  .option('--from-block <block>', 'First block to search for role grants (default: the oracle\'s deployment block from the deployment record, else 0)')
+  .action(async (options) => {
+    try {
+      const staleAfterHours = parseCount('--stale-after', options.staleAfter);
+      const recentGames = parseCount('--games', options.games);
+
+      const config = loadChainConfig({}, 'read-only');
+      const fromBlock = options.fromBlock === undefined
+        ? getDeployedOracleBlock(process.env.NETWORK, config.oracleAddress) ?? 0
+        : parseCount('--from-block', options.fromBlock);
+      const statusService = new OracleStatusService(await OracleBlockchainService.connect(config));
+
+      log(`Reading BaseballOracle at ${config.oracleAddress}...`);
+      const status = await statusService.getStatus({ staleAfterHours, recentGames, fromBlock });
+
+      // json and ndjson carry the full snapshot; table and csv list the standings
+      if (getOutputFormat() === 'json' || getOutputFormat() === 'ndjson') {
+        printRecords([status], []);
+      } else {
+        printStatusOverview(status, staleAfterHours);
+        printRecords(status.teams, TEAM_STATUS_COLUMNS);
+      }
+
+      if (status.rolesError !== undefined) {
+        process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+      }
+    } catch (error) {
+      exitWithError('reading the oracle status', error);
+    }
+  });
+
+/**
+ * A daemon tick that synced games, with the time it finished
+ */
+interface DaemonTickRecord extends SyncTickResult {
+  completedAt: string;
+}
+
+const DAEMON_COLUMNS: OutputColumn<DaemonTickRecord>[] = [
+  { key: 'completedAt', header: 'Completed' },
+  { key: 'date', header: 'Date' },
+  { key: 'newlyFinal', header: 'Newly Final' },
+  { key: 'recorded', header: 'Recorded' },
+  { key: 'skipped', header: 'Skipped' }
+];
+
+program
+  .command('daemon')
+  .description('Poll for newly final games during the game window and record them incrementally')
+  .option('--schedule <cron>', 'Cron expression for polling, evaluated in ET', DEFAULT_DAEMON_SCHEDULE)
+  .option('--window-start <hour>', 'First hour (venue local time, 0-23) of the game window', String(DEFAULT_GAME_WINDOW_START_HOUR))
+  .option('--window-end <hour>', 'Hour (venue local time, 0-23) the game window closes; may wrap past midnight', String(DEFAULT_DATE_CUTOFF_HOUR))
+  .option('--state-file <file>', 'File that persists synced games across restarts', DEFAULT_DAEMON_STATE_PATH)
+  .option('--batch-size <count>', 'Maximum games per transaction', String(DEFAULT_DAEMON_BATCH_SIZE))
+  .option('--suspended-games <file>', 'File that tracks suspended games across dates', DEFAULT_SUSPENDED_GAMES_PATH)
+  .option('--journal <file>', 'Append-only journal of prepared and sent transactions', DEFAULT_JOURNAL_PATH)
+  .option('--metrics-port <port>', 'Serve Prometheus metrics on /metrics and a health check on /healthz on this port')
+  .option('--metrics-host <host>', 'Interface for the metrics server', DEFAULT_METRICS_HOST)
+  .option('--stale-after <minutes>', 'Minutes without a successful tick before /healthz fails', String(DEFAULT_SYNC_STALE_AFTER_MINUTES))
+  .action(async (options) => {
+    try {
+      const format = getOutputFormat();
+      const { blockchainService, deployments } = await connectDeployments(loadChainConfig());
+      const metrics = options.metricsPort === undefined
+        ? undefined
+        : new OracleMetrics(blockchainService, { staleAfterSeconds: parseCount('--stale-after', options.staleAfter) * 60 });
+      const suspendedGameTracker = new SuspendedGameTracker(options.suspendedGames);
+      const gameDataProvider = createGameDataProvider(metrics && ((info) => metrics.recordApiRequest(info)));
+      const syncService = new OracleSyncService(gameDataProvider, blockchainService, suspendedGameTracker, new SubmissionJournal(options.journal), deployments);
+      const daemon = new SyncDaemon(syncService, {
+        statePath: options.stateFile,
+        schedule: options.schedule,
+        windowStartHour: parseInt(options.windowStart, 10),
+        windowEndHour: parseInt(options.windowEnd, 10),
+        batchSize: parseInt(options.batchSize, 10),
+        log: (message) => log(`[${new Date().toISOString()}] ${message}`),
+        // A table cannot be streamed, so in table mode the log lines are the only output
+        onTickComplete: format === 'table'
+          ? undefined
+          : (result) => console.log(formatRecordLine(format, { completedAt: new Date().toISOString(), ...result }, DAEMON_COLUMNS)),
+        metrics
+      });
+
+      if (format === 'csv') {
+        console.log(formatRecords(format, [], DAEMON_COLUMNS));
+      }
+
+      const server = metrics && listenForMetrics(metrics, options.metricsPort, options.metricsHost, log);
+
+      log(`Oracle daemon started (schedule "${options.schedule}", game window ${options.windowStart}:00-${options.windowEnd}:00 in each venue's time zone, state ${options.stateFile})`);
+      daemon.start();
+
+      const shutdown = () => {
+        log('\nStopping oracle daemon...');
+        daemon.stop();
+        server?.close();
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
     } catch (error) {
-      console.error('\nError syncing games:');
-      console.error(error instanceof Error ? error.message : error);
-      process.exit(1);
+      exitWithError('starting oracle daemon', error);
     }
   });
 
@@ -102,4 +1137,4 @@ program.parse();
 // If no arguments are provided, show help
 if (process.argv.length === 2) {
   program.help();
-}
\ No newline at end of file
+}
@@ -0,0 +1,224 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { BatchSubmissionResult } from './OracleBlockchainService.js';
+import { OracleGameData, OracleSyncService } from './OracleSyncService.js';
+import { getDateRange, parseDateString } from '../utils/dateUtils.js';
+
+export const DEFAULT_BACKFILL_BATCH_SIZE = 10;
+export const DEFAULT_BACKFILL_MAX_BATCH_GAS = 5_000_000n;
+
+/**
+ * Options controlling how a backfill is chunked and checkpointed
+ */
+export interface BackfillOptions {
+  maxBatchSize?: number;      // Maximum games per transaction
+  maxBatchGas?: bigint;       // Batches estimated above this are split further
+  checkpointPath?: string;    // File used to resume an interrupted backfill
+  dryRun?: boolean;           // Plan batches without sending transactions; batches are only split by size, since estimating gas needs the oracle signer
+  onDayComplete?: (result: BackfillDayResult) => void;
+}
+
+/**
+ * Progress persisted between backfill runs
+ */
+export interface BackfillCheckpoint {
+  from: string;
+  to: string;
+  lastCompletedDate: string;
+  updatedAt: string;
+}
+
+/**
+ * Result of backfilling a single date
+ */
+export interface BackfillDayResult {
+  date: string;
+  gamesFound: number;
+  alreadyRecorded: number;
+  batches: OracleGameData[][];
+  submissions: BatchSubmissionResult[];
+}
+
+/**
+ * Result of a complete backfill run
+ */
+export interface BackfillSummary {
+  from: string;
+  to: string;
+  resumedFrom?: string; // First date processed when resuming from a checkpoint
+  days: BackfillDayResult[];
+}
+
+/**
+ * Service that records game results for a range of dates, skipping games
+ * that are already on-chain and resuming from a checkpoint when interrupted
+ */
+export class BackfillService {
+  private readonly syncService: OracleSyncService;
+  private readonly maxBatchSize: number;
+  private readonly maxBatchGas: bigint;
+  private readonly checkpointPath?: string;
+  private readonly dryRun: boolean;
+  private readonly onDayComplete?: (result: BackfillDayResult) => void;
+
+  /**
+   * Creates a new BackfillService
+   * @param syncService OracleSyncService used to fetch, check and record games on each game type's deployment
+   * @param options Batching, checkpoint and progress options
+   */
+  constructor(syncService: OracleSyncService, options: BackfillOptions = {}) {
+    this.syncService = syncService;
+    this.maxBatchSize = options.maxBatchSize ?? DEFAULT_BACKFILL_BATCH_SIZE;
+    this.maxBatchGas = options.maxBatchGas ?? DEFAULT_BACKFILL_MAX_BATCH_GAS;
+    this.checkpointPath = options.checkpointPath;
+    this.dryRun = options.dryRun ?? false;
+    this.onDayComplete = options.onDayComplete;
+
+    if (!Number.isInteger(this.maxBatchSize) || this.maxBatchSize < 1) {
+      throw new Error(`Invalid batch size: ${options.maxBatchSize}`);
+    }
+  }
+
+  /**
+   * Backfills every date between from and to, inclusive
+   * @param from First date in YYYY-MM-DD format
+   * @param to Last date in YYYY-MM-DD format
+   * @returns Promise<BackfillSummary> Per-day results
+   */
+  async run(from: string, to: string): Promise<BackfillSummary> {
+    const allDates = getDateRange(from, to);
+    const checkpoint = this.readCheckpoint(from, to);
+    const dates = checkpoint
+      ? allDates.filter(date => date > checkpoint.lastCompletedDate)
+      : allDates;
+
+    const summary: BackfillSummary = {
+      from,
+      to,
+      resumedFrom: checkpoint ? dates[0] : undefined,
+      days: []
+    };
+
+    for (const date of dates) {
+      const result = await this.backfillDate(date);
+      summary.days.push(result);
+
+      if (!this.dryRun) {
+        this.writeCheckpoint({ from, to, lastCompletedDate: date, updatedAt: new Date().toISOString() });
+      }
+
+      this.onDayComplete?.(result);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Records all unrecorded final games for one date
+   * @param date Date in YYYY-MM-DD format
+   * @returns Promise<BackfillDayResult> Result for the date
+   */
+  private async backfillDate(date: string): Promise<BackfillDayResult> {
+    const games = await this.syncService.prepareGamesForDate(parseDateString(date));
+
+    const pending: OracleGameData[] = [];
+    for (const game of games) {
+      if (!(await this.syncService.getBlockchainService(game.gameType).isGameRecorded(game.gameId))) {
+        pending.push(game);
+      }
+    }
+
+    const batches: OracleGameData[][] = [];
+    for (const group of this.syncService.groupByDeployment(pending)) {
+      batches.push(...await this.chunkGames(group));
+    }
+    const submissions: BatchSubmissionResult[] = [];
+
+    if (!this.dryRun) {
+      for (const batch of batches) {
+        submissions.push(await this.syncService.submitGames(batch));
+      }
+    }
+
+    return {
+      date,
+      gamesFound: games.length,
+      alreadyRecorded: games.length - pending.length,
+      batches,
+      submissions
+    };
+  }
+
+  /**
+   * Splits games into batches of at most maxBatchSize games and maxBatchGas gas
+   * @param games Games to record on the same deployment
+   * @returns Promise<OracleGameData[][]> Batches in submission order
+   */
+  private async chunkGames(games: OracleGameData[]): Promise<OracleGameData[][]> {
+    const batches: OracleGameData[][] = [];
+
+    for (let i = 0; i < games.length; i += this.maxBatchSize) {
+      batches.push(...await this.splitByGas(games.slice(i, i + this.maxBatchSize)));
+    }
+
+    return batches;
+  }
+
+  /**
+   * Halves a batch until each part's gas estimate fits under maxBatchGas. A
+   * dry run connects without a signer, and recordBatchGameResults reverts for
+   * accounts without ORACLE_ROLE, so dry runs are not split
+   * @param batch Games to record in one transaction
+   * @returns Promise<OracleGameData[][]> One or more batches
+   */
+  private async splitByGas(batch: OracleGameData[]): Promise<OracleGameData[][]> {
+    if (batch.length <= 1 || this.dryRun) {
+      return [batch];
+    }
+
+    const gas = await this.syncService.getBlockchainService(batch[0].gameType).estimateBatchGas(batch);
+    if (gas <= this.maxBatchGas) {
+      return [batch];
+    }
+
+    const middle = Math.ceil(batch.length / 2);
+    return [
+      ...await this.splitByGas(batch.slice(0, middle)),
+      ...await this.splitByGas(batch.slice(middle))
+    ];
+  }
+
+  /**
+   * Loads the checkpoint for this range, if one exists
+   * @param from First date of the requested range
+   * @param to Last date of the requested range
+   * @returns BackfillCheckpoint | undefined Saved progress
+   */
+  private readCheckpoint(from: string, to: string): BackfillCheckpoint | undefined {
+    if (!this.checkpointPath || !existsSync(this.checkpointPath)) {
+      return undefined;
+    }
+
+    const checkpoint: BackfillCheckpoint = JSON.parse(readFileSync(this.checkpointPath, 'utf8'));
+
+    // Refuse to resume a different range - the saved progress would not apply
+    if (checkpoint.from !== from || checkpoint.to !== to) {
+      throw new Error(
+        `Checkpoint ${this.checkpointPath} is for ${checkpoint.from} to ${checkpoint.to}, not ${from} to ${to}`
+      );
+    }
+
+    return checkpoint;
+  }
+
+  /**
+   * Persists progress after a date has been fully submitted
+   * @param checkpoint Progress to save
+   */
+  private writeCheckpoint(checkpoint: BackfillCheckpoint): void {
+    if (!this.checkpointPath) {
+      return;
+    }
+
+    writeFileSync(this.checkpointPath, JSON.stringify(checkpoint, null, 2));
+  }
+}
@@ -0,0 +1,161 @@
+import { RecordedGameData, TransactionSummary } from './OracleBlockchainService.js';
+import { OracleGameData, OracleSyncService } from './OracleSyncService.js';
+import { sendJournaled, SubmissionJournal, toJournalGame } from './SubmissionJournal.js';
+import { getDateRange, parseDateString } from '../utils/dateUtils.js';
+
+// Fields compared between the MLB API and the stored result
+const COMPARED_FIELDS = ['homeTeam', 'awayTeam', 'homeScore', 'awayScore', 'gameDate', 'timestamp', 'gameStatus'] as const;
+
+export type ComparedField = typeof COMPARED_FIELDS[number];
+
+/**
+ * A single field that differs between the MLB API and the chain
+ */
+export interface GameFieldDifference {
+  field: ComparedField;
+  onChain: string | number;
+  mlb: string | number;
+}
+
+/**
+ * A recorded game whose MLB data has changed since it was recorded
+ */
+export interface GameCorrection {
+  date: string;
+  gameId: number;
+  differences: GameFieldDifference[];
+  onChain: RecordedGameData;
+  corrected: OracleGameData; // Current MLB data, submitted with correctGameResult
+}
+
+/**
+ * Machine-readable result of verifying a date range
+ */
+export interface VerificationReport {
+  from: string;
+  to: string;
+  generatedAt: string;
+  gamesChecked: number;
+  gamesNotRecorded: number;
+  corrections: GameCorrection[];
+}
+
+/**
+ * Result of submitting a single correction
+ */
+export interface AppliedCorrection extends TransactionSummary {
+  gameId: number;
+}
+
+/**
+ * A correction whose transaction failed
+ */
+export interface FailedCorrection {
+  gameId: number;
+  error: string;
+}
+
+/**
+ * Service that re-fetches recorded games from the MLB API, compares them with
+ * the stored results and submits correctGameResult for any that changed
+ */
+export class GameVerificationService {
+  private readonly syncService: OracleSyncService;
+  private readonly journal?: SubmissionJournal;
+
+  /**
+   * Creates a new GameVerificationService
+   * @param syncService OracleSyncService used to fetch games in oracle format and to read and
+   *   correct results on each game type's deployment
+   * @param journal Optional SubmissionJournal that records every correctGameResult transaction
+   */
+  constructor(syncService: OracleSyncService, journal?: SubmissionJournal) {
+    this.syncService = syncService;
+    this.journal = journal;
+  }
+
+  /**
+   * Compares every recorded game in a date range with the MLB API
+   * @param from First date in YYYY-MM-DD format
+   * @param to Last date in YYYY-MM-DD format
+   * @returns Promise<VerificationReport> Games whose stored result differs
+   */
+  async verify(from: string, to: string): Promise<VerificationReport> {
+    const report: VerificationReport = {
+      from,
+      to,
+      generatedAt: new Date().toISOString(),
+      gamesChecked: 0,
+      gamesNotRecorded: 0,
+      corrections: []
+    };
+
+    for (const date of getDateRange(from, to)) {
+      const games = await this.syncService.getGamesForDate(parseDateString(date));
+
+      for (const game of games) {
+        // A suspended game's original listing reads as suspended once it resumes on a
+        // later date; it is verified on the listing for the date it completes
+        if (game.gameStatus === 'Suspended' || (game.resumeDate !== undefined && game.resumeDate !== date)) {
+          continue;
+        }
+
+        const onChain = await this.syncService.getBlockchainService(game.gameType).getGameResult(game.gameId);
+
+        if (!onChain) {
+          report.gamesNotRecorded++;
+          continue;
+        }
+
+        report.gamesChecked++;
+
+        const differences = this.compareGame(onChain, game);
+        if (differences.length > 0) {
+          report.corrections.push({ date, gameId: game.gameId, differences, onChain, corrected: game });
+        }
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Submits correctGameResult for each correction, one transaction at a time.
+   * A failed transaction is reported and the remaining games are still corrected
+   * @param corrections Corrections from verify()
+   * @returns Promise<{ applied: AppliedCorrection[]; failed: FailedCorrection[] }> Mined transactions and failures, in order
+   */
+  async applyCorrections(corrections: GameCorrection[]): Promise<{ applied: AppliedCorrection[]; failed: FailedCorrection[] }> {
+    const applied: AppliedCorrection[] = [];
+    const failed: FailedCorrection[] = [];
+
+    for (const correction of corrections) {
+      try {
+        const blockchainService = this.syncService.getBlockchainService(correction.corrected.gameType);
+        const games = [toJournalGame(correction.corrected, correction.date)];
+        const teamAliasVersions = this.syncService.getTeamAliasVersions();
+        const tx = await sendJournaled(this.journal, blockchainService, { action: 'correctGameResult', games, payload: correction.corrected, teamAliasVersions },
+          onSent => blockchainService.correctGameResult(correction.corrected, onSent));
+        applied.push({ gameId: correction.gameId, ...tx });
+      } catch (error) {
+        failed.push({ gameId: correction.gameId, error: error instanceof Error ? error.message : String(error) });
+      }
+    }
+
+    return { applied, failed };
+  }
+
+  /**
+   * Lists the fields that differ between a stored result and current MLB data
+   * @param onChain Stored result
+   * @param mlb Current MLB data
+   * @returns GameFieldDifference[] Differing fields
+   */
+  private compareGame(onChain: RecordedGameData, mlb: OracleGameData): GameFieldDifference[] {
+    return COMPARED_FIELDS
+      // The end time of a game that is not final is just the time it was fetched
+      .filter(field => field !== 'timestamp' || mlb.gameStatus === 'Final')
+      .filter(field => onChain[field] !== mlb[field])
+      .map(field => ({ field, onChain: onChain[field], mlb: mlb[field] }));
+  }
+}
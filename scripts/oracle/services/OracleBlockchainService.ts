@@ -0,0 +1,530 @@
+import { Contract, ContractTransactionReceipt, ContractTransactionResponse, EventLog, isCallException, JsonRpcProvider, Log, Signer } from 'ethers';
+import { BASEBALL_ORACLE_ABI } from '../abi/baseballOracleAbi.js';
+import { ChainConfig, SignerRole } from '../utils/chainConfig.js';
+import { createSigner } from '../utils/signer.js';
+import { OracleGameData } from './OracleSyncService.js';
+
+/**
+ * GameResult struct as expected by the BaseballOracle contract
+ */
+export interface ContractGameResult {
+  gameId: bigint;
+  homeTeam: string;
+  awayTeam: string;
+  homeScore: bigint;
+  awayScore: bigint;
+  gameDate: bigint;
+  gameEndTimestamp: bigint;
+  recordedTimestamp: bigint;
+  gameStatus: string;
+  recorded: boolean;
+}
+
+/**
+ * Game result as stored by the BaseballOracle contract
+ */
+export interface RecordedGameData extends OracleGameData {
+  recordedTimestamp: number; // Block timestamp when the game was last written
+}
+
+/**
+ * Team record as stored by the BaseballOracle contract
+ */
+export interface OnChainTeam {
+  teamId: string;
+  name: string;
+  abbreviation: string;
+  wins: number;
+  losses: number;
+  winPct: number; // Scaled 0-1000 (500 = .500)
+  lastGameTimestamp: number;
+  lastUpdateTimestamp: number;
+}
+
+/**
+ * Season state as stored by the BaseballOracle contract
+ */
+export interface OnChainSeasonState {
+  active: boolean;
+  startTimestamp: number; // Block timestamp the season was last opened (0 if never)
+  endTimestamp: number;   // Block timestamp the season was last closed (0 if never)
+}
+
+/**
+ * Details of a mined transaction
+ */
+export interface TransactionSummary {
+  transactionHash: string;
+  blockNumber: number;
+  gasUsed: bigint;
+}
+
+/**
+ * Outcome of a single game within a submitted batch
+ */
+export interface GameSubmissionOutcome {
+  gameId: number;
+  status: 'recorded' | 'skipped';
+  reason?: string; // ErrorLogged reason when the contract skipped the game
+}
+
+/**
+ * Result of a recordBatchGameResults transaction
+ */
+export interface BatchSubmissionResult extends TransactionSummary {
+  gamesProcessed: number;
+  outcomes: GameSubmissionOutcome[];
+}
+
+export const DEFAULT_LOG_BATCH_SIZE = 2000; // Blocks per eth_getLogs request
+
+// Every role the BaseballOracle contract defines
+export const CONTRACT_ROLES = ['DEFAULT_ADMIN_ROLE', 'ADMIN_ROLE', 'ORACLE_ROLE', 'PAUSER_ROLE', 'UPGRADER_ROLE'] as const;
+
+export type ContractRole = typeof CONTRACT_ROLES[number];
+
+/**
+ * Accounts currently holding a contract role
+ */
+export interface RoleMembers {
+  role: ContractRole;
+  accounts: string[]; // In the order the role was first granted to them
+}
+
+// Contract constant holding each role's identifier
+const ROLE_CONSTANTS: Record<SignerRole, 'ORACLE_ROLE' | 'ADMIN_ROLE'> = {
+  oracle: 'ORACLE_ROLE',
+  admin: 'ADMIN_ROLE'
+};
+
+/**
+ * Waits for a sent transaction to be mined
+ * @param tx Transaction response returned by a contract write
+ * @returns Promise<ContractTransactionReceipt> Mined receipt
+ */
+export async function waitForReceipt(tx: ContractTransactionResponse): Promise<ContractTransactionReceipt> {
+  const receipt = await tx.wait();
+
+  if (!receipt) {
+    throw new Error(`Transaction ${tx.hash} was not mined`);
+  }
+
+  return receipt;
+}
+
+/**
+ * Extracts the fields reported for every mined transaction
+ * @param receipt Mined receipt
+ * @returns TransactionSummary Transaction details
+ */
+export function toTransactionSummary(receipt: ContractTransactionReceipt): TransactionSummary {
+  return {
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed
+  };
+}
+
+/**
+ * Service responsible for sending game data to the BaseballOracle contract
+ */
+export class OracleBlockchainService {
+  private readonly contract: Contract;
+
+  /**
+   * Creates a new OracleBlockchainService
+   * @param contract BaseballOracle contract instance connected to a signer
+   */
+  constructor(contract: Contract) {
+    this.contract = contract;
+  }
+
+  /**
+   * Creates a service connected to the configured RPC endpoint and oracle.
+   * When the config names a role, the signer is checked to hold it so a
+   * misconfigured key fails here rather than on its first transaction
+   * @param config Chain configuration; without a signer the service is read-only
+   * @returns Promise<OracleBlockchainService> Connected service
+   */
+  static async connect(config: ChainConfig): Promise<OracleBlockchainService> {
+    const provider = new JsonRpcProvider(config.rpcUrl);
+    const runner = config.signer ? await createSigner(config.signer, provider) : provider;
+    const service = new OracleBlockchainService(new Contract(config.oracleAddress, BASEBALL_ORACLE_ABI, runner));
+
+    if (config.signer && config.role) {
+      await service.assertSignerHasRole(config.role);
+    }
+
+    return service;
+  }
+
+  /**
+   * Checks whether an account holds a contract role
+   * @param role Role to check
+   * @param account Account address
+   * @returns Promise<boolean> True if the account holds the role
+   */
+  async hasRole(role: SignerRole, account: string): Promise<boolean> {
+    const roleId = await this.contract[ROLE_CONSTANTS[role]]();
+    return await this.contract.hasRole(roleId, account);
+  }
+
+  /**
+   * Gets the address transactions are sent from
+   * @returns Promise<string | undefined> Signer address, or undefined for a read-only service
+   */
+  async getSignerAddress(): Promise<string | undefined> {
+    const runner = this.contract.runner as Partial<Signer> | null;
+    return runner?.getAddress ? await runner.getAddress() : undefined;
+  }
+
+  /**
+   * Throws unless the connected signer holds a contract role
+   * @param role Role the signer needs
+   * @returns Promise<string> The signer's address
+   */
+  async assertSignerHasRole(role: SignerRole): Promise<string> {
+    const address = await this.getSignerAddress();
+    if (!address) {
+      throw new Error(`A signer holding ${ROLE_CONSTANTS[role]} is required`);
+    }
+
+    if (!(await this.hasRole(role, address))) {
+      throw new Error(`Account ${address} does not hold ${ROLE_CONSTANTS[role]} on BaseballOracle at ${await this.contract.getAddress()}`);
+    }
+    return address;
+  }
+
+  /**
+   * Maps OracleGameData to the contract's GameResult struct
+   * @param game Game data prepared by OracleSyncService
+   * @returns ContractGameResult Struct ready to be ABI-encoded
+   */
+  static toContractGameResult(game: OracleGameData): ContractGameResult {
+    return {
+      gameId: BigInt(game.gameId),
+      homeTeam: game.homeTeam,
+      awayTeam: game.awayTeam,
+      homeScore: BigInt(game.homeScore),
+      awayScore: BigInt(game.awayScore),
+      gameDate: BigInt(game.gameDate),
+      gameEndTimestamp: BigInt(game.timestamp),
+      recordedTimestamp: 0n, // Set by the contract
+      gameStatus: game.gameStatus,
+      recorded: false // Set by the contract
+    };
+  }
+
+  /**
+   * Lists the IDs of every registered team
+   * @returns Promise<string[]> Team IDs in registration order
+   */
+  async getTeamIds(): Promise<string[]> {
+    const count = Number(await this.contract.getTeamCount());
+    const teamIds: string[] = [];
+
+    for (let i = 0; i < count; i++) {
+      teamIds.push(await this.contract.getTeamIdAtIndex(i));
+    }
+
+    return teamIds;
+  }
+
+  /**
+   * Fetches a registered team
+   * @param teamId On-chain team ID
+   * @returns Promise<OnChainTeam> Team record
+   */
+  async getTeam(teamId: string): Promise<OnChainTeam> {
+    const team = await this.contract.getTeam(teamId);
+    return {
+      teamId,
+      name: team.name,
+      abbreviation: team.abbreviation,
+      wins: Number(team.wins),
+      losses: Number(team.losses),
+      winPct: Number(team.winPct),
+      lastGameTimestamp: Number(team.lastGameTimestamp),
+      lastUpdateTimestamp: Number(team.lastUpdateTimestamp)
+    };
+  }
+
+  /**
+   * Fetches every registered team
+   * @returns Promise<OnChainTeam[]> Team records in registration order
+   */
+  async getRegisteredTeams(): Promise<OnChainTeam[]> {
+    const teams: OnChainTeam[] = [];
+    for (const teamId of await this.getTeamIds()) {
+      teams.push(await this.getTeam(teamId));
+    }
+    return teams;
+  }
+
+  /**
+   * Lists the accounts holding each contract role. AccessControl cannot
+   * enumerate role members, so candidates are taken from RoleGranted events
+   * and each is checked with hasRole, which drops revoked accounts. Events are
+   * read in ranges of batchSize blocks, which RPC endpoints that limit log
+   * queries accept
+   * @param fromBlock First block to search for RoleGranted events (default: genesis)
+   * @param batchSize Blocks per eth_getLogs request
+   * @returns Promise<RoleMembers[]> Members of every role in CONTRACT_ROLES
+   */
+  async getRoleMembers(fromBlock: number = 0, batchSize: number = DEFAULT_LOG_BATCH_SIZE): Promise<RoleMembers[]> {
+    const provider = this.contract.runner?.provider;
+    if (!provider) {
+      throw new Error('Contract is not connected to a provider - cannot read role grants');
+    }
+
+    const toBlock = await provider.getBlockNumber();
+    const grants: (EventLog | Log)[] = [];
+    for (let start = fromBlock; start <= toBlock; start += batchSize) {
+      grants.push(...await this.contract.queryFilter(this.contract.filters.RoleGranted(), start, Math.min(start + batchSize - 1, toBlock)));
+    }
+
+    const candidates = new Map<string, Set<string>>();
+
+    for (const grant of grants) {
+      // Logs the ABI cannot decode come back without args
+      if ('args' in grant) {
+        const [roleId, account] = grant.args;
+        candidates.set(roleId, (candidates.get(roleId) ?? new Set<string>()).add(account));
+      }
+    }
+
+    const members: RoleMembers[] = [];
+    for (const role of CONTRACT_ROLES) {
+      const roleId = await this.contract[role]();
+      const accounts: string[] = [];
+      for (const account of candidates.get(roleId) ?? []) {
+        if (await this.contract.hasRole(roleId, account)) {
+          accounts.push(account);
+        }
+      }
+      members.push({ role, accounts });
+    }
+
+    return members;
+  }
+
+  /**
+   * Checks whether the contract is paused, which blocks game submissions
+   * @returns Promise<boolean> True if paused
+   */
+  async isPaused(): Promise<boolean> {
+    return await this.contract.paused();
+  }
+
+  /**
+   * Registers a new team (requires ADMIN_ROLE)
+   * @param teamId On-chain team ID
+   * @param name Full team name
+   * @param abbreviation Team abbreviation
+   * @param onSent Called with the transaction hash once it is sent, before it is mined
+   * @returns Promise<TransactionSummary> Mined transaction
+   */
+  async registerTeam(teamId: string, name: string, abbreviation: string, onSent?: (transactionHash: string) => void): Promise<TransactionSummary> {
+    const tx: ContractTransactionResponse = await this.contract.registerTeam(teamId, name, abbreviation);
+    onSent?.(tx.hash);
+    return toTransactionSummary(await waitForReceipt(tx));
+  }
+
+  /**
+   * Overwrites a team's wins and losses (requires ADMIN_ROLE)
+   * @param teamId On-chain team ID
+   * @param wins Corrected wins
+   * @param losses Corrected losses
+   * @param onSent Called with the transaction hash once it is sent, before it is mined
+   * @returns Promise<TransactionSummary> Mined transaction
+   */
+  async adjustTeamRecord(teamId: string, wins: number, losses: number, onSent?: (transactionHash: string) => void): Promise<TransactionSummary> {
+    const tx: ContractTransactionResponse = await this.contract.adjustTeamRecord(teamId, wins, losses);
+    onSent?.(tx.hash);
+    return toTransactionSummary(await waitForReceipt(tx));
+  }
+
+  /**
+   * Fetches whether the season is active and when it was last opened and closed
+   * @returns Promise<OnChainSeasonState> Season state
+   */
+  async getSeasonState(): Promise<OnChainSeasonState> {
+    return {
+      active: await this.contract.isSeasonActive(),
+      startTimestamp: Number(await this.contract.seasonStartTimestamp()),
+      endTimestamp: Number(await this.contract.seasonEndTimestamp())
+    };
+  }
+
+  /**
+   * Opens or closes the season (requires ADMIN_ROLE). Opening resets every
+   * team's record to 0-0
+   * @param active True to open the season, false to close it
+   * @param onSent Called with the transaction hash once it is sent, before it is mined
+   * @returns Promise<TransactionSummary> Mined transaction
+   */
+  async setSeasonActive(active: boolean, onSent?: (transactionHash: string) => void): Promise<TransactionSummary> {
+    const tx: ContractTransactionResponse = await this.contract.setSeasonActive(active);
+    onSent?.(tx.hash);
+    return toTransactionSummary(await waitForReceipt(tx));
+  }
+
+  /**
+   * Checks whether a game has already been recorded on-chain
+   * @param gameId MLB game ID
+   * @returns Promise<boolean> True if getGameResult returns a recorded game
+   */
+  async isGameRecorded(gameId: number): Promise<boolean> {
+    return (await this.getGameResult(gameId)) !== undefined;
+  }
+
+  /**
+   * Fetches a recorded game result
+   * @param gameId MLB game ID
+   * @returns Promise<RecordedGameData | undefined> Stored result, or undefined if the game is not recorded
+   */
+  async getGameResult(gameId: number): Promise<RecordedGameData | undefined> {
+    let result;
+    try {
+      result = await this.contract.getGameResult(gameId);
+    } catch (error) {
+      // getGameResult reverts for unknown games; anything else is a real failure
+      if (isCallException(error) && error.reason === 'Game not recorded') {
+        return undefined;
+      }
+      throw error;
+    }
+
+    if (!result.recorded) {
+      return undefined;
+    }
+
+    return {
+      gameId: Number(result.gameId),
+      homeTeam: result.homeTeam,
+      awayTeam: result.awayTeam,
+      homeScore: Number(result.homeScore),
+      awayScore: Number(result.awayScore),
+      gameDate: Number(result.gameDate),
+      timestamp: Number(result.gameEndTimestamp),
+      gameStatus: result.gameStatus,
+      recordedTimestamp: Number(result.recordedTimestamp)
+    };
+  }
+
+  /**
+   * Counts the games recorded on-chain
+   * @returns Promise<number> Number of recorded games
+   */
+  async getGameCount(): Promise<number> {
+    return Number(await this.contract.getGameCount());
+  }
+
+  /**
+   * Fetches the most recently recorded games, enumerated with getGameIdAtIndex
+   * @param limit Maximum number of games to return
+   * @returns Promise<RecordedGameData[]> Games, most recently recorded first
+   */
+  async getRecentGames(limit: number): Promise<RecordedGameData[]> {
+    const count = await this.getGameCount();
+    const games: RecordedGameData[] = [];
+
+    for (let i = count - 1; i >= Math.max(0, count - limit); i--) {
+      const game = await this.getGameResult(Number(await this.contract.getGameIdAtIndex(i)));
+      if (game) {
+        games.push(game);
+      }
+    }
+
+    return games;
+  }
+
+  /**
+   * Overwrites a recorded game result (requires ADMIN_ROLE)
+   *
+   * The contract reverts the old result's effect on team records before
+   * applying the new one, so this is safe for score and status revisions.
+   *
+   * @param game Corrected game data
+   * @param onSent Called with the transaction hash once it is sent, before it is mined
+   * @returns Promise<TransactionSummary> Mined transaction
+   */
+  async correctGameResult(game: OracleGameData, onSent?: (transactionHash: string) => void): Promise<TransactionSummary> {
+    const result = OracleBlockchainService.toContractGameResult(game);
+    const tx: ContractTransactionResponse = await this.contract.correctGameResult(result.gameId, result);
+    onSent?.(tx.hash);
+    return toTransactionSummary(await waitForReceipt(tx));
+  }
+
+  /**
+   * Estimates the gas needed to record a batch of games
+   * @param games Games to record
+   * @returns Promise<bigint> Estimated gas
+   */
+  async estimateBatchGas(games: OracleGameData[]): Promise<bigint> {
+    const results = games.map(game => OracleBlockchainService.toContractGameResult(game));
+    return this.contract.recordBatchGameResults.estimateGas(results);
+  }
+
+  /**
+   * Submits games with recordBatchGameResults and waits for the receipt
+   * @param games Games to record
+   * @param onSent Called with the transaction hash once it is sent, before it is mined
+   * @returns Promise<BatchSubmissionResult> Transaction details and per-game outcomes
+   */
+  async submitGameResults(games: OracleGameData[], onSent?: (transactionHash: string) => void): Promise<BatchSubmissionResult> {
+    const results = games.map(game => OracleBlockchainService.toContractGameResult(game));
+
+    const tx: ContractTransactionResponse = await this.contract.recordBatchGameResults(results);
+    onSent?.(tx.hash);
+    return this.decodeBatchReceipt(games, await waitForReceipt(tx));
+  }
+
+  /**
+   * Decodes the events emitted by recordBatchGameResults
+   *
+   * The contract walks the batch in order and emits either ErrorLogged (game
+   * skipped) or GameRecorded for each entry, so outcomes are matched to games
+   * by position. TeamUpdated events in between are ignored.
+   *
+   * @param games Games in the order they were submitted
+   * @param receipt Mined transaction receipt
+   * @returns Promise<BatchSubmissionResult> Decoded result
+   */
+  private async decodeBatchReceipt(games: OracleGameData[], receipt: ContractTransactionReceipt): Promise<BatchSubmissionResult> {
+    const oracleAddress = (await this.contract.getAddress()).toLowerCase();
+    const outcomes: GameSubmissionOutcome[] = [];
+    let gamesProcessed = 0;
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== oracleAddress) {
+        continue;
+      }
+
+      const event = this.contract.interface.parseLog(log);
+      if (!event) {
+        continue;
+      }
+
+      const game = games[outcomes.length];
+
+      if (event.name === 'ErrorLogged' && game) {
+        outcomes.push({ gameId: game.gameId, status: 'skipped', reason: event.args.reason });
+      } else if (event.name === 'GameRecorded' && game) {
+        const recordedId = Number(event.args.gameId);
+        if (recordedId !== game.gameId) {
+          throw new Error(`Unexpected GameRecorded event for game ${recordedId} (expected ${game.gameId})`);
+        }
+        outcomes.push({ gameId: game.gameId, status: 'recorded' });
+      } else if (event.name === 'BatchGameResultsProcessed') {
+        gamesProcessed = Number(event.args.gamesProcessed);
+      }
+    }
+
+    return {
+      ...toTransactionSummary(receipt),
+      gamesProcessed,
+      outcomes
+    };
+  }
+}
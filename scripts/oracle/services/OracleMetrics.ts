@@ -0,0 +1,145 @@
+import { Counter, Gauge, Histogram, Registry } from 'prom-client';
+import { OracleBlockchainService, TransactionSummary } from './OracleBlockchainService.js';
+import { MLBApiRequestInfo } from '../api/MLBApiClient.js';
+import { getHealthStatus, HealthStatus, MetricsSource } from '../utils/metricsServer.js';
+
+// Three missed ticks at the default daemon schedule
+export const DEFAULT_SYNC_STALE_AFTER_MINUTES = 30;
+
+const API_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+export const GAS_USED_BUCKETS = [50_000, 100_000, 250_000, 500_000, 1_000_000, 2_500_000, 5_000_000, 10_000_000];
+
+/**
+ * Options for the oracle daemon metrics
+ */
+export interface OracleMetricsOptions {
+  staleAfterSeconds?: number; // How long after the last successful tick /healthz fails (default: DEFAULT_SYNC_STALE_AFTER_MINUTES)
+  registry?: Registry;        // Defaults to a new registry
+  startedAt?: Date;
+}
+
+/**
+ * Groups request paths that differ only by ID, so each endpoint is one label value
+ * @param url Request path, e.g. /game/746523/feed/live
+ * @returns string Endpoint, e.g. /game/:id/feed/live
+ */
+export function getApiEndpoint(url: string): string {
+  return url.replace(/\/\d+(?=\/|$)/g, '/:id');
+}
+
+/**
+ * Prometheus metrics for the oracle daemon. The daemon records its ticks,
+ * transactions and MLB API requests as they happen; team records are read
+ * from the oracle contract when scraped
+ */
+export class OracleMetrics implements MetricsSource {
+  readonly registry: Registry;
+  private readonly blockchainService: OracleBlockchainService;
+  private readonly staleAfterSeconds: number;
+  private readonly startedAt: Date;
+  private lastSyncAt?: Date;
+
+  private readonly lastSync: Gauge;
+  private readonly syncErrors: Counter;
+  private readonly lastGameTime: Gauge;
+  private readonly winPct: Gauge<'team'>;
+  private readonly chainReadErrors: Counter;
+  private readonly apiDuration: Histogram<'endpoint'>;
+  private readonly apiErrors: Counter<'endpoint'>;
+  private readonly gasUsed: Histogram;
+
+  /**
+   * Creates the oracle metrics and registers them
+   * @param blockchainService Oracle to read team records from
+   * @param options Stale threshold, registry and start time
+   */
+  constructor(blockchainService: OracleBlockchainService, options: OracleMetricsOptions = {}) {
+    this.blockchainService = blockchainService;
+    this.staleAfterSeconds = options.staleAfterSeconds ?? DEFAULT_SYNC_STALE_AFTER_MINUTES * 60;
+    this.startedAt = options.startedAt ?? new Date();
+    this.registry = options.registry ?? new Registry();
+    const registers = [this.registry];
+
+    this.lastSync = new Gauge({ name: 'oracle_last_sync_timestamp_seconds', help: 'Unix time of the last successful daemon tick', registers });
+    const getSyncLag = () => this.getHealth().ageSeconds;
+    new Gauge({
+      name: 'oracle_sync_lag_seconds',
+      help: 'Seconds since the last successful daemon tick, or since startup if none has succeeded',
+      registers,
+      collect() {
+        this.set(getSyncLag());
+      }
+    });
+    this.syncErrors = new Counter({ name: 'oracle_sync_errors_total', help: 'Daemon ticks that failed', registers });
+    this.lastGameTime = new Gauge({ name: 'oracle_last_synced_game_timestamp_seconds', help: 'Newest game end time recorded for any team on-chain', registers });
+    this.winPct = new Gauge({ name: 'oracle_team_win_pct', help: 'On-chain win percentage, scaled 0-1000 like the contract', labelNames: ['team'], registers });
+    this.chainReadErrors = new Counter({ name: 'oracle_chain_read_errors_total', help: 'Failed reads of the team records for a scrape', registers });
+    this.apiDuration = new Histogram({ name: 'oracle_mlb_api_request_duration_seconds', help: 'MLB Stats API request attempts, including retries', labelNames: ['endpoint'], buckets: API_DURATION_BUCKETS, registers });
+    this.apiErrors = new Counter({ name: 'oracle_mlb_api_errors_total', help: 'MLB Stats API request attempts that failed', labelNames: ['endpoint'], registers });
+    this.gasUsed = new Histogram({ name: 'oracle_transaction_gas_used', help: 'Gas used by each recordGames transaction', buckets: GAS_USED_BUCKETS, registers });
+  }
+
+  /**
+   * Records a daemon tick that completed
+   * @param now Time the tick ran
+   */
+  recordSync(now: Date = new Date()): void {
+    this.lastSyncAt = now;
+    this.lastSync.set(Math.floor(now.getTime() / 1000));
+  }
+
+  /**
+   * Records a daemon tick that failed
+   */
+  recordSyncFailure(): void {
+    this.syncErrors.inc();
+  }
+
+  /**
+   * Records an MLB API request attempt; pass as MLBApiClient's onRequest option
+   * @param info Request timing and error
+   */
+  recordApiRequest(info: MLBApiRequestInfo): void {
+    const endpoint = getApiEndpoint(info.url);
+    this.apiDuration.observe({ endpoint }, info.durationMs / 1000);
+    if (info.error !== undefined) {
+      this.apiErrors.inc({ endpoint });
+    }
+  }
+
+  /**
+   * Records a mined transaction
+   * @param transaction Transaction summary
+   */
+  recordTransaction(transaction: TransactionSummary): void {
+    this.gasUsed.observe(Number(transaction.gasUsed));
+  }
+
+  /**
+   * Reads every registered team's win percentage and last game time from the
+   * oracle. A failed read is counted and the previous values are kept
+   * @returns Promise<void>
+   */
+  async refresh(): Promise<void> {
+    try {
+      const teams = await this.blockchainService.getRegisteredTeams();
+
+      this.winPct.reset();
+      for (const team of teams) {
+        this.winPct.set({ team: team.teamId }, team.winPct);
+      }
+      this.lastGameTime.set(Math.max(0, ...teams.map(team => team.lastGameTimestamp)));
+    } catch {
+      this.chainReadErrors.inc();
+    }
+  }
+
+  /**
+   * Checks whether the daemon has ticked successfully within the stale threshold
+   * @param now Current time (defaults to now) - useful for testing
+   * @returns HealthStatus Health of the daemon
+   */
+  getHealth(now: Date = new Date()): HealthStatus {
+    return getHealthStatus(this.lastSyncAt, this.startedAt, this.staleAfterSeconds, now);
+  }
+}
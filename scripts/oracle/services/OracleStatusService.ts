@@ -0,0 +1,97 @@
+import { OnChainSeasonState, OnChainTeam, OracleBlockchainService, RecordedGameData, RoleMembers } from './OracleBlockchainService.js';
+
+// A team not updated for this long during an active season is flagged as stale.
+// Long enough to cover the All-Star break without false alarms
+export const DEFAULT_STALE_AFTER_HOURS = 96;
+
+export const DEFAULT_RECENT_GAMES = 10;
+
+/**
+ * An on-chain team record with its staleness
+ */
+export interface TeamStatus extends OnChainTeam {
+  stale: boolean; // Not updated within the stale threshold while the season is active
+}
+
+/**
+ * Snapshot of everything the BaseballOracle contract holds
+ */
+export interface OracleStatus {
+  checkedAt: number;        // Unix seconds the snapshot was taken
+  season: OnChainSeasonState;
+  paused: boolean;
+  teams: TeamStatus[];      // Sorted by winPct, best first
+  staleTeams: string[];     // IDs of the stale teams
+  roles: RoleMembers[];     // Empty when rolesError is set
+  rolesError?: string;      // Why the role holders could not be read
+  gameCount: number;
+  recentGames: RecordedGameData[]; // Most recently recorded first
+}
+
+/**
+ * Options for reading the oracle status
+ */
+export interface OracleStatusOptions {
+  staleAfterHours?: number; // Default: DEFAULT_STALE_AFTER_HOURS
+  recentGames?: number;     // Number of recent games to list (default: DEFAULT_RECENT_GAMES)
+  fromBlock?: number;       // First block to search for role grants (default: genesis)
+  now?: Date;
+}
+
+/**
+ * Service that reads the live state of the BaseballOracle contract: team
+ * standings, season state, role holders and the latest recorded games
+ */
+export class OracleStatusService {
+  private readonly blockchainService: OracleBlockchainService;
+
+  /**
+   * Creates a new OracleStatusService
+   * @param blockchainService OracleBlockchainService used to read the contract
+   */
+  constructor(blockchainService: OracleBlockchainService) {
+    this.blockchainService = blockchainService;
+  }
+
+  /**
+   * Reads the oracle status
+   * @param options Stale threshold, number of recent games, role search start and current time
+   * @returns Promise<OracleStatus> Snapshot of the contract state
+   */
+  async getStatus(options: OracleStatusOptions = {}): Promise<OracleStatus> {
+    const checkedAt = Math.floor((options.now ?? new Date()).getTime() / 1000);
+    const staleBefore = checkedAt - (options.staleAfterHours ?? DEFAULT_STALE_AFTER_HOURS) * 3600;
+
+    const season = await this.blockchainService.getSeasonState();
+    const paused = await this.blockchainService.isPaused();
+
+    // Records only change while the season is active, so nothing is stale outside it
+    const teams: TeamStatus[] = (await this.blockchainService.getRegisteredTeams())
+      .map(team => ({ ...team, stale: season.active && team.lastUpdateTimestamp < staleBefore }))
+      .sort((a, b) => b.winPct - a.winPct || b.wins - a.wins || a.teamId.localeCompare(b.teamId));
+
+    // Role grants come from event logs, which some RPC endpoints refuse; the rest of the snapshot is still useful
+    let roles: RoleMembers[] = [];
+    let rolesError: string | undefined;
+    try {
+      roles = await this.blockchainService.getRoleMembers(options.fromBlock);
+    } catch (error) {
+      rolesError = error instanceof Error ? error.message : String(error);
+    }
+
+    const gameCount = await this.blockchainService.getGameCount();
+    const recentGames = await this.blockchainService.getRecentGames(options.recentGames ?? DEFAULT_RECENT_GAMES);
+
+    return {
+      checkedAt,
+      season,
+      paused,
+      teams,
+      staleTeams: teams.filter(team => team.stale).map(team => team.teamId),
+      roles,
+      ...(rolesError === undefined ? {} : { rolesError }),
+      gameCount,
+      recentGames
+    };
+  }
+}
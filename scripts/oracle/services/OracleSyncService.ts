@@ -1,4 +1,10 @@
 import { BaseballDataService, GameResult } from '../api/BaseballDataService.js';
+import { GameDataProvider } from '../api/GameDataProvider.js';
+import { BatchSubmissionResult, OracleBlockchainService } from './OracleBlockchainService.js';
+import { JournalGame, JournalIntent, SubmissionJournal, toJournalGame } from './SubmissionJournal.js';
+import { SuspendedGameTracker } from './SuspendedGameTracker.js';
+import { hashPayload } from '../utils/hash.js';
+import { DEFAULT_DATE_CUTOFF_HOUR, DEFAULT_VENUE_TIME_ZONE, getCandidateGameDays, getGameDayInWindow } from '../utils/dateUtils.js';
 
 export interface OracleGameData {
   gameId: number;         // Unique game identifier
@@ -6,40 +12,239 @@ export interface OracleGameData {
   awayTeam: string;       // Away team abbreviation
   homeScore: number;      // Final home team score
   awayScore: number;      // Final away team score
+  gameDate: number;       // Unix timestamp of game start
   timestamp: number;      // Unix timestamp of game end
+  gameStatus: string;     // Oracle status string (e.g. 'Final')
+  gameType?: string;      // MLB game type code (default 'R'); selects the oracle deployment
+  officialDate?: string;  // Calendar day the game counts for, in the venue's local time (YYYY-MM-DD)
+  venueTimeZone?: string; // Venue's IANA time zone, when known
+  endTimeEstimated?: boolean; // True when timestamp is a guess because the game feed had no end time
+  resumeDate?: string;    // Suspended games: the date play resumes (YYYY-MM-DD), when scheduled
+  resumedFrom?: string;   // Resumed games: the date the game was suspended (YYYY-MM-DD)
+}
+
+/**
+ * A date with a venue inside the game window, and the games listed for it
+ */
+export interface OpenGameDate {
+  date: string;            // YYYY-MM-DD
+  games: OracleGameData[]; // Every game listed for the date, whatever its status
 }
 
 /**
  * Service responsible for syncing baseball game data to the Oracle contract
  */
 export class OracleSyncService {
-  private baseballDataService: BaseballDataService;
+  private baseballDataService: GameDataProvider;
+  private blockchainService?: OracleBlockchainService;
+  private suspendedGameTracker?: SuspendedGameTracker;
+  private journal?: SubmissionJournal;
+  private deployments: Record<string, OracleBlockchainService>;
+  private preparedDates = new WeakMap<OracleGameData, string>(); // Prepared game -> date it was prepared for, for journal entries
 
   /**
    * Creates a new OracleSyncService
-   * @param baseballDataService Optional BaseballDataService instance
+   * @param baseballDataService Optional game data provider (defaults to the MLB BaseballDataService)
+   * @param blockchainService Optional OracleBlockchainService, required for submitting games
+   * @param suspendedGameTracker Optional SuspendedGameTracker that follows suspended games across dates
+   * @param journal Optional SubmissionJournal that records every batch submitted, before it is signed, and its transaction
+   * @param deployments Optional oracle deployments keyed by MLB game type; regular season games without one go to blockchainService
    */
-  constructor(baseballDataService?: BaseballDataService) {
+  constructor(
+    baseballDataService?: GameDataProvider,
+    blockchainService?: OracleBlockchainService,
+    suspendedGameTracker?: SuspendedGameTracker,
+    journal?: SubmissionJournal,
+    deployments: Record<string, OracleBlockchainService> = {}
+  ) {
     this.baseballDataService = baseballDataService || new BaseballDataService();
+    this.blockchainService = blockchainService;
+    this.suspendedGameTracker = suspendedGameTracker;
+    this.journal = journal;
+    this.deployments = deployments;
+  }
+
+  /**
+   * Gets the oracle deployment that records games of a type. Only regular
+   * season games fall back to the default deployment, so other game types
+   * never reach its standings unless they were mapped to it explicitly
+   * @param gameType MLB game type code (default 'R')
+   * @returns OracleBlockchainService Deployment for the game type
+   */
+  getBlockchainService(gameType: string = 'R'): OracleBlockchainService {
+    const blockchainService = this.deployments[gameType] ?? (gameType === 'R' ? this.blockchainService : undefined);
+
+    if (!blockchainService) {
+      throw new Error(`No blockchain service configured for game type ${gameType} - cannot submit games`);
+    }
+
+    return blockchainService;
+  }
+
+  /**
+   * Splits games by the oracle deployment that records them, since each
+   * transaction goes to a single deployment
+   * @param games Games in oracle format
+   * @returns OracleGameData[][] One group per deployment, in order of first appearance
+   */
+  groupByDeployment(games: OracleGameData[]): OracleGameData[][] {
+    const groups = new Map<OracleBlockchainService, OracleGameData[]>();
+
+    for (const game of games) {
+      const blockchainService = this.getBlockchainService(game.gameType);
+      groups.set(blockchainService, [...(groups.get(blockchainService) ?? []), game]);
+    }
+
+    return [...groups.values()];
   }
 
   /**
    * Gets games for a specific date and prepares them for blockchain submission
    * @param date Date to fetch games for (required)
+   * @param fetchedGames Optional games already fetched for the date, e.g. by getOpenGameDates
    * @returns Promise<OracleGameData[]> Games prepared for blockchain
    */
-  async prepareGamesForDate(date: Date): Promise<OracleGameData[]> {
+  async prepareGamesForDate(date: Date, fetchedGames?: OracleGameData[]): Promise<OracleGameData[]> {
+    const formattedDate = date.toISOString().split('T')[0];
+    let games = fetchedGames ?? await this.getGamesForDate(date);
+
+    // A suspended game's final result is only released on the date it completes
+    if (this.suspendedGameTracker) {
+      games = this.suspendedGameTracker.track(formattedDate, games);
+    }
+    
+    // Filter for completed games only (postponed games already filtered by BaseballDataService)
+    const finalGames = games.filter(game => game.gameStatus === 'Final');
+    finalGames.forEach(game => this.preparedDates.set(game, formattedDate));
+
+    return finalGames;
+  }
+
+  /**
+   * Gets every game for a specific date in oracle format, whatever its status
+   * @param date Date to fetch games for (required)
+   * @returns Promise<OracleGameData[]> Games in oracle format
+   */
+  async getGamesForDate(date: Date): Promise<OracleGameData[]> {
     // Format the date for the API
     const formattedDate = date.toISOString().split('T')[0];
     
     // Fetch all games for the date
     const games = await this.baseballDataService.getGamesForDate(formattedDate);
     
-    // Filter for completed games only (postponed games already filtered by BaseballDataService)
-    const finalGames = games.filter(game => game.gameStatus === 'Final');
-    
     // Transform to oracle format
-    return finalGames.map(game => this.transformToOracleData(game));
+    return games.map(game => this.transformToOracleData(game));
+  }
+
+  /**
+   * Finds the dates with games whose venue is inside the game window now.
+   * Each game is attributed to its official date and judged in its venue's
+   * time zone, so a game in Tokyo and a late game in Seattle can both be open
+   * while different dates are current in Eastern Time
+   * @param now Current time
+   * @param windowStartHour Local hour (0-23) a venue's game window opens
+   * @param windowEndHour Local hour (0-23) it closes; may wrap past midnight, and equal
+   *   to windowStartHour for a window covering the whole game day
+   * @returns Promise<OpenGameDate[]> Open dates, oldest first, with their games to pass to prepareGamesForDate
+   */
+  async getOpenGameDates(now: Date = new Date(), windowStartHour: number = DEFAULT_DATE_CUTOFF_HOUR, windowEndHour: number = DEFAULT_DATE_CUTOFF_HOUR): Promise<OpenGameDate[]> {
+    const openDates: OpenGameDate[] = [];
+
+    for (const date of getCandidateGameDays(now, windowEndHour)) {
+      const games = await this.getGamesForDate(new Date(date));
+      const open = games.some(game =>
+        getGameDayInWindow(now, game.venueTimeZone ?? DEFAULT_VENUE_TIME_ZONE, windowStartHour, windowEndHour) === (game.officialDate ?? date)
+      );
+
+      if (open) {
+        openDates.push({ date, games });
+      }
+    }
+
+    return openDates;
+  }
+
+  /**
+   * Submits prepared games to the Oracle contract in a single batch, sent to
+   * the deployment for their game type
+   * @param games Games prepared by prepareGamesForDate, all for the same deployment (see groupByDeployment)
+   * @returns Promise<BatchSubmissionResult> Transaction details and per-game outcomes
+   */
+  async submitGames(games: OracleGameData[]): Promise<BatchSubmissionResult> {
+    if (games.length === 0) {
+      throw new Error('No games to submit');
+    }
+
+    const groups = this.groupByDeployment(games);
+    if (groups.length > 1) {
+      throw new Error(`Games for different oracle deployments must be submitted separately (game types ${[...new Set(games.map(game => game.gameType ?? 'R'))].join(', ')})`);
+    }
+
+    const blockchainService = this.getBlockchainService(games[0].gameType);
+
+    if (!this.journal) {
+      return blockchainService.submitGameResults(games);
+    }
+
+    const account = await blockchainService.getSignerAddress();
+    const intent: JournalIntent = {
+      action: 'recordBatchGameResults',
+      account,
+      games: this.toJournalGames(games),
+      payloadHash: hashPayload(games),
+      teamAliasVersions: this.getTeamAliasVersions()
+    };
+
+    // Journaled here rather than in prepareGamesForDate, so games the caller
+    // found already recorded, or prepared again on every daemon tick, are not
+    const prepared = [...this.groupByPreparedDate(games)].map(([date, dateGames]) => ({
+      ...intent,
+      games: this.toJournalGames(dateGames),
+      payloadHash: hashPayload(dateGames),
+      sourceHashes: date === undefined ? {} : this.baseballDataService.getResponseHashes?.(date) ?? {}
+    }));
+
+    const submission = await this.journal.record(
+      intent,
+      onSent => blockchainService.submitGameResults(games, onSent),
+      { prepared, receipt: result => ({ gamesProcessed: result.gamesProcessed, outcomes: result.outcomes }) }
+    );
+    // Every game in the batch was recorded or skipped, so its date is no longer needed
+    games.forEach(game => this.preparedDates.delete(game));
+    return submission;
+  }
+
+  /**
+   * Reports the team alias map versions of the game data provider
+   * @returns Record<string, number> Version per provider name; empty if no provider maps team IDs
+   */
+  getTeamAliasVersions(): Record<string, number> {
+    return this.baseballDataService.getTeamAliasVersions?.() ?? {};
+  }
+
+  /**
+   * Splits games by the date prepareGamesForDate prepared them for
+   * @param games Games in oracle format
+   * @returns Map<string | undefined, OracleGameData[]> Games per date; undefined for games it did not prepare
+   */
+  private groupByPreparedDate(games: OracleGameData[]): Map<string | undefined, OracleGameData[]> {
+    const groups = new Map<string | undefined, OracleGameData[]>();
+
+    for (const game of games) {
+      const date = this.preparedDates.get(game);
+      groups.set(date, [...(groups.get(date) ?? []), game]);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Converts games to the summary stored in journal entries
+   * @param games Games in oracle format
+   * @returns JournalGame[] Journal summaries, with the date each game was prepared for
+   */
+  private toJournalGames(games: OracleGameData[]): JournalGame[] {
+    return games.map(game => toJournalGame(game, this.preparedDates.get(game)));
   }
 
   /**
@@ -54,7 +259,15 @@ export class OracleSyncService {
       awayTeam: game.awayTeam,
       homeScore: game.homeScore,
       awayScore: game.awayScore,
-      timestamp: game.gameEndTimestamp
+      gameDate: game.gameDate,
+      timestamp: game.gameEndTimestamp,
+      gameStatus: game.gameStatus,
+      gameType: game.gameType,
+      officialDate: game.officialDate,
+      ...(game.venueTimeZone ? { venueTimeZone: game.venueTimeZone } : {}),
+      endTimeEstimated: game.endTimeEstimated,
+      ...(game.resumeDate ? { resumeDate: game.resumeDate } : {}),
+      ...(game.resumedFrom ? { resumedFrom: game.resumedFrom } : {})
     };
   }
 }
\ No newline at end of file
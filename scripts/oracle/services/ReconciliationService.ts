@@ -0,0 +1,151 @@
+import { BaseballDataService, TeamStanding } from '../api/BaseballDataService.js';
+import { OnChainTeam, OracleBlockchainService, TransactionSummary } from './OracleBlockchainService.js';
+import { sendJournaled, SubmissionJournal } from './SubmissionJournal.js';
+import { calculateWinPct } from '../utils/winPct.js';
+
+/**
+ * Comparison of one team's on-chain record with the official standings
+ */
+export interface TeamRecordDiscrepancy {
+  teamId: string;
+  name: string;
+  onChainWins: number;
+  onChainLosses: number;
+  onChainWinPct: number;
+  officialWins: number;
+  officialLosses: number;
+  officialWinPct: number; // Computed with the contract's formula
+}
+
+/**
+ * Result of reconciling every team against the official standings
+ */
+export interface ReconciliationReport {
+  season: number;
+  date?: string;
+  teamsChecked: number;
+  discrepancies: TeamRecordDiscrepancy[];
+  unregistered: TeamStanding[]; // Teams in the standings with no on-chain record
+  missingFromStandings: OnChainTeam[]; // On-chain teams absent from the standings
+}
+
+/**
+ * Result of correcting a single team record
+ */
+export interface TeamRecordAdjustment extends TransactionSummary {
+  teamId: string;
+  wins: number;
+  losses: number;
+}
+
+/**
+ * A team record that could not be corrected
+ */
+export interface TeamRecordAdjustmentFailure {
+  teamId: string;
+  error: string;
+}
+
+/**
+ * Service that compares BaseballOracle team records with the official MLB
+ * standings and corrects any drift with adjustTeamRecord
+ */
+export class ReconciliationService {
+  private readonly baseballDataService: BaseballDataService;
+  private readonly blockchainService: OracleBlockchainService;
+  private readonly journal?: SubmissionJournal;
+
+  /**
+   * Creates a new ReconciliationService
+   * @param baseballDataService BaseballDataService used to fetch standings
+   * @param blockchainService OracleBlockchainService used to read and adjust team records
+   * @param journal Optional SubmissionJournal that records every adjustTeamRecord transaction
+   */
+  constructor(baseballDataService: BaseballDataService, blockchainService: OracleBlockchainService, journal?: SubmissionJournal) {
+    this.baseballDataService = baseballDataService;
+    this.blockchainService = blockchainService;
+    this.journal = journal;
+  }
+
+  /**
+   * Compares every on-chain team record with the official standings
+   * @param season Season year
+   * @param date Optional date in YYYY-MM-DD format to compare against standings as of that day
+   * @returns Promise<ReconciliationReport> Teams whose wins or losses differ
+   */
+  async reconcile(season: number, date?: string): Promise<ReconciliationReport> {
+    const standings = await this.baseballDataService.getStandings(season, date);
+    const onChainTeams = await this.blockchainService.getRegisteredTeams();
+
+    const onChainById = new Map(onChainTeams.map(team => [team.teamId, team]));
+    const standingIds = new Set(standings.map(standing => standing.teamId));
+
+    const discrepancies: TeamRecordDiscrepancy[] = [];
+    const unregistered: TeamStanding[] = [];
+
+    for (const standing of standings) {
+      const team = onChainById.get(standing.teamId);
+
+      if (!team) {
+        unregistered.push(standing);
+        continue;
+      }
+
+      if (team.wins !== standing.wins || team.losses !== standing.losses) {
+        discrepancies.push({
+          teamId: team.teamId,
+          name: team.name,
+          onChainWins: team.wins,
+          onChainLosses: team.losses,
+          onChainWinPct: team.winPct,
+          officialWins: standing.wins,
+          officialLosses: standing.losses,
+          officialWinPct: calculateWinPct(standing.wins, standing.losses)
+        });
+      }
+    }
+
+    return {
+      season,
+      date,
+      teamsChecked: standings.length - unregistered.length,
+      discrepancies,
+      unregistered,
+      missingFromStandings: onChainTeams.filter(team => !standingIds.has(team.teamId))
+    };
+  }
+
+  /**
+   * Corrects each discrepancy with adjustTeamRecord, one transaction at a
+   * time. A failed transaction is reported and the remaining teams are still corrected
+   * @param discrepancies Discrepancies from reconcile()
+   * @returns Promise<{ applied: TeamRecordAdjustment[]; failed: TeamRecordAdjustmentFailure[] }> Mined transactions and failures, in order
+   */
+  async applyAdjustments(discrepancies: TeamRecordDiscrepancy[]): Promise<{ applied: TeamRecordAdjustment[]; failed: TeamRecordAdjustmentFailure[] }> {
+    const applied: TeamRecordAdjustment[] = [];
+    const failed: TeamRecordAdjustmentFailure[] = [];
+
+    for (const discrepancy of discrepancies) {
+      try {
+        const args = { teamId: discrepancy.teamId, wins: discrepancy.officialWins, losses: discrepancy.officialLosses };
+        const tx = await sendJournaled(this.journal, this.blockchainService, { action: 'adjustTeamRecord', args, payload: args },
+          onSent => this.blockchainService.adjustTeamRecord(
+            discrepancy.teamId,
+            discrepancy.officialWins,
+            discrepancy.officialLosses,
+            onSent
+          ));
+        applied.push({
+          teamId: discrepancy.teamId,
+          wins: discrepancy.officialWins,
+          losses: discrepancy.officialLosses,
+          ...tx
+        });
+      } catch (error) {
+        failed.push({ teamId: discrepancy.teamId, error: error instanceof Error ? error.message : String(error) });
+      }
+    }
+
+    return { applied, failed };
+  }
+}
@@ -0,0 +1,162 @@
+import { BaseballDataService, SeasonDates } from '../api/BaseballDataService.js';
+import { OnChainSeasonState, OracleBlockchainService, TransactionSummary } from './OracleBlockchainService.js';
+import { sendJournaled, SubmissionJournal } from './SubmissionJournal.js';
+import { DEFAULT_DATE_CUTOFF_HOUR, DEFAULT_VENUE_TIME_ZONE, formatBlockTimestamp, getGameDayInWindow } from '../utils/dateUtils.js';
+
+/**
+ * Where a date falls in the MLB calendar
+ */
+export type SeasonPhase = 'preseason' | 'regular-season' | 'ended';
+
+/**
+ * An on-chain season transition
+ */
+export type SeasonAction = 'open' | 'close';
+
+/**
+ * MLB season dates combined with the on-chain season state
+ */
+export interface SeasonStatus extends SeasonDates, OnChainSeasonState {
+  date: string;              // Schedule date the phase was worked out for (YYYY-MM-DD)
+  phase: SeasonPhase;
+  openedThisSeason: boolean; // The on-chain season was last opened on or after seasonStartDate
+  due?: SeasonAction;        // Transition the schedule calls for, if any
+}
+
+/**
+ * A reason not to make a transition now
+ */
+export interface SeasonBlocker {
+  reason: string;
+  forceable: boolean; // False for transitions that can never be right, such as opening an active season
+}
+
+/**
+ * Result of a season transition
+ */
+export interface SeasonTransition extends TransactionSummary {
+  season: number;
+  action: SeasonAction;
+}
+
+/**
+ * Service that opens and closes the BaseballOracle season from the MLB
+ * schedule. Opening a season resets every team record, so transitions are
+ * checked against the schedule and the on-chain state before they are sent
+ */
+export class SeasonService {
+  private readonly baseballDataService: BaseballDataService;
+  private readonly blockchainService: OracleBlockchainService;
+  private readonly journal?: SubmissionJournal;
+
+  /**
+   * Creates a new SeasonService
+   * @param baseballDataService BaseballDataService used to fetch season dates
+   * @param blockchainService OracleBlockchainService used to read and change the season state
+   * @param journal Optional SubmissionJournal that records every setSeasonActive transaction
+   */
+  constructor(baseballDataService: BaseballDataService, blockchainService: OracleBlockchainService, journal?: SubmissionJournal) {
+    this.baseballDataService = baseballDataService;
+    this.blockchainService = blockchainService;
+    this.journal = journal;
+  }
+
+  /**
+   * Works out where a season stands. The phase uses the game day in Eastern
+   * Time, like the default sync date, so the last day of the regular season
+   * lasts until the late-game cutoff
+   * @param season Season year
+   * @param now Current time
+   * @returns Promise<SeasonStatus> Season dates, on-chain state and any transition that is due
+   */
+  async getStatus(season: number, now: Date = new Date()): Promise<SeasonStatus> {
+    const dates = await this.baseballDataService.getSeasonDates(season);
+    const state = await this.blockchainService.getSeasonState();
+    const date = getGameDayInWindow(now, DEFAULT_VENUE_TIME_ZONE, DEFAULT_DATE_CUTOFF_HOUR, DEFAULT_DATE_CUTOFF_HOUR)!;
+
+    let phase: SeasonPhase = 'regular-season';
+    if (date < dates.regularSeasonStartDate) {
+      phase = 'preseason';
+    } else if (date > dates.regularSeasonEndDate) {
+      phase = 'ended';
+    }
+
+    // Day precision is enough: seasonStartDate is weeks before opening day
+    const openedThisSeason = state.startTimestamp >= Date.parse(`${dates.seasonStartDate}T00:00:00Z`) / 1000;
+
+    let due: SeasonAction | undefined;
+    if (state.active && (phase === 'ended' || !openedThisSeason)) {
+      // Finished, or still open from an earlier year
+      due = 'close';
+    } else if (!state.active && phase === 'regular-season' && !openedThisSeason) {
+      due = 'open';
+    }
+
+    return { ...dates, ...state, date, phase, openedThisSeason, due };
+  }
+
+  /**
+   * Lists the reasons a transition should not be made now
+   * @param status Current season status
+   * @param action Transition to check
+   * @returns SeasonBlocker[] Reasons, or an empty array if the transition is safe
+   */
+  getBlockers(status: SeasonStatus, action: SeasonAction): SeasonBlocker[] {
+    const blockers: SeasonBlocker[] = [];
+
+    if (action === 'open') {
+      if (status.active) {
+        blockers.push({
+          reason: `The season is already active (opened ${formatBlockTimestamp(status.startTimestamp)}); opening it again would reset every team record. Close it first`,
+          forceable: false
+        });
+        return blockers;
+      }
+      if (status.openedThisSeason) {
+        blockers.push({
+          reason: `The ${status.season} season was already opened ${formatBlockTimestamp(status.startTimestamp)} and closed ${formatBlockTimestamp(status.endTimestamp)}; opening it again would reset the final team records`,
+          forceable: true
+        });
+      }
+      if (status.phase === 'preseason') {
+        blockers.push({ reason: `The ${status.season} regular season does not start until ${status.regularSeasonStartDate}`, forceable: true });
+      }
+      if (status.phase === 'ended') {
+        blockers.push({ reason: `The ${status.season} regular season ended on ${status.regularSeasonEndDate}`, forceable: true });
+      }
+    } else {
+      if (!status.active) {
+        blockers.push({ reason: 'The season is not active', forceable: false });
+        return blockers;
+      }
+      if (status.openedThisSeason && status.phase !== 'ended') {
+        blockers.push({
+          reason: `The ${status.season} regular season runs until ${status.regularSeasonEndDate}, so closing now would mark it finished while games are still being played`,
+          forceable: true
+        });
+      }
+    }
+
+    return blockers;
+  }
+
+  /**
+   * Opens or closes the season after checking it is safe to do so
+   * @param status Current season status
+   * @param action Transition to make
+   * @param force Make the transition despite forceable blockers
+   * @returns Promise<SeasonTransition> Mined transaction
+   */
+  async transition(status: SeasonStatus, action: SeasonAction, force: boolean = false): Promise<SeasonTransition> {
+    const blocker = this.getBlockers(status, action).find(b => !force || !b.forceable);
+    if (blocker) {
+      throw new Error(`Refusing to ${action} the season: ${blocker.reason}`);
+    }
+
+    const args = { season: status.season, active: action === 'open' };
+    const transaction = await sendJournaled(this.journal, this.blockchainService, { action: 'setSeasonActive', args, payload: args },
+      onSent => this.blockchainService.setSeasonActive(action === 'open', onSent));
+    return { season: status.season, action, ...transaction };
+  }
+}
+
@@ -0,0 +1,192 @@
+import { appendFileSync, existsSync, readFileSync } from 'fs';
+import { GameSubmissionOutcome, OracleBlockchainService, TransactionSummary } from './OracleBlockchainService.js';
+import { OracleGameData } from './OracleSyncService.js';
+import { hashPayload } from '../utils/hash.js';
+
+export const DEFAULT_JOURNAL_PATH = 'oracle-journal.jsonl';
+
+// Contract functions the oracle sends transactions to
+export type JournalAction = 'recordBatchGameResults' | 'correctGameResult' | 'adjustTeamRecord' | 'registerTeam' | 'setSeasonActive';
+
+/**
+ * A game as recorded in the journal
+ */
+export interface JournalGame {
+  gameId: number;
+  date?: string; // Schedule date the game was prepared for (YYYY-MM-DD)
+  homeTeam: string;
+  awayTeam: string;
+  homeScore: number;
+  awayScore: number;
+  gameStatus: string;
+  gameType?: string;
+}
+
+/**
+ * One line of the journal
+ */
+export interface JournalEntry {
+  type: 'prepared' | 'sent' | 'submitted' | 'failed';
+  recordedAt: string;                                // ISO timestamp the entry was written
+  action: JournalAction;
+  account?: string;                                  // Signing account, when connected to the chain
+  games: JournalGame[];                              // Games recorded or corrected; empty for team and season writes
+  args?: Record<string, string | number | boolean>;  // Arguments of team and season writes, e.g. { teamId, wins, losses }
+  payloadHash: string;                               // sha256 of the games or args (hashPayload in utils/hash.ts)
+  sourceHashes?: Record<string, string>;             // 'prepared': sha256 of each provider's raw response or file, keyed by provider name
+  teamAliasVersions?: Record<string, number>;        // TeamAliasMap version the games' team IDs were resolved with, keyed by provider name
+  transactionHash?: string;                          // 'sent', 'submitted', and 'failed' once the transaction was sent
+  blockNumber?: number;                              // 'submitted'
+  gasUsed?: string;                                  // 'submitted'
+  gamesProcessed?: number;                           // 'submitted' recordBatchGameResults
+  outcomes?: GameSubmissionOutcome[];                // 'submitted' recordBatchGameResults
+  error?: string;                                    // 'failed'
+}
+
+// What a transaction is meant to do, as written to every entry for it
+export type JournalIntent = Pick<JournalEntry, 'action' | 'account' | 'games' | 'args' | 'payloadHash' | 'teamAliasVersions'>;
+
+/**
+ * Converts a game to the summary stored in journal entries
+ * @param game Game in oracle format
+ * @param date Schedule date the game was prepared for, if known
+ * @returns JournalGame Journal summary
+ */
+export function toJournalGame(game: OracleGameData, date?: string): JournalGame {
+  return {
+    gameId: game.gameId,
+    date,
+    homeTeam: game.homeTeam,
+    awayTeam: game.awayTeam,
+    homeScore: game.homeScore,
+    awayScore: game.awayScore,
+    gameStatus: game.gameStatus,
+    gameType: game.gameType
+  };
+}
+
+/**
+ * Sends a contract write, journaling it with SubmissionJournal.record when
+ * there is a journal
+ * @param journal Optional journal; without one the write is just sent
+ * @param blockchainService Service the write is sent through, for the signing account
+ * @param write Contract function, the games or arguments to journal, and the payload to hash
+ * @param send Signs and sends the transaction, calling onSent with its hash, and waits for it to be mined
+ * @returns Promise<T> Result of send
+ */
+export async function sendJournaled<T extends TransactionSummary>(
+  journal: SubmissionJournal | undefined,
+  blockchainService: OracleBlockchainService,
+  write: Pick<JournalEntry, 'action' | 'args' | 'teamAliasVersions'> & { games?: JournalGame[]; payload: unknown },
+  send: (onSent?: (transactionHash: string) => void) => Promise<T>
+): Promise<T> {
+  if (!journal) {
+    return send();
+  }
+
+  return journal.record({
+    action: write.action,
+    account: await blockchainService.getSignerAddress(),
+    games: write.games ?? [],
+    args: write.args,
+    payloadHash: hashPayload(write.payload),
+    teamAliasVersions: write.teamAliasVersions
+  }, send);
+}
+
+/**
+ * Criteria for reading the journal; entries must match all that are set
+ */
+export interface JournalFilter {
+  date?: string;   // Entries with a game prepared for this date
+  gameId?: number; // Entries that include this game
+  team?: string;   // Entries with a game involving this team, or a write to this team
+}
+
+/**
+ * Append-only JSONL log of every transaction the oracle prepared and sent,
+ * for auditing what was submitted, when and by whom
+ */
+export class SubmissionJournal {
+  private readonly path: string;
+
+  /**
+   * Creates a new SubmissionJournal
+   * @param path JSONL file to append to
+   */
+  constructor(path: string) {
+    this.path = path;
+  }
+
+  /**
+   * Appends an entry
+   * @param entry Entry without its timestamp
+   * @returns JournalEntry The entry as written
+   */
+  append(entry: Omit<JournalEntry, 'recordedAt'>): JournalEntry {
+    const written: JournalEntry = { recordedAt: new Date().toISOString(), ...entry };
+    appendFileSync(this.path, JSON.stringify(written) + '\n');
+    return written;
+  }
+
+  /**
+   * Journals a contract write from start to finish: 'prepared' before the
+   * transaction is signed, 'sent' with its hash once broadcast, then
+   * 'submitted' with the receipt or 'failed' with the error. A crash at any
+   * point leaves the last step that was reached in the journal
+   * @param intent What the transaction is meant to do
+   * @param send Signs and sends the transaction, calling onSent with its hash, and waits for it to be mined
+   * @param options Optional 'prepared' entries to write in place of the intent (e.g. one per date), and extra receipt fields for 'submitted'
+   * @returns Promise<T> Result of send
+   */
+  async record<T extends TransactionSummary>(
+    intent: JournalIntent,
+    send: (onSent: (transactionHash: string) => void) => Promise<T>,
+    options: { prepared?: Omit<JournalEntry, 'recordedAt' | 'type'>[]; receipt?: (result: T) => Partial<JournalEntry> } = {}
+  ): Promise<T> {
+    (options.prepared ?? [intent]).forEach(entry => this.append({ type: 'prepared', ...entry }));
+
+    let transactionHash: string | undefined;
+    try {
+      const result = await send(hash => {
+        transactionHash = hash;
+        this.append({ type: 'sent', ...intent, transactionHash });
+      });
+      this.append({
+        type: 'submitted',
+        ...intent,
+        transactionHash: result.transactionHash,
+        blockNumber: result.blockNumber,
+        gasUsed: result.gasUsed.toString(),
+        ...options.receipt?.(result)
+      });
+      return result;
+    } catch (error) {
+      this.append({ type: 'failed', ...intent, transactionHash, error: error instanceof Error ? error.message : String(error) });
+      throw error;
+    }
+  }
+
+  /**
+   * Reads entries, oldest first
+   * @param filter Optional criteria entries must match
+   * @returns JournalEntry[] Matching entries
+   */
+  read(filter: JournalFilter = {}): JournalEntry[] {
+    if (!existsSync(this.path)) {
+      return [];
+    }
+
+    const team = filter.team?.toUpperCase();
+
+    return readFileSync(this.path, 'utf8')
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line) as JournalEntry)
+      .filter(entry =>
+        (filter.date === undefined || entry.games.some(game => game.date === filter.date)) &&
+        (filter.gameId === undefined || entry.games.some(game => game.gameId === filter.gameId)) &&
+        (team === undefined || entry.args?.teamId === team || entry.games.some(game => game.homeTeam === team || game.awayTeam === team))
+      );
+  }
+}
@@ -0,0 +1,129 @@
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { OracleGameData } from './OracleSyncService.js';
+
+export const DEFAULT_SUSPENDED_GAMES_PATH = 'oracle-suspended-games.json';
+
+/**
+ * A suspended game followed across dates by its gamePk
+ */
+export interface TrackedSuspendedGame {
+  gameId: number;
+  homeTeam: string;
+  awayTeam: string;
+  suspendedOn: string;  // Date the game was suspended (YYYY-MM-DD)
+  resumeDate?: string;  // Date play resumes, once MLB schedules it
+  completedOn?: string; // Date the final result was released for recording
+}
+
+interface SuspendedGameState {
+  games: Record<string, TrackedSuspendedGame>; // Game ID -> tracked game
+}
+
+/**
+ * Persists suspended games between runs so a game that resumes on a later
+ * date is released for recording exactly once, on the day it completes
+ */
+export class SuspendedGameTracker {
+  private readonly statePath: string;
+
+  /**
+   * Creates a new SuspendedGameTracker
+   * @param statePath JSON file that stores tracked games
+   */
+  constructor(statePath: string) {
+    this.statePath = statePath;
+  }
+
+  /**
+   * Records suspensions and completions seen on a date's schedule
+   * @param date Schedule date in YYYY-MM-DD format
+   * @param games Every game listed for the date, whatever its status
+   * @returns OracleGameData[] The games, minus final results already released on another date
+   */
+  track(date: string, games: OracleGameData[]): OracleGameData[] {
+    const state = this.readState();
+    let changed = false;
+    const released: OracleGameData[] = [];
+
+    for (const game of games) {
+      const existing = state.games[game.gameId];
+
+      if (game.gameStatus === 'Suspended') {
+        const tracked = existing ?? this.createEntry(game, game.resumedFrom ?? date);
+        const resumeDate = game.resumeDate ?? tracked.resumeDate;
+
+        if (!existing || tracked.resumeDate !== resumeDate) {
+          tracked.resumeDate = resumeDate;
+          state.games[game.gameId] = tracked;
+          changed = true;
+        }
+        released.push(game);
+        continue;
+      }
+
+      // Games that were never suspended pass straight through
+      if (game.gameStatus !== 'Final' || (!existing && !game.resumedFrom)) {
+        released.push(game);
+        continue;
+      }
+
+      const tracked = existing ?? this.createEntry(game, game.resumedFrom!);
+      if (tracked.completedOn && tracked.completedOn !== date) {
+        continue;
+      }
+
+      if (tracked.completedOn !== date) {
+        tracked.completedOn = date;
+        state.games[game.gameId] = tracked;
+        changed = true;
+      }
+      released.push(game);
+    }
+
+    if (changed) {
+      writeFileSync(this.statePath, JSON.stringify(state, null, 2));
+    }
+
+    return released;
+  }
+
+  /**
+   * Lists suspended games that have not been completed yet
+   * @returns TrackedSuspendedGame[] Games awaiting resumption, oldest first
+   */
+  getPending(): TrackedSuspendedGame[] {
+    return Object.values(this.readState().games)
+      .filter(game => game.completedOn === undefined)
+      .sort((a, b) => a.suspendedOn.localeCompare(b.suspendedOn));
+  }
+
+  /**
+   * Gets a tracked game by ID
+   * @param gameId MLB game ID (gamePk)
+   * @returns TrackedSuspendedGame | undefined The tracked game, if any
+   */
+  getGame(gameId: number): TrackedSuspendedGame | undefined {
+    return this.readState().games[gameId];
+  }
+
+  /**
+   * Builds a new tracking entry
+   * @param game Game as listed on the schedule
+   * @param suspendedOn Date the game was suspended
+   * @returns TrackedSuspendedGame New entry
+   */
+  private createEntry(game: OracleGameData, suspendedOn: string): TrackedSuspendedGame {
+    return { gameId: game.gameId, homeTeam: game.homeTeam, awayTeam: game.awayTeam, suspendedOn };
+  }
+
+  /**
+   * Loads tracked games, or an empty state on first run
+   * @returns SuspendedGameState Saved state
+   */
+  private readState(): SuspendedGameState {
+    if (!existsSync(this.statePath)) {
+      return { games: {} };
+    }
+    return JSON.parse(readFileSync(this.statePath, 'utf8'));
+  }
+}
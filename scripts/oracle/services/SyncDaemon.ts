@@ -0,0 +1,253 @@
+import { CronJob } from 'cron';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { OracleGameData, OracleSyncService } from './OracleSyncService.js';
+import { OracleMetrics } from './OracleMetrics.js';
+import { DEFAULT_DATE_CUTOFF_HOUR } from '../utils/dateUtils.js';
+
+export const DEFAULT_DAEMON_STATE_PATH = 'oracle-daemon-state.json';
+export const DEFAULT_DAEMON_SCHEDULE = '*/10 * * * *'; // Every 10 minutes
+export const DEFAULT_GAME_WINDOW_START_HOUR = 12;      // First pitches are rarely before noon local time
+export const DEFAULT_DAEMON_BATCH_SIZE = 10;
+const STATE_RETENTION_DAYS = 7;
+
+// The contract reports this when a game was recorded by another run; treat it as done
+const ALREADY_RECORDED_REASON = 'Game already recorded';
+
+/**
+ * Options for the sync daemon
+ */
+export interface SyncDaemonOptions {
+  statePath: string;            // File that persists synced games across restarts
+  schedule?: string;            // Cron expression, evaluated in ET
+  windowStartHour?: number;     // Local hour at each venue its game window opens
+  windowEndHour?: number;       // Defaults to the late-game cutoff, so the window wraps past midnight
+  batchSize?: number;           // Maximum games per transaction
+  log?: (message: string) => void;
+  onTickComplete?: (result: SyncTickResult) => void; // Called for each date a scheduled tick synced
+  metrics?: OracleMetrics;      // Records ticks, failures and transactions
+}
+
+/**
+ * State persisted between daemon runs
+ */
+export interface SyncDaemonState {
+  lastRunAt?: string;
+  lastSyncDate?: string;
+  syncedGames: Record<string, number[]>;  // Date -> game IDs recorded on-chain
+  skippedGames: Record<string, Record<string, string>>; // Date -> game ID -> ErrorLogged reason; not retried automatically
+}
+
+/**
+ * Result of a single daemon tick
+ */
+export interface SyncTickResult {
+  date?: string;
+  skippedReason?: string; // Set when the tick did nothing (no venue in its game window, already running)
+  newlyFinal: number;
+  recorded: number;
+  skipped: number;
+}
+
+/**
+ * Long-running service that polls for newly final games during the game
+ * window and records them incrementally
+ */
+export class SyncDaemon {
+  private readonly syncService: OracleSyncService;
+  private readonly statePath: string;
+  private readonly schedule: string;
+  private readonly windowStartHour: number;
+  private readonly windowEndHour: number;
+  private readonly batchSize: number;
+  private readonly log: (message: string) => void;
+  private readonly onTickComplete?: (result: SyncTickResult) => void;
+  private readonly metrics?: OracleMetrics;
+  private job?: CronJob;
+  private running = false;
+
+  /**
+   * Creates a new SyncDaemon
+   * @param syncService OracleSyncService used to fetch, check and record games on each game type's deployment
+   * @param options Schedule, window, state and metrics options
+   */
+  constructor(syncService: OracleSyncService, options: SyncDaemonOptions) {
+    this.syncService = syncService;
+    this.statePath = options.statePath;
+    this.schedule = options.schedule ?? DEFAULT_DAEMON_SCHEDULE;
+    this.windowStartHour = options.windowStartHour ?? DEFAULT_GAME_WINDOW_START_HOUR;
+    this.windowEndHour = options.windowEndHour ?? DEFAULT_DATE_CUTOFF_HOUR;
+    this.batchSize = options.batchSize ?? DEFAULT_DAEMON_BATCH_SIZE;
+    this.log = options.log ?? ((message) => console.log(`[${new Date().toISOString()}] ${message}`));
+    this.onTickComplete = options.onTickComplete;
+    this.metrics = options.metrics;
+  }
+
+  /**
+   * Starts polling on the configured schedule, running one tick immediately
+   */
+  start(): void {
+    this.job = CronJob.from({
+      cronTime: this.schedule,
+      onTick: async () => {
+        try {
+          for (const result of await this.tick()) {
+            if (result.date) {
+              this.log(`${result.date}: ${result.newlyFinal} newly final game(s), ${result.recorded} recorded, ${result.skipped} skipped`);
+              this.onTickComplete?.(result);
+            }
+          }
+        } catch (error) {
+          this.log(`Sync failed: ${error instanceof Error ? error.message : error}`);
+        }
+      },
+      start: true,
+      runOnInit: true,
+      timeZone: 'America/New_York'
+    });
+  }
+
+  /**
+   * Stops polling; a tick already in progress is allowed to finish
+   */
+  stop(): void {
+    this.job?.stop();
+  }
+
+  /**
+   * Records any games that became final since the last tick, on every date
+   * with a venue inside its game window
+   * @param now Current time (defaults to now) - useful for testing
+   * @returns Promise<SyncTickResult[]> What the tick did, one result per date synced
+   */
+  async tick(now: Date = new Date()): Promise<SyncTickResult[]> {
+    if (this.running) {
+      return [{ skippedReason: 'previous sync still running', newlyFinal: 0, recorded: 0, skipped: 0 }];
+    }
+
+    this.running = true;
+    try {
+      const dates = await this.syncService.getOpenGameDates(now, this.windowStartHour, this.windowEndHour);
+      if (dates.length === 0) {
+        this.metrics?.recordSync(now);
+        return [{ skippedReason: 'outside game window', newlyFinal: 0, recorded: 0, skipped: 0 }];
+      }
+
+      const results: SyncTickResult[] = [];
+      for (const { date, games } of dates) {
+        results.push(await this.syncNewGames(date, games, now));
+      }
+
+      this.metrics?.recordSync(now);
+      return results;
+    } catch (error) {
+      this.metrics?.recordSyncFailure();
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Fetches final games for a date and submits the new ones
+   * @param date Date to sync in YYYY-MM-DD format
+   * @param games Games getOpenGameDates fetched for the date, so they are not fetched again
+   * @param now Current time
+   * @returns Promise<SyncTickResult> What was submitted
+   */
+  private async syncNewGames(date: string, games: OracleGameData[], now: Date): Promise<SyncTickResult> {
+    const state = this.readState();
+    const synced = new Set(state.syncedGames[date] ?? []);
+    const skippedGames = state.skippedGames[date] ?? {};
+    const finalGames = await this.syncService.prepareGamesForDate(new Date(date), games);
+
+    const newGames: OracleGameData[] = [];
+    for (const game of finalGames) {
+      if (synced.has(game.gameId) || skippedGames[game.gameId] !== undefined) {
+        continue;
+      }
+
+      // State can be lost or predate a manual sync, so confirm against the chain
+      if (await this.syncService.getBlockchainService(game.gameType).isGameRecorded(game.gameId)) {
+        synced.add(game.gameId);
+        continue;
+      }
+
+      if (game.endTimeEstimated) {
+        this.log(`${date}: game ${game.gameId} has no end time in the game feed - submitting an estimated end time`);
+      }
+
+      newGames.push(game);
+    }
+
+    let recorded = 0;
+    let skipped = 0;
+
+    const batches = this.syncService.groupByDeployment(newGames).flatMap(group => {
+      const groupBatches: OracleGameData[][] = [];
+      for (let i = 0; i < group.length; i += this.batchSize) {
+        groupBatches.push(group.slice(i, i + this.batchSize));
+      }
+      return groupBatches;
+    });
+
+    for (const batch of batches) {
+      const submission = await this.syncService.submitGames(batch);
+      this.metrics?.recordTransaction(submission);
+      this.log(`${date}: submitted ${submission.outcomes.length} game(s) in ${submission.transactionHash}`);
+
+      for (const outcome of submission.outcomes) {
+        if (outcome.status === 'recorded' || outcome.reason === ALREADY_RECORDED_REASON) {
+          synced.add(outcome.gameId);
+          recorded += outcome.status === 'recorded' ? 1 : 0;
+        } else {
+          skippedGames[outcome.gameId] = outcome.reason ?? 'unknown';
+          state.skippedGames[date] = skippedGames;
+          skipped++;
+          this.log(`${date}: game ${outcome.gameId} skipped by the contract (${outcome.reason}) - will not be retried`);
+        }
+      }
+
+      // Persist after every batch so a crash mid-run does not lose progress
+      state.syncedGames[date] = [...synced];
+      this.writeState(state, now, date);
+    }
+
+    state.syncedGames[date] = [...synced];
+    this.writeState(state, now, date);
+
+    return { date, newlyFinal: newGames.length, recorded, skipped };
+  }
+
+  /**
+   * Loads persisted state, or an empty state on first run
+   * @returns SyncDaemonState Saved state
+   */
+  private readState(): SyncDaemonState {
+    if (!existsSync(this.statePath)) {
+      return { syncedGames: {}, skippedGames: {} };
+    }
+
+    return { syncedGames: {}, skippedGames: {}, ...JSON.parse(readFileSync(this.statePath, 'utf8')) };
+  }
+
+  /**
+   * Saves state, dropping synced and skipped dates older than the retention window
+   * @param state State to save
+   * @param now Current time
+   * @param date Date that was just synced
+   */
+  private writeState(state: SyncDaemonState, now: Date, date: string): void {
+    const cutoff = new Date(now.getTime() - STATE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    for (const games of [state.syncedGames, state.skippedGames]) {
+      for (const stateDate of Object.keys(games)) {
+        if (stateDate < cutoff) {
+          delete games[stateDate];
+        }
+      }
+    }
+
+    state.lastRunAt = now.toISOString();
+    state.lastSyncDate = date;
+    writeFileSync(this.statePath, JSON.stringify(state, null, 2));
+  }
+}
@@ -0,0 +1,44 @@
+import { BaseballDataService } from '../api/BaseballDataService.js';
+import { calculateTeamMetrics, TeamMetrics } from '../utils/teamMetrics.js';
+
+/**
+ * A team's metrics for a season, up to a date
+ */
+export interface SeasonTeamMetrics extends TeamMetrics {
+  season: number;
+  asOf: string; // Last date included (YYYY-MM-DD)
+}
+
+/**
+ * Service that builds team performance metrics (run differential, Pythagorean
+ * expectation, splits and streaks) from the MLB game history
+ */
+export class TeamMetricsService {
+  private readonly baseballDataService: BaseballDataService;
+
+  /**
+   * Creates a new TeamMetricsService
+   * @param baseballDataService BaseballDataService used to fetch each team's completed games
+   */
+  constructor(baseballDataService: BaseballDataService) {
+    this.baseballDataService = baseballDataService;
+  }
+
+  /**
+   * Builds a team's metrics over a season
+   * @param teamId On-chain team ID, e.g. 'NYY'
+   * @param season Season year
+   * @param asOf Last date to include in YYYY-MM-DD format (default: today, or the end of a past season)
+   * @returns Promise<SeasonTeamMetrics> Metrics over the team's completed games
+   */
+  async getTeamMetrics(teamId: string, season: number, asOf: string = new Date().toISOString().split('T')[0]): Promise<SeasonTeamMetrics> {
+    const seasonStart = `${season}-01-01`;
+    const seasonEnd = `${season}-12-31`;
+    const to = asOf < seasonEnd ? asOf : seasonEnd;
+    const id = teamId.toUpperCase();
+
+    // A season that has not started yet has no games
+    const games = to < seasonStart ? [] : await this.baseballDataService.getTeamGameScores(id, seasonStart, to);
+    return { season, asOf: to, ...calculateTeamMetrics(id, games) };
+  }
+}
@@ -0,0 +1,116 @@
+import { BaseballDataService, Team } from '../api/BaseballDataService.js';
+import { OnChainTeam, OracleBlockchainService, TransactionSummary } from './OracleBlockchainService.js';
+import { sendJournaled, SubmissionJournal } from './SubmissionJournal.js';
+
+/**
+ * A difference between an on-chain team and the MLB API
+ */
+export interface TeamDrift {
+  teamId: string;                            // On-chain team ID
+  field: 'teamId' | 'name' | 'abbreviation'; // 'teamId' means the MLB abbreviation no longer matches the on-chain ID
+  onChain: string;
+  mlb: string;
+}
+
+/**
+ * Comparison of MLB teams with the teams registered on-chain
+ */
+export interface TeamRegistrationPlan {
+  missing: Team[];              // MLB teams that can be registered
+  drifted: TeamDrift[];         // On-chain teams whose details differ from MLB
+  unknownOnChain: OnChainTeam[]; // On-chain teams with no MLB counterpart
+  registeredCount: number;
+}
+
+/**
+ * Result of registering a single team
+ */
+export interface TeamRegistrationResult extends TransactionSummary {
+  teamId: string;
+}
+
+/**
+ * Service that bootstraps BaseballOracle teams from the MLB API
+ */
+export class TeamRegistrationService {
+  private readonly baseballDataService: BaseballDataService;
+  private readonly blockchainService: OracleBlockchainService;
+  private readonly journal?: SubmissionJournal;
+
+  /**
+   * Creates a new TeamRegistrationService
+   * @param baseballDataService BaseballDataService used to fetch MLB teams
+   * @param blockchainService OracleBlockchainService used to read and register teams
+   * @param journal Optional SubmissionJournal that records every registerTeam transaction
+   */
+  constructor(baseballDataService: BaseballDataService, blockchainService: OracleBlockchainService, journal?: SubmissionJournal) {
+    this.baseballDataService = baseballDataService;
+    this.blockchainService = blockchainService;
+    this.journal = journal;
+  }
+
+  /**
+   * Diffs MLB teams against the teams registered on-chain
+   * @returns Promise<TeamRegistrationPlan> Teams to register and drift to review
+   */
+  async planRegistration(): Promise<TeamRegistrationPlan> {
+    const mlbTeams = await this.baseballDataService.getAllTeams();
+    const onChainTeams = await this.blockchainService.getRegisteredTeams();
+
+    const onChainById = new Map(onChainTeams.map(team => [team.teamId, team]));
+    const matchedIds = new Set(mlbTeams.map(team => team.teamId).filter(teamId => onChainById.has(teamId)));
+
+    const missing: Team[] = [];
+    const drifted: TeamDrift[] = [];
+
+    for (const mlbTeam of mlbTeams) {
+      const onChain = onChainById.get(mlbTeam.teamId);
+
+      if (onChain) {
+        if (onChain.name !== mlbTeam.name) {
+          drifted.push({ teamId: onChain.teamId, field: 'name', onChain: onChain.name, mlb: mlbTeam.name });
+        }
+        if (onChain.abbreviation !== mlbTeam.abbreviation) {
+          drifted.push({ teamId: onChain.teamId, field: 'abbreviation', onChain: onChain.abbreviation, mlb: mlbTeam.abbreviation });
+        }
+        continue;
+      }
+
+      // Same franchise under a new abbreviation - registering it would create a
+      // second team and orphan any AMM bound to the existing ID
+      const renamed = onChainTeams.find(team => team.name === mlbTeam.name && !matchedIds.has(team.teamId));
+      if (renamed) {
+        matchedIds.add(renamed.teamId);
+        drifted.push({ teamId: renamed.teamId, field: 'teamId', onChain: renamed.teamId, mlb: mlbTeam.teamId });
+        continue;
+      }
+
+      missing.push(mlbTeam);
+    }
+
+    return {
+      missing,
+      drifted,
+      unknownOnChain: onChainTeams.filter(team => !matchedIds.has(team.teamId)),
+      registeredCount: onChainTeams.length
+    };
+  }
+
+  /**
+   * Registers teams one transaction at a time
+   * @param teams Teams to register, usually TeamRegistrationPlan.missing
+   * @returns Promise<TeamRegistrationResult[]> Mined transactions in order
+   */
+  async registerTeams(teams: Team[]): Promise<TeamRegistrationResult[]> {
+    const results: TeamRegistrationResult[] = [];
+
+    for (const team of teams) {
+      const args = { teamId: team.teamId, name: team.name, abbreviation: team.abbreviation };
+      const tx = await sendJournaled(this.journal, this.blockchainService, { action: 'registerTeam', args, payload: args },
+        onSent => this.blockchainService.registerTeam(team.teamId, team.name, team.abbreviation, onSent));
+      results.push({ teamId: team.teamId, ...tx });
+    }
+
+    return results;
+  }
+}
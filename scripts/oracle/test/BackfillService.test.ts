@@ -0,0 +1,171 @@
+import { jest } from '@jest/globals';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { BackfillService } from '../services/BackfillService.js';
+import { OracleBlockchainService } from '../services/OracleBlockchainService.js';
+import { OracleGameData, OracleSyncService } from '../services/OracleSyncService.js';
+
+function makeGame(gameId: number): OracleGameData {
+  return {
+    gameId,
+    homeTeam: 'HOU',
+    awayTeam: 'NYY',
+    homeScore: 5,
+    awayScore: 3,
+    gameDate: 1684800000,
+    timestamp: 1684810800,
+    gameStatus: 'Final'
+  };
+}
+
+describe('BackfillService', () => {
+  const gamesByDate: Record<string, OracleGameData[]> = {
+    '2025-05-01': [makeGame(1), makeGame(2), makeGame(3)],
+    '2025-05-02': [],
+    '2025-05-03': [makeGame(4), makeGame(5)]
+  };
+
+  let mockPrepareGamesForDate: jest.Mock<(date: Date) => Promise<OracleGameData[]>>;
+  let mockIsGameRecorded: jest.Mock<(gameId: number) => Promise<boolean>>;
+  let mockEstimateBatchGas: jest.Mock<(games: OracleGameData[]) => Promise<bigint>>;
+  let mockSubmitGames: jest.Mock<(games: OracleGameData[]) => Promise<any>>;
+  let syncService: OracleSyncService;
+  let blockchainService: OracleBlockchainService;
+  let tempDir: string;
+
+  beforeEach(() => {
+    mockPrepareGamesForDate = jest.fn(async (date: Date) => gamesByDate[date.toISOString().split('T')[0]] ?? []);
+    mockIsGameRecorded = jest.fn(async () => false);
+    mockEstimateBatchGas = jest.fn(async (games: OracleGameData[]) => BigInt(games.length) * 300_000n);
+    mockSubmitGames = jest.fn(async (games: OracleGameData[]) => ({
+      transactionHash: `0x${games[0].gameId}`,
+      blockNumber: 1,
+      gasUsed: 100_000n,
+      gamesProcessed: games.length,
+      outcomes: games.map(game => ({ gameId: game.gameId, status: 'recorded' }))
+    }));
+
+    blockchainService = {
+      isGameRecorded: mockIsGameRecorded,
+      estimateBatchGas: mockEstimateBatchGas
+    } as unknown as OracleBlockchainService;
+    syncService = {
+      prepareGamesForDate: mockPrepareGamesForDate,
+      submitGames: mockSubmitGames,
+      getBlockchainService: () => blockchainService,
+      groupByDeployment: (games: OracleGameData[]) => games.length > 0 ? [games] : []
+    } as unknown as OracleSyncService;
+
+    tempDir = mkdtempSync(join(tmpdir(), 'backfill-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should walk every date in the range', async () => {
+    const service = new BackfillService(syncService);
+
+    const summary = await service.run('2025-05-01', '2025-05-03');
+
+    expect(summary.days.map(day => day.date)).toEqual(['2025-05-01', '2025-05-02', '2025-05-03']);
+    expect(mockPrepareGamesForDate).toHaveBeenCalledTimes(3);
+    expect(mockSubmitGames).toHaveBeenCalledTimes(2);
+  });
+
+  it('should skip games that are already recorded', async () => {
+    mockIsGameRecorded.mockImplementation(async (gameId: number) => gameId === 2);
+    const service = new BackfillService(syncService);
+
+    const summary = await service.run('2025-05-01', '2025-05-01');
+
+    expect(summary.days[0].gamesFound).toBe(3);
+    expect(summary.days[0].alreadyRecorded).toBe(1);
+    expect(mockSubmitGames).toHaveBeenCalledWith([makeGame(1), makeGame(3)]);
+  });
+
+  it('should chunk games by batch size', async () => {
+    const service = new BackfillService(syncService, { maxBatchSize: 2 });
+
+    const summary = await service.run('2025-05-01', '2025-05-01');
+
+    expect(summary.days[0].batches.map(batch => batch.map(game => game.gameId))).toEqual([[1, 2], [3]]);
+    expect(mockSubmitGames).toHaveBeenCalledTimes(2);
+  });
+
+  it('should split batches whose gas estimate exceeds the limit', async () => {
+    const service = new BackfillService(syncService, { maxBatchGas: 650_000n });
+
+    const summary = await service.run('2025-05-01', '2025-05-01');
+
+    // 3 games estimate 900k gas, so the batch is halved into [1, 2] and [3]
+    expect(summary.days[0].batches.map(batch => batch.map(game => game.gameId))).toEqual([[1, 2], [3]]);
+  });
+
+  it('should not send transactions or write a checkpoint in dry-run mode', async () => {
+    const checkpointPath = join(tempDir, 'checkpoint.json');
+    const service = new BackfillService(syncService, { dryRun: true, checkpointPath });
+
+    const summary = await service.run('2025-05-01', '2025-05-03');
+
+    expect(mockSubmitGames).not.toHaveBeenCalled();
+    expect(summary.days[0].batches).toHaveLength(1);
+    expect(existsSync(checkpointPath)).toBe(false);
+  });
+
+  it('should not estimate gas in dry-run mode', async () => {
+    const service = new BackfillService(syncService, { dryRun: true, maxBatchGas: 650_000n });
+
+    const summary = await service.run('2025-05-01', '2025-05-01');
+
+    expect(mockEstimateBatchGas).not.toHaveBeenCalled();
+    expect(summary.days[0].batches.map(batch => batch.map(game => game.gameId))).toEqual([[1, 2, 3]]);
+  });
+
+  it('should write a checkpoint after each completed date', async () => {
+    const checkpointPath = join(tempDir, 'checkpoint.json');
+    const service = new BackfillService(syncService, { checkpointPath });
+
+    await service.run('2025-05-01', '2025-05-03');
+
+    const checkpoint = JSON.parse(readFileSync(checkpointPath, 'utf8'));
+    expect(checkpoint.from).toBe('2025-05-01');
+    expect(checkpoint.to).toBe('2025-05-03');
+    expect(checkpoint.lastCompletedDate).toBe('2025-05-03');
+  });
+
+  it('should resume after the last completed date in the checkpoint', async () => {
+    const checkpointPath = join(tempDir, 'checkpoint.json');
+    writeFileSync(checkpointPath, JSON.stringify({
+      from: '2025-05-01',
+      to: '2025-05-03',
+      lastCompletedDate: '2025-05-01',
+      updatedAt: '2025-05-04T00:00:00.000Z'
+    }));
+    const service = new BackfillService(syncService, { checkpointPath });
+
+    const summary = await service.run('2025-05-01', '2025-05-03');
+
+    expect(summary.resumedFrom).toBe('2025-05-02');
+    expect(summary.days.map(day => day.date)).toEqual(['2025-05-02', '2025-05-03']);
+    expect(mockSubmitGames).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse a checkpoint for a different range', async () => {
+    const checkpointPath = join(tempDir, 'checkpoint.json');
+    writeFileSync(checkpointPath, JSON.stringify({
+      from: '2025-04-01',
+      to: '2025-04-30',
+      lastCompletedDate: '2025-04-10',
+      updatedAt: '2025-04-11T00:00:00.000Z'
+    }));
+    const service = new BackfillService(syncService, { checkpointPath });
+
+    await expect(service.run('2025-05-01', '2025-05-03')).rejects.toThrow('is for 2025-04-01 to 2025-04-30');
+  });
+
+  it('should reject an invalid batch size', () => {
+    expect(() => new BackfillService(syncService, { maxBatchSize: 0 })).toThrow('Invalid batch size');
+  });
+});
@@ -1,11 +1,17 @@
 import { jest } from '@jest/globals';
-import { MLBApiClient, MLBGame, MLBTeam } from '../api/MLBApiClient.js';
+import { createHash } from 'crypto';
+import { MLBApiClient, MLBGame, MLBSchedule, MLBTeam } from '../api/MLBApiClient.js';
 import { BaseballDataService, GameResult, Team } from '../api/BaseballDataService.js';
+import { UnmappedTeam } from '../api/teamAliases.js';
 
 // Mock MLBApiClient
 jest.mock('../api/MLBApiClient.js');
 const MockedMLBApiClient = MLBApiClient as jest.MockedClass<typeof MLBApiClient>;
 
+function toSchedule(games: MLBGame[]): MLBSchedule {
+  return { games, body: JSON.stringify({ dates: [{ games }] }) };
+}
+
 describe('BaseballDataService', () => {
   let service: BaseballDataService;
   let mockApiClient: jest.Mocked<MLBApiClient>;
@@ -15,12 +21,18 @@ describe('BaseballDataService', () => {
     
     // Setup mock MLBApiClient
     mockApiClient = {
-      getGames: jest.fn(),
+      getSchedule: jest.fn(),
       getTeam: jest.fn(),
-      getAllTeams: jest.fn()
+      getAllTeams: jest.fn(),
+      getStandings: jest.fn(),
+      getGameFeed: jest.fn(),
+      getTeamSchedule: jest.fn()
     } as any;
+
+    // Games have no feed unless a test provides one
+    mockApiClient.getGameFeed.mockRejectedValue(new Error('Game feed not found'));
     
-    MockedMLBApiClient.prototype.getGames = mockApiClient.getGames;
+    MockedMLBApiClient.prototype.getSchedule = mockApiClient.getSchedule;
     MockedMLBApiClient.prototype.getTeam = mockApiClient.getTeam;
     MockedMLBApiClient.prototype.getAllTeams = mockApiClient.getAllTeams;
     MockedMLBApiClient.formatDate = jest.fn(date => date.toISOString().split('T')[0]);
@@ -254,7 +266,7 @@ describe('BaseballDataService', () => {
 
     beforeEach(() => {
       // Mock API responses
-      mockApiClient.getGames.mockResolvedValue(mockGames);
+      mockApiClient.getSchedule.mockResolvedValue(toSchedule(mockGames));
       
       // Setup team mock responses
       Object.keys(mockTeams).forEach(teamId => {
@@ -276,14 +288,14 @@ describe('BaseballDataService', () => {
       await service.getGamesForDate(dateObj);
       
       expect(MockedMLBApiClient.formatDate).toHaveBeenCalledWith(dateObj);
-      expect(mockApiClient.getGames).toHaveBeenCalled();
+      expect(mockApiClient.getSchedule).toHaveBeenCalled();
     });
 
     it('should fetch and transform games correctly', async () => {
       const results = await service.getGamesForDate('2025-05-19');
       
       // Verify API was called correctly
-      expect(mockApiClient.getGames).toHaveBeenCalledWith('2025-05-19');
+      expect(mockApiClient.getSchedule).toHaveBeenCalledWith('2025-05-19');
       
       // Should return 2 games (Final and Live, filtered out Preview and non-regular season)
       expect(results).toHaveLength(2);
@@ -301,8 +313,9 @@ describe('BaseballDataService', () => {
       const expectedGameDate = Math.floor(new Date('2025-05-19T18:10:00Z').getTime() / 1000);
       expect(game1.gameDate).toBe(expectedGameDate);
       
-      // Final game should have gameEndTimestamp about 3 hours after start
+      // Without a game feed, the final game should have gameEndTimestamp about 3 hours after start
       expect(game1.gameEndTimestamp).toBe(expectedGameDate + 10800);
+      expect(game1.endTimeEstimated).toBe(true);
       
       // Verify the second game (Live)
       const game2 = results[1];
@@ -313,6 +326,7 @@ describe('BaseballDataService', () => {
       
       // Live game should have gameEndTimestamp as current time
       expect(game2.gameEndTimestamp).toBe(Math.floor(Date.now() / 1000));
+      expect(game2.endTimeEstimated).toBe(false);
     });
 
     it('should handle games with no scores', async () => {
@@ -332,7 +346,7 @@ describe('BaseballDataService', () => {
           }
         }
       ];
-      mockApiClient.getGames.mockResolvedValueOnce(gamesWithoutScores);
+      mockApiClient.getSchedule.mockResolvedValueOnce(toSchedule(gamesWithoutScores));
       
       const results = await service.getGamesForDate('2025-05-19');
       
@@ -359,6 +373,26 @@ describe('BaseballDataService', () => {
       expect(gameIds).toContain(123457); // Live game
     });
 
+    it('should tag games with their type and accept the configured game types', async () => {
+      const defaultResults = await service.getGamesForDate('2025-05-19');
+      expect(defaultResults.map(game => game.gameType)).toEqual(['R', 'R']);
+
+      service = new BaseballDataService(mockApiClient, { gameTypes: ['E'] });
+      const exhibitionResults = await service.getGamesForDate('2025-05-19');
+
+      expect(exhibitionResults).toHaveLength(1);
+      expect(exhibitionResults[0].gameType).toBe('E');
+    });
+
+    it('should hash the schedule response body as received', async () => {
+      const body = JSON.stringify({ dates: [{ games: mockGames }] }, null, 2);
+      mockApiClient.getSchedule.mockResolvedValueOnce({ games: mockGames, body });
+
+      await service.getGamesForDate('2025-05-19');
+
+      expect(service.getResponseHashes('2025-05-19')).toEqual({ mlb: createHash('sha256').update(body).digest('hex') });
+    });
+
     it('should cache team data to minimize API calls', async () => {
       // Call twice with same teams
       await service.getGamesForDate('2025-05-19');
@@ -369,6 +403,80 @@ describe('BaseballDataService', () => {
       // Should not call getTeam again for already cached teams
       expect(mockApiClient.getTeam).not.toHaveBeenCalled();
     });
+
+    it('should not treat a suspended game as final', async () => {
+      mockApiClient.getSchedule.mockResolvedValueOnce(toSchedule([{
+        ...mockGames[0],
+        status: { abstractGameState: 'Final', codedGameState: 'T', detailedState: 'Suspended: Rain', startTimeTBD: false }
+      }]));
+
+      const [game] = await service.getGamesForDate('2025-05-19');
+
+      expect(game.gameStatus).toBe('Suspended');
+      expect(mockApiClient.getGameFeed).not.toHaveBeenCalled();
+    });
+
+    it('should only count a resumed game as final on the date it resumes', async () => {
+      mockApiClient.getSchedule.mockResolvedValue(toSchedule([{ ...mockGames[0], resumeGameDate: '2025-05-20' }]));
+
+      const [original] = await service.getGamesForDate('2025-05-19');
+      const [resumed] = await service.getGamesForDate('2025-05-20');
+
+      expect(original).toMatchObject({ gameStatus: 'Suspended', resumeDate: '2025-05-20' });
+      expect(resumed.gameStatus).toBe('Final');
+    });
+
+    it('should use the first pitch and last play from the game feed for completed games', async () => {
+      mockApiClient.getGameFeed.mockResolvedValue({
+        gamePk: 123456,
+        gameData: {
+          datetime: { dateTime: '2025-05-19T18:10:00Z' },
+          gameInfo: { firstPitch: '2025-05-19T19:02:00.000Z', gameDurationMinutes: 251, delayDurationMinutes: 52 }
+        },
+        liveData: {
+          plays: {
+            allPlays: [
+              { about: { startTime: '2025-05-19T19:02:00.000Z', endTime: '2025-05-19T19:04:00.000Z' } },
+              { about: { startTime: '2025-05-19T23:09:00.000Z', endTime: '2025-05-19T23:13:00.000Z' } }
+            ]
+          }
+        }
+      });
+
+      const [game] = await service.getGamesForDate('2025-05-19');
+
+      expect(mockApiClient.getGameFeed).toHaveBeenCalledWith(123456);
+      expect(mockApiClient.getGameFeed).toHaveBeenCalledTimes(1); // Live games keep using the current time
+      expect(game.gameDate).toBe(Math.floor(new Date('2025-05-19T19:02:00Z').getTime() / 1000));
+      expect(game.gameEndTimestamp).toBe(Math.floor(new Date('2025-05-19T23:13:00Z').getTime() / 1000));
+      expect(game.endTimeEstimated).toBe(false);
+
+      // The end time is final, so later fetches of the date reuse it
+      await service.getGamesForDate('2025-05-19');
+      expect(mockApiClient.getGameFeed).toHaveBeenCalledTimes(1);
+    });
+
+    it('should estimate from the actual first pitch when the feed has no plays', async () => {
+      mockApiClient.getGameFeed.mockResolvedValue({
+        gamePk: 123456,
+        gameData: {
+          datetime: { dateTime: '2025-05-19T18:10:00Z' },
+          gameInfo: { firstPitch: '2025-05-19T19:02:00.000Z' }
+        },
+        liveData: {}
+      });
+
+      const [game] = await service.getGamesForDate('2025-05-19');
+      const firstPitch = Math.floor(new Date('2025-05-19T19:02:00Z').getTime() / 1000);
+
+      expect(game.gameDate).toBe(firstPitch);
+      expect(game.gameEndTimestamp).toBe(firstPitch + 10800);
+      expect(game.endTimeEstimated).toBe(true);
+
+      // Without an end time the feed may still be updated, so it is fetched again
+      await service.getGamesForDate('2025-05-19');
+      expect(mockApiClient.getGameFeed).toHaveBeenCalledTimes(2);
+    });
   });
 
   describe('getAllTeams', () => {
@@ -463,4 +571,167 @@ describe('BaseballDataService', () => {
       expect(cachedResult.teamId).toBe('CWS');
     });
   });
-});
\ No newline at end of file
+
+  describe('team aliases', () => {
+    function makeMLBTeam(id: number, name: string, abbreviation: string): MLBTeam {
+      return { id, name, teamName: name, abbreviation, teamCode: '', locationName: '', shortName: name, active: true };
+    }
+
+    let unmapped: UnmappedTeam[];
+
+    beforeEach(() => {
+      unmapped = [];
+      service = new BaseballDataService(mockApiClient, { onUnmappedTeam: team => unmapped.push(team) });
+    });
+
+    it('should keep the canonical team ID when a franchise changes its abbreviation', async () => {
+      mockApiClient.getTeam.mockResolvedValueOnce(makeMLBTeam(133, 'Athletics', 'ATH'));
+
+      const result = await service.getTeam(133);
+
+      expect(result).toEqual({ teamId: 'OAK', name: 'Athletics', abbreviation: 'ATH', mlbId: 133 });
+      expect(unmapped).toEqual([]);
+    });
+
+    it('should keep the canonical team ID but report an abbreviation the map does not list', async () => {
+      mockApiClient.getTeam.mockResolvedValueOnce(makeMLBTeam(147, 'New York Yankees', 'NY'));
+
+      const result = await service.getTeam(147);
+
+      expect(result.teamId).toBe('NYY');
+      expect(unmapped).toEqual([{ mlbId: 147, name: 'New York Yankees', abbreviation: 'NY', teamId: 'NYY', reason: 'unknown-abbreviation' }]);
+    });
+
+    it('should fall back to the abbreviation for a team missing from the map and report it once', async () => {
+      mockApiClient.getAllTeams.mockResolvedValue([makeMLBTeam(999, 'Nashville Stars', 'NSH')]);
+
+      const results = await service.getAllTeams();
+      await service.getAllTeams();
+
+      expect(results[0].teamId).toBe('NSH');
+      expect(unmapped).toEqual([{ mlbId: 999, name: 'Nashville Stars', abbreviation: 'NSH', teamId: 'NSH', reason: 'unknown-team' }]);
+    });
+
+    it('should use a custom alias map', async () => {
+      service = new BaseballDataService(mockApiClient, {
+        aliasMap: { version: 2, teams: { 999: { teamId: 'NSH', abbreviations: ['NSH', 'NAS'] } } }
+      });
+      mockApiClient.getTeam.mockResolvedValueOnce(makeMLBTeam(999, 'Nashville Stars', 'NAS'));
+
+      expect((await service.getTeam(999)).teamId).toBe('NSH');
+      expect(service.getTeamAliasVersions()).toEqual({ mlb: 2 });
+    });
+  });
+
+  describe('getTeamGameScores', () => {
+    function makeMLBTeam(id: number, name: string, abbreviation: string): MLBTeam {
+      return { id, name, teamName: name, abbreviation, teamCode: '', locationName: '', shortName: name, active: true };
+    }
+
+    function makeScheduledGame(gamePk: number, officialDate: string, homeId: number, awayId: number, homeScore: number, awayScore: number, extra: Partial<MLBGame> = {}): MLBGame {
+      return {
+        gamePk,
+        gameDate: `${officialDate}T23:05:00Z`,
+        officialDate,
+        teams: {
+          away: { team: { id: awayId, name: '' }, score: awayScore },
+          home: { team: { id: homeId, name: '' }, score: homeScore }
+        },
+        status: { abstractGameState: 'Final', codedGameState: 'F', detailedState: 'Final', startTimeTBD: false },
+        gameType: 'R',
+        season: '2024',
+        ...extra
+      };
+    }
+
+    beforeEach(() => {
+      const teams = [makeMLBTeam(147, 'New York Yankees', 'NYY'), makeMLBTeam(111, 'Boston Red Sox', 'BOS')];
+      mockApiClient.getAllTeams.mockResolvedValue(teams);
+      mockApiClient.getTeam.mockImplementation(async (id: number) => teams.find(team => team.id === id)!);
+    });
+
+    it('should fetch the team schedule and return completed games with on-chain team IDs', async () => {
+      mockApiClient.getTeamSchedule.mockResolvedValueOnce([
+        makeScheduledGame(1, '2024-04-01', 147, 111, 5, 3),
+        makeScheduledGame(2, '2024-04-02', 111, 147, 2, 1),
+        makeScheduledGame(3, '2024-04-03', 111, 147, 0, 0, {
+          status: { abstractGameState: 'Preview', codedGameState: 'S', detailedState: 'Scheduled', startTimeTBD: false }
+        })
+      ]);
+
+      const scores = await service.getTeamGameScores('nyy', '2024-01-01', '2024-04-03');
+
+      expect(mockApiClient.getTeamSchedule).toHaveBeenCalledWith(147, '2024-01-01', '2024-04-03');
+      expect(scores).toEqual([
+        { gameId: 1, officialDate: '2024-04-01', homeTeam: 'NYY', awayTeam: 'BOS', homeScore: 5, awayScore: 3 },
+        { gameId: 2, officialDate: '2024-04-02', homeTeam: 'BOS', awayTeam: 'NYY', homeScore: 2, awayScore: 1 }
+      ]);
+    });
+
+    it('should count a suspended game once, on the date it completes', async () => {
+      const suspended = { abstractGameState: 'Final', codedGameState: 'T', detailedState: 'Suspended: Rain', startTimeTBD: false };
+      mockApiClient.getTeamSchedule.mockResolvedValueOnce([
+        makeScheduledGame(4, '2024-04-05', 147, 111, 4, 6, { status: suspended, resumeGameDate: '2024-04-06' }),
+        makeScheduledGame(4, '2024-04-06', 147, 111, 4, 6, { resumedFromDate: '2024-04-05' })
+      ]);
+
+      const scores = await service.getTeamGameScores('NYY', '2024-04-05', '2024-04-06');
+
+      expect(scores.map(score => [score.gameId, score.officialDate])).toEqual([[4, '2024-04-06']]);
+    });
+
+    it('should reject an unknown team', async () => {
+      await expect(service.getTeamGameScores('XXX', '2024-01-01', '2024-12-31')).rejects.toThrow('Unknown team XXX');
+      expect(mockApiClient.getTeamSchedule).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getStandings', () => {
+    const mockTeams: { [key: number]: MLBTeam } = {
+      147: {
+        id: 147,
+        name: 'New York Yankees',
+        teamName: 'Yankees',
+        abbreviation: 'NYY',
+        teamCode: 'nya',
+        locationName: 'New York',
+        shortName: 'NY Yankees',
+        active: true
+      },
+      111: {
+        id: 111,
+        name: 'Boston Red Sox',
+        teamName: 'Red Sox',
+        abbreviation: 'BOS',
+        teamCode: 'bos',
+        locationName: 'Boston',
+        shortName: 'Boston',
+        active: true
+      }
+    };
+
+    beforeEach(() => {
+      mockApiClient.getTeam.mockImplementation(async (id: number) => mockTeams[id]);
+      mockApiClient.getStandings.mockResolvedValue([
+        { team: { id: 147, name: 'New York Yankees' }, wins: 30, losses: 20, winningPercentage: '.600', gamesPlayed: 50 },
+        { team: { id: 111, name: 'Boston Red Sox' }, wins: 25, losses: 25, winningPercentage: '.500', gamesPlayed: 50 }
+      ]);
+    });
+
+    it('should map standings to Oracle team IDs', async () => {
+      const results = await service.getStandings(2025);
+
+      expect(mockApiClient.getStandings).toHaveBeenCalledWith(2025, undefined);
+      expect(results).toEqual([
+        { teamId: 'NYY', name: 'New York Yankees', mlbId: 147, wins: 30, losses: 20 },
+        { teamId: 'BOS', name: 'Boston Red Sox', mlbId: 111, wins: 25, losses: 25 }
+      ]);
+    });
+
+    it('should convert a Date to YYYY-MM-DD', async () => {
+      await service.getStandings(2025, new Date('2025-05-19T12:00:00Z'));
+
+      expect(mockApiClient.getStandings).toHaveBeenCalledWith(2025, '2025-05-19');
+    });
+  });
+});
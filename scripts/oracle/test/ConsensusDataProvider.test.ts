@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import { GameResult } from '../api/BaseballDataService.js';
+import { ConsensusDataProvider, ConsensusReport } from '../api/ConsensusDataProvider.js';
+import { GameDataProvider } from '../api/GameDataProvider.js';
+
+function makeGame(gameId: number, extra: Partial<GameResult> = {}): GameResult {
+  return {
+    gameId,
+    homeTeam: 'BOS',
+    awayTeam: 'TOR',
+    homeScore: 4,
+    awayScore: 2,
+    gameDate: 1714839000,
+    gameEndTimestamp: 1714848900,
+    gameStatus: 'Final',
+    gameType: 'R',
+    officialDate: '2024-05-04',
+    endTimeEstimated: false,
+    ...extra
+  };
+}
+
+function makeProvider(name: string, games: GameResult[] | Error): GameDataProvider {
+  return {
+    name,
+    getGamesForDate: jest.fn<GameDataProvider['getGamesForDate']>().mockImplementation(async () => {
+      if (games instanceof Error) {
+        throw games;
+      }
+      return games;
+    })
+  };
+}
+
+describe('ConsensusDataProvider', () => {
+  it('should forward games every provider agrees on without reporting them', async () => {
+    const consensus = new ConsensusDataProvider([
+      makeProvider('mlb', [makeGame(1)]),
+      makeProvider('local', [makeGame(1, { gameEndTimestamp: 1714849000 })])
+    ]);
+
+    const report = await consensus.compare('2024-05-04');
+
+    expect(report.quorum).toBe(2);
+    expect(report.games).toEqual([makeGame(1)]);
+    expect(report.disagreements).toEqual([]);
+  });
+
+  it('should hold back games that do not reach the quorum', async () => {
+    const consensus = new ConsensusDataProvider([
+      makeProvider('mlb', [makeGame(1), makeGame(2)]),
+      makeProvider('local', [makeGame(1, { homeScore: 5 })])
+    ]);
+
+    const report = await consensus.compare('2024-05-04');
+
+    expect(report.games).toEqual([]);
+    expect(report.disagreements).toEqual([
+      {
+        gameId: 1,
+        agreeing: 1,
+        forwarded: false,
+        views: [{ provider: 'mlb', game: makeGame(1) }, { provider: 'local', game: makeGame(1, { homeScore: 5 }) }]
+      },
+      {
+        gameId: 2,
+        agreeing: 1,
+        forwarded: false,
+        views: [{ provider: 'mlb', game: makeGame(2) }, { provider: 'local', game: undefined }]
+      }
+    ]);
+  });
+
+  it('should forward the majority version and still report the dissent', async () => {
+    const consensus = new ConsensusDataProvider([
+      makeProvider('mlb', [makeGame(1)]),
+      makeProvider('vendor', [makeGame(1, { gameStatus: 'Suspended' })]),
+      makeProvider('local', [makeGame(1, { gameEndTimestamp: 1714849000 })])
+    ]);
+
+    const report = await consensus.compare('2024-05-04');
+
+    expect(report.games).toEqual([makeGame(1)]);
+    expect(report.disagreements).toHaveLength(1);
+    expect(report.disagreements[0]).toMatchObject({ gameId: 1, agreeing: 2, forwarded: true });
+  });
+
+  it('should record failed providers and count them as not agreeing', async () => {
+    const consensus = new ConsensusDataProvider([
+      makeProvider('mlb', [makeGame(1)]),
+      makeProvider('local', new Error('feed unavailable'))
+    ], { quorum: 1 });
+
+    const report = await consensus.compare('2024-05-04');
+
+    expect(report.failures).toEqual([{ provider: 'local', error: 'feed unavailable' }]);
+    expect(report.games).toEqual([makeGame(1)]);
+    expect(report.disagreements[0]).toMatchObject({ gameId: 1, agreeing: 1, forwarded: true });
+  });
+
+  it('should pass each report to onReport from getGamesForDate', async () => {
+    const reports: ConsensusReport[] = [];
+    const mlb = makeProvider('mlb', [makeGame(1)]);
+    const consensus = new ConsensusDataProvider([mlb, makeProvider('local', [makeGame(1)])], { onReport: report => reports.push(report) });
+
+    const games = await consensus.getGamesForDate(new Date('2024-05-04T12:00:00Z'));
+
+    expect(games).toEqual([makeGame(1)]);
+    expect(mlb.getGamesForDate).toHaveBeenCalledWith('2024-05-04');
+    expect(reports).toHaveLength(1);
+    expect(reports[0].date).toBe('2024-05-04');
+  });
+
+  it('should reject an invalid quorum', () => {
+    const providers = [makeProvider('mlb', []), makeProvider('local', [])];
+
+    expect(() => new ConsensusDataProvider(providers, { quorum: 3 })).toThrow('Invalid quorum 3 for 2 provider(s)');
+    expect(() => new ConsensusDataProvider(providers, { quorum: 0 })).toThrow('Invalid quorum 0');
+    expect(() => new ConsensusDataProvider([])).toThrow('At least one data provider is required');
+  });
+});
@@ -0,0 +1,186 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { BaseballDataService } from '../api/BaseballDataService.js';
+import { MLBApiClient } from '../api/MLBApiClient.js';
+import { ReplayTransport } from '../api/transport.js';
+import { GameVerificationService } from '../services/GameVerificationService.js';
+import { OracleBlockchainService, RecordedGameData } from '../services/OracleBlockchainService.js';
+import { OracleGameData, OracleSyncService } from '../services/OracleSyncService.js';
+import { SubmissionJournal } from '../services/SubmissionJournal.js';
+
+function makeGame(gameId: number, overrides: Partial<OracleGameData> = {}): OracleGameData {
+  return {
+    gameId,
+    homeTeam: 'HOU',
+    awayTeam: 'NYY',
+    homeScore: 5,
+    awayScore: 3,
+    gameDate: 1684800000,
+    timestamp: 1684810800,
+    gameStatus: 'Final',
+    ...overrides
+  };
+}
+
+function makeRecorded(game: OracleGameData): RecordedGameData {
+  return { ...game, recordedTimestamp: 1684812000 };
+}
+
+describe('GameVerificationService', () => {
+  let mlbGames: Record<string, OracleGameData[]>;
+  let onChainGames: Record<number, RecordedGameData>;
+  let mockGetGamesForDate: jest.Mock<(date: Date) => Promise<OracleGameData[]>>;
+  let mockGetGameResult: jest.Mock<(gameId: number) => Promise<RecordedGameData | undefined>>;
+  let mockCorrectGameResult: jest.Mock<(game: OracleGameData) => Promise<any>>;
+  let syncService: OracleSyncService;
+  let service: GameVerificationService;
+
+  beforeEach(() => {
+    mlbGames = {
+      '2025-05-01': [makeGame(1), makeGame(2, { homeScore: 4 })],
+      '2025-05-02': [makeGame(3, { gameStatus: 'InProgress', timestamp: 1726723200 }), makeGame(4)]
+    };
+    onChainGames = {
+      1: makeRecorded(makeGame(1)),
+      2: makeRecorded(makeGame(2)),
+      3: makeRecorded(makeGame(3))
+    };
+
+    mockGetGamesForDate = jest.fn(async (date: Date) => mlbGames[date.toISOString().split('T')[0]] ?? []);
+    mockGetGameResult = jest.fn(async (gameId: number) => onChainGames[gameId]);
+    mockCorrectGameResult = jest.fn(async (game: OracleGameData) => ({
+      transactionHash: `0x${game.gameId}`,
+      blockNumber: 1,
+      gasUsed: 90000n
+    }));
+
+    const blockchainService = {
+      getGameResult: mockGetGameResult,
+      correctGameResult: mockCorrectGameResult,
+      getSignerAddress: async () => '0xadmin'
+    } as unknown as OracleBlockchainService;
+    syncService = {
+      getGamesForDate: mockGetGamesForDate,
+      getBlockchainService: () => blockchainService,
+      getTeamAliasVersions: () => ({ mlb: 1 })
+    } as unknown as OracleSyncService;
+
+    service = new GameVerificationService(syncService);
+  });
+
+  describe('verify', () => {
+    it('should report recorded games whose fields differ from the MLB API', async () => {
+      const report = await service.verify('2025-05-01', '2025-05-02');
+
+      expect(report.from).toBe('2025-05-01');
+      expect(report.to).toBe('2025-05-02');
+      expect(report.gamesChecked).toBe(3);
+      expect(report.gamesNotRecorded).toBe(1);
+      expect(report.corrections).toHaveLength(2);
+
+      expect(report.corrections[0]).toEqual({
+        date: '2025-05-01',
+        gameId: 2,
+        differences: [{ field: 'homeScore', onChain: 5, mlb: 4 }],
+        onChain: onChainGames[2],
+        corrected: mlbGames['2025-05-01'][1]
+      });
+    });
+
+    it('should compare status but not end time for games that are no longer final', async () => {
+      const report = await service.verify('2025-05-02', '2025-05-02');
+
+      expect(report.corrections).toHaveLength(1);
+      expect(report.corrections[0].gameId).toBe(3);
+      expect(report.corrections[0].differences).toEqual([
+        { field: 'gameStatus', onChain: 'Final', mlb: 'InProgress' }
+      ]);
+    });
+
+    it('should report every differing field', async () => {
+      mlbGames['2025-05-01'] = [makeGame(1, { homeScore: 6, awayScore: 7, timestamp: 1684815000 })];
+
+      const report = await service.verify('2025-05-01', '2025-05-01');
+
+      expect(report.corrections[0].differences.map(difference => difference.field)).toEqual([
+        'homeScore',
+        'awayScore',
+        'timestamp'
+      ]);
+    });
+
+    it('should verify a resumed suspended game only on the date it completed', async () => {
+      const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'suspended-game', '3-final');
+      const apiClient = new MLBApiClient(undefined, { transport: new ReplayTransport(fixturesDir) });
+      const blockchainService = { getGameResult: mockGetGameResult } as unknown as OracleBlockchainService;
+      const syncService = new OracleSyncService(new BaseballDataService(apiClient), blockchainService);
+      const [completed] = await syncService.getGamesForDate(new Date('2024-06-11T00:00:00Z'));
+      onChainGames = { [completed.gameId]: makeRecorded(completed) };
+
+      const report = await new GameVerificationService(syncService).verify('2024-06-10', '2024-06-11');
+
+      expect(report.gamesChecked).toBe(1);
+      expect(report.gamesNotRecorded).toBe(0);
+      expect(report.corrections).toEqual([]);
+    });
+
+    it('should report nothing when all recorded games match', async () => {
+      mlbGames['2025-05-01'] = [makeGame(1)];
+
+      const report = await service.verify('2025-05-01', '2025-05-01');
+
+      expect(report.gamesChecked).toBe(1);
+      expect(report.corrections).toEqual([]);
+    });
+  });
+
+  describe('applyCorrections', () => {
+    it('should submit correctGameResult with the current MLB data', async () => {
+      const report = await service.verify('2025-05-01', '2025-05-02');
+
+      const { applied, failed } = await service.applyCorrections(report.corrections);
+
+      expect(mockCorrectGameResult).toHaveBeenNthCalledWith(1, mlbGames['2025-05-01'][1], undefined);
+      expect(mockCorrectGameResult).toHaveBeenNthCalledWith(2, mlbGames['2025-05-02'][0], undefined);
+      expect(applied).toEqual([
+        { gameId: 2, transactionHash: '0x2', blockNumber: 1, gasUsed: 90000n },
+        { gameId: 3, transactionHash: '0x3', blockNumber: 1, gasUsed: 90000n }
+      ]);
+      expect(failed).toEqual([]);
+    });
+
+    it('should report a failed correction and still submit the remaining games', async () => {
+      const report = await service.verify('2025-05-01', '2025-05-02');
+      mockCorrectGameResult.mockRejectedValueOnce(new Error('Game not recorded'));
+
+      const { applied, failed } = await service.applyCorrections(report.corrections);
+
+      expect(failed).toEqual([{ gameId: 2, error: 'Game not recorded' }]);
+      expect(applied.map(correction => correction.gameId)).toEqual([3]);
+    });
+
+    it('should journal each correction before it is sent', async () => {
+      const tempDir = mkdtempSync(join(tmpdir(), 'journal-'));
+      try {
+        const journal = new SubmissionJournal(join(tempDir, 'oracle-journal.jsonl'));
+        service = new GameVerificationService(syncService, journal);
+        const report = await service.verify('2025-05-01', '2025-05-01');
+
+        await service.applyCorrections(report.corrections);
+
+        expect(journal.read().map(entry => entry.type)).toEqual(['prepared', 'submitted']);
+        expect(journal.read()[0]).toMatchObject({
+          action: 'correctGameResult',
+          account: '0xadmin',
+          games: [{ gameId: 2, date: '2025-05-01', homeScore: 4 }],
+          teamAliasVersions: { mlb: 1 }
+        });
+      } finally {
+        rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
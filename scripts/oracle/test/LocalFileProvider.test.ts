@@ -0,0 +1,107 @@
+import { createHash } from 'crypto';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ESTIMATED_GAME_DURATION_SECONDS } from '../api/BaseballDataService.js';
+import { LocalFileProvider } from '../api/LocalFileProvider.js';
+
+describe('LocalFileProvider', () => {
+  let feedDir: string;
+  let provider: LocalFileProvider;
+
+  beforeEach(() => {
+    feedDir = mkdtempSync(join(tmpdir(), 'local-feed-'));
+    provider = new LocalFileProvider(feedDir);
+  });
+
+  afterEach(() => {
+    rmSync(feedDir, { recursive: true, force: true });
+  });
+
+  it('should read games from a JSON file for the date', async () => {
+    writeFileSync(join(feedDir, '2024-05-04.json'), JSON.stringify([
+      { gameId: 745004, homeTeam: 'BOS', awayTeam: 'TOR', homeScore: 4, awayScore: 2, gameDate: 1714839000, gameEndTimestamp: 1714848900, gameStatus: 'Final' }
+    ]));
+
+    const games = await provider.getGamesForDate('2024-05-04');
+
+    expect(games).toEqual([{
+      gameId: 745004,
+      homeTeam: 'BOS',
+      awayTeam: 'TOR',
+      homeScore: 4,
+      awayScore: 2,
+      gameDate: 1714839000,
+      gameEndTimestamp: 1714848900,
+      gameStatus: 'Final',
+      gameType: 'R',
+      officialDate: '2024-05-04',
+      endTimeEstimated: false
+    }]);
+  });
+
+  it('should read games from a CSV file and estimate missing end times', async () => {
+    writeFileSync(join(feedDir, '2024-05-04.csv'), [
+      'gameId,homeTeam,awayTeam,homeScore,awayScore,gameDate,gameEndTimestamp,gameStatus',
+      '745001,CLE,DET,3,1,1714834200,1714843800,Final',
+      '745002,CLE,DET,6,5,1714856400,,Final',
+      ''
+    ].join('\n'));
+
+    const games = await provider.getGamesForDate(new Date('2024-05-04T12:00:00Z'));
+
+    expect(games).toHaveLength(2);
+    expect(games[0]).toMatchObject({ gameId: 745001, homeScore: 3, awayScore: 1, gameEndTimestamp: 1714843800, endTimeEstimated: false });
+    expect(games[1]).toMatchObject({
+      gameId: 745002,
+      gameEndTimestamp: 1714856400 + ESTIMATED_GAME_DURATION_SECONDS,
+      endTimeEstimated: true
+    });
+  });
+
+  it('should only return games of the selected game types', async () => {
+    writeFileSync(join(feedDir, '2024-03-04.csv'), [
+      'gameId,homeTeam,awayTeam,homeScore,awayScore,gameDate,gameEndTimestamp,gameStatus,gameType',
+      '745001,CLE,DET,3,1,1709575200,1709586000,Final,S',
+      '745002,CLE,DET,6,5,1709575200,1709586000,Final,',
+      ''
+    ].join('\n'));
+
+    const springTraining = new LocalFileProvider(feedDir, 'local', ['S']);
+
+    expect((await provider.getGamesForDate('2024-03-04')).map(game => [game.gameId, game.gameType])).toEqual([[745002, 'R']]);
+    expect((await springTraining.getGamesForDate('2024-03-04')).map(game => game.gameId)).toEqual([745001]);
+  });
+
+  it('should hash the bytes of the file it read', async () => {
+    const content = '[\n  { "gameId": 745004, "homeTeam": "BOS", "awayTeam": "TOR", "homeScore": 4, "awayScore": 2, "gameDate": 1714839000, "gameStatus": "Final" }\n]\n';
+    writeFileSync(join(feedDir, '2024-05-04.json'), content);
+
+    await provider.getGamesForDate('2024-05-04');
+
+    expect(provider.getResponseHashes('2024-05-04')).toEqual({ local: createHash('sha256').update(content).digest('hex') });
+    expect(provider.getResponseHashes('2024-05-05')).toEqual({});
+  });
+
+  it('should return no games when there is no file for the date', async () => {
+    expect(await provider.getGamesForDate('2024-05-05')).toEqual([]);
+  });
+
+  it('should reject CSV files without the required columns', async () => {
+    writeFileSync(join(feedDir, '2024-05-04.csv'), 'gameId,homeTeam,awayTeam\n745001,CLE,DET\n');
+
+    await expect(provider.getGamesForDate('2024-05-04')).rejects.toThrow('missing columns: homeScore, awayScore, gameDate, gameStatus');
+  });
+
+  it('should reject records with invalid numbers', async () => {
+    writeFileSync(join(feedDir, '2024-05-04.json'), JSON.stringify([
+      { gameId: 745004, homeTeam: 'BOS', awayTeam: 'TOR', homeScore: 'four', awayScore: 2, gameDate: 1714839000, gameStatus: 'Final' }
+    ]));
+
+    await expect(provider.getGamesForDate('2024-05-04')).rejects.toThrow('Invalid homeScore in local feed 2024-05-04 record 1: four');
+  });
+
+  it('should throw if the directory does not exist', () => {
+    expect(() => new LocalFileProvider(join(feedDir, 'missing'))).toThrow('Local feed directory not found');
+  });
+});
@@ -86,8 +86,10 @@ describe('MLBApiClient', () => {
       expect(mockAxiosGet).toHaveBeenCalledWith('/schedule/games', {
         params: {
           sportId: 1,
-          date: '2025-05-19'
-        }
+          date: '2025-05-19',
+          hydrate: 'venue(timezone)'
+        },
+        responseType: 'text'
       });
       
       // Verify the response transformation
@@ -115,6 +117,16 @@ describe('MLBApiClient', () => {
       // Call the method and expect it to throw
       await expect(client.getGames('2025-05-19')).rejects.toThrow('Failed to fetch MLB games for date 2025-05-19: API Error');
     });
+
+    it('should return the schedule response body unparsed', async () => {
+      const body = JSON.stringify(mockResponse.data, null, 2);
+      mockAxiosGet.mockResolvedValueOnce({ data: body });
+
+      const schedule = await client.getSchedule('2025-05-19');
+
+      expect(schedule.body).toBe(body);
+      expect(schedule.games[0].gamePk).toBe(123456);
+    });
   });
 
   describe('getTeam', () => {
@@ -229,6 +241,121 @@ describe('MLBApiClient', () => {
     });
   });
 
+  describe('getStandings', () => {
+    const mockStandingsResponse = {
+      data: {
+        records: [
+          {
+            standingsType: 'regularSeason',
+            division: { id: 201 },
+            teamRecords: [
+              { team: { id: 147, name: 'New York Yankees' }, wins: 30, losses: 20, winningPercentage: '.600', gamesPlayed: 50 },
+              { team: { id: 111, name: 'Boston Red Sox' }, wins: 25, losses: 25, winningPercentage: '.500', gamesPlayed: 50 }
+            ]
+          },
+          {
+            standingsType: 'regularSeason',
+            division: { id: 202 },
+            teamRecords: [
+              { team: { id: 145, name: 'Chicago White Sox' }, wins: 15, losses: 35, winningPercentage: '.300', gamesPlayed: 50 }
+            ]
+          }
+        ]
+      }
+    };
+
+    it('should fetch standings for both leagues and flatten divisions', async () => {
+      mockAxiosGet.mockResolvedValueOnce(mockStandingsResponse);
+
+      const result = await client.getStandings(2025);
+
+      expect(mockAxiosGet).toHaveBeenCalledWith('/standings', {
+        params: {
+          leagueId: '103,104',
+          season: 2025,
+          standingsTypes: 'regularSeason'
+        }
+      });
+      expect(result).toHaveLength(3);
+      expect(result.map(record => record.team.id)).toEqual([147, 111, 145]);
+    });
+
+    it('should pass the date when requesting historical standings', async () => {
+      mockAxiosGet.mockResolvedValueOnce(mockStandingsResponse);
+
+      await client.getStandings(2025, '2025-05-19');
+
+      expect(mockAxiosGet).toHaveBeenCalledWith('/standings', {
+        params: {
+          leagueId: '103,104',
+          season: 2025,
+          standingsTypes: 'regularSeason',
+          date: '2025-05-19'
+        }
+      });
+    });
+
+    it('should return empty array when no records found', async () => {
+      mockAxiosGet.mockResolvedValueOnce({ data: {} });
+
+      const result = await client.getStandings(2025);
+
+      expect(result).toEqual([]);
+    });
+
+    it('should throw error when API request fails', async () => {
+      mockAxiosGet.mockRejectedValueOnce(new Error('API Error'));
+
+      await expect(client.getStandings(2025)).rejects.toThrow('Failed to fetch MLB standings for season 2025: API Error');
+    });
+  });
+
+  describe('getGameFeed', () => {
+    it('should fetch the live feed for a game', async () => {
+      const feed = {
+        gamePk: 123456,
+        gameData: { datetime: { dateTime: '2025-05-19T18:10:00Z' }, gameInfo: { firstPitch: '2025-05-19T18:12:00.000Z' } },
+        liveData: { plays: { allPlays: [] } }
+      };
+      mockAxiosGet.mockResolvedValueOnce({ data: feed });
+
+      const result = await client.getGameFeed(123456);
+
+      expect(mockAxiosGet).toHaveBeenCalledWith('/game/123456/feed/live');
+      expect(result).toEqual(feed);
+    });
+
+    it('should throw error when the feed has no game data', async () => {
+      mockAxiosGet.mockResolvedValueOnce({ data: {} });
+
+      await expect(client.getGameFeed(123456)).rejects.toThrow('Failed to fetch MLB game feed for 123456: Game feed for 123456 not found');
+    });
+  });
+
+  describe('getSeason', () => {
+    it('should fetch the dates for a season', async () => {
+      const season = {
+        seasonId: '2025',
+        seasonStartDate: '2025-02-20',
+        seasonEndDate: '2025-11-01',
+        regularSeasonStartDate: '2025-03-18',
+        regularSeasonEndDate: '2025-09-28'
+      };
+      mockAxiosGet.mockResolvedValueOnce({ data: { seasons: [season] } });
+
+      const result = await client.getSeason(2025);
+
+      expect(mockAxiosGet).toHaveBeenCalledWith('/seasons/2025', { params: { sportId: 1 } });
+      expect(result).toEqual(season);
+    });
+
+    it('should throw error when the season is not found', async () => {
+      mockAxiosGet.mockResolvedValueOnce({ data: { seasons: [] } });
+
+      await expect(client.getSeason(2099)).rejects.toThrow('Failed to fetch MLB season 2099: Season 2099 not found');
+    });
+  });
+
   describe('formatDate', () => {
     it('should format date object to YYYY-MM-DD string', () => {
       const date = new Date('2025-05-19T12:00:00Z');
@@ -0,0 +1,210 @@
+import { jest } from '@jest/globals';
+import { createServer, IncomingMessage, Server, ServerResponse } from 'http';
+import { AddressInfo } from 'net';
+import { MLBApiClient, MLBApiClientOptions } from '../api/MLBApiClient.js';
+import { CircuitBreaker, getBackoffDelay, parseRetryAfter } from '../api/resilience.js';
+
+type Handler = (req: IncomingMessage, res: ServerResponse) => void;
+
+function reply(status: number, body: unknown = {}, headers: Record<string, string> = {}): Handler {
+  return (_req, res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+}
+
+const teamsBody = { teams: [{ id: 147, name: 'New York Yankees', abbreviation: 'NYY' }] };
+
+describe('MLBApiClient resilience', () => {
+  let server: Server;
+  let baseUrl: string;
+  let handlers: Handler[];
+  let requestTimes: number[];
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      requestTimes.push(Date.now());
+      // Each request consumes the next handler; the last one repeats
+      const handler = handlers.length > 1 ? handlers.shift()! : handlers[0];
+      handler(req, res);
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    handlers = [reply(200, teamsBody)];
+    requestTimes = [];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function createClient(options: MLBApiClientOptions = {}): MLBApiClient {
+    return new MLBApiClient(baseUrl, {
+      retryBaseDelayMs: 5,
+      retryMaxDelayMs: 20,
+      requestsPerSecond: 0,
+      ...options
+    });
+  }
+
+  describe('retries', () => {
+    it('should retry 5xx responses and return the eventual success', async () => {
+      handlers = [reply(503), reply(500), reply(200, teamsBody)];
+      const onRetry = jest.fn();
+
+      const teams = await createClient({ onRetry }).getAllTeams();
+
+      expect(teams).toEqual(teamsBody.teams);
+      expect(requestTimes).toHaveLength(3);
+      expect(onRetry).toHaveBeenCalledTimes(2);
+      expect(onRetry.mock.calls.map(([info]) => (info as { attempt: number }).attempt)).toEqual([1, 2]);
+    });
+
+    it('should report every attempt to onRequest', async () => {
+      handlers = [reply(503), reply(200, teamsBody)];
+      const onRequest = jest.fn();
+
+      await createClient({ onRequest }).getAllTeams();
+
+      const attempts = onRequest.mock.calls.map(([info]) => info as { url: string; durationMs: number; error?: unknown });
+      expect(attempts.map(attempt => attempt.url)).toEqual(['/teams', '/teams']);
+      expect(attempts[0].error).toBeDefined();
+      expect(attempts[1].error).toBeUndefined();
+      expect(attempts.every(attempt => attempt.durationMs >= 0)).toBe(true);
+    });
+
+    it('should give up after maxRetries', async () => {
+      handlers = [reply(502)];
+
+      await expect(createClient({ maxRetries: 2 }).getAllTeams())
+        .rejects.toThrow('Failed to fetch all MLB teams: Request failed with status code 502');
+      expect(requestTimes).toHaveLength(3);
+    });
+
+    it('should not retry other client errors', async () => {
+      handlers = [reply(404)];
+
+      await expect(createClient().getTeam(999)).rejects.toThrow('status code 404');
+      expect(requestTimes).toHaveLength(1);
+    });
+
+    it('should retry timeouts', async () => {
+      handlers = [
+        (_req, res) => { setTimeout(() => reply(200, teamsBody)(_req, res), 200); },
+        reply(200, teamsBody)
+      ];
+
+      const teams = await createClient({ timeout: 50 }).getAllTeams();
+
+      expect(teams).toEqual(teamsBody.teams);
+      expect(requestTimes).toHaveLength(2);
+    });
+
+    it('should wait for Retry-After on 429 responses', async () => {
+      handlers = [reply(429, {}, { 'Retry-After': '1' }), reply(200, teamsBody)];
+      const onRetry = jest.fn();
+
+      await createClient({ onRetry }).getAllTeams();
+
+      expect((onRetry.mock.calls[0][0] as { delayMs: number }).delayMs).toBe(1000);
+      expect(requestTimes[1] - requestTimes[0]).toBeGreaterThanOrEqual(950);
+    });
+
+    it('should fail instead of waiting for an excessive Retry-After', async () => {
+      handlers = [reply(429, {}, { 'Retry-After': '3600' }), reply(200, teamsBody)];
+
+      await expect(createClient().getAllTeams()).rejects.toThrow('status code 429');
+      expect(requestTimes).toHaveLength(1);
+    });
+  });
+
+  describe('rate limiting', () => {
+    it('should space requests to the configured rate', async () => {
+      const client = createClient({ requestsPerSecond: 20 });
+
+      await Promise.all([client.getAllTeams(), client.getAllTeams(), client.getAllTeams()]);
+
+      expect(requestTimes).toHaveLength(3);
+      // 50ms spacing, with a little slack for timer resolution
+      expect(requestTimes[2] - requestTimes[0]).toBeGreaterThanOrEqual(90);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('should stop sending requests after repeated failures', async () => {
+      handlers = [reply(500)];
+      const client = createClient({ maxRetries: 0, circuitBreakerThreshold: 2, circuitBreakerResetMs: 60000 });
+
+      await expect(client.getAllTeams()).rejects.toThrow('status code 500');
+      await expect(client.getAllTeams()).rejects.toThrow('status code 500');
+      await expect(client.getAllTeams()).rejects.toThrow('Circuit breaker is open');
+
+      expect(requestTimes).toHaveLength(2);
+    });
+
+    it('should close again after a successful trial request', async () => {
+      handlers = [reply(500), reply(200, teamsBody)];
+      const client = createClient({ maxRetries: 0, circuitBreakerThreshold: 1, circuitBreakerResetMs: 30 });
+
+      await expect(client.getAllTeams()).rejects.toThrow('status code 500');
+      await expect(client.getAllTeams()).rejects.toThrow('Circuit breaker is open');
+      await new Promise(resolve => setTimeout(resolve, 40));
+
+      await expect(client.getAllTeams()).resolves.toEqual(teamsBody.teams);
+      await expect(client.getAllTeams()).resolves.toEqual(teamsBody.teams);
+    });
+
+    it('should not count client errors as failures', async () => {
+      handlers = [reply(404)];
+      const client = createClient({ circuitBreakerThreshold: 1 });
+
+      await expect(client.getTeam(999)).rejects.toThrow('status code 404');
+      await expect(client.getTeam(999)).rejects.toThrow('status code 404');
+
+      expect(requestTimes).toHaveLength(2);
+    });
+  });
+});
+
+describe('resilience helpers', () => {
+  it('should cap exponential backoff at the maximum delay', () => {
+    expect(getBackoffDelay(0, 100, 1000, false)).toBe(100);
+    expect(getBackoffDelay(3, 100, 1000, false)).toBe(800);
+    expect(getBackoffDelay(10, 100, 1000, false)).toBe(1000);
+
+    const jittered = getBackoffDelay(3, 100, 1000);
+    expect(jittered).toBeGreaterThanOrEqual(0);
+    expect(jittered).toBeLessThanOrEqual(800);
+  });
+
+  it('should parse Retry-After seconds and HTTP dates', () => {
+    const now = Date.parse('2025-05-01T12:00:00Z');
+
+    expect(parseRetryAfter('5', now)).toBe(5000);
+    expect(parseRetryAfter('Thu, 01 May 2025 12:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Thu, 01 May 2025 11:00:00 GMT', now)).toBe(0);
+    expect(parseRetryAfter('soon', now)).toBeUndefined();
+    expect(parseRetryAfter(undefined, now)).toBeUndefined();
+  });
+
+  it('should only allow one trial request while half-open', async () => {
+    const breaker = new CircuitBreaker(1, 0);
+    await expect(breaker.execute(async () => { throw new Error('down'); })).rejects.toThrow('down');
+
+    let finishTrial: () => void = () => {};
+    const trial = breaker.execute(() => new Promise<void>(resolve => { finishTrial = resolve; }));
+
+    await expect(breaker.execute(async () => 'second')).rejects.toThrow('Circuit breaker is open');
+    finishTrial();
+    await trial;
+    expect(breaker.state).toBe('closed');
+  });
+});
@@ -0,0 +1,138 @@
+import { jest } from '@jest/globals';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { BaseballDataService } from '../api/BaseballDataService.js';
+import { MLBApiClient } from '../api/MLBApiClient.js';
+import { getFixtureName, MLBApiTransport, RecordingTransport, ReplayTransport } from '../api/transport.js';
+import { OracleSyncService } from '../services/OracleSyncService.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'mlb-2024-05-04');
+
+describe('MLB API transports', () => {
+  describe('getFixtureName', () => {
+    it('should sort parameters so the name does not depend on their order', () => {
+      expect(getFixtureName('/schedule/games', { sportId: 1, date: '2024-05-04' }))
+        .toBe('schedule_games__date=2024-05-04_sportId=1.json');
+      expect(getFixtureName('/schedule/games', { date: '2024-05-04', sportId: 1 }))
+        .toBe('schedule_games__date=2024-05-04_sportId=1.json');
+    });
+
+    it('should name requests without parameters after the path', () => {
+      expect(getFixtureName('/teams/147')).toBe('teams_147.json');
+    });
+
+    it('should ignore undefined parameters', () => {
+      expect(getFixtureName('/standings', { season: 2024, date: undefined })).toBe('standings__season=2024.json');
+    });
+  });
+
+  describe('RecordingTransport', () => {
+    let tempDir: string;
+
+    beforeEach(() => {
+      tempDir = mkdtempSync(join(tmpdir(), 'fixtures-'));
+    });
+
+    afterEach(() => {
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should save responses that ReplayTransport can serve', async () => {
+      const data = { teams: [{ id: 147, abbreviation: 'NYY' }] };
+      const inner = { get: jest.fn(async () => ({ data })) } as unknown as MLBApiTransport;
+      const recordDir = join(tempDir, 'nested');
+
+      const recorder = new RecordingTransport(inner, recordDir);
+      await expect(recorder.get('/teams', { params: { sportId: 1 } })).resolves.toEqual({ data });
+
+      const fixture = JSON.parse(readFileSync(join(recordDir, 'teams__sportId=1.json'), 'utf8'));
+      expect(fixture).toMatchObject({ url: '/teams', params: { sportId: 1 }, data });
+
+      await expect(new ReplayTransport(recordDir).get('/teams', { params: { sportId: 1 } })).resolves.toEqual({ data });
+    });
+
+    it('should not record failed requests', async () => {
+      const inner = { get: jest.fn(async () => { throw new Error('Network Error'); }) } as unknown as MLBApiTransport;
+
+      await expect(new RecordingTransport(inner, tempDir).get('/teams/147')).rejects.toThrow('Network Error');
+      expect(existsSync(join(tempDir, 'teams_147.json'))).toBe(false);
+    });
+  });
+
+  describe('ReplayTransport', () => {
+    it('should fail for requests that were never recorded', async () => {
+      await expect(new ReplayTransport(fixturesDir).get('/teams/147'))
+        .rejects.toThrow('No recorded fixture for GET /teams/147');
+    });
+
+    it('should refuse a missing fixtures directory', () => {
+      expect(() => new ReplayTransport(join(fixturesDir, 'missing'))).toThrow('Fixtures directory not found');
+    });
+  });
+
+  describe('replaying a recorded day', () => {
+    let syncService: OracleSyncService;
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+      const apiClient = new MLBApiClient(undefined, { transport: new ReplayTransport(fixturesDir) });
+      syncService = new OracleSyncService(new BaseballDataService(apiClient));
+    });
+
+    it('should return both games of a doubleheader and drop the postponed game', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {}); // 745004 has no recorded game feed
+
+      const games = await syncService.prepareGamesForDate(new Date('2024-05-04T00:00:00Z'));
+
+      expect(games).toEqual([
+        {
+          gameId: 745001,
+          homeTeam: 'CLE',
+          awayTeam: 'DET',
+          homeScore: 5,
+          awayScore: 3,
+          gameDate: 1714845131, // First pitch after a rain delay
+          timestamp: 1714858305,
+          gameStatus: 'Final',
+          gameType: 'R',
+          officialDate: '2024-05-04',
+          venueTimeZone: 'America/New_York',
+          endTimeEstimated: false
+        },
+        {
+          gameId: 745002,
+          homeTeam: 'CLE',
+          awayTeam: 'DET',
+          homeScore: 2,
+          awayScore: 7,
+          gameDate: 1714860330,
+          timestamp: 1714868889,
+          gameStatus: 'Final',
+          gameType: 'R',
+          officialDate: '2024-05-04',
+          venueTimeZone: 'America/New_York',
+          endTimeEstimated: false
+        },
+        {
+          gameId: 745004,
+          homeTeam: 'BOS',
+          awayTeam: 'TOR',
+          homeScore: 6,
+          awayScore: 2,
+          gameDate: 1714864200,
+          timestamp: 1714875000,
+          gameStatus: 'Final',
+          gameType: 'R',
+          officialDate: '2024-05-04',
+          venueTimeZone: 'America/New_York',
+          endTimeEstimated: true
+        }
+      ]);
+    });
+  });
+});
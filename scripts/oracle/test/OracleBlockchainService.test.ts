@@ -0,0 +1,411 @@
+import { jest } from '@jest/globals';
+import { Contract, Interface, makeError } from 'ethers';
+import { BASEBALL_ORACLE_ABI } from '../abi/baseballOracleAbi.js';
+import { OracleBlockchainService } from '../services/OracleBlockchainService.js';
+import { OracleGameData } from '../services/OracleSyncService.js';
+
+const ORACLE_ADDRESS = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const OTHER_ADDRESS = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+
+const oracleInterface = new Interface(BASEBALL_ORACLE_ABI);
+
+// Builds a receipt log for an oracle event
+function makeLog(eventName: string, args: unknown[], address: string = ORACLE_ADDRESS) {
+  const { data, topics } = oracleInterface.encodeEventLog(eventName, args);
+  return { address, data, topics };
+}
+
+describe('OracleBlockchainService', () => {
+  const games: OracleGameData[] = [
+    {
+      gameId: 123,
+      homeTeam: 'HOU',
+      awayTeam: 'NYY',
+      homeScore: 5,
+      awayScore: 3,
+      gameDate: 1684800000,
+      timestamp: 1684810800,
+      gameStatus: 'Final'
+    },
+    {
+      gameId: 456,
+      homeTeam: 'LAD',
+      awayTeam: 'XXX',
+      homeScore: 2,
+      awayScore: 4,
+      gameDate: 1684800000,
+      timestamp: 1684812000,
+      gameStatus: 'Final'
+    },
+    {
+      gameId: 789,
+      homeTeam: 'BOS',
+      awayTeam: 'TOR',
+      homeScore: 7,
+      awayScore: 1,
+      gameDate: 1684800000,
+      timestamp: 1684813000,
+      gameStatus: 'Final'
+    }
+  ];
+
+  let mockRecordBatch: jest.Mock<(...args: any[]) => Promise<any>> & { estimateGas?: jest.Mock<(...args: any[]) => Promise<bigint>> };
+  let mockGetGameResult: jest.Mock<(...args: any[]) => Promise<any>>;
+  let mockRegisterTeam: jest.Mock<(...args: any[]) => Promise<any>>;
+  let mockAdjustTeamRecord: jest.Mock<(...args: any[]) => Promise<any>>;
+  let mockCorrectGameResult: jest.Mock<(...args: any[]) => Promise<any>>;
+  let service: OracleBlockchainService;
+
+  function mockReceipt(logs: ReturnType<typeof makeLog>[]) {
+    mockRecordBatch.mockResolvedValue({
+      hash: '0xfeed',
+      wait: async () => ({ hash: '0xfeed', blockNumber: 42, gasUsed: 210000n, logs })
+    });
+  }
+
+  beforeEach(() => {
+    mockRecordBatch = jest.fn<(...args: any[]) => Promise<any>>();
+    mockRecordBatch.estimateGas = jest.fn<(...args: any[]) => Promise<bigint>>();
+    mockGetGameResult = jest.fn<(...args: any[]) => Promise<any>>();
+    mockRegisterTeam = jest.fn<(...args: any[]) => Promise<any>>();
+    mockAdjustTeamRecord = jest.fn<(...args: any[]) => Promise<any>>();
+    mockCorrectGameResult = jest.fn<(...args: any[]) => Promise<any>>();
+    const onChainTeams: Record<string, unknown> = {
+      NYY: { name: 'New York Yankees', abbreviation: 'NYY', wins: 10n, losses: 5n, winPct: 667n, lastGameTimestamp: 1684810800n, lastUpdateTimestamp: 1684811000n, exists: true },
+      BOS: { name: 'Boston Red Sox', abbreviation: 'BOS', wins: 5n, losses: 10n, winPct: 333n, lastGameTimestamp: 1684810800n, lastUpdateTimestamp: 1684811000n, exists: true }
+    };
+    const contract = {
+      interface: oracleInterface,
+      getAddress: async () => ORACLE_ADDRESS,
+      recordBatchGameResults: mockRecordBatch,
+      getGameResult: mockGetGameResult,
+      registerTeam: mockRegisterTeam,
+      adjustTeamRecord: mockAdjustTeamRecord,
+      correctGameResult: mockCorrectGameResult,
+      getTeamCount: async () => 2n,
+      getTeamIdAtIndex: async (index: number) => ['NYY', 'BOS'][index],
+      getTeam: async (teamId: string) => onChainTeams[teamId],
+      getGameCount: async () => 3n,
+      getGameIdAtIndex: async (index: number) => [123n, 456n, 789n][index]
+    } as unknown as Contract;
+    service = new OracleBlockchainService(contract);
+  });
+
+  describe('toContractGameResult', () => {
+    it('should map OracleGameData to the contract GameResult struct', () => {
+      expect(OracleBlockchainService.toContractGameResult(games[0])).toEqual({
+        gameId: 123n,
+        homeTeam: 'HOU',
+        awayTeam: 'NYY',
+        homeScore: 5n,
+        awayScore: 3n,
+        gameDate: 1684800000n,
+        gameEndTimestamp: 1684810800n,
+        recordedTimestamp: 0n,
+        gameStatus: 'Final',
+        recorded: false
+      });
+    });
+  });
+
+  describe('getRegisteredTeams', () => {
+    it('should enumerate teams with getTeamIdAtIndex and convert numeric fields', async () => {
+      const teams = await service.getRegisteredTeams();
+
+      expect(teams).toEqual([
+        { teamId: 'NYY', name: 'New York Yankees', abbreviation: 'NYY', wins: 10, losses: 5, winPct: 667, lastGameTimestamp: 1684810800, lastUpdateTimestamp: 1684811000 },
+        { teamId: 'BOS', name: 'Boston Red Sox', abbreviation: 'BOS', wins: 5, losses: 10, winPct: 333, lastGameTimestamp: 1684810800, lastUpdateTimestamp: 1684811000 }
+      ]);
+    });
+  });
+
+  describe('registerTeam', () => {
+    it('should send registerTeam and return the mined transaction', async () => {
+      mockRegisterTeam.mockResolvedValue({
+        hash: '0xbeef',
+        wait: async () => ({ hash: '0xbeef', blockNumber: 7, gasUsed: 150000n, logs: [] })
+      });
+
+      const result = await service.registerTeam('NYY', 'New York Yankees', 'NYY');
+
+      expect(mockRegisterTeam).toHaveBeenCalledWith('NYY', 'New York Yankees', 'NYY');
+      expect(result).toEqual({ transactionHash: '0xbeef', blockNumber: 7, gasUsed: 150000n });
+    });
+  });
+
+  describe('adjustTeamRecord', () => {
+    it('should send adjustTeamRecord and return the mined transaction', async () => {
+      mockAdjustTeamRecord.mockResolvedValue({
+        hash: '0xcafe',
+        wait: async () => ({ hash: '0xcafe', blockNumber: 8, gasUsed: 40000n, logs: [] })
+      });
+
+      const result = await service.adjustTeamRecord('NYY', 30, 20);
+
+      expect(mockAdjustTeamRecord).toHaveBeenCalledWith('NYY', 30, 20);
+      expect(result).toEqual({ transactionHash: '0xcafe', blockNumber: 8, gasUsed: 40000n });
+    });
+  });
+
+  describe('isGameRecorded', () => {
+    it('should return true for a recorded game', async () => {
+      mockGetGameResult.mockResolvedValue({ gameId: 123n, recorded: true });
+
+      await expect(service.isGameRecorded(123)).resolves.toBe(true);
+      expect(mockGetGameResult).toHaveBeenCalledWith(123);
+    });
+
+    it('should return false when getGameResult reverts with "Game not recorded"', async () => {
+      mockGetGameResult.mockRejectedValue(
+        makeError('execution reverted: "Game not recorded"', 'CALL_EXCEPTION', {
+          action: 'call',
+          data: null,
+          reason: 'Game not recorded',
+          transaction: { to: ORACLE_ADDRESS, data: '0x' },
+          invocation: null,
+          revert: null
+        })
+      );
+
+      await expect(service.isGameRecorded(123)).resolves.toBe(false);
+    });
+
+    it('should rethrow other errors', async () => {
+      mockGetGameResult.mockRejectedValue(new Error('network timeout'));
+
+      await expect(service.isGameRecorded(123)).rejects.toThrow('network timeout');
+    });
+  });
+
+  describe('getGameResult', () => {
+    it('should convert the stored struct to oracle game data', async () => {
+      mockGetGameResult.mockResolvedValue({
+        gameId: 123n,
+        homeTeam: 'HOU',
+        awayTeam: 'NYY',
+        homeScore: 5n,
+        awayScore: 3n,
+        gameDate: 1684800000n,
+        gameEndTimestamp: 1684810800n,
+        recordedTimestamp: 1684812000n,
+        gameStatus: 'Final',
+        recorded: true
+      });
+
+      await expect(service.getGameResult(123)).resolves.toEqual({
+        ...games[0],
+        recordedTimestamp: 1684812000
+      });
+    });
+
+    it('should return undefined for a game that is not recorded', async () => {
+      mockGetGameResult.mockRejectedValue(
+        makeError('execution reverted: "Game not recorded"', 'CALL_EXCEPTION', {
+          action: 'call',
+          data: null,
+          reason: 'Game not recorded',
+          transaction: { to: ORACLE_ADDRESS, data: '0x' },
+          invocation: null,
+          revert: null
+        })
+      );
+
+      await expect(service.getGameResult(123)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('getRecentGames', () => {
+    it('should fetch the most recently recorded games, newest first', async () => {
+      mockGetGameResult.mockImplementation(async (gameId: number) => {
+        const game = OracleBlockchainService.toContractGameResult(games.find(candidate => candidate.gameId === gameId)!);
+        return { ...game, recordedTimestamp: 1684812000n, recorded: true };
+      });
+
+      const recent = await service.getRecentGames(2);
+
+      expect(recent.map(game => game.gameId)).toEqual([789, 456]);
+      expect(recent[0]).toEqual({ ...games[2], recordedTimestamp: 1684812000 });
+      expect(await service.getRecentGames(10)).toHaveLength(3);
+    });
+  });
+
+  describe('correctGameResult', () => {
+    it('should send correctGameResult with the game ID and mapped struct', async () => {
+      mockCorrectGameResult.mockResolvedValue({
+        hash: '0xd00d',
+        wait: async () => ({ hash: '0xd00d', blockNumber: 9, gasUsed: 90000n, logs: [] })
+      });
+
+      const result = await service.correctGameResult(games[0]);
+
+      const [gameId, struct] = mockCorrectGameResult.mock.calls[0];
+      expect(gameId).toBe(123n);
+      expect(struct).toEqual(OracleBlockchainService.toContractGameResult(games[0]));
+      expect(result).toEqual({ transactionHash: '0xd00d', blockNumber: 9, gasUsed: 90000n });
+    });
+  });
+
+  describe('estimateBatchGas', () => {
+    it('should estimate gas for the mapped structs', async () => {
+      mockRecordBatch.estimateGas!.mockResolvedValue(480000n);
+
+      await expect(service.estimateBatchGas(games.slice(0, 2))).resolves.toBe(480000n);
+      const [structs] = mockRecordBatch.estimateGas!.mock.calls[0];
+      expect(structs).toHaveLength(2);
+      expect(structs[0].gameId).toBe(123n);
+    });
+  });
+
+  describe('submitGameResults', () => {
+    it('should send all games in one recordBatchGameResults call', async () => {
+      mockReceipt([]);
+
+      await service.submitGameResults(games);
+
+      expect(mockRecordBatch).toHaveBeenCalledTimes(1);
+      const [structs] = mockRecordBatch.mock.calls[0];
+      expect(structs.map((s: { gameId: bigint }) => s.gameId)).toEqual([123n, 456n, 789n]);
+    });
+
+    it('should decode per-game outcomes from the receipt events', async () => {
+      mockReceipt([
+        makeLog('GameRecorded', [123, 'HOU', 'NYY', 5, 3, 'Final']),
+        makeLog('TeamUpdated', ['HOU', 1, 0, 1000]),
+        makeLog('TeamUpdated', ['NYY', 0, 1, 0]),
+        makeLog('ErrorLogged', ['Away team not registered']),
+        makeLog('GameRecorded', [789, 'BOS', 'TOR', 7, 1, 'Final']),
+        makeLog('BatchGameResultsProcessed', [2])
+      ]);
+
+      const result = await service.submitGameResults(games);
+
+      expect(result).toEqual({
+        transactionHash: '0xfeed',
+        blockNumber: 42,
+        gasUsed: 210000n,
+        gamesProcessed: 2,
+        outcomes: [
+          { gameId: 123, status: 'recorded' },
+          { gameId: 456, status: 'skipped', reason: 'Away team not registered' },
+          { gameId: 789, status: 'recorded' }
+        ]
+      });
+    });
+
+    it('should ignore logs emitted by other contracts', async () => {
+      mockReceipt([
+        makeLog('ErrorLogged', ['Game already recorded'], OTHER_ADDRESS),
+        makeLog('GameRecorded', [123, 'HOU', 'NYY', 5, 3, 'Final']),
+        makeLog('BatchGameResultsProcessed', [1])
+      ]);
+
+      const result = await service.submitGameResults([games[0]]);
+
+      expect(result.outcomes).toEqual([{ gameId: 123, status: 'recorded' }]);
+    });
+
+    it('should throw when GameRecorded does not match the submitted order', async () => {
+      mockReceipt([makeLog('GameRecorded', [456, 'LAD', 'XXX', 2, 4, 'Final'])]);
+
+      await expect(service.submitGameResults(games)).rejects.toThrow('Unexpected GameRecorded event for game 456 (expected 123)');
+    });
+
+    it('should throw when the transaction is not mined', async () => {
+      mockRecordBatch.mockResolvedValue({ hash: '0xfeed', wait: async () => null });
+
+      await expect(service.submitGameResults(games)).rejects.toThrow('Transaction 0xfeed was not mined');
+    });
+  });
+
+  describe('getRoleMembers', () => {
+    const roleIds: Record<string, string> = {
+      DEFAULT_ADMIN_ROLE: '0x00',
+      ADMIN_ROLE: '0xa4',
+      ORACLE_ROLE: '0x68',
+      PAUSER_ROLE: '0x65',
+      UPGRADER_ROLE: '0x18'
+    };
+
+    it('should list the accounts granted each role that still hold it', async () => {
+      const holders = new Set([`0x00:${ORACLE_ADDRESS}`, `0xa4:${ORACLE_ADDRESS}`, `0x68:${OTHER_ADDRESS}`]);
+      const mockQueryFilter = jest.fn(async () => [
+        { args: ['0x00', ORACLE_ADDRESS, ORACLE_ADDRESS] },
+        { args: ['0xa4', ORACLE_ADDRESS, ORACLE_ADDRESS] },
+        { args: ['0x68', ORACLE_ADDRESS, ORACLE_ADDRESS] }, // Revoked since
+        { args: ['0x68', OTHER_ADDRESS, ORACLE_ADDRESS] },
+        { topics: [], data: '0x' }
+      ]);
+      const roleService = new OracleBlockchainService({
+        ...Object.fromEntries(Object.entries(roleIds).map(([role, roleId]) => [role, async () => roleId])),
+        runner: { provider: { getBlockNumber: async () => 2000 } },
+        filters: { RoleGranted: () => 'RoleGranted' },
+        queryFilter: mockQueryFilter,
+        hasRole: async (roleId: string, account: string) => holders.has(`${roleId}:${account}`)
+      } as unknown as Contract);
+
+      await expect(roleService.getRoleMembers(50)).resolves.toEqual([
+        { role: 'DEFAULT_ADMIN_ROLE', accounts: [ORACLE_ADDRESS] },
+        { role: 'ADMIN_ROLE', accounts: [ORACLE_ADDRESS] },
+        { role: 'ORACLE_ROLE', accounts: [OTHER_ADDRESS] },
+        { role: 'PAUSER_ROLE', accounts: [] },
+        { role: 'UPGRADER_ROLE', accounts: [] }
+      ]);
+      expect(mockQueryFilter).toHaveBeenCalledWith('RoleGranted', 50, 2000);
+    });
+
+    it('should read grants in fixed block ranges up to the current head', async () => {
+      const mockQueryFilter = jest.fn(async () => []);
+      const roleService = new OracleBlockchainService({
+        ...Object.fromEntries(Object.entries(roleIds).map(([role, roleId]) => [role, async () => roleId])),
+        runner: { provider: { getBlockNumber: async () => 250 } },
+        filters: { RoleGranted: () => 'RoleGranted' },
+        queryFilter: mockQueryFilter
+      } as unknown as Contract);
+
+      await roleService.getRoleMembers(0, 100);
+
+      expect(mockQueryFilter.mock.calls).toEqual([['RoleGranted', 0, 99], ['RoleGranted', 100, 199], ['RoleGranted', 200, 250]]);
+    });
+  });
+
+  describe('assertSignerHasRole', () => {
+    const ORACLE_ROLE = '0x68e79a7bf1e0bc45d0a330c573bc367f9cf464fd326078812f301165fbda4ef1';
+    const ADMIN_ROLE = '0xa49807205ce4d355092ef5a8a18f56e8913cf4a201fbe287825b095693c21775';
+    let mockHasRole: jest.Mock<(...args: any[]) => Promise<boolean>>;
+
+    function makeService(runner: unknown) {
+      mockHasRole = jest.fn<(...args: any[]) => Promise<boolean>>();
+      return new OracleBlockchainService({
+        runner,
+        getAddress: async () => ORACLE_ADDRESS,
+        ORACLE_ROLE: async () => ORACLE_ROLE,
+        ADMIN_ROLE: async () => ADMIN_ROLE,
+        hasRole: mockHasRole
+      } as unknown as Contract);
+    }
+
+    it('should return the signer address when it holds the role', async () => {
+      const roleService = makeService({ getAddress: async () => OTHER_ADDRESS });
+      mockHasRole.mockResolvedValue(true);
+
+      await expect(roleService.assertSignerHasRole('oracle')).resolves.toBe(OTHER_ADDRESS);
+      expect(mockHasRole).toHaveBeenCalledWith(ORACLE_ROLE, OTHER_ADDRESS);
+    });
+
+    it('should throw when the signer does not hold the role', async () => {
+      const roleService = makeService({ getAddress: async () => OTHER_ADDRESS });
+      mockHasRole.mockResolvedValue(false);
+
+      await expect(roleService.assertSignerHasRole('admin'))
+        .rejects.toThrow(`Account ${OTHER_ADDRESS} does not hold ADMIN_ROLE on BaseballOracle at ${ORACLE_ADDRESS}`);
+      expect(mockHasRole).toHaveBeenCalledWith(ADMIN_ROLE, OTHER_ADDRESS);
+    });
+
+    it('should throw when the service has no signer', async () => {
+      const roleService = makeService({ getBlockNumber: async () => 1 });
+
+      await expect(roleService.assertSignerHasRole('oracle')).rejects.toThrow('A signer holding ORACLE_ROLE is required');
+      expect(mockHasRole).not.toHaveBeenCalled();
+    });
+  });
+});
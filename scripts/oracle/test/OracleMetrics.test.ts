@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+import { OnChainTeam, OracleBlockchainService } from '../services/OracleBlockchainService.js';
+import { getApiEndpoint, OracleMetrics } from '../services/OracleMetrics.js';
+
+function makeTeam(teamId: string, winPct: number, lastGameTimestamp: number): OnChainTeam {
+  return { teamId, name: teamId, abbreviation: teamId, wins: 10, losses: 10, winPct, lastGameTimestamp, lastUpdateTimestamp: lastGameTimestamp + 600 };
+}
+
+describe('OracleMetrics', () => {
+  const startedAt = new Date('2025-05-01T23:00:00Z');
+
+  let mockGetRegisteredTeams: jest.Mock<() => Promise<OnChainTeam[]>>;
+  let metrics: OracleMetrics;
+
+  beforeEach(() => {
+    mockGetRegisteredTeams = jest.fn(async () => [makeTeam('NYY', 600, 1746140000), makeTeam('BOS', 450, 1746150000)]);
+    const blockchainService = { getRegisteredTeams: mockGetRegisteredTeams } as unknown as OracleBlockchainService;
+    metrics = new OracleMetrics(blockchainService, { startedAt });
+  });
+
+  describe('getApiEndpoint', () => {
+    it('should replace numeric path segments', () => {
+      expect(getApiEndpoint('/game/746523/feed/live')).toBe('/game/:id/feed/live');
+      expect(getApiEndpoint('/teams/147')).toBe('/teams/:id');
+      expect(getApiEndpoint('/schedule/games')).toBe('/schedule/games');
+    });
+  });
+
+  describe('recordApiRequest', () => {
+    it('should time every request and count the failed ones by endpoint', async () => {
+      metrics.recordApiRequest({ url: '/game/1/feed/live', durationMs: 250 });
+      metrics.recordApiRequest({ url: '/game/2/feed/live', durationMs: 500, error: new Error('timeout') });
+
+      const output = await metrics.registry.metrics();
+
+      expect(output).toContain('oracle_mlb_api_request_duration_seconds_count{endpoint="/game/:id/feed/live"} 2');
+      expect(output).toContain('oracle_mlb_api_request_duration_seconds_sum{endpoint="/game/:id/feed/live"} 0.75');
+      expect(output).toContain('oracle_mlb_api_errors_total{endpoint="/game/:id/feed/live"} 1');
+    });
+  });
+
+  describe('refresh', () => {
+    it('should export each team\'s win percentage and the newest game time', async () => {
+      await metrics.refresh();
+      const output = await metrics.registry.metrics();
+
+      expect(output).toContain('oracle_team_win_pct{team="NYY"} 600');
+      expect(output).toContain('oracle_team_win_pct{team="BOS"} 450');
+      expect(output).toContain('oracle_last_synced_game_timestamp_seconds 1746150000');
+    });
+
+    it('should keep the previous values and count the error when the oracle cannot be read', async () => {
+      await metrics.refresh();
+      mockGetRegisteredTeams.mockRejectedValueOnce(new Error('could not detect network'));
+
+      await metrics.refresh();
+      const output = await metrics.registry.metrics();
+
+      expect(output).toContain('oracle_team_win_pct{team="NYY"} 600');
+      expect(output).toContain('oracle_chain_read_errors_total 1');
+    });
+  });
+
+  describe('getHealth', () => {
+    it('should use the default stale threshold of 30 minutes', () => {
+      metrics.recordSync(new Date('2025-05-01T23:10:00Z'));
+
+      expect(metrics.getHealth(new Date('2025-05-01T23:40:00Z')).healthy).toBe(true);
+      expect(metrics.getHealth(new Date('2025-05-01T23:41:00Z'))).toMatchObject({ healthy: false, ageSeconds: 1860, staleAfterSeconds: 1800 });
+    });
+
+    it('should export the sync lag on every scrape', async () => {
+      metrics.recordSync(new Date(Date.now() - 120_000));
+
+      const lag = Number((await metrics.registry.metrics()).match(/^oracle_sync_lag_seconds (\d+)$/m)?.[1]);
+
+      expect(lag).toBeGreaterThanOrEqual(120);
+      expect(lag).toBeLessThan(130);
+    });
+  });
+});
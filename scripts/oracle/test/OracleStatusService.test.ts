@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+import { OnChainSeasonState, OnChainTeam, OracleBlockchainService, RecordedGameData, RoleMembers } from '../services/OracleBlockchainService.js';
+import { OracleStatusService } from '../services/OracleStatusService.js';
+
+function makeOnChainTeam(teamId: string, wins: number, losses: number, winPct: number, lastUpdateTimestamp: number): OnChainTeam {
+  return {
+    teamId,
+    name: teamId,
+    abbreviation: teamId,
+    wins,
+    losses,
+    winPct,
+    lastGameTimestamp: lastUpdateTimestamp - 600,
+    lastUpdateTimestamp
+  };
+}
+
+describe('OracleStatusService', () => {
+  // 2025-05-20T12:00:00Z
+  const now = new Date(1747742400 * 1000);
+  const hoursAgo = (hours: number) => 1747742400 - hours * 3600;
+
+  const roles: RoleMembers[] = [{ role: 'ORACLE_ROLE', accounts: ['0x1'] }];
+  const recentGames: RecordedGameData[] = [{
+    gameId: 2,
+    homeTeam: 'NYY',
+    awayTeam: 'BOS',
+    homeScore: 4,
+    awayScore: 2,
+    gameDate: 1747670400,
+    timestamp: 1747681200,
+    gameStatus: 'Final',
+    recordedTimestamp: 1747684800
+  }];
+
+  let season: OnChainSeasonState;
+  let mockGetRoleMembers: jest.Mock<(fromBlock?: number) => Promise<RoleMembers[]>>;
+  let mockGetRecentGames: jest.Mock<(limit: number) => Promise<RecordedGameData[]>>;
+  let service: OracleStatusService;
+
+  beforeEach(() => {
+    season = { active: true, startTimestamp: 1743033600, endTimestamp: 0 };
+    mockGetRoleMembers = jest.fn(async () => roles);
+    mockGetRecentGames = jest.fn(async () => recentGames);
+
+    const blockchainService = {
+      getSeasonState: async () => season,
+      isPaused: async () => false,
+      getRegisteredTeams: async () => [
+        makeOnChainTeam('BOS', 20, 25, 444, hoursAgo(12)),
+        makeOnChainTeam('TOR', 25, 20, 556, hoursAgo(120)),
+        makeOnChainTeam('NYY', 30, 15, 667, hoursAgo(12)),
+        makeOnChainTeam('LAD', 20, 16, 556, hoursAgo(12))
+      ],
+      getRoleMembers: mockGetRoleMembers,
+      getGameCount: async () => 2,
+      getRecentGames: mockGetRecentGames
+    } as unknown as OracleBlockchainService;
+
+    service = new OracleStatusService(blockchainService);
+  });
+
+  it('should sort teams by win percentage, breaking ties by wins', async () => {
+    const status = await service.getStatus({ now });
+
+    expect(status.teams.map(team => team.teamId)).toEqual(['NYY', 'TOR', 'LAD', 'BOS']);
+  });
+
+  it('should flag teams not updated within the stale threshold', async () => {
+    const status = await service.getStatus({ now });
+
+    expect(status.staleTeams).toEqual(['TOR']);
+    expect(status.teams.find(team => team.teamId === 'TOR')?.stale).toBe(true);
+    expect((await service.getStatus({ now, staleAfterHours: 6 })).staleTeams).toEqual(['NYY', 'TOR', 'LAD', 'BOS']);
+  });
+
+  it('should not flag stale teams while the season is inactive', async () => {
+    season = { active: false, startTimestamp: 1743033600, endTimestamp: 1747000000 };
+
+    const status = await service.getStatus({ now });
+
+    expect(status.staleTeams).toEqual([]);
+  });
+
+  it('should include season state, role holders and recent games', async () => {
+    const status = await service.getStatus({ now, recentGames: 5, fromBlock: 100 });
+
+    expect(status).toMatchObject({ checkedAt: 1747742400, season, paused: false, roles, gameCount: 2, recentGames });
+    expect(mockGetRoleMembers).toHaveBeenCalledWith(100);
+    expect(mockGetRecentGames).toHaveBeenCalledWith(5);
+    expect(status.rolesError).toBeUndefined();
+  });
+
+  it('should report the role holders as unavailable when the grants cannot be read', async () => {
+    mockGetRoleMembers.mockRejectedValue(new Error('query exceeds max block range 10000'));
+
+    const status = await service.getStatus({ now });
+
+    expect(status).toMatchObject({ roles: [], rolesError: 'query exceeds max block range 10000', gameCount: 2, recentGames });
+  });
+});
@@ -73,7 +73,9 @@ describe('OracleSyncService', () => {
         awayTeam: 'NYY',
         homeScore: 5,
         awayScore: 3,
-        timestamp: 1684810800
+        gameDate: 1684800000,
+        timestamp: 1684810800,
+        gameStatus: 'Final'
       },
       {
         gameId: 789,
@@ -81,7 +83,9 @@ describe('OracleSyncService', () => {
         awayTeam: 'TOR',
         homeScore: 7,
         awayScore: 1,
-        timestamp: 1684810800
+        gameDate: 1684800000,
+        timestamp: 1684810800,
+        gameStatus: 'Final'
       }
     ]);
   });
@@ -126,6 +130,36 @@ describe('OracleSyncService', () => {
     expect(gameIds).not.toContain(777839);
   });
 
+  test('should return games of every status from getGamesForDate', async () => {
+    mockGetGamesForDate.mockResolvedValue([
+      {
+        gameId: 123,
+        homeTeam: 'HOU',
+        awayTeam: 'NYY',
+        homeScore: 5,
+        awayScore: 3,
+        gameDate: 1684800000,
+        gameEndTimestamp: 1684810800,
+        gameStatus: 'Final'
+      },
+      {
+        gameId: 456,
+        homeTeam: 'LAD',
+        awayTeam: 'SFG',
+        homeScore: 2,
+        awayScore: 2,
+        gameDate: 1684800000,
+        gameEndTimestamp: 1684810800,
+        gameStatus: 'InProgress'
+      }
+    ]);
+
+    const result = await oracleSyncService.getGamesForDate(new Date('2023-05-23'));
+
+    expect(mockGetGamesForDate).toHaveBeenCalledWith('2023-05-23');
+    expect(result.map(game => game.gameStatus)).toEqual(['Final', 'InProgress']);
+  });
+
   test('should handle empty game list', async () => {
     // Configure the mock to return empty array
     mockGetGamesForDate.mockResolvedValue([]);
@@ -177,7 +211,9 @@ describe('OracleSyncService', () => {
         awayTeam: 'BOS',
         homeScore: 7,
         awayScore: 5,
-        timestamp: 1684810800
+        gameDate: 1684800000,
+        timestamp: 1684810800,
+        gameStatus: 'Final'
       },
       {
         gameId: 789012,
@@ -185,8 +221,160 @@ describe('OracleSyncService', () => {
         awayTeam: 'SFG',
         homeScore: 3,
         awayScore: 8,
-        timestamp: 1684815600
+        gameDate: 1684800000,
+        timestamp: 1684815600,
+        gameStatus: 'Final'
       }
     ]);
   });
-});
\ No newline at end of file
+});
+describe('OracleSyncService submitGames', () => {
+  const mockSubmitGameResults = jest.fn();
+  const mockBlockchainService = {
+    submitGameResults: mockSubmitGameResults
+  };
+
+  const games = [
+    {
+      gameId: 123,
+      homeTeam: 'HOU',
+      awayTeam: 'NYY',
+      homeScore: 5,
+      awayScore: 3,
+      gameDate: 1684800000,
+      timestamp: 1684810800,
+      gameStatus: 'Final'
+    }
+  ];
+
+  beforeEach(() => {
+    mockSubmitGameResults.mockReset();
+  });
+
+  test('should submit games through the blockchain service', async () => {
+    const submission = {
+      transactionHash: '0xabc',
+      blockNumber: 10,
+      gasUsed: 100000n,
+      gamesProcessed: 1,
+      outcomes: [{ gameId: 123, status: 'recorded' }]
+    };
+    mockSubmitGameResults.mockResolvedValue(submission);
+
+    const service = new OracleSyncService(mockBaseballDataService, mockBlockchainService);
+    const result = await service.submitGames(games);
+
+    expect(mockSubmitGameResults).toHaveBeenCalledWith(games);
+    expect(result).toBe(submission);
+  });
+
+  test('should throw when no blockchain service is configured', async () => {
+    const service = new OracleSyncService(mockBaseballDataService);
+
+    await expect(service.submitGames(games)).rejects.toThrow('No blockchain service configured');
+  });
+
+  test('should throw when there are no games to submit', async () => {
+    const service = new OracleSyncService(mockBaseballDataService, mockBlockchainService);
+
+    await expect(service.submitGames([])).rejects.toThrow('No games to submit');
+    expect(mockSubmitGameResults).not.toHaveBeenCalled();
+  });
+});
+
+describe('OracleSyncService game type routing', () => {
+  const regularSeason = { submitGameResults: jest.fn() };
+  const springTraining = { submitGameResults: jest.fn() };
+
+  const makeGame = (gameId, gameType) => ({
+    gameId,
+    homeTeam: 'HOU',
+    awayTeam: 'NYY',
+    homeScore: 5,
+    awayScore: 3,
+    gameDate: 1684800000,
+    timestamp: 1684810800,
+    gameStatus: 'Final',
+    gameType
+  });
+
+  let service;
+
+  beforeEach(() => {
+    regularSeason.submitGameResults.mockReset();
+    springTraining.submitGameResults.mockReset();
+    service = new OracleSyncService(mockBaseballDataService, regularSeason, undefined, undefined, { S: springTraining, E: regularSeason });
+  });
+
+  test('should route each game type to its deployment, defaulting to the main oracle', () => {
+    expect(service.getBlockchainService('S')).toBe(springTraining);
+    expect(service.getBlockchainService('E')).toBe(regularSeason);
+    expect(service.getBlockchainService('R')).toBe(regularSeason);
+    expect(service.getBlockchainService()).toBe(regularSeason);
+  });
+
+  test('should reject game types other than the regular season without a deployment', () => {
+    expect(() => service.getBlockchainService('W')).toThrow('No blockchain service configured for game type W - cannot submit games');
+  });
+
+  test('should group games by the deployment that records them', () => {
+    const groups = service.groupByDeployment([makeGame(1, 'R'), makeGame(2, 'S'), makeGame(3), makeGame(4, 'E')]);
+
+    expect(groups.map(group => group.map(game => game.gameId))).toEqual([[1, 3, 4], [2]]);
+  });
+
+  test('should submit a batch to its deployment and reject batches that span deployments', async () => {
+    springTraining.submitGameResults.mockResolvedValue({ transactionHash: '0xs', outcomes: [] });
+
+    await service.submitGames([makeGame(2, 'S')]);
+
+    expect(springTraining.submitGameResults).toHaveBeenCalledTimes(1);
+    await expect(service.submitGames([makeGame(1, 'R'), makeGame(2, 'S')])).rejects.toThrow('Games for different oracle deployments must be submitted separately (game types R, S)');
+    expect(regularSeason.submitGameResults).not.toHaveBeenCalled();
+  });
+});
+
+describe('OracleSyncService getOpenGameDates', () => {
+  const gamesByDate = {
+    '2025-03-18': [{ gameId: 1, homeTeam: 'SEA', awayTeam: 'OAK', homeScore: 2, awayScore: 1, gameDate: 1742349600, gameEndTimestamp: 1742360400, gameStatus: 'Final', officialDate: '2025-03-18', venueTimeZone: 'America/Los_Angeles' }],
+    '2025-03-19': [{ gameId: 2, homeTeam: 'CHC', awayTeam: 'LAD', homeScore: 3, awayScore: 6, gameDate: 1742378400, gameEndTimestamp: 1742389200, gameStatus: 'InProgress', officialDate: '2025-03-19', venueTimeZone: 'Asia/Tokyo' }]
+  };
+
+  beforeEach(() => {
+    mockGetGamesForDate.mockReset();
+    mockGetGamesForDate.mockImplementation(async (date) => gamesByDate[date] ?? []);
+  });
+
+  test('should return every date that is the current game day at one of its venues', async () => {
+    const service = new OracleSyncService(mockBaseballDataService);
+
+    // 1 AM PDT on March 19, 5 PM JST on March 19
+    expect(await service.getOpenGameDates(new Date('2025-03-19T08:00:00Z'))).toEqual([
+      { date: '2025-03-18', games: [expect.objectContaining({ gameId: 1 })] },
+      { date: '2025-03-19', games: [expect.objectContaining({ gameId: 2 })] }
+    ]);
+
+    // 8 AM PDT on March 19: the Seattle game day is over
+    expect((await service.getOpenGameDates(new Date('2025-03-19T15:00:00Z'))).map(open => open.date)).toEqual(['2025-03-19']);
+  });
+
+  test('should prepare the games an open date was judged by without fetching them again', async () => {
+    const service = new OracleSyncService(mockBaseballDataService);
+    const [open] = await service.getOpenGameDates(new Date('2025-03-19T15:00:00Z'));
+    mockGetGamesForDate.mockClear();
+
+    expect(await service.prepareGamesForDate(new Date(open.date), [...open.games, { ...open.games[0], gameId: 3, gameStatus: 'Final' }]))
+      .toEqual([expect.objectContaining({ gameId: 3 })]);
+    expect(mockGetGamesForDate).not.toHaveBeenCalled();
+  });
+
+  test('should apply the game window in each venue time zone', async () => {
+    const service = new OracleSyncService(mockBaseballDataService);
+
+    // 9 AM PDT on March 18, before its window opens; 1 AM JST on March 19, still the 18th's window in Tokyo
+    const time = new Date('2025-03-18T16:00:00Z');
+
+    expect(await service.getOpenGameDates(time, 12, 6)).toEqual([]);
+    expect((await service.getOpenGameDates(time)).map(open => open.date)).toEqual(['2025-03-18']);
+  });
+});
@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import { BaseballDataService, TeamStanding } from '../api/BaseballDataService.js';
+import { OnChainTeam, OracleBlockchainService } from '../services/OracleBlockchainService.js';
+import { ReconciliationService } from '../services/ReconciliationService.js';
+
+function makeOnChainTeam(teamId: string, name: string, wins: number, losses: number, winPct: number): OnChainTeam {
+  return {
+    teamId,
+    name,
+    abbreviation: teamId,
+    wins,
+    losses,
+    winPct,
+    lastGameTimestamp: 1684810800,
+    lastUpdateTimestamp: 1684811000
+  };
+}
+
+describe('ReconciliationService', () => {
+  const standings: TeamStanding[] = [
+    { teamId: 'NYY', name: 'New York Yankees', mlbId: 147, wins: 30, losses: 20 },
+    { teamId: 'BOS', name: 'Boston Red Sox', mlbId: 111, wins: 25, losses: 25 },
+    { teamId: 'TOR', name: 'Toronto Blue Jays', mlbId: 141, wins: 2, losses: 1 }
+  ];
+
+  let mockGetStandings: jest.Mock<(season: number, date?: string) => Promise<TeamStanding[]>>;
+  let mockGetRegisteredTeams: jest.Mock<() => Promise<OnChainTeam[]>>;
+  let mockAdjustTeamRecord: jest.Mock<(teamId: string, wins: number, losses: number) => Promise<any>>;
+  let service: ReconciliationService;
+
+  beforeEach(() => {
+    mockGetStandings = jest.fn(async () => standings);
+    mockGetRegisteredTeams = jest.fn(async () => [
+      makeOnChainTeam('NYY', 'New York Yankees', 30, 20, 600),
+      makeOnChainTeam('BOS', 'Boston Red Sox', 26, 25, 510),
+      makeOnChainTeam('TOR', 'Toronto Blue Jays', 1, 1, 500)
+    ]);
+    mockAdjustTeamRecord = jest.fn(async (teamId: string) => ({
+      transactionHash: `0x${teamId}`,
+      blockNumber: 1,
+      gasUsed: 40000n
+    }));
+
+    const baseballDataService = { getStandings: mockGetStandings } as unknown as BaseballDataService;
+    const blockchainService = {
+      getRegisteredTeams: mockGetRegisteredTeams,
+      adjustTeamRecord: mockAdjustTeamRecord
+    } as unknown as OracleBlockchainService;
+
+    service = new ReconciliationService(baseballDataService, blockchainService);
+  });
+
+  describe('reconcile', () => {
+    it('should report teams whose wins or losses differ from the standings', async () => {
+      const report = await service.reconcile(2025, '2025-05-19');
+
+      expect(mockGetStandings).toHaveBeenCalledWith(2025, '2025-05-19');
+      expect(report.teamsChecked).toBe(3);
+      expect(report.discrepancies).toEqual([
+        {
+          teamId: 'BOS',
+          name: 'Boston Red Sox',
+          onChainWins: 26,
+          onChainLosses: 25,
+          onChainWinPct: 510,
+          officialWins: 25,
+          officialLosses: 25,
+          officialWinPct: 500
+        },
+        {
+          teamId: 'TOR',
+          name: 'Toronto Blue Jays',
+          onChainWins: 1,
+          onChainLosses: 1,
+          onChainWinPct: 500,
+          officialWins: 2,
+          officialLosses: 1,
+          officialWinPct: 667
+        }
+      ]);
+    });
+
+    it('should report no discrepancies when records match', async () => {
+      mockGetRegisteredTeams.mockResolvedValue([
+        makeOnChainTeam('NYY', 'New York Yankees', 30, 20, 600),
+        makeOnChainTeam('BOS', 'Boston Red Sox', 25, 25, 500),
+        makeOnChainTeam('TOR', 'Toronto Blue Jays', 2, 1, 667)
+      ]);
+
+      const report = await service.reconcile(2025);
+
+      expect(report.discrepancies).toEqual([]);
+    });
+
+    it('should separate unregistered teams and on-chain teams missing from the standings', async () => {
+      const expos = makeOnChainTeam('MON', 'Montreal Expos', 0, 0, 500);
+      mockGetRegisteredTeams.mockResolvedValue([
+        makeOnChainTeam('NYY', 'New York Yankees', 30, 20, 600),
+        expos
+      ]);
+
+      const report = await service.reconcile(2025);
+
+      expect(report.teamsChecked).toBe(1);
+      expect(report.unregistered.map(standing => standing.teamId)).toEqual(['BOS', 'TOR']);
+      expect(report.missingFromStandings).toEqual([expos]);
+    });
+  });
+
+  describe('applyAdjustments', () => {
+    it('should send adjustTeamRecord with the official record for each discrepancy', async () => {
+      const report = await service.reconcile(2025);
+
+      const { applied, failed } = await service.applyAdjustments(report.discrepancies);
+
+      expect(mockAdjustTeamRecord).toHaveBeenNthCalledWith(1, 'BOS', 25, 25, undefined);
+      expect(mockAdjustTeamRecord).toHaveBeenNthCalledWith(2, 'TOR', 2, 1, undefined);
+      expect(applied).toEqual([
+        { teamId: 'BOS', wins: 25, losses: 25, transactionHash: '0xBOS', blockNumber: 1, gasUsed: 40000n },
+        { teamId: 'TOR', wins: 2, losses: 1, transactionHash: '0xTOR', blockNumber: 1, gasUsed: 40000n }
+      ]);
+      expect(failed).toEqual([]);
+    });
+
+    it('should report a failed adjustment and still correct the remaining teams', async () => {
+      const report = await service.reconcile(2025);
+      mockAdjustTeamRecord.mockRejectedValueOnce(new Error('execution reverted'));
+
+      const { applied, failed } = await service.applyAdjustments(report.discrepancies);
+
+      expect(failed).toEqual([{ teamId: 'BOS', error: 'execution reverted' }]);
+      expect(applied.map(adjustment => adjustment.teamId)).toEqual(['TOR']);
+    });
+  });
+});
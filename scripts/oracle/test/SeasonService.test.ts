@@ -0,0 +1,158 @@
+import { jest } from '@jest/globals';
+import { BaseballDataService, SeasonDates } from '../api/BaseballDataService.js';
+import { OnChainSeasonState, OracleBlockchainService } from '../services/OracleBlockchainService.js';
+import { SeasonService } from '../services/SeasonService.js';
+
+const seasonDates: SeasonDates = {
+  season: 2025,
+  seasonStartDate: '2025-02-20',
+  regularSeasonStartDate: '2025-03-18',
+  regularSeasonEndDate: '2025-09-28'
+};
+
+// Noon ET on each day
+const PRESEASON = new Date('2025-03-01T17:00:00Z');
+const MID_SEASON = new Date('2025-06-01T16:00:00Z');
+const AFTER_SEASON = new Date('2025-10-01T16:00:00Z');
+
+const OPENED_LAST_YEAR = Date.parse('2024-03-20T18:00:00Z') / 1000;
+const CLOSED_LAST_YEAR = Date.parse('2024-10-01T18:00:00Z') / 1000;
+const OPENED_THIS_YEAR = Date.parse('2025-03-18T18:00:00Z') / 1000;
+const CLOSED_THIS_YEAR = Date.parse('2025-09-30T18:00:00Z') / 1000;
+
+describe('SeasonService', () => {
+  let state: OnChainSeasonState;
+  let mockSetSeasonActive: jest.Mock<(active: boolean) => Promise<any>>;
+  let service: SeasonService;
+
+  beforeEach(() => {
+    state = { active: false, startTimestamp: OPENED_LAST_YEAR, endTimestamp: CLOSED_LAST_YEAR };
+    mockSetSeasonActive = jest.fn(async () => ({ transactionHash: '0xseason', blockNumber: 1, gasUsed: 50000n }));
+
+    const baseballDataService = {
+      getSeasonDates: jest.fn(async () => seasonDates)
+    } as unknown as BaseballDataService;
+
+    const blockchainService = {
+      getSeasonState: jest.fn(async () => state),
+      setSeasonActive: mockSetSeasonActive
+    } as unknown as OracleBlockchainService;
+
+    service = new SeasonService(baseballDataService, blockchainService);
+  });
+
+  describe('getStatus', () => {
+    it('should not open the season before opening day', async () => {
+      const status = await service.getStatus(2025, PRESEASON);
+
+      expect(status).toMatchObject({ date: '2025-03-01', phase: 'preseason', openedThisSeason: false });
+      expect(status.due).toBeUndefined();
+    });
+
+    it('should call for opening the season once the regular season has started', async () => {
+      const status = await service.getStatus(2025, MID_SEASON);
+
+      expect(status).toMatchObject({ phase: 'regular-season', active: false, due: 'open' });
+    });
+
+    it('should not call for anything while the season is open', async () => {
+      state = { active: true, startTimestamp: OPENED_THIS_YEAR, endTimestamp: CLOSED_LAST_YEAR };
+
+      const status = await service.getStatus(2025, MID_SEASON);
+
+      expect(status.openedThisSeason).toBe(true);
+      expect(status.due).toBeUndefined();
+    });
+
+    it('should treat the last day as part of the season until the late-game cutoff', async () => {
+      state = { active: true, startTimestamp: OPENED_THIS_YEAR, endTimestamp: CLOSED_LAST_YEAR };
+
+      const beforeCutoff = await service.getStatus(2025, new Date('2025-09-29T08:00:00Z')); // 4AM ET
+      const afterCutoff = await service.getStatus(2025, new Date('2025-09-29T12:00:00Z'));  // 8AM ET
+
+      expect(beforeCutoff).toMatchObject({ date: '2025-09-28', phase: 'regular-season' });
+      expect(beforeCutoff.due).toBeUndefined();
+      expect(afterCutoff).toMatchObject({ date: '2025-09-29', phase: 'ended', due: 'close' });
+    });
+
+    it('should call for closing a season left open from an earlier year', async () => {
+      state = { active: true, startTimestamp: OPENED_LAST_YEAR, endTimestamp: 0 };
+
+      const status = await service.getStatus(2025, PRESEASON);
+
+      expect(status).toMatchObject({ openedThisSeason: false, due: 'close' });
+    });
+
+    it('should not reopen a season that was already opened and closed this year', async () => {
+      state = { active: false, startTimestamp: OPENED_THIS_YEAR, endTimestamp: CLOSED_THIS_YEAR };
+
+      const status = await service.getStatus(2025, AFTER_SEASON);
+
+      expect(status.due).toBeUndefined();
+    });
+  });
+
+  describe('getBlockers', () => {
+    it('should never allow opening a season that is already active', async () => {
+      state = { active: true, startTimestamp: OPENED_THIS_YEAR, endTimestamp: CLOSED_LAST_YEAR };
+      const status = await service.getStatus(2025, MID_SEASON);
+
+      expect(service.getBlockers(status, 'open')).toEqual([
+        { reason: expect.stringContaining('would reset every team record'), forceable: false }
+      ]);
+    });
+
+    it('should block opening outside the regular season or a second time in a year unless forced', async () => {
+      expect(service.getBlockers(await service.getStatus(2025, PRESEASON), 'open')).toEqual([
+        { reason: 'The 2025 regular season does not start until 2025-03-18', forceable: true }
+      ]);
+
+      state = { active: false, startTimestamp: OPENED_THIS_YEAR, endTimestamp: CLOSED_THIS_YEAR };
+      const blockers = service.getBlockers(await service.getStatus(2025, AFTER_SEASON), 'open');
+
+      expect(blockers.map(blocker => blocker.forceable)).toEqual([true, true]);
+      expect(blockers[0].reason).toContain('already opened 2025-03-18T18:00:00.000Z and closed 2025-09-30T18:00:00.000Z');
+    });
+
+    it('should block closing a season mid-way unless forced, and closing an inactive season always', async () => {
+      state = { active: true, startTimestamp: OPENED_THIS_YEAR, endTimestamp: CLOSED_LAST_YEAR };
+      expect(service.getBlockers(await service.getStatus(2025, MID_SEASON), 'close')).toEqual([
+        { reason: expect.stringContaining('runs until 2025-09-28'), forceable: true }
+      ]);
+
+      state = { active: false, startTimestamp: OPENED_THIS_YEAR, endTimestamp: CLOSED_THIS_YEAR };
+      expect(service.getBlockers(await service.getStatus(2025, AFTER_SEASON), 'close')).toEqual([
+        { reason: 'The season is not active', forceable: false }
+      ]);
+    });
+  });
+
+  describe('transition', () => {
+    it('should open the season when it is due', async () => {
+      const status = await service.getStatus(2025, MID_SEASON);
+
+      const transition = await service.transition(status, 'open');
+
+      expect(mockSetSeasonActive).toHaveBeenCalledWith(true, undefined);
+      expect(transition).toEqual({ season: 2025, action: 'open', transactionHash: '0xseason', blockNumber: 1, gasUsed: 50000n });
+    });
+
+    it('should refuse a blocked transition without sending it', async () => {
+      const status = await service.getStatus(2025, PRESEASON);
+
+      await expect(service.transition(status, 'open')).rejects.toThrow('Refusing to open the season: The 2025 regular season does not start until 2025-03-18');
+      expect(mockSetSeasonActive).not.toHaveBeenCalled();
+    });
+
+    it('should override forceable blockers only when forced', async () => {
+      state = { active: true, startTimestamp: OPENED_THIS_YEAR, endTimestamp: CLOSED_LAST_YEAR };
+      const status = await service.getStatus(2025, MID_SEASON);
+
+      await service.transition(status, 'close', true);
+      await expect(service.transition(status, 'open', true)).rejects.toThrow('Refusing to open the season');
+
+      expect(mockSetSeasonActive).toHaveBeenCalledTimes(1);
+      expect(mockSetSeasonActive).toHaveBeenCalledWith(false, undefined);
+    });
+  });
+});
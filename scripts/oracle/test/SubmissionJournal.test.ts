@@ -0,0 +1,214 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { GameDataProvider } from '../api/GameDataProvider.js';
+import { OracleBlockchainService } from '../services/OracleBlockchainService.js';
+import { OracleGameData, OracleSyncService } from '../services/OracleSyncService.js';
+import { JournalGame, sendJournaled, SubmissionJournal } from '../services/SubmissionJournal.js';
+import { hashPayload } from '../utils/hash.js';
+
+function makeJournalGame(gameId: number, date: string, homeTeam: string, awayTeam: string): JournalGame {
+  return { gameId, date, homeTeam, awayTeam, homeScore: 4, awayScore: 2, gameStatus: 'Final' };
+}
+
+function makeGame(gameId: number, gameStatus: string = 'Final'): OracleGameData {
+  return {
+    gameId,
+    homeTeam: 'BAL',
+    awayTeam: 'NYY',
+    homeScore: 3,
+    awayScore: 5,
+    gameDate: 1718060700,
+    timestamp: 1718131491,
+    gameStatus
+  };
+}
+
+describe('SubmissionJournal', () => {
+  let tempDir: string;
+  let journalPath: string;
+  let journal: SubmissionJournal;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'journal-'));
+    journalPath = join(tempDir, 'oracle-journal.jsonl');
+    journal = new SubmissionJournal(journalPath);
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should return no entries when the journal does not exist', () => {
+    expect(journal.read()).toEqual([]);
+  });
+
+  it('should append one timestamped JSON line per entry', () => {
+    journal.append({ type: 'prepared', action: 'recordBatchGameResults', games: [makeJournalGame(1, '2024-05-04', 'BAL', 'NYY')], payloadHash: 'a' });
+    journal.append({ type: 'failed', action: 'recordBatchGameResults', games: [makeJournalGame(1, '2024-05-04', 'BAL', 'NYY')], payloadHash: 'a', error: 'reverted' });
+
+    const lines = readFileSync(journalPath, 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[1])).toMatchObject({ type: 'failed', error: 'reverted' });
+    expect(journal.read().every(entry => !isNaN(Date.parse(entry.recordedAt)))).toBe(true);
+  });
+
+  it('should filter entries by date, game ID and team', () => {
+    journal.append({ type: 'prepared', action: 'recordBatchGameResults', games: [makeJournalGame(1, '2024-05-04', 'BAL', 'NYY')], payloadHash: 'a' });
+    journal.append({ type: 'prepared', action: 'recordBatchGameResults', games: [makeJournalGame(2, '2024-05-05', 'BOS', 'TOR')], payloadHash: 'b' });
+    journal.append({ type: 'prepared', action: 'recordBatchGameResults', games: [makeJournalGame(3, '2024-05-05', 'NYY', 'BOS')], payloadHash: 'c' });
+
+    expect(journal.read({ date: '2024-05-05' }).map(entry => entry.payloadHash)).toEqual(['b', 'c']);
+    expect(journal.read({ gameId: 1 }).map(entry => entry.payloadHash)).toEqual(['a']);
+    expect(journal.read({ team: 'nyy' }).map(entry => entry.payloadHash)).toEqual(['a', 'c']);
+    expect(journal.read({ date: '2024-05-05', team: 'NYY' }).map(entry => entry.payloadHash)).toEqual(['c']);
+  });
+
+  it('should match team writes by their team ID', () => {
+    journal.append({ type: 'prepared', action: 'adjustTeamRecord', games: [], args: { teamId: 'NYY', wins: 10, losses: 5 }, payloadHash: 'a' });
+    journal.append({ type: 'prepared', action: 'adjustTeamRecord', games: [], args: { teamId: 'BOS', wins: 8, losses: 7 }, payloadHash: 'b' });
+
+    expect(journal.read({ team: 'nyy' }).map(entry => entry.payloadHash)).toEqual(['a']);
+  });
+
+  describe('record', () => {
+    const intent = { action: 'setSeasonActive' as const, account: '0xabc', games: [], args: { season: 2024, active: true }, payloadHash: 'a' };
+    const receipt = { transactionHash: '0xfeed', blockNumber: 12, gasUsed: 21000n };
+
+    it('should journal the intent before the transaction is signed, then its hash and receipt', async () => {
+      const send = jest.fn(async (onSent: (transactionHash: string) => void) => {
+        expect(journal.read().map(entry => entry.type)).toEqual(['prepared']);
+        onSent('0xfeed');
+        return receipt;
+      });
+
+      await expect(journal.record(intent, send)).resolves.toBe(receipt);
+
+      expect(journal.read()).toEqual([
+        expect.objectContaining({ type: 'prepared', ...intent }),
+        expect.objectContaining({ type: 'sent', ...intent, transactionHash: '0xfeed' }),
+        expect.objectContaining({ type: 'submitted', ...intent, transactionHash: '0xfeed', blockNumber: 12, gasUsed: '21000' })
+      ]);
+    });
+
+    it('should journal a transaction that was sent but reverted with its hash and rethrow the error', async () => {
+      const send = async (onSent: (transactionHash: string) => void) => {
+        onSent('0xfeed');
+        throw new Error('execution reverted');
+      };
+
+      await expect(journal.record(intent, send)).rejects.toThrow('execution reverted');
+
+      expect(journal.read().map(entry => entry.type)).toEqual(['prepared', 'sent', 'failed']);
+      expect(journal.read()[2]).toMatchObject({ transactionHash: '0xfeed', error: 'execution reverted' });
+    });
+  });
+
+  describe('sendJournaled', () => {
+    const blockchainService = {
+      getSignerAddress: jest.fn<any>().mockResolvedValue('0xabc')
+    } as unknown as OracleBlockchainService;
+    const args = { teamId: 'NYY', name: 'New York Yankees', abbreviation: 'NYY' };
+
+    it('should journal the write with its arguments and signing account', async () => {
+      const send = jest.fn<any>().mockResolvedValue({ transactionHash: '0xfeed', blockNumber: 12, gasUsed: 21000n });
+
+      await sendJournaled(journal, blockchainService, { action: 'registerTeam', args, payload: args }, send);
+
+      expect(journal.read().map(entry => entry.type)).toEqual(['prepared', 'submitted']);
+      expect(journal.read()[0]).toEqual(expect.objectContaining({
+        action: 'registerTeam',
+        account: '0xabc',
+        games: [],
+        args,
+        payloadHash: hashPayload(args)
+      }));
+    });
+
+    it('should just send the write without a journal', async () => {
+      const send = jest.fn<any>().mockResolvedValue({ transactionHash: '0xfeed', blockNumber: 12, gasUsed: 21000n });
+
+      await sendJournaled(undefined, blockchainService, { action: 'registerTeam', args, payload: args }, send);
+
+      expect(send).toHaveBeenCalledWith();
+      expect(journal.read()).toEqual([]);
+    });
+  });
+
+  describe('OracleSyncService journaling', () => {
+    const account = '0x1234567890123456789012345678901234567890';
+    let mockSubmitGameResults: jest.Mock<any>;
+    let syncService: OracleSyncService;
+
+    beforeEach(() => {
+      const provider = {
+        name: 'mlb',
+        getGamesForDate: jest.fn<any>().mockResolvedValue([makeGame(1), makeGame(2, 'InProgress')]),
+        getResponseHashes: () => ({ mlb: 'f00d' }),
+        getTeamAliasVersions: () => ({ mlb: 1 })
+      } as unknown as GameDataProvider;
+
+      mockSubmitGameResults = jest.fn<any>();
+      const blockchainService = {
+        getSignerAddress: jest.fn<any>().mockResolvedValue(account),
+        submitGameResults: mockSubmitGameResults
+      } as unknown as OracleBlockchainService;
+
+      syncService = new OracleSyncService(provider, blockchainService, undefined, journal);
+    });
+
+    it('should record the prepared batch with its payload and source hashes before submitting it', async () => {
+      mockSubmitGameResults.mockResolvedValue({ transactionHash: '0xabc', blockNumber: 12, gasUsed: 21000n, gamesProcessed: 1, outcomes: [] });
+
+      const games = await syncService.prepareGamesForDate(new Date('2024-05-04'));
+      await syncService.submitGames(games);
+
+      expect(journal.read()[0]).toEqual(expect.objectContaining({
+        type: 'prepared',
+        action: 'recordBatchGameResults',
+        account,
+        games: [expect.objectContaining({ gameId: 1, date: '2024-05-04' })],
+        payloadHash: hashPayload(games),
+        sourceHashes: { mlb: 'f00d' },
+        teamAliasVersions: { mlb: 1 }
+      }));
+    });
+
+    it('should not record games that are prepared but never submitted', async () => {
+      await syncService.prepareGamesForDate(new Date('2024-05-04'));
+      await syncService.prepareGamesForDate(new Date('2024-05-04'));
+
+      expect(journal.read()).toEqual([]);
+    });
+
+    it('should record the hash and receipt of a submitted batch', async () => {
+      mockSubmitGameResults.mockImplementation(async (_games: OracleGameData[], onSent: (transactionHash: string) => void) => {
+        onSent('0xabc');
+        return { transactionHash: '0xabc', blockNumber: 12, gasUsed: 21000n, gamesProcessed: 1, outcomes: [] };
+      });
+
+      const games = await syncService.prepareGamesForDate(new Date('2024-05-04'));
+      await syncService.submitGames(games);
+
+      const [, sent, submitted] = journal.read();
+      expect(sent).toMatchObject({ type: 'sent', transactionHash: '0xabc', games: [{ gameId: 1, date: '2024-05-04' }] });
+      expect(submitted).toMatchObject({
+        type: 'submitted',
+        transactionHash: '0xabc',
+        blockNumber: 12,
+        gasUsed: '21000',
+        games: [{ gameId: 1, date: '2024-05-04' }]
+      });
+      expect(journal.read({ date: '2024-05-04', gameId: 1 })).toHaveLength(3);
+    });
+
+    it('should record a failed transaction and rethrow the error', async () => {
+      mockSubmitGameResults.mockRejectedValue(new Error('execution reverted'));
+
+      await expect(syncService.submitGames([makeGame(1)])).rejects.toThrow('execution reverted');
+      expect(journal.read().map(entry => entry.type)).toEqual(['prepared', 'failed']);
+      expect(journal.read()[1]).toEqual(expect.objectContaining({ type: 'failed', account, error: 'execution reverted' }));
+    });
+  });
+});
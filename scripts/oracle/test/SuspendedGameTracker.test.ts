@@ -0,0 +1,135 @@
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { BaseballDataService } from '../api/BaseballDataService.js';
+import { MLBApiClient } from '../api/MLBApiClient.js';
+import { ReplayTransport } from '../api/transport.js';
+import { OracleGameData, OracleSyncService } from '../services/OracleSyncService.js';
+import { SuspendedGameTracker } from '../services/SuspendedGameTracker.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'suspended-game');
+
+function makeGame(gameId: number, gameStatus: string, extra: Partial<OracleGameData> = {}): OracleGameData {
+  return {
+    gameId,
+    homeTeam: 'BAL',
+    awayTeam: 'NYY',
+    homeScore: 3,
+    awayScore: 5,
+    gameDate: 1718060700,
+    timestamp: 1718131491,
+    gameStatus,
+    ...extra
+  };
+}
+
+describe('SuspendedGameTracker', () => {
+  let tempDir: string;
+  let statePath: string;
+  let tracker: SuspendedGameTracker;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'suspended-'));
+    statePath = join(tempDir, 'suspended-games.json');
+    tracker = new SuspendedGameTracker(statePath);
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('track', () => {
+    it('should pass games that were never suspended straight through without writing state', () => {
+      const games = [makeGame(1, 'Final'), makeGame(2, 'InProgress')];
+
+      expect(tracker.track('2024-06-10', games)).toEqual(games);
+      expect(existsSync(statePath)).toBe(false);
+    });
+
+    it('should remember suspended games and when they resume', () => {
+      tracker.track('2024-06-10', [makeGame(746100, 'Suspended')]);
+      tracker.track('2024-06-10', [makeGame(746100, 'Suspended', { resumeDate: '2024-06-11' })]);
+
+      expect(tracker.getPending()).toEqual([
+        { gameId: 746100, homeTeam: 'BAL', awayTeam: 'NYY', suspendedOn: '2024-06-10', resumeDate: '2024-06-11' }
+      ]);
+    });
+
+    it('should release a final result only on the date it was first seen final', () => {
+      tracker.track('2024-06-10', [makeGame(746100, 'Suspended')]);
+
+      expect(tracker.track('2024-06-11', [makeGame(746100, 'Final')])).toHaveLength(1);
+      expect(tracker.track('2024-06-11', [makeGame(746100, 'Final')])).toHaveLength(1);
+      expect(tracker.track('2024-06-12', [makeGame(746100, 'Final')])).toEqual([]);
+
+      expect(tracker.getGame(746100)?.completedOn).toBe('2024-06-11');
+      expect(tracker.getPending()).toEqual([]);
+    });
+
+    it('should pick up resumed games whose suspension it never saw', () => {
+      tracker.track('2024-06-11', [makeGame(746100, 'Final', { resumedFrom: '2024-06-10' })]);
+
+      expect(JSON.parse(readFileSync(statePath, 'utf8')).games['746100']).toEqual({
+        gameId: 746100,
+        homeTeam: 'BAL',
+        awayTeam: 'NYY',
+        suspendedOn: '2024-06-10',
+        completedOn: '2024-06-11'
+      });
+    });
+  });
+
+  describe('suspended -> resumed -> Final lifecycle', () => {
+    function createSyncService(stage: string): OracleSyncService {
+      const apiClient = new MLBApiClient(undefined, { transport: new ReplayTransport(join(fixturesDir, stage)) });
+      return new OracleSyncService(new BaseballDataService(apiClient), undefined, tracker);
+    }
+
+    const suspendedOn = new Date('2024-06-10T00:00:00Z');
+    const resumedOn = new Date('2024-06-11T00:00:00Z');
+
+    it('should record the game once, on the date it completes', async () => {
+      // Suspended in the middle of play - nothing to record
+      let syncService = createSyncService('1-suspended');
+      expect(await syncService.prepareGamesForDate(suspendedOn)).toEqual([]);
+      expect(tracker.getPending()).toMatchObject([{ gameId: 746100, suspendedOn: '2024-06-10', resumeDate: '2024-06-11' }]);
+
+      // Resumed but not finished
+      syncService = createSyncService('2-resumed');
+      expect(await syncService.prepareGamesForDate(suspendedOn)).toEqual([]);
+      expect(await syncService.prepareGamesForDate(resumedOn)).toEqual([]);
+      expect(tracker.getPending()).toHaveLength(1);
+
+      // Final - the original date's listing also shows the final score, but is not recorded
+      syncService = createSyncService('3-final');
+      expect(await syncService.prepareGamesForDate(suspendedOn)).toEqual([]);
+      expect(await syncService.prepareGamesForDate(resumedOn)).toEqual([
+        {
+          gameId: 746100,
+          homeTeam: 'BAL',
+          awayTeam: 'NYY',
+          homeScore: 3,
+          awayScore: 5,
+          gameDate: 1718060832,
+          timestamp: 1718131491,
+          gameStatus: 'Final',
+          gameType: 'R',
+          officialDate: '2024-06-11',
+          venueTimeZone: 'America/New_York',
+          endTimeEstimated: false,
+          resumedFrom: '2024-06-10'
+        }
+      ]);
+
+      expect(tracker.getPending()).toEqual([]);
+      expect(tracker.getGame(746100)?.completedOn).toBe('2024-06-11');
+    });
+
+    it('should report the original listing as suspended once the game has resumed', async () => {
+      const games = await createSyncService('3-final').getGamesForDate(suspendedOn);
+
+      expect(games).toMatchObject([{ gameId: 746100, gameStatus: 'Suspended', resumeDate: '2024-06-11' }]);
+    });
+  });
+});
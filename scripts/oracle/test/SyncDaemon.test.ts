@@ -0,0 +1,255 @@
+import { jest } from '@jest/globals';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { OracleBlockchainService } from '../services/OracleBlockchainService.js';
+import { OracleMetrics } from '../services/OracleMetrics.js';
+import { OracleGameData, OracleSyncService } from '../services/OracleSyncService.js';
+import { SyncDaemon } from '../services/SyncDaemon.js';
+
+function makeGame(gameId: number): OracleGameData {
+  return {
+    gameId,
+    homeTeam: 'HOU',
+    awayTeam: 'NYY',
+    homeScore: 5,
+    awayScore: 3,
+    gameDate: 1684800000,
+    timestamp: 1684810800,
+    gameStatus: 'Final'
+  };
+}
+
+describe('SyncDaemon', () => {
+  // 7 PM EDT on 2025-05-01
+  const evening = new Date('2025-05-01T23:00:00Z');
+
+  let finalGames: OracleGameData[];
+  let mockGetGamesForDate: jest.Mock<(date: Date) => Promise<OracleGameData[]>>;
+  let mockPrepareGamesForDate: jest.Mock<(date: Date, games?: OracleGameData[]) => Promise<OracleGameData[]>>;
+  let mockIsGameRecorded: jest.Mock<(gameId: number) => Promise<boolean>>;
+  let mockSubmitGames: jest.Mock<(games: OracleGameData[]) => Promise<any>>;
+  let syncService: OracleSyncService;
+  let blockchainService: OracleBlockchainService;
+  let tempDir: string;
+  let statePath: string;
+
+  beforeEach(() => {
+    finalGames = [makeGame(1), makeGame(2)];
+    mockGetGamesForDate = jest.fn(async () => finalGames);
+    mockPrepareGamesForDate = jest.fn(async () => finalGames);
+    mockIsGameRecorded = jest.fn(async () => false);
+    mockSubmitGames = jest.fn(async (games: OracleGameData[]) => ({
+      transactionHash: `0x${games[0].gameId}`,
+      blockNumber: 1,
+      gasUsed: 100_000n,
+      gamesProcessed: games.length,
+      outcomes: games.map(game => ({ gameId: game.gameId, status: 'recorded' }))
+    }));
+
+    blockchainService = {
+      isGameRecorded: mockIsGameRecorded
+    } as unknown as OracleBlockchainService;
+    // getOpenGameDates is the real implementation, run against the mocked schedule
+    syncService = {
+      getGamesForDate: mockGetGamesForDate,
+      getOpenGameDates: OracleSyncService.prototype.getOpenGameDates,
+      prepareGamesForDate: mockPrepareGamesForDate,
+      submitGames: mockSubmitGames,
+      getBlockchainService: () => blockchainService,
+      groupByDeployment: (games: OracleGameData[]) => games.length > 0 ? [games] : []
+    } as unknown as OracleSyncService;
+
+    tempDir = mkdtempSync(join(tmpdir(), 'daemon-'));
+    statePath = join(tempDir, 'daemon-state.json');
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function createDaemon(options: Partial<ConstructorParameters<typeof SyncDaemon>[1]> = {}): SyncDaemon {
+    return new SyncDaemon(syncService, { statePath, log: () => {}, ...options });
+  }
+
+  describe('tick', () => {
+    it('should do nothing outside the game window', async () => {
+      const [result] = await createDaemon().tick(new Date('2025-05-01T14:00:00Z'));
+
+      expect(result.skippedReason).toBe('outside game window');
+      expect(mockPrepareGamesForDate).not.toHaveBeenCalled();
+      expect(existsSync(statePath)).toBe(false);
+    });
+
+    it('should submit newly final games and persist them', async () => {
+      const results = await createDaemon().tick(evening);
+
+      expect(mockPrepareGamesForDate.mock.calls[0][0].toISOString()).toMatch(/^2025-05-01/);
+      expect(mockPrepareGamesForDate.mock.calls[0][1]).toBe(finalGames); // As fetched to find the open dates
+      expect(mockGetGamesForDate).toHaveBeenCalledTimes(2); // Each candidate day, once
+      expect(mockSubmitGames).toHaveBeenCalledWith(finalGames);
+      expect(results).toEqual([{ date: '2025-05-01', newlyFinal: 2, recorded: 2, skipped: 0 }]);
+
+      const state = JSON.parse(readFileSync(statePath, 'utf8'));
+      expect(state.syncedGames).toEqual({ '2025-05-01': [1, 2] });
+      expect(state.lastSyncDate).toBe('2025-05-01');
+      expect(state.lastRunAt).toBe(evening.toISOString());
+    });
+
+    it('should sync the previous day before the cutoff hour', async () => {
+      const results = await createDaemon().tick(new Date('2025-05-02T05:00:00Z')); // 1 AM EDT
+
+      expect(results.map(result => result.date)).toEqual(['2025-05-01']);
+    });
+
+    it('should sync a date whose venue is inside its game window while Eastern Time is not', async () => {
+      const tokyoGame = { ...makeGame(9), officialDate: '2025-03-19', venueTimeZone: 'Asia/Tokyo' };
+      mockGetGamesForDate.mockImplementation(async (date: Date) => date.toISOString().startsWith('2025-03-19') ? [tokyoGame] : []);
+      mockPrepareGamesForDate.mockResolvedValue([tokyoGame]);
+
+      // 6:30 AM EDT, 7:30 PM JST
+      const results = await createDaemon().tick(new Date('2025-03-19T10:30:00Z'));
+
+      expect(results).toEqual([{ date: '2025-03-19', newlyFinal: 1, recorded: 1, skipped: 0 }]);
+    });
+
+    it('should sync every date with a venue inside its game window', async () => {
+      const seattleGame = { ...makeGame(8), officialDate: '2025-03-18', venueTimeZone: 'America/Los_Angeles' };
+      const tokyoGame = { ...makeGame(9), officialDate: '2025-03-19', venueTimeZone: 'Asia/Tokyo' };
+      mockGetGamesForDate.mockImplementation(async (date: Date) => {
+        const day = date.toISOString().split('T')[0];
+        return [seattleGame, tokyoGame].filter(game => game.officialDate === day);
+      });
+
+      // 1 AM PDT (a late game in Seattle), 5 PM JST
+      const results = await createDaemon().tick(new Date('2025-03-19T08:00:00Z'));
+
+      expect(results.map(result => result.date)).toEqual(['2025-03-18', '2025-03-19']);
+    });
+
+    it('should only submit games that became final since the last tick', async () => {
+      const daemon = createDaemon();
+      await daemon.tick(evening);
+
+      finalGames = [makeGame(1), makeGame(2), makeGame(3)];
+      const [result] = await daemon.tick(new Date('2025-05-01T23:10:00Z'));
+
+      expect(mockSubmitGames).toHaveBeenLastCalledWith([makeGame(3)]);
+      expect(result.newlyFinal).toBe(1);
+      expect(mockIsGameRecorded).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not resubmit games after a restart', async () => {
+      await createDaemon().tick(evening);
+      mockSubmitGames.mockClear();
+
+      const [result] = await createDaemon().tick(new Date('2025-05-01T23:10:00Z'));
+
+      expect(mockSubmitGames).not.toHaveBeenCalled();
+      expect(result.newlyFinal).toBe(0);
+    });
+
+    it('should skip games already recorded on-chain without submitting them', async () => {
+      mockIsGameRecorded.mockImplementation(async (gameId: number) => gameId === 1);
+
+      await createDaemon().tick(evening);
+
+      expect(mockSubmitGames).toHaveBeenCalledWith([makeGame(2)]);
+      expect(JSON.parse(readFileSync(statePath, 'utf8')).syncedGames['2025-05-01']).toEqual([1, 2]);
+    });
+
+    it('should remember games the contract skipped and not retry them', async () => {
+      mockSubmitGames.mockResolvedValueOnce({
+        transactionHash: '0x1',
+        blockNumber: 1,
+        gasUsed: 100_000n,
+        gamesProcessed: 2,
+        outcomes: [
+          { gameId: 1, status: 'recorded' },
+          { gameId: 2, status: 'skipped', reason: 'Invalid team' }
+        ]
+      });
+
+      const daemon = createDaemon();
+      const [result] = await daemon.tick(evening);
+      await daemon.tick(new Date('2025-05-01T23:10:00Z'));
+
+      expect(result).toMatchObject({ recorded: 1, skipped: 1 });
+      expect(mockSubmitGames).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(readFileSync(statePath, 'utf8')).skippedGames).toEqual({ '2025-05-01': { '2': 'Invalid team' } });
+    });
+
+    it('should split submissions into batches', async () => {
+      finalGames = [makeGame(1), makeGame(2), makeGame(3)];
+
+      await createDaemon({ batchSize: 2 }).tick(evening);
+
+      expect(mockSubmitGames).toHaveBeenNthCalledWith(1, [makeGame(1), makeGame(2)]);
+      expect(mockSubmitGames).toHaveBeenNthCalledWith(2, [makeGame(3)]);
+    });
+
+    it('should skip a tick while the previous one is still running', async () => {
+      let release: () => void = () => {};
+      mockGetGamesForDate.mockImplementationOnce(() => new Promise(resolve => {
+        release = () => resolve(finalGames);
+      }));
+
+      const daemon = createDaemon();
+      const first = daemon.tick(evening);
+      const [second] = await daemon.tick(evening);
+      release();
+      await first;
+
+      expect(second.skippedReason).toBe('previous sync still running');
+      expect(mockPrepareGamesForDate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should drop synced and skipped dates older than a week', async () => {
+      writeFileSync(statePath, JSON.stringify({
+        syncedGames: { '2025-04-20': [100], '2025-04-30': [200] },
+        skippedGames: { '2025-04-20': { '101': 'Invalid team' }, '2025-04-30': { '201': 'Invalid team' } }
+      }));
+
+      await createDaemon().tick(evening);
+
+      const state = JSON.parse(readFileSync(statePath, 'utf8'));
+      expect(Object.keys(state.syncedGames)).toEqual(['2025-04-30', '2025-05-01']);
+      expect(state.skippedGames).toEqual({ '2025-04-30': { '201': 'Invalid team' } });
+    });
+  });
+
+  describe('metrics', () => {
+    let metrics: OracleMetrics;
+
+    beforeEach(() => {
+      metrics = new OracleMetrics(blockchainService, { startedAt: evening, staleAfterSeconds: 1800 });
+    });
+
+    it('should record each completed tick and the gas of every transaction', async () => {
+      await createDaemon({ metrics, batchSize: 1 }).tick(evening);
+
+      expect(metrics.getHealth(evening)).toMatchObject({ healthy: true, lastSuccessAt: evening.toISOString() });
+      const output = await metrics.registry.metrics();
+      expect(output).toContain(`oracle_last_sync_timestamp_seconds ${evening.getTime() / 1000}`);
+      expect(output).toContain('oracle_transaction_gas_used_count 2');
+      expect(output).toContain('oracle_transaction_gas_used_sum 200000');
+    });
+
+    it('should count a tick outside the game window as a successful sync', async () => {
+      const morning = new Date('2025-05-01T14:00:00Z');
+
+      await createDaemon({ metrics }).tick(morning);
+
+      expect(metrics.getHealth(morning).lastSuccessAt).toBe(morning.toISOString());
+    });
+
+    it('should count failed ticks without marking the daemon as synced', async () => {
+      mockPrepareGamesForDate.mockRejectedValueOnce(new Error('MLB API down'));
+
+      await expect(createDaemon({ metrics }).tick(evening)).rejects.toThrow('MLB API down');
+
+      expect(metrics.getHealth(evening).lastSuccessAt).toBeUndefined();
+      expect(await metrics.registry.metrics()).toContain('oracle_sync_errors_total 1');
+    });
+  });
+});
@@ -0,0 +1,36 @@
+import { jest } from '@jest/globals';
+import { BaseballDataService, GameScore } from '../api/BaseballDataService.js';
+import { TeamMetricsService } from '../services/TeamMetricsService.js';
+
+describe('TeamMetricsService', () => {
+  let mockGetTeamGameScores: jest.Mock<(teamId: string, from: string, to: string) => Promise<GameScore[]>>;
+  let service: TeamMetricsService;
+
+  beforeEach(() => {
+    mockGetTeamGameScores = jest.fn(async () => [
+      { gameId: 1, officialDate: '2024-04-01', homeTeam: 'NYY', awayTeam: 'BOS', homeScore: 5, awayScore: 3 }
+    ]);
+    service = new TeamMetricsService({ getTeamGameScores: mockGetTeamGameScores } as unknown as BaseballDataService);
+  });
+
+  it('should build metrics from the season up to the given date', async () => {
+    const metrics = await service.getTeamMetrics('nyy', 2024, '2024-06-30');
+
+    expect(mockGetTeamGameScores).toHaveBeenCalledWith('NYY', '2024-01-01', '2024-06-30');
+    expect(metrics).toMatchObject({ teamId: 'NYY', season: 2024, asOf: '2024-06-30', wins: 1, runDifferential: 2 });
+  });
+
+  it('should stop at the end of a past season', async () => {
+    const metrics = await service.getTeamMetrics('NYY', 2024, '2026-10-19');
+
+    expect(mockGetTeamGameScores).toHaveBeenCalledWith('NYY', '2024-01-01', '2024-12-31');
+    expect(metrics.asOf).toBe('2024-12-31');
+  });
+
+  it('should not fetch games for a season that has not started', async () => {
+    const metrics = await service.getTeamMetrics('NYY', 2027, '2026-10-19');
+
+    expect(mockGetTeamGameScores).not.toHaveBeenCalled();
+    expect(metrics.gamesPlayed).toBe(0);
+  });
+});
@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import { BaseballDataService, Team } from '../api/BaseballDataService.js';
+import { OnChainTeam, OracleBlockchainService } from '../services/OracleBlockchainService.js';
+import { TeamRegistrationService } from '../services/TeamRegistrationService.js';
+
+function makeOnChainTeam(teamId: string, name: string, abbreviation: string = teamId): OnChainTeam {
+  return {
+    teamId,
+    name,
+    abbreviation,
+    wins: 0,
+    losses: 0,
+    winPct: 500,
+    lastGameTimestamp: 0,
+    lastUpdateTimestamp: 1684800000
+  };
+}
+
+describe('TeamRegistrationService', () => {
+  const mlbTeams: Team[] = [
+    { teamId: 'NYY', name: 'New York Yankees', abbreviation: 'NYY', mlbId: 147 },
+    { teamId: 'BOS', name: 'Boston Red Sox', abbreviation: 'BOS', mlbId: 111 },
+    { teamId: 'CLE', name: 'Cleveland Guardians', abbreviation: 'CLE', mlbId: 114 },
+    { teamId: 'ATH', name: 'Athletics', abbreviation: 'ATH', mlbId: 133 }
+  ];
+
+  let mockGetAllTeams: jest.Mock<() => Promise<Team[]>>;
+  let mockGetRegisteredTeams: jest.Mock<() => Promise<OnChainTeam[]>>;
+  let mockRegisterTeam: jest.Mock<(teamId: string, name: string, abbreviation: string) => Promise<any>>;
+  let service: TeamRegistrationService;
+
+  beforeEach(() => {
+    mockGetAllTeams = jest.fn(async () => mlbTeams);
+    mockGetRegisteredTeams = jest.fn(async () => []);
+    mockRegisterTeam = jest.fn(async (teamId: string) => ({
+      transactionHash: `0x${teamId}`,
+      blockNumber: 1,
+      gasUsed: 150000n
+    }));
+
+    const baseballDataService = { getAllTeams: mockGetAllTeams } as unknown as BaseballDataService;
+    const blockchainService = {
+      getRegisteredTeams: mockGetRegisteredTeams,
+      registerTeam: mockRegisterTeam
+    } as unknown as OracleBlockchainService;
+
+    service = new TeamRegistrationService(baseballDataService, blockchainService);
+  });
+
+  describe('planRegistration', () => {
+    it('should list every MLB team as missing on a fresh deployment', async () => {
+      const plan = await service.planRegistration();
+
+      expect(plan.missing.map(team => team.teamId)).toEqual(['NYY', 'BOS', 'CLE', 'ATH']);
+      expect(plan.drifted).toEqual([]);
+      expect(plan.unknownOnChain).toEqual([]);
+      expect(plan.registeredCount).toBe(0);
+    });
+
+    it('should only list teams that are not registered', async () => {
+      mockGetRegisteredTeams.mockResolvedValue([
+        makeOnChainTeam('NYY', 'New York Yankees'),
+        makeOnChainTeam('BOS', 'Boston Red Sox')
+      ]);
+
+      const plan = await service.planRegistration();
+
+      expect(plan.missing.map(team => team.teamId)).toEqual(['CLE', 'ATH']);
+      expect(plan.registeredCount).toBe(2);
+    });
+
+    it('should flag name and abbreviation drift on matching team IDs', async () => {
+      mockGetRegisteredTeams.mockResolvedValue([
+        makeOnChainTeam('NYY', 'NY Yankees'),
+        makeOnChainTeam('BOS', 'Boston Red Sox', 'BSR')
+      ]);
+
+      const plan = await service.planRegistration();
+
+      expect(plan.drifted).toEqual([
+        { teamId: 'NYY', field: 'name', onChain: 'NY Yankees', mlb: 'New York Yankees' },
+        { teamId: 'BOS', field: 'abbreviation', onChain: 'BSR', mlb: 'BOS' }
+      ]);
+    });
+
+    it('should flag a changed abbreviation instead of registering a duplicate team', async () => {
+      mockGetRegisteredTeams.mockResolvedValue([makeOnChainTeam('OAK', 'Athletics')]);
+
+      const plan = await service.planRegistration();
+
+      expect(plan.missing.map(team => team.teamId)).toEqual(['NYY', 'BOS', 'CLE']);
+      expect(plan.drifted).toEqual([{ teamId: 'OAK', field: 'teamId', onChain: 'OAK', mlb: 'ATH' }]);
+      expect(plan.unknownOnChain).toEqual([]);
+    });
+
+    it('should report on-chain teams that the MLB API no longer returns', async () => {
+      const expos = makeOnChainTeam('MON', 'Montreal Expos');
+      mockGetRegisteredTeams.mockResolvedValue([expos]);
+
+      const plan = await service.planRegistration();
+
+      expect(plan.unknownOnChain).toEqual([expos]);
+    });
+  });
+
+  describe('registerTeams', () => {
+    it('should register each team in order', async () => {
+      const results = await service.registerTeams(mlbTeams.slice(0, 2));
+
+      expect(mockRegisterTeam).toHaveBeenNthCalledWith(1, 'NYY', 'New York Yankees', 'NYY', undefined);
+      expect(mockRegisterTeam).toHaveBeenNthCalledWith(2, 'BOS', 'Boston Red Sox', 'BOS', undefined);
+      expect(results).toEqual([
+        { teamId: 'NYY', transactionHash: '0xNYY', blockNumber: 1, gasUsed: 150000n },
+        { teamId: 'BOS', transactionHash: '0xBOS', blockNumber: 1, gasUsed: 150000n }
+      ]);
+    });
+
+    it('should stop at the first failed registration', async () => {
+      mockRegisterTeam.mockRejectedValueOnce(new Error('AccessControlUnauthorizedAccount'));
+
+      await expect(service.registerTeams(mlbTeams)).rejects.toThrow('AccessControlUnauthorizedAccount');
+      expect(mockRegisterTeam).toHaveBeenCalledTimes(1);
+    });
+  });
+});
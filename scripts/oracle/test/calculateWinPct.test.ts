@@ -0,0 +1,23 @@
+import { describe, it, expect } from '@jest/globals';
+import { calculateWinPct } from '../utils/winPct.js';
+
+describe('calculateWinPct', () => {
+  it('returns 500 when no games have been played', () => {
+    expect(calculateWinPct(0, 0)).toBe(500);
+  });
+
+  it('scales the win percentage to 0-1000', () => {
+    expect(calculateWinPct(30, 20)).toBe(600);
+    expect(calculateWinPct(0, 10)).toBe(0);
+    expect(calculateWinPct(10, 0)).toBe(1000);
+  });
+
+  it('rounds half up like the contract', () => {
+    // 2/3 = 666.67 -> 667
+    expect(calculateWinPct(2, 1)).toBe(667);
+    // 1/3 = 333.33 -> 333
+    expect(calculateWinPct(1, 2)).toBe(333);
+    // 95/162 = 586.42 -> 586
+    expect(calculateWinPct(95, 67)).toBe(586);
+  });
+});
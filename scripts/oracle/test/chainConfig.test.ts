@@ -0,0 +1,19 @@
+import { ChainConfig, getGameTypeOracles } from '../utils/chainConfig.js';
+
+describe('getGameTypeOracles', () => {
+  const ORACLE = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+  const SPRING_ORACLE = '0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9';
+  const config: ChainConfig = { rpcUrl: 'http://127.0.0.1:8545', oracleAddress: ORACLE, gameTypeOracleAddresses: { S: SPRING_ORACLE } };
+
+  it('should record regular season games on the default oracle and other types on their own', () => {
+    expect(getGameTypeOracles(config, ['R', 'S'])).toEqual({ R: ORACLE, S: SPRING_ORACLE });
+  });
+
+  it('should reject game types without a deployment of their own', () => {
+    expect(() => getGameTypeOracles(config, ['R', 'S', 'F', 'W'])).toThrow('Missing blockchain configuration: ORACLE_ADDRESS_F, ORACLE_ADDRESS_W');
+  });
+
+  it('should record game types without a deployment on the default oracle when sharing it', () => {
+    expect(getGameTypeOracles(config, ['R', 'S', 'W'], true)).toEqual({ R: ORACLE, S: SPRING_ORACLE, W: ORACLE });
+  });
+});
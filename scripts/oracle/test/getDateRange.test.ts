@@ -0,0 +1,37 @@
+import { describe, it, expect } from '@jest/globals';
+import { getDateRange, parseDateString } from '../utils/dateUtils.js';
+
+describe('getDateRange', () => {
+  it('returns every date in the range, inclusive', () => {
+    expect(getDateRange('2025-05-30', '2025-06-02')).toEqual([
+      '2025-05-30',
+      '2025-05-31',
+      '2025-06-01',
+      '2025-06-02'
+    ]);
+  });
+
+  it('returns a single date when from and to are equal', () => {
+    expect(getDateRange('2025-05-19', '2025-05-19')).toEqual(['2025-05-19']);
+  });
+
+  it('is not affected by DST transitions', () => {
+    const dates = getDateRange('2025-03-08', '2025-03-10');
+    expect(dates).toEqual(['2025-03-08', '2025-03-09', '2025-03-10']);
+  });
+
+  it('throws when from is after to', () => {
+    expect(() => getDateRange('2025-05-20', '2025-05-19')).toThrow('Invalid date range');
+  });
+});
+
+describe('parseDateString', () => {
+  it('parses YYYY-MM-DD at UTC midnight', () => {
+    expect(parseDateString('2025-05-19').toISOString()).toBe('2025-05-19T00:00:00.000Z');
+  });
+
+  it('rejects other formats', () => {
+    expect(() => parseDateString('05/19/2025')).toThrow('Invalid date format');
+    expect(() => parseDateString('2025-13-40')).toThrow('Invalid date format');
+  });
+});
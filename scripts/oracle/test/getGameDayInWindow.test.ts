@@ -0,0 +1,54 @@
+import { describe, it, expect } from '@jest/globals';
+import { getCandidateGameDays, getGameDayInWindow, getLocalDateAndHour } from '../utils/dateUtils.js';
+
+describe('getLocalDateAndHour', () => {
+  it('returns the date and hour in the venue time zone', () => {
+    const time = new Date('2025-03-19T03:00:00Z');
+
+    expect(getLocalDateAndHour(time, 'America/New_York')).toEqual({ date: '2025-03-18', hour: 23 });
+    expect(getLocalDateAndHour(time, 'Asia/Tokyo')).toEqual({ date: '2025-03-19', hour: 12 });
+  });
+
+  it('formats midnight as hour 0', () => {
+    expect(getLocalDateAndHour(new Date('2025-05-20T04:00:00Z'), 'America/New_York').hour).toBe(0);
+  });
+});
+
+describe('getGameDayInWindow', () => {
+  it('keeps a late game on the day it started until the window closes', () => {
+    // 1 AM PDT on March 19
+    const time = new Date('2025-03-19T08:00:00Z');
+
+    expect(getGameDayInWindow(time, 'America/Los_Angeles', 12, 6)).toBe('2025-03-18');
+    expect(getGameDayInWindow(time, 'America/Los_Angeles', 6, 6)).toBe('2025-03-18');
+  });
+
+  it('attributes the same instant to different days in different venues', () => {
+    // 11 PM EDT on March 18, noon JST on March 19
+    const time = new Date('2025-03-19T03:00:00Z');
+
+    expect(getGameDayInWindow(time, 'America/New_York', 6, 6)).toBe('2025-03-18');
+    expect(getGameDayInWindow(time, 'Asia/Tokyo', 6, 6)).toBe('2025-03-19');
+  });
+
+  it('returns undefined outside the window', () => {
+    // 9 AM EDT
+    const time = new Date('2025-05-01T13:00:00Z');
+
+    expect(getGameDayInWindow(time, 'America/New_York', 12, 6)).toBeUndefined();
+    expect(getGameDayInWindow(time, 'America/New_York', 13, 23)).toBeUndefined();
+    expect(getGameDayInWindow(time, 'Europe/London', 12, 6)).toBe('2025-05-01');
+  });
+});
+
+describe('getCandidateGameDays', () => {
+  it('covers the current game day in every time zone', () => {
+    expect(getCandidateGameDays(new Date('2025-03-19T03:00:00Z'))).toEqual(['2025-03-18', '2025-03-19']);
+  });
+
+  it('includes the previous day while the earliest time zones are before the cutoff', () => {
+    // 2 AM on March 19 at UTC-12, 4 AM on March 20 at UTC+14
+    expect(getCandidateGameDays(new Date('2025-03-19T14:00:00Z'))).toEqual(['2025-03-18', '2025-03-19']);
+    expect(getCandidateGameDays(new Date('2025-03-19T20:00:00Z'))).toEqual(['2025-03-19', '2025-03-20']);
+  });
+});
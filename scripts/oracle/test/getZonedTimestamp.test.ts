@@ -0,0 +1,18 @@
+import { describe, it, expect } from '@jest/globals';
+import { getZonedTimestamp } from '../utils/dateUtils.js';
+
+describe('getZonedTimestamp', () => {
+  it('converts a wall-clock time in Eastern Time, following DST', () => {
+    // 10 AM EDT (UTC-4) and 10 AM EST (UTC-5)
+    expect(getZonedTimestamp('2025-05-01', 10 * 3600, 'America/New_York')).toBe(Date.parse('2025-05-01T14:00:00Z') / 1000);
+    expect(getZonedTimestamp('2025-01-15', 10 * 3600, 'America/New_York')).toBe(Date.parse('2025-01-15T15:00:00Z') / 1000);
+  });
+
+  it('keeps minutes and seconds', () => {
+    expect(getZonedTimestamp('2025-05-01', 10 * 3600 + 30 * 60 + 15, 'America/New_York')).toBe(Date.parse('2025-05-01T14:30:15Z') / 1000);
+  });
+
+  it('handles zones ahead of UTC', () => {
+    expect(getZonedTimestamp('2025-03-19', 2 * 3600, 'Asia/Tokyo')).toBe(Date.parse('2025-03-18T17:00:00Z') / 1000);
+  });
+});
@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+import { get, request as httpRequest, Server } from 'http';
+import { AddressInfo } from 'net';
+import { Gauge, Registry } from 'prom-client';
+import { createMetricsServer, getHealthStatus, HealthStatus, MetricsSource } from '../utils/metricsServer.js';
+
+describe('getHealthStatus', () => {
+  const startedAt = new Date('2025-05-01T12:00:00Z');
+
+  it('should measure from startup until the first success', () => {
+    expect(getHealthStatus(undefined, startedAt, 60, new Date('2025-05-01T12:01:00Z'))).toEqual({ healthy: true, ageSeconds: 60, staleAfterSeconds: 60 });
+    expect(getHealthStatus(undefined, startedAt, 60, new Date('2025-05-01T12:01:01Z')).healthy).toBe(false);
+  });
+
+  it('should measure from the last success once there is one', () => {
+    const lastSuccessAt = new Date('2025-05-01T13:00:00Z');
+
+    expect(getHealthStatus(lastSuccessAt, startedAt, 60, new Date('2025-05-01T13:00:30Z'))).toEqual({
+      healthy: true,
+      lastSuccessAt: '2025-05-01T13:00:00.000Z',
+      ageSeconds: 30,
+      staleAfterSeconds: 60
+    });
+  });
+});
+
+describe('createMetricsServer', () => {
+  let registry: Registry;
+  let health: HealthStatus;
+  let refresh: jest.Mock<() => Promise<void>>;
+  let server: Server;
+  let baseUrl: string;
+
+  // Sends a request and returns the raw response
+  function request(path: string, method: string = 'GET'): Promise<{ status: number; contentType?: string; body: string }> {
+    return new Promise((resolve, reject) => {
+      const req = (method === 'GET' ? get : httpRequest)(`${baseUrl}${path}`, { method }, (response) => {
+        let data = '';
+        response.on('data', chunk => data += chunk);
+        response.on('end', () => resolve({ status: response.statusCode!, contentType: response.headers['content-type'], body: data }));
+      }).on('error', reject);
+      if (method !== 'GET') {
+        req.end();
+      }
+    });
+  }
+
+  async function startServer(refreshIntervalSeconds?: number): Promise<void> {
+    const source: MetricsSource = { registry, getHealth: () => health, refresh };
+    server = createMetricsServer(source, { refreshIntervalSeconds });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  }
+
+  beforeEach(() => {
+    registry = new Registry();
+    const gauge = new Gauge({ name: 'test_value', help: 'A test value', registers: [registry] });
+    refresh = jest.fn(async () => gauge.set(42));
+    health = { healthy: true, ageSeconds: 10, staleAfterSeconds: 60 };
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should refresh the source and serve its metrics in the Prometheus format', async () => {
+    await startServer();
+
+    const { status, contentType, body } = await request('/metrics');
+
+    expect(status).toBe(200);
+    expect(contentType).toBe(registry.contentType);
+    expect(body).toContain('test_value 42');
+    expect(refresh).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not refresh again within the refresh interval', async () => {
+    await startServer(60);
+
+    await request('/metrics');
+    await request('/metrics');
+
+    expect(refresh).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refresh on every scrape with a zero interval', async () => {
+    await startServer(0);
+
+    await request('/metrics');
+    await request('/metrics');
+
+    expect(refresh).toHaveBeenCalledTimes(2);
+  });
+
+  it('should answer /healthz with 200 while healthy and 503 once stale', async () => {
+    await startServer();
+
+    const healthy = await request('/healthz');
+    health = { healthy: false, ageSeconds: 61, staleAfterSeconds: 60 };
+    const stale = await request('/healthz');
+
+    expect(healthy.status).toBe(200);
+    expect(JSON.parse(healthy.body)).toEqual({ healthy: true, ageSeconds: 10, staleAfterSeconds: 60 });
+    expect(stale.status).toBe(503);
+    expect(JSON.parse(stale.body).healthy).toBe(false);
+  });
+
+  it('should reject unknown routes and other methods', async () => {
+    await startServer();
+
+    expect((await request('/status')).status).toBe(404);
+    expect((await request('/metrics', 'POST')).status).toBe(405);
+  });
+});
@@ -0,0 +1,87 @@
+import { JsonRpcProvider, Network } from 'ethers';
+import { EXIT_CODES, formatRecordLine, formatRecords, getExitCodeForError, OutputColumn } from '../utils/output.js';
+
+interface Row {
+  gameId: number;
+  team: string;
+  score: bigint;
+  note?: string;
+}
+
+const rows: Row[] = [
+  { gameId: 1, team: 'NYY', score: 5n },
+  { gameId: 2, team: 'BOS', score: 3n, note: 'delayed, "rain"' }
+];
+
+const columns: OutputColumn<Row>[] = [
+  { key: 'gameId', header: 'Game ID' },
+  { key: 'team', header: 'Team', display: row => `${row.team}!` },
+  { key: 'score', header: 'Score' },
+  { key: 'note', header: 'Note', table: false }
+];
+
+describe('output', () => {
+  describe('formatRecords', () => {
+    it('should write json as an array of full records with bigints as strings', () => {
+      expect(JSON.parse(formatRecords('json', rows, columns))).toEqual([
+        { gameId: 1, team: 'NYY', score: '5' },
+        { gameId: 2, team: 'BOS', score: '3', note: 'delayed, "rain"' }
+      ]);
+      expect(formatRecords('json', [], columns)).toBe('[]');
+    });
+
+    it('should write ndjson as one record per line', () => {
+      expect(formatRecords('ndjson', rows, columns)).toBe(
+        '{"gameId":1,"team":"NYY","score":"5"}\n{"gameId":2,"team":"BOS","score":"3","note":"delayed, \\"rain\\""}'
+      );
+      expect(formatRecords('ndjson', [], columns)).toBe('');
+    });
+
+    it('should write csv with field names as headers and quoted fields where needed', () => {
+      expect(formatRecords('csv', rows, columns)).toBe('gameId,team,score,note\n1,NYY,5,\n2,BOS,3,"delayed, ""rain"""');
+      expect(formatRecords('csv', [], columns)).toBe('gameId,team,score,note');
+    });
+
+    it('should write tables with display values and without hidden columns', () => {
+      const table = formatRecords('table', rows, columns);
+
+      expect(table).toContain('│Game ID│Team│Score│');
+      expect(table).toContain('│1      │NYY!│5    │');
+      expect(table).not.toContain('Note');
+      expect(formatRecords('table', [], columns)).toBe('');
+    });
+  });
+
+  describe('formatRecordLine', () => {
+    it('should format a single streamed record', () => {
+      expect(formatRecordLine('csv', rows[1], columns)).toBe('2,BOS,3,"delayed, ""rain"""');
+      expect(formatRecordLine('json', rows[0], columns)).toBe('{"gameId":1,"team":"NYY","score":"5"}');
+    });
+  });
+
+  describe('getExitCodeForError', () => {
+    it('should map JSON-RPC failures to RPC_ERROR', () => {
+      expect(getExitCodeForError(Object.assign(new Error('network down'), { code: 'NETWORK_ERROR' }))).toBe(EXIT_CODES.RPC_ERROR);
+      expect(getExitCodeForError(Object.assign(new Error('bad response'), { code: 'SERVER_ERROR' }))).toBe(EXIT_CODES.RPC_ERROR);
+    });
+
+    it('should map an unreachable endpoint to RPC_ERROR, however it is wrapped', async () => {
+      // Nothing listens on port 1, so this is the error a stopped node gives
+      const provider = new JsonRpcProvider('http://127.0.0.1:1', Network.from(31337), { staticNetwork: true });
+      const refused = await provider.getBlockNumber().catch((error: unknown) => error);
+      provider.destroy();
+
+      expect(refused).toMatchObject({ code: 'ECONNREFUSED' });
+      expect(getExitCodeForError(refused)).toBe(EXIT_CODES.RPC_ERROR);
+      expect(getExitCodeForError(new TypeError('fetch failed', { cause: refused }))).toBe(EXIT_CODES.RPC_ERROR);
+      expect(getExitCodeForError(new Error('sync failed', { cause: new AggregateError([refused]) }))).toBe(EXIT_CODES.RPC_ERROR);
+      expect(getExitCodeForError(Object.assign(new Error('getaddrinfo ENOTFOUND rpc.invalid'), { code: 'ENOTFOUND' }))).toBe(EXIT_CODES.RPC_ERROR);
+    });
+
+    it('should map everything else to ERROR', () => {
+      expect(getExitCodeForError(Object.assign(new Error('reverted'), { code: 'CALL_EXCEPTION' }))).toBe(EXIT_CODES.ERROR);
+      expect(getExitCodeForError(new Error('Invalid date'))).toBe(EXIT_CODES.ERROR);
+      expect(getExitCodeForError('oops')).toBe(EXIT_CODES.ERROR);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { createServer, Server } from 'http';
+import { AddressInfo } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { encryptKeystoreJsonSync, JsonRpcProvider, Wallet } from 'ethers';
+import { createSigner, DEFAULT_DERIVATION_PATH, ExternalSigner, getSignerConfigFromEnv } from '../utils/signer.js';
+
+// Hardhat's default test mnemonic and its first two accounts
+const MNEMONIC = 'test test test test test test test test test test test junk';
+const ACCOUNT_0 = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const ACCOUNT_1 = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const ACCOUNT_0_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+describe('signer', () => {
+  // Never contacted: signers only need a provider to connect to
+  const provider = new JsonRpcProvider('http://127.0.0.1:1', 31337, { staticNetwork: true });
+
+  afterAll(() => {
+    provider.destroy();
+  });
+
+  describe('getSignerConfigFromEnv', () => {
+    it('should return undefined when no signer is configured', () => {
+      expect(getSignerConfigFromEnv('ORACLE', {})).toBeUndefined();
+    });
+
+    it('should read each kind of signer', () => {
+      expect(getSignerConfigFromEnv('ORACLE', { ORACLE_PRIVATE_KEY: ACCOUNT_0_KEY })).toEqual({ type: 'private-key', privateKey: ACCOUNT_0_KEY });
+      expect(getSignerConfigFromEnv('ADMIN', { ADMIN_KEYSTORE: 'admin.json', ADMIN_KEYSTORE_PASSWORD: 'secret' })).toEqual({ type: 'keystore', path: 'admin.json', password: 'secret' });
+      expect(getSignerConfigFromEnv('ORACLE', { ORACLE_MNEMONIC: MNEMONIC })).toEqual({ type: 'mnemonic', mnemonic: MNEMONIC, derivationPath: DEFAULT_DERIVATION_PATH });
+      expect(getSignerConfigFromEnv('ORACLE', { ORACLE_SIGNER_URL: 'http://localhost:8550', ORACLE_SIGNER_ADDRESS: ACCOUNT_0 })).toEqual({ type: 'external', url: 'http://localhost:8550', address: ACCOUNT_0 });
+    });
+
+    it('should read the keystore password from a file', () => {
+      const dir = mkdtempSync(join(tmpdir(), 'signer-'));
+      try {
+        writeFileSync(join(dir, 'password'), 'secret\n');
+        expect(getSignerConfigFromEnv('ORACLE', { ORACLE_KEYSTORE: 'oracle.json', ORACLE_KEYSTORE_PASSWORD_FILE: join(dir, 'password') }))
+          .toEqual({ type: 'keystore', path: 'oracle.json', password: 'secret' });
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should reject incomplete or conflicting configuration', () => {
+      expect(() => getSignerConfigFromEnv('ORACLE', { ORACLE_KEYSTORE: 'oracle.json' })).toThrow('ORACLE_KEYSTORE requires ORACLE_KEYSTORE_PASSWORD');
+      expect(() => getSignerConfigFromEnv('ORACLE', { ORACLE_SIGNER_URL: 'http://localhost:8550' })).toThrow('ORACLE_SIGNER_URL requires ORACLE_SIGNER_ADDRESS');
+      expect(() => getSignerConfigFromEnv('ORACLE', { ORACLE_PRIVATE_KEY: ACCOUNT_0_KEY, ORACLE_MNEMONIC: MNEMONIC }))
+        .toThrow('Multiple signers configured for ORACLE (private-key, mnemonic); set only one');
+    });
+  });
+
+  describe('createSigner', () => {
+    it('should create a wallet from a private key', async () => {
+      const signer = await createSigner({ type: 'private-key', privateKey: ACCOUNT_0_KEY }, provider);
+      expect(await signer.getAddress()).toBe(ACCOUNT_0);
+      expect(signer.provider).toBe(provider);
+    });
+
+    it('should derive the account at the derivation path from a mnemonic', async () => {
+      expect(await (await createSigner({ type: 'mnemonic', mnemonic: MNEMONIC, derivationPath: DEFAULT_DERIVATION_PATH }, provider)).getAddress()).toBe(ACCOUNT_0);
+      expect(await (await createSigner({ type: 'mnemonic', mnemonic: MNEMONIC, derivationPath: "m/44'/60'/0'/0/1" }, provider)).getAddress()).toBe(ACCOUNT_1);
+    });
+
+    it('should decrypt a keystore file', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'signer-'));
+      try {
+        const path = join(dir, 'keystore.json');
+        // Low scrypt cost keeps the test fast; real keystores use the default
+        writeFileSync(path, encryptKeystoreJsonSync(new Wallet(ACCOUNT_0_KEY), 'secret', { scrypt: { N: 1024 } }));
+
+        const signer = await createSigner({ type: 'keystore', path, password: 'secret' }, provider);
+        expect(await signer.getAddress()).toBe(ACCOUNT_0);
+        await expect(createSigner({ type: 'keystore', path, password: 'wrong' }, provider)).rejects.toThrow('incorrect password');
+        await expect(createSigner({ type: 'keystore', path: join(dir, 'missing.json'), password: 'secret' }, provider)).rejects.toThrow('Keystore file not found');
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('ExternalSigner', () => {
+    let server: Server;
+    let signerUrl: string;
+    let requests: { method: string; params: any[] }[];
+    let respond: (method: string) => unknown;
+
+    beforeAll(async () => {
+      server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          const { id, method, params } = JSON.parse(body);
+          requests.push({ method, params });
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ jsonrpc: '2.0', id, ...(respond(method) as object) }));
+        });
+      });
+      await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+      signerUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      requests = [];
+    });
+
+    // Transactions carry every field so populateTransaction never contacts the chain provider
+    it('should send fully populated transactions to eth_signTransaction', async () => {
+      respond = () => ({ result: { raw: '0xf86c', tx: {} } });
+      const signer = new ExternalSigner(signerUrl, ACCOUNT_0.toLowerCase(), provider);
+
+      const raw = await signer.signTransaction({ to: ACCOUNT_1, data: '0x1234', nonce: 7, gasLimit: 100000n, maxFeePerGas: 1000000000n, maxPriorityFeePerGas: 1n, chainId: 31337 });
+
+      expect(raw).toBe('0xf86c');
+      expect(requests).toEqual([{
+        method: 'eth_signTransaction',
+        params: [expect.objectContaining({
+          from: ACCOUNT_0.toLowerCase(),
+          to: ACCOUNT_1.toLowerCase(),
+          data: '0x1234',
+          nonce: '0x7',
+          gas: '0x186a0',
+          maxFeePerGas: '0x3b9aca00',
+          chainId: '0x7a69',
+          type: '0x2'
+        })]
+      }]);
+    });
+
+    it('should accept a raw transaction string as the result', async () => {
+      respond = () => ({ result: '0xf86d' });
+      const signer = new ExternalSigner(signerUrl, ACCOUNT_0, provider);
+
+      expect(await signer.signTransaction({ to: ACCOUNT_1, nonce: 0, gasLimit: 21000n, maxFeePerGas: 1n, maxPriorityFeePerGas: 1n, chainId: 31337 })).toBe('0xf86d');
+    });
+
+    it('should sign messages with personal_sign', async () => {
+      respond = () => ({ result: '0xsig' });
+      const signer = new ExternalSigner(signerUrl, ACCOUNT_0, provider);
+
+      expect(await signer.signMessage('hello')).toBe('0xsig');
+      expect(requests[0]).toEqual({ method: 'personal_sign', params: ['0x68656c6c6f', ACCOUNT_0.toLowerCase()] });
+    });
+
+    it('should surface errors returned by the signer', async () => {
+      respond = () => ({ error: { code: -32000, message: 'Request denied' } });
+      const signer = new ExternalSigner(signerUrl, ACCOUNT_0, provider);
+
+      await expect(signer.signMessage('hello')).rejects.toThrow('External signer rejected personal_sign: Request denied');
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from '@jest/globals';
+import { GameScore } from '../api/BaseballDataService.js';
+import { calculatePythagoreanWinPct, calculateTeamMetrics } from '../utils/teamMetrics.js';
+
+let nextGameId = 1;
+
+function home(homeScore: number, awayScore: number, opponent: string = 'BOS'): GameScore {
+  return { gameId: nextGameId++, officialDate: '2024-04-01', homeTeam: 'NYY', awayTeam: opponent, homeScore, awayScore };
+}
+
+function away(awayScore: number, homeScore: number, opponent: string = 'BOS'): GameScore {
+  return { gameId: nextGameId++, officialDate: '2024-04-02', homeTeam: opponent, awayTeam: 'NYY', homeScore, awayScore };
+}
+
+describe('calculatePythagoreanWinPct', () => {
+  it('returns .500 for equal runs scored and allowed', () => {
+    expect(calculatePythagoreanWinPct(700, 700)).toBe(500);
+  });
+
+  it('uses the 1.83 exponent by default', () => {
+    // 800^1.83 / (800^1.83 + 650^1.83) = 0.5939
+    expect(calculatePythagoreanWinPct(800, 650)).toBe(594);
+    expect(calculatePythagoreanWinPct(800, 650, 2)).toBe(602);
+  });
+
+  it('returns .500 before any runs', () => {
+    expect(calculatePythagoreanWinPct(0, 0)).toBe(500);
+  });
+});
+
+describe('calculateTeamMetrics', () => {
+  it('totals the record and run differential', () => {
+    const metrics = calculateTeamMetrics('NYY', [home(5, 3), away(2, 4), home(7, 1)]);
+
+    expect(metrics).toMatchObject({
+      teamId: 'NYY',
+      gamesPlayed: 3,
+      wins: 2,
+      losses: 1,
+      winPct: 667,
+      runsScored: 14,
+      runsAllowed: 8,
+      runDifferential: 6,
+      pythagoreanWinPct: calculatePythagoreanWinPct(14, 8),
+      pythagoreanWins: 2,
+      lastGameDate: '2024-04-01'
+    });
+  });
+
+  it('splits home and away games', () => {
+    const metrics = calculateTeamMetrics('NYY', [home(5, 3), away(2, 4), home(1, 7), away(6, 0)]);
+
+    expect(metrics.home).toEqual({ wins: 1, losses: 1, runsScored: 6, runsAllowed: 10 });
+    expect(metrics.away).toEqual({ wins: 1, losses: 1, runsScored: 8, runsAllowed: 4 });
+  });
+
+  it('ignores games the team did not play', () => {
+    const metrics = calculateTeamMetrics('NYY', [home(5, 3), { ...home(9, 0), homeTeam: 'TOR' }]);
+
+    expect(metrics.gamesPlayed).toBe(1);
+  });
+
+  it('records only the last ten games in lastTen', () => {
+    const games = [...Array(5)].map(() => home(1, 2)).concat([...Array(10)].map((_, i) => i < 7 ? home(3, 1) : away(0, 2)));
+
+    expect(calculateTeamMetrics('NYY', games).lastTen).toEqual({ wins: 7, losses: 3, runsScored: 21, runsAllowed: 13 });
+  });
+
+  it('tracks the current and longest streaks', () => {
+    const metrics = calculateTeamMetrics('NYY', [home(1, 0), home(2, 0), home(3, 0), away(0, 1), away(0, 2)]);
+
+    expect(metrics.streak).toEqual({ type: 'L', length: 2 });
+    expect(metrics.longestWinStreak).toBe(3);
+    expect(metrics.longestLossStreak).toBe(2);
+  });
+
+  it('ends a streak on a tie without counting it as a win or loss', () => {
+    const metrics = calculateTeamMetrics('NYY', [home(1, 0), home(2, 2), home(3, 0)]);
+
+    expect(metrics).toMatchObject({ gamesPlayed: 3, wins: 2, losses: 0, streak: { type: 'W', length: 1 }, longestWinStreak: 1 });
+  });
+
+  it('reports no streak and a .500 expectation before the first game', () => {
+    const metrics = calculateTeamMetrics('NYY', []);
+
+    expect(metrics).toMatchObject({ gamesPlayed: 0, winPct: 500, pythagoreanWinPct: 500, pythagoreanWins: 0 });
+    expect(metrics.streak).toBeUndefined();
+  });
+});
@@ -0,0 +1,182 @@
+import { config as loadEnv } from 'dotenv';
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { getSignerConfigFromEnv, SignerConfig } from './signer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, '..', '..', '..');
+
+/**
+ * Configuration needed to send transactions to the BaseballOracle contract
+ */
+export interface ChainConfig {
+  rpcUrl: string;
+  signer?: SignerConfig; // Omitted for read-only access
+  role?: SignerRole;     // Role the signer must hold; checked before any write
+  oracleAddress: string;
+  gameTypeOracleAddresses?: Record<string, string>; // Deployments for MLB game types that do not go to oracleAddress
+}
+
+/**
+ * Which contract role the configured key is expected to hold
+ */
+export type SignerRole = 'oracle' | 'admin';
+
+/**
+ * Access level requested from loadChainConfig
+ */
+export type ChainAccess = SignerRole | 'read-only';
+
+const SIGNER_VARIABLE_PREFIXES: Record<SignerRole, string> = {
+  oracle: 'ORACLE',
+  admin: 'ADMIN'
+};
+
+/**
+ * Loads blockchain configuration from the root .env file and environment
+ *
+ * Environment variables:
+ * - RPC_URL: JSON-RPC endpoint to send transactions through
+ * - ORACLE_*: Signer for an account holding ORACLE_ROLE (role 'oracle'), one of
+ *   ORACLE_PRIVATE_KEY, ORACLE_KEYSTORE, ORACLE_MNEMONIC or ORACLE_SIGNER_URL
+ *   (see getSignerConfigFromEnv)
+ * - ADMIN_*: The same for an account holding ADMIN_ROLE (role 'admin')
+ * - ORACLE_ADDRESS: BaseballOracle proxy address; if unset, it is read from
+ *   contracts/deployments/{NETWORK}-latest.json
+ * - ORACLE_ADDRESS_{GAME_TYPE}: Deployment for one MLB game type (see getGameTypeOracles),
+ *   e.g. ORACLE_ADDRESS_S for spring training
+ *
+ * @param overrides Values that take precedence over the environment
+ * @param access Role the signer must hold, selecting which variables are read,
+ *   or 'read-only' when no signer is needed
+ * @returns ChainConfig Resolved configuration
+ */
+export function loadChainConfig(overrides: Partial<ChainConfig> = {}, access: ChainAccess = 'oracle'): ChainConfig {
+  loadEnvFile();
+
+  const role = access === 'read-only' ? undefined : access;
+  const prefix = role && SIGNER_VARIABLE_PREFIXES[role];
+  const rpcUrl = overrides.rpcUrl || process.env.RPC_URL;
+  const signer = overrides.signer || (prefix ? getSignerConfigFromEnv(prefix) : undefined);
+  const oracleAddress = overrides.oracleAddress || process.env.ORACLE_ADDRESS || getDeployedOracleAddress(process.env.NETWORK);
+
+  const missing = [
+    !rpcUrl && 'RPC_URL',
+    prefix && !signer && `${prefix}_PRIVATE_KEY (or ${prefix}_KEYSTORE, ${prefix}_MNEMONIC, ${prefix}_SIGNER_URL)`,
+    !oracleAddress && 'ORACLE_ADDRESS (or NETWORK with a deployment file)',
+  ].filter(Boolean);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing blockchain configuration: ${missing.join(', ')}`);
+  }
+
+  return {
+    rpcUrl: rpcUrl!,
+    signer,
+    role,
+    oracleAddress: oracleAddress!,
+    gameTypeOracleAddresses: overrides.gameTypeOracleAddresses || getGameTypeOracleAddresses(process.env),
+  };
+}
+
+/**
+ * Loads the root .env file into process.env, if it exists. Variables already
+ * set in the environment take precedence
+ */
+export function loadEnvFile(): void {
+  const envPath = join(projectRoot, '.env');
+  if (existsSync(envPath)) {
+    loadEnv({ path: envPath });
+  }
+}
+
+/**
+ * Reads the per game type deployments from ORACLE_ADDRESS_{GAME_TYPE} variables
+ * @param env Environment to read
+ * @returns Record<string, string> Oracle address keyed by MLB game type code
+ */
+export function getGameTypeOracleAddresses(env: NodeJS.ProcessEnv): Record<string, string> {
+  const addresses: Record<string, string> = {};
+
+  for (const [name, value] of Object.entries(env)) {
+    const match = /^ORACLE_ADDRESS_([A-Z])$/.exec(name);
+    if (match && value) {
+      addresses[match[1]] = value;
+    }
+  }
+
+  return addresses;
+}
+
+/**
+ * Picks the oracle that records each selected MLB game type. Regular season
+ * games go to oracleAddress unless ORACLE_ADDRESS_R is set; any other type
+ * needs its own ORACLE_ADDRESS_{GAME_TYPE}, or shareDefault to record it on
+ * oracleAddress too, so exhibition results never reach the standings by accident
+ * @param config Chain configuration
+ * @param gameTypes Selected MLB game type codes
+ * @param shareDefault Record game types without their own deployment on oracleAddress
+ * @returns Record<string, string> Oracle address keyed by game type
+ */
+export function getGameTypeOracles(config: ChainConfig, gameTypes: string[], shareDefault: boolean = false): Record<string, string> {
+  const oracles: Record<string, string> = {};
+  const missing: string[] = [];
+
+  for (const gameType of gameTypes) {
+    const oracleAddress = config.gameTypeOracleAddresses?.[gameType]
+      ?? (gameType === 'R' || shareDefault ? config.oracleAddress : undefined);
+
+    if (oracleAddress) {
+      oracles[gameType] = oracleAddress;
+    } else {
+      missing.push(gameType);
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Missing blockchain configuration: ${missing.map(gameType => `ORACLE_ADDRESS_${gameType}`).join(', ')} (or --share-oracle to record these game types on ORACLE_ADDRESS)`);
+  }
+
+  return oracles;
+}
+
+/**
+ * Reads the BaseballOracle proxy address from the latest deployment record
+ * @param network Network name used in the deployment file name
+ * @returns string | undefined Proxy address if a deployment record exists
+ */
+export function getDeployedOracleAddress(network?: string): string | undefined {
+  return readDeploymentRecord(network)?.BaseballOracle?.proxy;
+}
+
+/**
+ * Reads the block the BaseballOracle proxy was deployed in from the latest
+ * deployment record, if the record is for the given oracle
+ * @param network Network name used in the deployment file name
+ * @param oracleAddress Oracle in use, which may not be the recorded one
+ * @returns number | undefined Deployment block if recorded
+ */
+export function getDeployedOracleBlock(network: string | undefined, oracleAddress: string): number | undefined {
+  const oracle = readDeploymentRecord(network)?.BaseballOracle;
+  return oracle?.proxy?.toLowerCase() === oracleAddress.toLowerCase() ? oracle.deploymentBlock : undefined;
+}
+
+/**
+ * Reads the latest deployment record for a network
+ * @param network Network name used in the deployment file name
+ * @returns Record<string, any> | undefined contracts/deployments/{network}-latest.json, if it exists
+ */
+export function readDeploymentRecord(network?: string): Record<string, any> | undefined {
+  if (!network) {
+    return undefined;
+  }
+
+  const deploymentFile = join(projectRoot, 'contracts', 'deployments', `${network}-latest.json`);
+  if (!existsSync(deploymentFile)) {
+    return undefined;
+  }
+
+  return JSON.parse(readFileSync(deploymentFile, 'utf8'));
+}
@@ -1,6 +1,14 @@
-// Hour in Eastern Time before which we check yesterday instead of today
-// This handles late-finishing games that end after midnight ET
-export const DEFAULT_DATE_CUTOFF_HOUR_ET = 6;
+// Hour in a venue's local time (Eastern Time for getDefaultSyncDate) before
+// which its previous day's games may still be finishing after midnight
+export const DEFAULT_DATE_CUTOFF_HOUR = 6;
+
+// Time zone assumed for games whose venue time zone is unknown
+export const DEFAULT_VENUE_TIME_ZONE = 'America/New_York';
+
+// Fixed-offset zones at the two ends of the clock (Etc/GMT signs are inverted).
+// Every venue's local date lies between the local dates in these zones
+const EARLIEST_TIME_ZONE = 'Etc/GMT+12';
+const LATEST_TIME_ZONE = 'Etc/GMT-14';
 
 /**
  * Gets a date in Eastern Time, properly handling DST
@@ -30,6 +38,103 @@ export function getDateInET(date: Date): Date {
   return new Date(year, month, day);
 }
 
+/**
+ * Gets the hour of the day (0-23) in Eastern Time, properly handling DST
+ * @param date Date to get the ET hour for
+ * @returns number Hour in ET
+ */
+export function getHourInET(date: Date): number {
+  return getLocalDateAndHour(date, 'America/New_York').hour;
+}
+
+/**
+ * Gets the local calendar date and hour in a time zone, properly handling DST
+ * @param date Date to convert
+ * @param timeZone IANA time zone, e.g. 'Asia/Tokyo'
+ * @returns { date: string; hour: number } Local date (YYYY-MM-DD) and hour (0-23)
+ */
+export function getLocalDateAndHour(date: Date, timeZone: string): { date: string; hour: number } {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: 'numeric',
+    // h23 rather than hour12: false, which formats midnight as "24" on some ICU versions
+    hourCycle: 'h23'
+  });
+  const parts = formatter.formatToParts(date);
+  const part = (type: string) => parts.find(p => p.type === type)?.value || '0';
+
+  return { date: `${part('year')}-${part('month')}-${part('day')}`, hour: parseInt(part('hour')) };
+}
+
+/**
+ * Converts a local wall-clock time in a time zone to a Unix timestamp,
+ * properly handling DST. Assumes the zone's UTC offset is a whole number of
+ * hours, as it is for every US zone
+ * @param date Local date in YYYY-MM-DD format
+ * @param secondsIntoDay Local time as seconds after midnight
+ * @param timeZone IANA time zone, e.g. 'America/New_York'
+ * @returns number Unix timestamp in seconds
+ */
+export function getZonedTimestamp(date: string, secondsIntoDay: number, timeZone: string): number {
+  const asUtc = Date.parse(`${date}T00:00:00Z`) / 1000 + secondsIntoDay;
+  // The zone's wall clock at that instant, read back as if it were UTC, is off by the zone's offset
+  const local = getLocalDateAndHour(new Date(asUtc * 1000), timeZone);
+  const localAsUtc = Date.parse(`${local.date}T00:00:00Z`) / 1000 + local.hour * 3600 + (asUtc % 3600);
+  return asUtc - (localAsUtc - asUtc);
+}
+
+/**
+ * Adds days to a YYYY-MM-DD date
+ * @param date Date in YYYY-MM-DD format
+ * @param days Number of days to add, may be negative
+ * @returns string Date in YYYY-MM-DD format
+ */
+export function addDays(date: string, days: number): string {
+  const result = parseDateString(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+/**
+ * Works out which game day a time falls in at a venue. A game day's window
+ * runs from startHour to endHour in the venue's local time; when endHour is not
+ * after startHour, the window wraps past midnight into the next calendar day,
+ * so late games stay on the day they started
+ * @param now Time to check
+ * @param timeZone Venue's IANA time zone
+ * @param startHour Local hour (0-23) the window opens
+ * @param endHour Local hour (0-23) the window closes; equal to startHour for a full day
+ * @returns string | undefined Game day (YYYY-MM-DD), or undefined if now is outside the window
+ */
+export function getGameDayInWindow(now: Date, timeZone: string, startHour: number, endHour: number): string | undefined {
+  const local = getLocalDateAndHour(now, timeZone);
+
+  if (startHour < endHour) {
+    return local.hour >= startHour && local.hour < endHour ? local.date : undefined;
+  }
+  if (local.hour >= startHour) {
+    return local.date;
+  }
+  return local.hour < endHour ? addDays(local.date, -1) : undefined;
+}
+
+/**
+ * Lists every date that is the current game day somewhere in the world, so
+ * a venue in any time zone could have a game on it in progress
+ * @param now Current time
+ * @param cutoffHour Local hour before which the previous day's games may still be finishing
+ * @returns string[] Dates in YYYY-MM-DD format, oldest first
+ */
+export function getCandidateGameDays(now: Date, cutoffHour: number = DEFAULT_DATE_CUTOFF_HOUR): string[] {
+  return getDateRange(
+    getGameDayInWindow(now, EARLIEST_TIME_ZONE, cutoffHour, cutoffHour)!,
+    getGameDayInWindow(now, LATEST_TIME_ZONE, cutoffHour, cutoffHour)!
+  );
+}
+
 /**
  * Gets today's date in Eastern Time, properly handling DST
  * @param referenceTime Optional reference time (defaults to now)
@@ -56,19 +161,14 @@ export function getYesterdayInET(referenceTime?: Date): Date {
  * Before cutoff hour: use yesterday (to catch late-finishing games)
  * After cutoff hour: use today
  * @param currentTime Optional time to use (defaults to now) - useful for testing
- * @param cutoffHour Hour in ET before which to use yesterday (defaults to DEFAULT_DATE_CUTOFF_HOUR_ET)
+ * @param cutoffHour Hour in ET before which to use yesterday (defaults to DEFAULT_DATE_CUTOFF_HOUR)
  * @returns Object with date and explanation
  */
-export function getDefaultSyncDate(currentTime?: Date, cutoffHour: number = DEFAULT_DATE_CUTOFF_HOUR_ET): { date: Date, explanation: string } {
+export function getDefaultSyncDate(currentTime?: Date, cutoffHour: number = DEFAULT_DATE_CUTOFF_HOUR): { date: Date, explanation: string } {
   const now = currentTime || new Date();
   
   // Get current hour in ET
-  const etTimeFormatter = new Intl.DateTimeFormat('en-US', {
-    timeZone: 'America/New_York',
-    hour: 'numeric',
-    hour12: false
-  });
-  const currentHourET = parseInt(etTimeFormatter.format(now));
+  const currentHourET = getHourInET(now);
   
   if (currentHourET < cutoffHour) {
     return {
@@ -81,4 +181,47 @@ export function getDefaultSyncDate(currentTime?: Date, cutoffHour: number = DEFA
       explanation: `default: today because current time ${currentHourET}:xx ET is after ${cutoffHour}AM cutoff`
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Parses a YYYY-MM-DD string into a Date at UTC midnight
+ * @param value Date string in YYYY-MM-DD format
+ * @returns Date object for the given calendar day
+ */
+export function parseDateString(value: string): Date {
+  const date = new Date(value);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date.getTime())) {
+    throw new Error(`Invalid date format: ${value}. Please use YYYY-MM-DD format.`);
+  }
+  return date;
+}
+
+/**
+ * Lists every calendar day between two dates, inclusive
+ * @param from First date in YYYY-MM-DD format
+ * @param to Last date in YYYY-MM-DD format
+ * @returns Array of date strings in YYYY-MM-DD format
+ */
+export function getDateRange(from: string, to: string): string[] {
+  const start = parseDateString(from);
+  const end = parseDateString(to);
+
+  if (start > end) {
+    throw new Error(`Invalid date range: ${from} is after ${to}`);
+  }
+
+  const dates: string[] = [];
+  for (const current = new Date(start); current <= end; current.setUTCDate(current.getUTCDate() + 1)) {
+    dates.push(current.toISOString().split('T')[0]);
+  }
+  return dates;
+}
+
+/**
+ * Formats a block timestamp as an ISO date and time
+ * @param timestamp Unix timestamp, 0 if unset
+ * @returns string ISO date and time, or 'never'
+ */
+export function formatBlockTimestamp(timestamp: number): string {
+  return timestamp === 0 ? 'never' : new Date(timestamp * 1000).toISOString();
+}
@@ -0,0 +1,20 @@
+import { createHash } from 'crypto';
+
+/**
+ * Hashes a JSON-serializable value, writing bigints as decimal strings
+ * @param value Value to hash
+ * @returns string Hex-encoded sha256 of the value's JSON
+ */
+export function hashPayload(value: unknown): string {
+  const json = JSON.stringify(value, (_key, item) => typeof item === 'bigint' ? item.toString() : item);
+  return createHash('sha256').update(json).digest('hex');
+}
+
+/**
+ * Hashes raw data exactly as received, e.g. a response body or file
+ * @param data Raw bytes or text (hashed as UTF-8)
+ * @returns string Hex-encoded sha256 of the data
+ */
+export function hashBytes(data: string | Buffer): string {
+  return createHash('sha256').update(data).digest('hex');
+}
@@ -0,0 +1,132 @@
+import { createServer, Server, ServerResponse } from 'http';
+import { Registry } from 'prom-client';
+
+export const DEFAULT_METRICS_HOST = '127.0.0.1';
+export const DEFAULT_METRICS_REFRESH_SECONDS = 30; // Shortest time between on-chain reads for scrapes
+
+/**
+ * Result of a /healthz check
+ */
+export interface HealthStatus {
+  healthy: boolean;
+  lastSuccessAt?: string;    // ISO time of the last successful run
+  ageSeconds: number;        // Seconds since then, or since startup if nothing has succeeded yet
+  staleAfterSeconds: number;
+}
+
+/**
+ * Something a metrics server can export
+ */
+export interface MetricsSource {
+  readonly registry: Registry;
+  getHealth(now?: Date): HealthStatus;
+  refresh?(): Promise<void>; // Reads the values that are only fetched when scraped
+}
+
+/**
+ * Options for the metrics server
+ */
+export interface MetricsServerOptions {
+  refreshIntervalSeconds?: number; // Default: DEFAULT_METRICS_REFRESH_SECONDS
+}
+
+/**
+ * Works out whether a long-running job is healthy from when it last succeeded
+ * @param lastSuccessAt Last successful run, if any
+ * @param startedAt When the job started; a job that has not succeeded yet is given this long
+ * @param staleAfterSeconds How old the last success may be
+ * @param now Current time (defaults to now) - useful for testing
+ * @returns HealthStatus Health of the job
+ */
+export function getHealthStatus(lastSuccessAt: Date | undefined, startedAt: Date, staleAfterSeconds: number, now: Date = new Date()): HealthStatus {
+  const ageSeconds = Math.max(0, Math.floor((now.getTime() - (lastSuccessAt ?? startedAt).getTime()) / 1000));
+  return {
+    healthy: ageSeconds <= staleAfterSeconds,
+    ...(lastSuccessAt && { lastSuccessAt: lastSuccessAt.toISOString() }),
+    ageSeconds,
+    staleAfterSeconds
+  };
+}
+
+/**
+ * Creates an HTTP server for Prometheus. Not started; call listen() on the
+ * returned server
+ *
+ * Routes (GET only):
+ * - /metrics: Every metric in the source's registry, in the Prometheus text format.
+ *   The source is refreshed first unless it was refreshed within the refresh interval
+ * - /healthz: The source's health as JSON; 503 when its data is stale
+ *
+ * @param source Metrics and health to serve
+ * @param options Refresh interval
+ * @returns Server HTTP server
+ */
+export function createMetricsServer(source: MetricsSource, options: MetricsServerOptions = {}): Server {
+  const refreshIntervalMs = (options.refreshIntervalSeconds ?? DEFAULT_METRICS_REFRESH_SECONDS) * 1000;
+  let refreshedAt = 0;
+  let refreshing: Promise<void> | undefined;
+
+  // Concurrent scrapes share one refresh
+  const refresh = async (): Promise<void> => {
+    if (!source.refresh || Date.now() - refreshedAt < refreshIntervalMs) {
+      return;
+    }
+    refreshing ??= source.refresh().finally(() => {
+      refreshedAt = Date.now();
+      refreshing = undefined;
+    });
+    await refreshing;
+  };
+
+  return createServer(async (request, response) => {
+    try {
+      const route = new URL(request.url ?? '/', 'http://localhost').pathname;
+
+      if (request.method !== 'GET') {
+        sendText(response, 405, `Method ${request.method} not allowed`);
+      } else if (route === '/metrics') {
+        await refresh();
+        response.writeHead(200, { 'Content-Type': source.registry.contentType });
+        response.end(await source.registry.metrics());
+      } else if (route === '/healthz') {
+        const health = source.getHealth();
+        response.writeHead(health.healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(health));
+      } else {
+        sendText(response, 404, `Unknown route ${route}`);
+      }
+    } catch (error) {
+      sendText(response, 500, error instanceof Error ? error.message : String(error));
+    }
+  });
+}
+
+/**
+ * Starts a metrics server for a long-running command
+ * @param source Metrics and health to serve
+ * @param port --metrics-port value
+ * @param host Interface to listen on
+ * @param log Called with the server's URL once it is listening
+ * @returns Server Listening server; close it on shutdown
+ */
+export function listenForMetrics(source: MetricsSource, port: string, host: string, log: (message: string) => void): Server {
+  const portNumber = Number(port);
+  if (!Number.isInteger(portNumber) || portNumber < 0 || portNumber > 65535) {
+    throw new Error(`Invalid --metrics-port: ${port}`);
+  }
+
+  const server = createMetricsServer(source);
+  server.listen(portNumber, host, () => log(`Serving metrics on http://${host}:${portNumber}/metrics and /healthz`));
+  return server;
+}
+
+/**
+ * Writes a plain text response
+ * @param response Server response
+ * @param status HTTP status
+ * @param body Response body
+ */
+function sendText(response: ServerResponse, status: number, body: string): void {
+  response.writeHead(status, { 'Content-Type': 'text/plain' });
+  response.end(body);
+}
@@ -0,0 +1,157 @@
+import { formatTable } from './table.js';
+
+export const OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'csv'] as const;
+
+export type OutputFormat = typeof OUTPUT_FORMATS[number];
+
+/**
+ * Process exit codes used by every oracle command
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,           // Invalid input, configuration or any other failure
+  NO_GAMES: 2,        // The command ran but found no games to process
+  PARTIAL_FAILURE: 3, // Some games or teams were processed and others were skipped or failed
+  RPC_ERROR: 4        // The blockchain RPC endpoint could not be reached or returned an error
+} as const;
+
+// ethers error codes raised when the JSON-RPC endpoint fails, as opposed to a contract revert,
+// and the Node.js socket errors an unreachable endpoint surfaces as
+const RPC_ERROR_CODES = ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT', 'UNKNOWN_ERROR', 'ECONNREFUSED', 'ENOTFOUND', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+/**
+ * A column of command output
+ */
+export interface OutputColumn<T> {
+  key: string;                             // Field name, used as the CSV header
+  header: string;                          // Table header
+  value?: (record: T) => unknown;          // Defaults to record[key]
+  display?: (record: T) => string;         // Table-only rendering; defaults to the value
+  table?: boolean;                         // Set to false to leave the column out of table output
+}
+
+/**
+ * Writes a diagnostic message to stderr, keeping stdout for command results
+ * @param message Message to write (defaults to a blank line)
+ */
+export function log(message: string = ''): void {
+  console.error(message);
+}
+
+/**
+ * Formats command results. json and ndjson write each record in full;
+ * table and csv write only the given columns
+ * @param format Output format
+ * @param records Result records
+ * @param columns Columns for table and csv output
+ * @returns string Formatted output, or an empty string if there is nothing to print
+ */
+export function formatRecords<T extends object>(format: OutputFormat, records: T[], columns: OutputColumn<T>[]): string {
+  switch (format) {
+    case 'json':
+      return toJson(records, 2);
+
+    case 'ndjson':
+      return records.map(record => toJson(record)).join('\n');
+
+    case 'csv':
+      return [
+        columns.map(column => escapeCsv(column.key)).join(','),
+        ...records.map(record => formatRecordLine('csv', record, columns))
+      ].join('\n');
+
+    case 'table': {
+      if (records.length === 0) {
+        return '';
+      }
+      const tableColumns = columns.filter(column => column.table !== false);
+      return formatTable(
+        tableColumns.map(column => column.header),
+        records.map(record => tableColumns.map(column => column.display ? column.display(record) : toText(getValue(record, column))))
+      );
+    }
+  }
+}
+
+/**
+ * Formats a single record as one line, for output that is streamed as it is
+ * produced (ndjson or csv; json is written as ndjson because an array cannot
+ * be streamed)
+ * @param format Output format other than table
+ * @param record Result record
+ * @param columns Columns for csv output
+ * @returns string Formatted line
+ */
+export function formatRecordLine<T extends object>(format: Exclude<OutputFormat, 'table'>, record: T, columns: OutputColumn<T>[]): string {
+  if (format === 'csv') {
+    return columns.map(column => escapeCsv(toText(getValue(record, column)))).join(',');
+  }
+  return toJson(record);
+}
+
+/**
+ * Maps an error to the exit code a command should end with. The error's
+ * cause chain is searched too, since socket errors are often wrapped, e.g.
+ * fetch's "fetch failed" TypeError
+ * @param error Error thrown by the command
+ * @returns number RPC_ERROR for JSON-RPC failures, otherwise ERROR
+ */
+export function getExitCodeForError(error: unknown): number {
+  return isRpcError(error, 0) ? EXIT_CODES.RPC_ERROR : EXIT_CODES.ERROR;
+}
+
+/**
+ * Checks whether an error, its causes or the errors it aggregates come from the RPC endpoint
+ * @param error Error to check
+ * @param depth How many causes deep the check is, to stop on cyclic causes
+ * @returns boolean True for a JSON-RPC or socket failure
+ */
+function isRpcError(error: unknown, depth: number): boolean {
+  if (typeof error !== 'object' || error === null || depth > 10) {
+    return false;
+  }
+
+  const { code, cause, errors } = error as { code?: unknown; cause?: unknown; errors?: unknown };
+  if (typeof code === 'string' && RPC_ERROR_CODES.includes(code)) {
+    return true;
+  }
+  return isRpcError(cause, depth + 1) || (Array.isArray(errors) && errors.some(inner => isRpcError(inner, depth + 1)));
+}
+
+/**
+ * Reads a column's value from a record
+ * @param record Result record
+ * @param column Column definition
+ * @returns unknown Raw value
+ */
+function getValue<T extends object>(record: T, column: OutputColumn<T>): unknown {
+  return column.value ? column.value(record) : (record as Record<string, unknown>)[column.key];
+}
+
+/**
+ * Converts a value to display text; missing values become empty strings
+ * @param value Raw value
+ * @returns string Text
+ */
+function toText(value: unknown): string {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * Serializes a value as JSON, writing bigints as decimal strings
+ * @param value Value to serialize
+ * @param indent Optional indentation
+ * @returns string JSON text
+ */
+function toJson(value: unknown, indent?: number): string {
+  return JSON.stringify(value, (_key, item) => typeof item === 'bigint' ? item.toString() : item, indent);
+}
+
+/**
+ * Quotes a CSV field if it contains a comma, quote or line break
+ * @param value Field text
+ * @returns string Escaped field
+ */
+function escapeCsv(value: string): string {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
@@ -0,0 +1,21 @@
+import { createInterface } from 'readline/promises';
+
+/**
+ * Asks a yes/no question on the terminal. The question is written to stderr,
+ * so it does not end up in results piped from stdout
+ * @param question Question to display
+ * @returns Promise<boolean> True only if the user answers yes
+ */
+export async function confirm(question: string): Promise<boolean> {
+  if (!process.stdin.isTTY) {
+    throw new Error('Cannot ask for confirmation without an interactive terminal - pass --yes to skip the prompt');
+  }
+
+  const rl = createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const answer = await rl.question(`${question} (y/N) `);
+    return ['y', 'yes'].includes(answer.trim().toLowerCase());
+  } finally {
+    rl.close();
+  }
+}
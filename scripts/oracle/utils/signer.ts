@@ -0,0 +1,207 @@
+import { existsSync, readFileSync } from 'fs';
+import {
+  AbstractSigner,
+  FetchRequest,
+  getAddress,
+  hexlify,
+  HDNodeWallet,
+  JsonRpcProvider,
+  Provider,
+  Signer,
+  toUtf8Bytes,
+  TransactionRequest,
+  TypedDataDomain,
+  TypedDataEncoder,
+  TypedDataField,
+  Wallet
+} from 'ethers';
+
+// Default derivation path for the first account of an HD mnemonic (BIP-44, Ethereum)
+export const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
+/**
+ * Where the signing key for a role comes from
+ */
+export type SignerConfig =
+  | { type: 'private-key'; privateKey: string }
+  | { type: 'keystore'; path: string; password: string }            // Encrypted JSON keystore (geth/ethers format)
+  | { type: 'mnemonic'; mnemonic: string; derivationPath: string }  // HD wallet phrase
+  | { type: 'external'; url: string; address: string };             // JSON-RPC signer such as Clef or Web3Signer
+
+/**
+ * Reads the signer configuration for one role from environment variables.
+ * With a prefix of ORACLE the supported sources are:
+ * - ORACLE_PRIVATE_KEY
+ * - ORACLE_KEYSTORE with ORACLE_KEYSTORE_PASSWORD or ORACLE_KEYSTORE_PASSWORD_FILE
+ * - ORACLE_MNEMONIC with optional ORACLE_DERIVATION_PATH
+ * - ORACLE_SIGNER_URL with ORACLE_SIGNER_ADDRESS
+ *
+ * @param prefix Variable prefix for the role (e.g. 'ORACLE' or 'ADMIN')
+ * @param env Environment to read (defaults to process.env)
+ * @returns SignerConfig | undefined The configured source, or undefined if none is set
+ */
+export function getSignerConfigFromEnv(prefix: string, env: NodeJS.ProcessEnv = process.env): SignerConfig | undefined {
+  const sources: SignerConfig[] = [];
+
+  if (env[`${prefix}_PRIVATE_KEY`]) {
+    sources.push({ type: 'private-key', privateKey: env[`${prefix}_PRIVATE_KEY`]! });
+  }
+
+  if (env[`${prefix}_KEYSTORE`]) {
+    const passwordFile = env[`${prefix}_KEYSTORE_PASSWORD_FILE`];
+    const password = passwordFile ? readFileSync(passwordFile, 'utf8').trim() : env[`${prefix}_KEYSTORE_PASSWORD`];
+    if (password === undefined) {
+      throw new Error(`${prefix}_KEYSTORE requires ${prefix}_KEYSTORE_PASSWORD or ${prefix}_KEYSTORE_PASSWORD_FILE`);
+    }
+    sources.push({ type: 'keystore', path: env[`${prefix}_KEYSTORE`]!, password });
+  }
+
+  if (env[`${prefix}_MNEMONIC`]) {
+    sources.push({
+      type: 'mnemonic',
+      mnemonic: env[`${prefix}_MNEMONIC`]!,
+      derivationPath: env[`${prefix}_DERIVATION_PATH`] || DEFAULT_DERIVATION_PATH
+    });
+  }
+
+  if (env[`${prefix}_SIGNER_URL`]) {
+    const address = env[`${prefix}_SIGNER_ADDRESS`];
+    if (!address) {
+      throw new Error(`${prefix}_SIGNER_URL requires ${prefix}_SIGNER_ADDRESS`);
+    }
+    sources.push({ type: 'external', url: env[`${prefix}_SIGNER_URL`]!, address });
+  }
+
+  if (sources.length > 1) {
+    throw new Error(`Multiple signers configured for ${prefix} (${sources.map(source => source.type).join(', ')}); set only one`);
+  }
+
+  return sources[0];
+}
+
+/**
+ * Creates a signer connected to a provider
+ * @param config Signer configuration
+ * @param provider Provider used to read chain state and broadcast transactions
+ * @returns Promise<Signer> Connected signer
+ */
+export async function createSigner(config: SignerConfig, provider: JsonRpcProvider): Promise<Signer> {
+  switch (config.type) {
+    case 'private-key':
+      return new Wallet(config.privateKey, provider);
+
+    case 'keystore': {
+      if (!existsSync(config.path)) {
+        throw new Error(`Keystore file not found: ${config.path}`);
+      }
+      const wallet = await Wallet.fromEncryptedJson(readFileSync(config.path, 'utf8'), config.password);
+      return wallet.connect(provider);
+    }
+
+    case 'mnemonic':
+      return HDNodeWallet.fromPhrase(config.mnemonic, undefined, config.derivationPath).connect(provider);
+
+    case 'external':
+      return new ExternalSigner(config.url, config.address, provider);
+  }
+}
+
+/**
+ * Signer that keeps the key in a separate process reached over JSON-RPC
+ * (eth_signTransaction, personal_sign, eth_signTypedData_v4). Transactions
+ * are filled in and broadcast through the chain provider; only signing goes
+ * to the external signer
+ */
+export class ExternalSigner extends AbstractSigner<JsonRpcProvider> {
+  readonly address: string;
+  private readonly url: string;
+  private nextRequestId = 1;
+
+  /**
+   * Creates a new ExternalSigner
+   * @param url JSON-RPC endpoint of the signer
+   * @param address Account the signer holds
+   * @param provider Chain provider
+   */
+  constructor(url: string, address: string, provider: JsonRpcProvider) {
+    super(provider);
+    this.url = url;
+    this.address = getAddress(address);
+  }
+
+  /**
+   * Gets the signing account
+   * @returns Promise<string> Checksummed address
+   */
+  async getAddress(): Promise<string> {
+    return this.address;
+  }
+
+  /**
+   * Returns a copy of this signer connected to another provider
+   * @param provider Provider to connect to
+   * @returns ExternalSigner New signer
+   */
+  connect(provider: null | Provider): ExternalSigner {
+    if (!(provider instanceof JsonRpcProvider)) {
+      throw new Error('ExternalSigner requires a JsonRpcProvider');
+    }
+    return new ExternalSigner(this.url, this.address, provider);
+  }
+
+  /**
+   * Fills in the transaction and has the external signer sign it
+   * @param tx Transaction to sign
+   * @returns Promise<string> Signed, serialized transaction
+   */
+  async signTransaction(tx: TransactionRequest): Promise<string> {
+    const populated = await this.populateTransaction(tx);
+    const result = await this.request('eth_signTransaction', [this.provider.getRpcTransaction(populated)]);
+
+    // Clef and geth return { raw, tx }; Web3Signer returns the raw transaction
+    return typeof result === 'string' ? result : (result as { raw: string }).raw;
+  }
+
+  /**
+   * Signs a message with personal_sign
+   * @param message Message to sign
+   * @returns Promise<string> Signature
+   */
+  async signMessage(message: string | Uint8Array): Promise<string> {
+    const bytes = typeof message === 'string' ? toUtf8Bytes(message) : message;
+    return await this.request('personal_sign', [hexlify(bytes), this.address.toLowerCase()]) as string;
+  }
+
+  /**
+   * Signs EIP-712 typed data with eth_signTypedData_v4
+   * @param domain Typed data domain
+   * @param types Type definitions
+   * @param value Value to sign
+   * @returns Promise<string> Signature
+   */
+  async signTypedData(domain: TypedDataDomain, types: Record<string, TypedDataField[]>, value: Record<string, unknown>): Promise<string> {
+    const payload = TypedDataEncoder.getPayload(domain, types, value);
+    return await this.request('eth_signTypedData_v4', [this.address.toLowerCase(), JSON.stringify(payload)]) as string;
+  }
+
+  /**
+   * Sends a JSON-RPC request to the external signer
+   * @param method RPC method
+   * @param params RPC parameters
+   * @returns Promise<unknown> RPC result
+   */
+  private async request(method: string, params: unknown[]): Promise<unknown> {
+    const request = new FetchRequest(this.url);
+    request.setHeader('content-type', 'application/json');
+    request.body = JSON.stringify({ jsonrpc: '2.0', id: this.nextRequestId++, method, params });
+
+    const response = await request.send();
+    response.assertOk();
+
+    const body = response.bodyJson;
+    if (body.error) {
+      throw new Error(`External signer rejected ${method}: ${body.error.message ?? JSON.stringify(body.error)}`);
+    }
+    return body.result;
+  }
+}
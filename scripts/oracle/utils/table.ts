@@ -0,0 +1,22 @@
+/**
+ * Formats rows as a box-drawing table for console output
+ * @param headers Column headers
+ * @param rows Table rows, one cell per column
+ * @param colWidths Optional fixed column widths (defaults to the widest cell in each column)
+ * @returns string Table ready to print
+ */
+export function formatTable(headers: string[], rows: string[][], colWidths?: number[]): string {
+  const widths = colWidths ?? headers.map((header, i) =>
+    Math.max(header.length, ...rows.map(row => (row[i] ?? '').length))
+  );
+
+  const line = (cells: string[]) => '│' + cells.map((cell, i) => cell.padEnd(widths[i])).join('│') + '│';
+
+  return [
+    '┌' + widths.map(w => '─'.repeat(w)).join('┬') + '┐',
+    line(headers),
+    '├' + widths.map(w => '─'.repeat(w)).join('┼') + '┤',
+    ...rows.map(line),
+    '└' + widths.map(w => '─'.repeat(w)).join('┴') + '┘'
+  ].join('\n');
+}
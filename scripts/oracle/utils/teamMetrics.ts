@@ -0,0 +1,167 @@
+import { GameScore } from '../api/BaseballDataService.js';
+import { calculateWinPct } from './winPct.js';
+
+// Exponent for the Pythagorean expectation; 1.83 fits MLB run environments
+// better than James's original 2
+export const PYTHAGOREAN_EXPONENT = 1.83;
+
+const LAST_N_GAMES = 10;
+
+/**
+ * Record and runs over a subset of a team's games
+ */
+export interface TeamSplit {
+  wins: number;
+  losses: number;
+  runsScored: number;
+  runsAllowed: number;
+}
+
+/**
+ * A run of consecutive wins or losses
+ */
+export interface TeamStreak {
+  type: 'W' | 'L';
+  length: number;
+}
+
+/**
+ * Performance metrics built from a team's completed games
+ */
+export interface TeamMetrics {
+  teamId: string;
+  gamesPlayed: number;
+  wins: number;
+  losses: number;
+  winPct: number;             // Scaled 0-1000 with the contract's formula
+  runsScored: number;
+  runsAllowed: number;
+  runDifferential: number;
+  pythagoreanWinPct: number;  // Expected win percentage from runs, scaled 0-1000
+  pythagoreanWins: number;    // Expected wins over the games played
+  home: TeamSplit;
+  away: TeamSplit;
+  lastTen: TeamSplit;
+  streak?: TeamStreak;        // Current streak; undefined before the first game
+  longestWinStreak: number;
+  longestLossStreak: number;
+  lastGameDate?: string;      // YYYY-MM-DD
+}
+
+/**
+ * Calculates the Pythagorean win expectation
+ * @param runsScored Runs scored
+ * @param runsAllowed Runs allowed
+ * @param exponent Pythagorean exponent
+ * @returns number Expected win percentage scaled 0-1000, 500 when no runs were scored or allowed
+ */
+export function calculatePythagoreanWinPct(runsScored: number, runsAllowed: number, exponent: number = PYTHAGOREAN_EXPONENT): number {
+  if (runsScored + runsAllowed === 0) {
+    return 500;
+  }
+  const scored = Math.pow(runsScored, exponent);
+  return Math.round(scored / (scored + Math.pow(runsAllowed, exponent)) * 1000);
+}
+
+/**
+ * Builds a team's metrics from its completed games. Ties, which only happen in
+ * games called before they could be finished, count as neither a win nor a loss
+ * and end any streak
+ * @param teamId On-chain team ID
+ * @param games Completed games the team played, oldest first
+ * @returns TeamMetrics Metrics over every game
+ */
+export function calculateTeamMetrics(teamId: string, games: GameScore[]): TeamMetrics {
+  const played = games.filter(game => game.homeTeam === teamId || game.awayTeam === teamId);
+  const total = emptySplit();
+  const home = emptySplit();
+  const away = emptySplit();
+
+  let streak: TeamStreak | undefined;
+  let longestWinStreak = 0;
+  let longestLossStreak = 0;
+
+  for (const game of played) {
+    const isHome = game.homeTeam === teamId;
+    addGame(total, game, isHome);
+    addGame(isHome ? home : away, game, isHome);
+
+    const result = getResult(game, isHome);
+    if (result === undefined) {
+      streak = undefined;
+      continue;
+    }
+
+    streak = streak?.type === result ? { type: result, length: streak.length + 1 } : { type: result, length: 1 };
+    if (result === 'W') {
+      longestWinStreak = Math.max(longestWinStreak, streak.length);
+    } else {
+      longestLossStreak = Math.max(longestLossStreak, streak.length);
+    }
+  }
+
+  const lastTen = emptySplit();
+  played.slice(-LAST_N_GAMES).forEach(game => addGame(lastTen, game, game.homeTeam === teamId));
+
+  const pythagoreanWinPct = calculatePythagoreanWinPct(total.runsScored, total.runsAllowed);
+
+  return {
+    teamId,
+    gamesPlayed: played.length,
+    wins: total.wins,
+    losses: total.losses,
+    winPct: calculateWinPct(total.wins, total.losses),
+    runsScored: total.runsScored,
+    runsAllowed: total.runsAllowed,
+    runDifferential: total.runsScored - total.runsAllowed,
+    pythagoreanWinPct,
+    pythagoreanWins: Math.round(played.length * pythagoreanWinPct / 1000),
+    home,
+    away,
+    lastTen,
+    streak,
+    longestWinStreak,
+    longestLossStreak,
+    lastGameDate: played[played.length - 1]?.officialDate
+  };
+}
+
+/**
+ * Creates a split with no games
+ * @returns TeamSplit Empty split
+ */
+function emptySplit(): TeamSplit {
+  return { wins: 0, losses: 0, runsScored: 0, runsAllowed: 0 };
+}
+
+/**
+ * Adds a game to a split
+ * @param split Split to update
+ * @param game Completed game
+ * @param isHome Whether the team was at home
+ */
+function addGame(split: TeamSplit, game: GameScore, isHome: boolean): void {
+  split.runsScored += isHome ? game.homeScore : game.awayScore;
+  split.runsAllowed += isHome ? game.awayScore : game.homeScore;
+
+  const result = getResult(game, isHome);
+  if (result === 'W') {
+    split.wins++;
+  } else if (result === 'L') {
+    split.losses++;
+  }
+}
+
+/**
+ * Works out whether the team won a game
+ * @param game Completed game
+ * @param isHome Whether the team was at home
+ * @returns 'W' | 'L' | undefined Result, or undefined for a tie
+ */
+function getResult(game: GameScore, isHome: boolean): 'W' | 'L' | undefined {
+  const margin = isHome ? game.homeScore - game.awayScore : game.awayScore - game.homeScore;
+  if (margin === 0) {
+    return undefined;
+  }
+  return margin > 0 ? 'W' : 'L';
+}
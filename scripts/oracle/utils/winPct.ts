@@ -0,0 +1,14 @@
+/**
+ * Calculates a win percentage exactly as BaseballOracle._calculateWinPct does
+ * @param wins Number of wins
+ * @param losses Number of losses
+ * @returns number Win percentage scaled 0-1000 (500 = .500), rounded half up
+ */
+export function calculateWinPct(wins: number, losses: number): number {
+  const games = wins + losses;
+  if (games === 0) {
+    return 500; // 50% for teams with no games played
+  }
+  // Integer division to match Solidity
+  return Math.floor((wins * 1000 + Math.floor(games / 2)) / games);
+}